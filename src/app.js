@@ -0,0 +1,1418 @@
+import * as THREE from 'three';
+import { ARMeasurement, PointSource } from './ar-measurement.js';
+import { FIT_MODES, MEASUREMENT_MODE_LABELS } from './measurement-modes.js';
+import { LengthUnit, formatLength, fromMeters, toMeters } from './units.js';
+import { Settings } from './settings.js';
+import { ScaleCalibration } from './calibration.js';
+import { detectMarkers, generateMarkerSVG } from './marker-detector.js';
+import { ParametricGenerator } from './parametric-generator.js';
+import { templateRegistry, describeMapping, resolveParameters } from './templates.js';
+import { suggestionEngine } from './repair-suggestions.js';
+import { ParameterPanel } from './parameter-panel.js';
+import { EXPORT_FORMATS, PROFILE_FORMATS, createExporter, createProfileExporter } from './exporters.js';
+import { PRINT_FRAME, downloadFile } from './mesh-exporter.js';
+import { analyzePrintability, DEFAULT_PRINTER, PrintIssue } from './printability.js';
+import { ProjectStore, createProject, downloadProject, readProjectFile } from './project.js';
+import { DesktopView } from './desktop-view.js';
+import { PartPlacement, ROTATION_STEP } from './part-placement.js';
+import { SCAN_UNITS, readScanFile } from './scan-import.js';
+import { ScanReference } from './scan-reference.js';
+import { Assembly } from './assembly.js';
+import { annotateCameraImage, downloadReport, measurementRows, renderReportHTML, toPNG } from './report.js';
+
+// Segments below this sampling confidence are flagged for re-measuring
+const LOW_CONFIDENCE = 0.5;
+
+// Pause in parameter edits after which a previewed part is built for real, ms
+const PART_REBUILD_DELAY = 600;
+
+// Highlight colours for regions flagged by the printability analysis
+const ISSUE_COLORS = {
+    [PrintIssue.THIN_WALL]: 0xf44336,
+    [PrintIssue.OVERHANG]: 0xff9800
+};
+
+/**
+ * The whole app: wires the page's controls to measuring, part generation and
+ * export. main.js starts it; tests pass in a fake renderer.
+ */
+export class ARRepairKitApp {
+    /**
+     * @param {Object} [options]
+     * @param {THREE.WebGLRenderer} [options.renderer] - defaults to a new WebGL renderer
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.container = document.getElementById('canvas-container');
+        this.statusEl = document.getElementById('status');
+        this.measurementsEl = document.getElementById('measurements');
+        this.modeSelect = document.getElementById('mode-select');
+        this.samplingToggle = document.getElementById('sampling-toggle');
+        this.snapToggle = document.getElementById('point-snap-toggle');
+        this.planesToggle = document.getElementById('planes-toggle');
+        this.manualRow = document.getElementById('manual-row');
+        this.manualLengthInput = document.getElementById('manual-length');
+        this.scanRow = document.getElementById('scan-row');
+        this.scanUnitSelect = document.getElementById('scan-unit');
+        this.scanFileInput = document.getElementById('scan-file');
+        this.removeScanButton = document.getElementById('scan-remove-button');
+        
+        this.arButton = document.getElementById('ar-button');
+        this.clearButton = document.getElementById('clear-button');
+        this.undoButton = document.getElementById('undo-button');
+        this.redoButton = document.getElementById('redo-button');
+        this.generateButton = document.getElementById('generate-button');
+        this.templateSelect = document.getElementById('template-select');
+        this.templateDescriptionEl = document.getElementById('template-description');
+        this.templateMissingEl = document.getElementById('template-missing');
+        this.suggestionPanel = document.getElementById('suggestion-panel');
+        this.suggestionListEl = document.getElementById('suggestion-list');
+        this.parameterPanel = new ParameterPanel(document.getElementById('parameter-list'));
+        this.exportRow = document.getElementById('export-row');
+        this.exportButton = document.getElementById('export-button');
+        this.exportFormatSelect = document.getElementById('export-format');
+        this.laserPanel = document.getElementById('laser-panel');
+        this.flatFormatSelect = document.getElementById('flat-format');
+        this.sheetThicknessInput = document.getElementById('sheet-thickness');
+        this.kerfInput = document.getElementById('kerf-input');
+
+        this.calibrateButton = document.getElementById('calibrate-button');
+
+        this.settingsPanel = document.getElementById('settings-panel');
+        this.unitSelect = document.getElementById('unit-select');
+        this.precisionSelect = document.getElementById('precision-select');
+        this.exportUnitSelect = document.getElementById('export-unit');
+        this.exportScaleInput = document.getElementById('export-scale');
+        this.calibrationPanel = document.getElementById('calibration-panel');
+        this.calibrationStatusEl = document.getElementById('calibration-status');
+        this.referenceLengthInput = document.getElementById('reference-length');
+        this.markerSizeInput = document.getElementById('marker-size');
+        this.calibrationUnitEls = document.querySelectorAll('.calibration-unit');
+        // Known lengths for calibration in meters, typed in the display unit:
+        // the long side of a bank card and the printed marker
+        this.referenceLength = 0.0856;
+        this.markerSize = 0.05;
+
+        this.projectPanel = document.getElementById('project-panel');
+        this.projectNameInput = document.getElementById('project-name');
+        this.projectListEl = document.getElementById('project-list');
+        this.projectFileInput = document.getElementById('project-file');
+
+        this.printPanel = document.getElementById('print-panel');
+        this.nozzleSelect = document.getElementById('nozzle-select');
+        this.bedInputs = {
+            width: document.getElementById('bed-width'),
+            depth: document.getElementById('bed-depth'),
+            height: document.getElementById('bed-height')
+        };
+        this.printSummaryEl = document.getElementById('print-summary');
+        this.printWarningsEl = document.getElementById('print-warnings');
+
+        this.placementPanel = document.getElementById('placement-panel');
+        this.movePartButton = document.getElementById('move-part-button');
+
+        this.partsPanel = document.getElementById('parts-panel');
+        this.partsListEl = document.getElementById('parts-list');
+
+        this.measurements = [];
+        this.results = [];
+        this.generatedPart = null;
+        this.generatedTemplate = null;
+        this.generatedParams = null;
+        this.parameterOverrides = {};
+        this.preparedPart = null;
+        // Pending build of the real part while a preview is shown
+        this.partRebuildTimer = null;
+        this.printAnalysis = null;
+        this.issueOverlay = null;
+        this.printer = { ...DEFAULT_PRINTER, bed: { ...DEFAULT_PRINTER.bed } };
+        this.settings = new Settings();
+        this.projectStore = new ProjectStore();
+        // IndexedDB key of the session being worked on, once saved
+        this.projectId = null;
+
+        // Resolves once the scene and controls are set up
+        this.ready = this.init();
+    }
+
+    async init() {
+        // Initialize Three.js scene
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(
+            75,
+            window.innerWidth / window.innerHeight,
+            0.01,
+            100
+        );
+
+        this.renderer = this.options.renderer || new THREE.WebGLRenderer({ 
+            antialias: true,
+            alpha: true 
+        });
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.renderer.xr.enabled = true;
+        this.container.appendChild(this.renderer.domElement);
+
+        // Parts use MeshStandardMaterial, which renders black without lights
+        this.scene.add(new THREE.HemisphereLight(0xffffff, 0x444444, 1.5));
+        const sun = new THREE.DirectionalLight(0xffffff, 2);
+        sun.position.set(1, 2, 1.5);
+        this.scene.add(sun);
+
+        // Orbit view with the printer bed for working without AR
+        this.desktopView = new DesktopView(this.scene, this.camera, this.renderer);
+        this.desktopView.setBed(this.printer.bed);
+        this.desktopView.setEnabled(true);
+
+        // Scanned mesh of the object, measured on by clicking it
+        this.scanReference = new ScanReference(this.scene, this.camera, this.renderer.domElement);
+
+        // Initialize AR measurement system
+        this.arMeasurement = new ARMeasurement(this.scene, this.renderer);
+        this.partPlacement = new PartPlacement(this.arMeasurement);
+        this.parametricGenerator = new ParametricGenerator(this.scene);
+        this.assembly = new Assembly(this.scene);
+        this.assembly.onChange = () => this.renderPartsList();
+        // Any exporter can prepare and read back the part; the chosen one writes the file
+        this.meshExporter = createExporter('stl');
+        this.calibration = new ScaleCalibration();
+
+        // Check WebXR support
+        await this.checkARSupport();
+
+        // Setup event listeners
+        this.setupEventListeners();
+
+        // Start render loop
+        this.renderer.setAnimationLoop(() => this.render());
+
+        // Handle window resize
+        window.addEventListener('resize', () => this.onWindowResize());
+    }
+
+    async checkARSupport() {
+        if ('xr' in navigator) {
+            try {
+                const isSupported = await navigator.xr.isSessionSupported('immersive-ar');
+                if (isSupported) {
+                    this.arButton.style.display = 'block';
+                    this.statusEl.textContent = 'AR Ready - Tap "Enter AR" to start';
+                } else {
+                    this.statusEl.textContent = 'AR not supported on this device - type in measurements below';
+                    this.statusEl.style.color = '#ff9800';
+                }
+            } catch (error) {
+                console.error('Error checking AR support:', error);
+                this.statusEl.textContent = 'Error checking AR support';
+                this.statusEl.style.color = '#f44336';
+            }
+        } else {
+            this.statusEl.textContent = 'WebXR not available (try on mobile) - type in measurements below';
+            this.statusEl.style.color = '#ff9800';
+        }
+    }
+
+    setupEventListeners() {
+        this.arButton.addEventListener('click', () => this.startAR());
+        this.clearButton.addEventListener('click', () => this.clearMeasurements());
+        this.undoButton.addEventListener('click', () => this.arMeasurement.undo());
+        this.redoButton.addEventListener('click', () => this.arMeasurement.redo());
+
+        // Taps on overlay buttons must not also place a point in the AR scene
+        document.getElementById('controls').addEventListener('beforexrselect', (event) => {
+            event.preventDefault();
+        });
+        this.generateButton.addEventListener('click', () => this.generateRepairPart());
+        this.exportButton.addEventListener('click', () => this.exportPart());
+        document.getElementById('keep-part-button').addEventListener('click', () => this.keepPart());
+        document.getElementById('plate-export-button').addEventListener('click', () => this.exportPlate());
+        document.getElementById('report-button').addEventListener('click', () => this.exportReport());
+        Object.entries(EXPORT_FORMATS).forEach(([format, { label }]) => {
+            const option = document.createElement('option');
+            option.value = format;
+            option.textContent = label;
+            this.exportFormatSelect.appendChild(option);
+        });
+        document.getElementById('flat-export-button').addEventListener('click', () => this.exportFlatPattern());
+        Object.entries(PROFILE_FORMATS).forEach(([format, { label }]) => {
+            const option = document.createElement('option');
+            option.value = format;
+            option.textContent = label;
+            this.flatFormatSelect.appendChild(option);
+        });
+
+        Object.entries(MEASUREMENT_MODE_LABELS).forEach(([mode, label]) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = label;
+            this.modeSelect.appendChild(option);
+        });
+        this.modeSelect.value = this.arMeasurement.mode;
+        this.modeSelect.addEventListener('change', () => {
+            this.arMeasurement.setMode(this.modeSelect.value);
+            if (FIT_MODES.includes(this.modeSelect.value) && this.renderer.xr.isPresenting) {
+                this.statusEl.textContent = this.arMeasurement.depthSensingAvailable
+                    ? 'Aim at the hole or edge and tap to fit it'
+                    : 'No depth sensing on this device - tap both ends instead';
+            }
+        });
+
+        this.samplingToggle.checked = this.arMeasurement.samplingEnabled;
+        this.samplingToggle.addEventListener('change', () => {
+            this.arMeasurement.setSamplingEnabled(this.samplingToggle.checked);
+        });
+        this.snapToggle.checked = this.arMeasurement.snappingEnabled;
+        this.snapToggle.addEventListener('change', () => {
+            this.arMeasurement.setSnappingEnabled(this.snapToggle.checked);
+        });
+        this.planesToggle.addEventListener('change', () => {
+            this.arMeasurement.setPlanesVisible(this.planesToggle.checked);
+        });
+        this.arMeasurement.onDepthFit = (result, error) => {
+            if (error) {
+                this.statusEl.textContent = error.message + ' - try again or tap both ends';
+                this.statusEl.style.color = '#ff9800';
+                return;
+            }
+            const label = result.type === 'diameter' ? 'Hole ⌀' : 'Edge';
+            this.statusEl.textContent = `${label} ${this.settings.formatLength(result.value)} ` +
+                `(±${this.settings.formatLength(result.rms, 1)})`;
+            this.statusEl.style.color = '#4CAF50';
+        };
+        this.arMeasurement.onSamplingChange = (active) => {
+            this.statusEl.textContent = active ? 'Hold steady - sampling point...' : 'AR Active - Tap to measure';
+        };
+
+        // Units and precision, remembered between visits
+        document.getElementById('settings-button').addEventListener('click', () => {
+            this.settingsPanel.classList.toggle('hidden');
+        });
+        this.unitSelect.addEventListener('change', () => {
+            this.settings.update({ displayUnit: this.unitSelect.value });
+        });
+        this.precisionSelect.addEventListener('change', () => {
+            this.settings.update({ precision: parseInt(this.precisionSelect.value, 10) });
+        });
+        this.exportUnitSelect.addEventListener('change', () => {
+            this.settings.update({ exportUnit: this.exportUnitSelect.value });
+        });
+        this.exportScaleInput.addEventListener('change', () => {
+            const percent = parseFloat(this.exportScaleInput.value);
+            if (percent > 0) {
+                this.settings.update({ exportScale: percent / 100 });
+            } else {
+                this.exportScaleInput.value = this.settings.exportScale * 100;
+            }
+        });
+        document.getElementById('settings-reset-button').addEventListener('click', () => this.settings.reset());
+        this.settings.onChange = () => this.applySettings();
+
+        // Typed-in measurements for working without AR
+        document.getElementById('manual-add-button').addEventListener('click', () => this.addManualSegment());
+        this.manualLengthInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') this.addManualSegment();
+        });
+
+        // Scans: points are placed where a click hits the surface
+        SCAN_UNITS.forEach((unit) => {
+            const option = document.createElement('option');
+            option.value = unit;
+            option.textContent = 'Scan in ' + unit;
+            this.scanUnitSelect.appendChild(option);
+        });
+        document.getElementById('scan-import-button').addEventListener('click', () => this.scanFileInput.click());
+        this.scanFileInput.addEventListener('change', () => this.importScan());
+        this.removeScanButton.addEventListener('click', () => this.removeScan());
+        // Scans are at true scale, so the AR calibration doesn't apply to their points
+        this.scanReference.onPick = (position, normal) => this.arMeasurement.addSurfacePoint(position, normal, PointSource.SCAN);
+
+        // Listen for measurement updates
+        this.arMeasurement.onMeasurementUpdate = (measurements, results) => {
+            this.measurements = measurements;
+            this.results = results;
+            this.updateMeasurementsDisplay();
+            this.clearButton.classList.toggle('hidden', measurements.length === 0);
+            // While a point is dragged only the labels follow it; the rest waits for the drop
+            if (this.arMeasurement.dragIndex !== -1) return;
+            this.updateTemplateMapping();
+            this.updateSuggestions();
+            // The part keeps its place relative to the points
+            this.partPlacement.updateFromPoints();
+        };
+
+        // Shape templates
+        templateRegistry.list().forEach((template) => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.name;
+            this.templateSelect.appendChild(option);
+        });
+        this.templateSelect.addEventListener('change', () => {
+            this.parameterOverrides = {};
+            this.updateTemplateMapping();
+        });
+        this.parameterPanel.onChange = (key, value) => this.onParameterChange(key, value);
+        // Also fills in the parameter panel
+        this.applySettings();
+
+        this.arMeasurement.onHistoryChange = (canUndo, canRedo) => {
+            this.undoButton.disabled = !canUndo;
+            this.redoButton.disabled = !canRedo;
+        };
+
+        // Calibration
+        this.calibrateButton.addEventListener('click', () => {
+            this.calibrationPanel.classList.toggle('hidden');
+        });
+        this.referenceLengthInput.addEventListener('change', () => {
+            this.referenceLength = this.readCalibrationLength(this.referenceLengthInput, this.referenceLength);
+        });
+        this.markerSizeInput.addEventListener('change', () => {
+            this.markerSize = this.readCalibrationLength(this.markerSizeInput, this.markerSize);
+        });
+        document.getElementById('reference-button').addEventListener('click', () => this.calibrateFromReference());
+        document.getElementById('marker-button').addEventListener('click', () => this.calibrateFromMarker());
+        document.getElementById('marker-download-button').addEventListener('click', () => this.downloadMarker());
+        document.getElementById('calibration-reset-button').addEventListener('click', () => this.calibration.reset());
+
+        this.calibration.onChange = (scaleFactor) => {
+            this.arMeasurement.setScaleFactor(scaleFactor);
+            this.updateCalibrationStatus();
+        };
+        this.updateCalibrationStatus();
+
+        // Projects
+        document.getElementById('projects-button').addEventListener('click', () => {
+            this.projectPanel.classList.toggle('hidden');
+            if (!this.projectPanel.classList.contains('hidden')) this.refreshProjectList();
+        });
+        document.getElementById('project-save-button').addEventListener('click', () => this.saveProject());
+        document.getElementById('project-export-button').addEventListener('click', () => {
+            downloadProject(this.createProject());
+        });
+        document.getElementById('project-import-button').addEventListener('click', () => this.projectFileInput.click());
+        this.projectFileInput.addEventListener('change', () => this.importProject());
+
+        // Keep the session when the tab is closed or backgrounded
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.measurements.length > 0) {
+                this.saveProject();
+            }
+        });
+
+        // Placing the part on the real object
+        this.movePartButton.addEventListener('click', () => {
+            this.partPlacement.setMoving(!this.partPlacement.moving);
+        });
+        this.partPlacement.onMovingChange = (moving) => {
+            this.movePartButton.textContent = moving ? 'Done Moving' : 'Move Part';
+            this.movePartButton.classList.toggle('btn-primary', moving);
+            if (moving) this.statusEl.textContent = 'Drag on a surface to move the part';
+        };
+        document.getElementById('rotate-left-button').addEventListener('click', () => {
+            this.partPlacement.rotate(ROTATION_STEP);
+            this.desktopView.refreshPart();
+        });
+        document.getElementById('rotate-right-button').addEventListener('click', () => {
+            this.partPlacement.rotate(-ROTATION_STEP);
+            this.desktopView.refreshPart();
+        });
+        document.getElementById('reset-pose-button').addEventListener('click', () => {
+            this.partPlacement.reset();
+            this.desktopView.refreshPart();
+        });
+        document.getElementById('snap-toggle').addEventListener('change', (event) => {
+            this.partPlacement.setSnapToSurface(event.target.checked);
+        });
+        // Dragging needs the AR hit test
+        this.movePartButton.disabled = true;
+
+        // Printer settings for the printability analysis
+        this.nozzleSelect.value = String(this.printer.nozzleDiameter * 1000);
+        this.nozzleSelect.addEventListener('change', () => {
+            this.printer.nozzleDiameter = parseFloat(this.nozzleSelect.value) / 1000;
+            this.analyzePart();
+        });
+        Object.entries(this.bedInputs).forEach(([axis, input]) => {
+            input.value = Math.round(this.printer.bed[axis] * 1000);
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (isNaN(value) || value <= 0) return;
+                this.printer.bed[axis] = value / 1000;
+                this.desktopView.setBed(this.printer.bed);
+                this.analyzePart();
+            });
+        });
+    }
+
+    async startAR() {
+        try {
+            const session = await navigator.xr.requestSession('immersive-ar', {
+                requiredFeatures: ['hit-test'],
+                optionalFeatures: ['dom-overlay', 'camera-access', 'anchors', 'plane-detection', 'depth-sensing'],
+                domOverlay: { root: document.getElementById('ui-overlay') },
+                // Hole and edge fitting reads depth on the CPU
+                depthSensing: {
+                    usagePreference: ['cpu-optimized'],
+                    dataFormatPreference: ['luminance-alpha', 'float32']
+                }
+            });
+
+            await this.renderer.xr.setSession(session);
+            this.arButton.classList.add('hidden');
+            this.desktopView.setEnabled(false);
+            this.manualRow.classList.add('hidden');
+            this.scanRow.classList.add('hidden');
+            this.scanReference.setEnabled(false);
+            this.statusEl.textContent = 'AR Active - Tap to measure';
+            
+            // Wait for AR measurement to fully initialize
+            await this.arMeasurement.startSession(session);
+            this.partPlacement.startSession(session);
+            this.movePartButton.disabled = false;
+            console.log('AR measurement system initialized');
+
+            session.addEventListener('end', () => {
+                this.arButton.classList.remove('hidden');
+                this.statusEl.textContent = 'AR Ended';
+                this.desktopView.setEnabled(true);
+                this.manualRow.classList.remove('hidden');
+                this.scanRow.classList.remove('hidden');
+                this.scanReference.setEnabled(true);
+                this.movePartButton.disabled = true;
+            });
+
+        } catch (error) {
+            console.error('Error starting AR:', error);
+            this.statusEl.textContent = 'Failed to start AR: ' + error.message;
+            this.statusEl.style.color = '#f44336';
+        }
+    }
+
+    /**
+     * Show the current settings in the panel and everywhere lengths are displayed
+     */
+    applySettings() {
+        const { displayUnit, precision, exportUnit, exportScale } = this.settings;
+        this.unitSelect.value = displayUnit;
+        this.precisionSelect.value = String(precision);
+        this.exportUnitSelect.value = exportUnit;
+        this.exportScaleInput.value = parseFloat((exportScale * 100).toFixed(2));
+
+        this.arMeasurement.setUnits(displayUnit, precision);
+        this.desktopView.setUnits(displayUnit, precision);
+        this.manualLengthInput.placeholder = `Segment length (${displayUnit})`;
+        this.referenceLengthInput.value = parseFloat(fromMeters(this.referenceLength, displayUnit).toFixed(3));
+        this.markerSizeInput.value = parseFloat(fromMeters(this.markerSize, displayUnit).toFixed(3));
+        this.calibrationUnitEls.forEach((el) => {
+            el.textContent = displayUnit;
+        });
+        this.updateMeasurementsDisplay();
+        this.updateTemplateMapping();
+        this.updateSuggestions();
+    }
+
+    /**
+     * Add a segment of the typed length, in display units
+     */
+    addManualSegment() {
+        const value = parseFloat(this.manualLengthInput.value);
+        if (!(value > 0)) {
+            alert('Enter a segment length');
+            return;
+        }
+
+        this.arMeasurement.addManualSegment(toMeters(value, this.settings.displayUnit));
+        this.manualLengthInput.value = '';
+        this.manualLengthInput.focus();
+    }
+
+    clearMeasurements() {
+        this.arMeasurement.clearMeasurements();
+        this.measurements = [];
+        this.results = [];
+        this.updateMeasurementsDisplay();
+        this.clearButton.classList.add('hidden');
+        // Kept parts can still be exported
+        this.exportRow.classList.toggle('hidden', this.assembly.parts.length === 0);
+        this.updateTemplateMapping();
+        this.updateSuggestions();
+        
+        this.removeGeneratedPart();
+        this.partPlacement.reset();
+
+        // Measuring again starts a new session rather than overwriting the saved one
+        this.projectId = null;
+        this.projectNameInput.value = '';
+    }
+
+    updateMeasurementsDisplay() {
+        if (this.results.length === 0) {
+            this.measurementsEl.innerHTML = '';
+            return;
+        }
+
+        let html = '<div style="margin-top: 8px;">Measurements:</div>';
+        
+        this.results.forEach((result) => {
+            html += `<div class="measurement-item">${this.formatResult(result)}</div>`;
+        });
+
+        this.measurementsEl.innerHTML = html;
+    }
+
+    formatResult(result) {
+        const settings = this.settings;
+
+        switch (result.type) {
+            case 'angle':
+                return `Angle at point ${result.index + 1}: ${result.degrees.toFixed(settings.precision)}°`;
+            case 'polygon':
+                return `Perimeter: ${settings.formatLength(result.perimeter)}<br>
+                    Area: ${settings.formatArea(result.area)}`;
+            case 'height':
+                return `Point ${result.index + 1} height: ${settings.formatLength(result.value)}`;
+            case 'diameter':
+                return `Hole ${result.index / 2 + 1}: ⌀ ${settings.formatLength(result.value)}` +
+                    this.formatConfidence(this.measurements[result.index]);
+            case 'edge':
+                return `Edge ${result.index / 2 + 1}: ${settings.formatLength(result.value)}` +
+                    this.formatConfidence(this.measurements[result.index]);
+            default:
+                return `Point ${result.index + 1} → ${result.index + 2}: ${settings.formatLength(result.value)}` +
+                    this.formatConfidence(this.measurements[result.index]);
+        }
+    }
+
+    formatConfidence(measurement) {
+        if (!measurement || measurement.confidence === null) return '';
+
+        // One more decimal than the value - uncertainties are small
+        let html = ` <span class="confidence">±${this.settings.formatLength(measurement.spread, 1)} ` +
+            `(${Math.round(measurement.confidence * 100)}%)</span>`;
+        if (measurement.confidence < LOW_CONFIDENCE) {
+            html += '<div class="low-confidence">⚠ Low confidence - re-measure before printing</div>';
+        }
+        return html;
+    }
+
+    updateCalibrationStatus() {
+        const { scaleFactor, method } = this.calibration;
+        this.calibrationStatusEl.textContent = method
+            ? `Scale correction: ${scaleFactor.toFixed(3)}x (${method})`
+            : 'Not calibrated';
+    }
+
+    /**
+     * Length typed into a calibration input, in meters; `fallback` unless it is a positive number
+     */
+    readCalibrationLength(input, fallback) {
+        const value = parseFloat(input.value);
+        return value > 0 ? toMeters(value, this.settings.displayUnit) : fallback;
+    }
+
+    /**
+     * Use the last measured segment as a reference of known length
+     */
+    calibrateFromReference() {
+        if (this.measurements.length === 0) {
+            alert('Measure a reference object first (tap both ends)');
+            return;
+        }
+
+        const knownLength = this.referenceLength;
+        const last = this.measurements[this.measurements.length - 1];
+        const measuredLength = last.distanceToNext / this.arMeasurement.scaleFactor;
+
+        try {
+            const scaleFactor = this.calibration.setFromReference(measuredLength, knownLength);
+            this.statusEl.textContent = `Calibrated from reference (${scaleFactor.toFixed(3)}x)`;
+        } catch (error) {
+            console.error('Calibration error:', error);
+            alert('Calibration failed: ' + error.message);
+        }
+    }
+
+    /**
+     * Detect the printed marker in the current camera frame and scale against its known size
+     */
+    async calibrateFromMarker() {
+        try {
+            this.statusEl.textContent = 'Looking for marker...';
+            const capture = await this.arMeasurement.captureCameraFrame();
+
+            if (!capture.surface) {
+                throw new Error('Point the reticle at the surface the marker lies on');
+            }
+
+            const markers = detectMarkers(capture.image);
+            if (markers.length === 0) {
+                throw new Error('No marker found in view');
+            }
+
+            const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(
+                capture.surface.normal,
+                capture.surface.position
+            );
+            const scaleFactor = this.calibration.setFromMarker(markers[0], capture.view, plane, this.markerSize);
+            this.statusEl.textContent = `Calibrated from marker #${markers[0].id} (${scaleFactor.toFixed(3)}x)`;
+        } catch (error) {
+            console.error('Calibration error:', error);
+            this.statusEl.textContent = 'Calibration failed: ' + error.message;
+        }
+    }
+
+    downloadMarker() {
+        // Marker images are drawn in millimeters
+        const markerSize = parseFloat(fromMeters(this.markerSize, LengthUnit.MM).toFixed(1));
+        downloadFile(generateMarkerSVG(0, markerSize), `calibration-marker-${markerSize}mm.svg`, 'image/svg+xml');
+    }
+
+    getSelectedTemplate() {
+        return templateRegistry.get(this.templateSelect.value);
+    }
+
+    /**
+     * Show every parameter of the selected template with its measured source and override
+     */
+    updateTemplateMapping() {
+        const template = this.getSelectedTemplate();
+        const missing = template.requiredMeasurements - this.measurements.length;
+
+        this.templateDescriptionEl.textContent = template.description;
+        this.parameterPanel.render(
+            describeMapping(template, this.measurements, this.parameterOverrides),
+            this.settings.displayUnit,
+            this.settings.precision
+        );
+        this.templateMissingEl.textContent = missing > 0
+            ? `Measure ${missing} more segment${missing > 1 ? 's' : ''}`
+            : '';
+        this.generateButton.classList.toggle('hidden', missing > 0);
+    }
+
+    /**
+     * List the templates that fit the measurements, each with why and a button to use it
+     */
+    updateSuggestions() {
+        const suggestions = suggestionEngine.suggest(this.measurements, {
+            formatLength: meters => this.settings.formatLength(meters)
+        });
+
+        this.suggestionListEl.innerHTML = '';
+        suggestions.forEach((suggestion) => {
+            const item = document.createElement('li');
+
+            const reason = document.createElement('span');
+            reason.className = 'suggestion-reason';
+            reason.innerHTML = `<strong></strong> (${Math.round(suggestion.score * 100)}%): `;
+            reason.querySelector('strong').textContent = suggestion.template.name;
+            reason.append(suggestion.reason);
+
+            const useButton = document.createElement('button');
+            useButton.textContent = 'Use';
+            useButton.addEventListener('click', () => this.useSuggestion(suggestion));
+
+            item.append(reason, useButton);
+            this.suggestionListEl.appendChild(item);
+        });
+        this.suggestionPanel.classList.toggle('hidden', suggestions.length === 0);
+    }
+
+    /**
+     * Pick a suggested template with its prefilled parameters
+     */
+    useSuggestion(suggestion) {
+        this.templateSelect.value = suggestion.template.id;
+        this.parameterOverrides = { ...suggestion.parameters };
+        this.updateTemplateMapping();
+
+        if (this.generatedPart) {
+            this.generateRepairPart();
+        }
+    }
+
+    onParameterChange(key, value) {
+        if (value === null) {
+            delete this.parameterOverrides[key];
+        } else {
+            this.parameterOverrides[key] = value;
+        }
+
+        this.updateTemplateMapping();
+
+        // Rebuild the current part in place with the edited values; slow parts are previewed until the edits pause
+        if (this.generatedPart) {
+            this.generateRepairPart({ preview: true });
+        }
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.preview] - show the template's preview, if it has one, and build
+     *   the real part after PART_REBUILD_DELAY
+     */
+    generateRepairPart({ preview = false } = {}) {
+        const template = this.getSelectedTemplate();
+        if (this.measurements.length < template.requiredMeasurements) {
+            alert(`${template.name} needs ${template.requiredMeasurements} measurements`);
+            return;
+        }
+
+        // Generate parametric part based on measurements and edited parameters
+        const params = resolveParameters(template, this.measurements, this.parameterOverrides);
+        const previewing = preview && Boolean(template.preview);
+        const part = (previewing ? template.preview : template.generate)(this.parametricGenerator, params, this.measurements);
+
+        // Replace the previous part; the placement puts the new one where the old one was
+        if (this.generatedPart) {
+            this.removeGeneratedPart();
+        }
+        this.generatedPart = part;
+        this.partPlacement.attach(part);
+        this.generatedTemplate = template;
+        this.generatedParams = params;
+        
+        // Options the part couldn't fit (e.g. screw holes on a narrow flange) are skipped with a warning
+        const warnings = part.userData.warnings || [];
+        if (warnings.length > 0) {
+            this.statusEl.textContent = 'Part generated: ' + warnings.join('; ');
+            this.statusEl.style.color = '#ff9800';
+        } else {
+            this.statusEl.textContent = 'Repair part generated!';
+            this.statusEl.style.color = '#4CAF50';
+        }
+        this.exportRow.classList.remove('hidden');
+        this.placementPanel.classList.remove('hidden');
+        this.desktopView.showPart(part);
+        // Parts with a flat pattern can also be laser cut from sheet
+        this.laserPanel.classList.toggle('hidden', !template.flatPattern);
+
+        if (previewing) {
+            // The analysis waits for the real part
+            this.partRebuildTimer = setTimeout(() => this.generateRepairPart(), PART_REBUILD_DELAY);
+        } else {
+            this.analyzePart();
+        }
+    }
+
+    /**
+     * Build the real part now if a preview is shown
+     */
+    finishRepairPart() {
+        if (this.partRebuildTimer !== null) this.generateRepairPart();
+    }
+
+    /**
+     * Check the current part for print problems (thin walls, overhangs, bed size),
+     * list them and highlight the affected faces
+     */
+    analyzePart() {
+        this.clearPrintIssues();
+        // A preview isn't the solid that gets printed
+        if (!this.generatedPart || this.partRebuildTimer !== null) return;
+
+        // The analysis runs on the merged solid that will actually be exported
+        if (!this.preparedPart) {
+            this.preparedPart = this.meshExporter.prepare(this.generatedPart);
+        }
+        const triangles = this.meshExporter.getTriangles(this.preparedPart.mesh);
+        const analysis = analyzePrintability(triangles, this.printer);
+        this.printAnalysis = analysis;
+
+        const grams = analysis.mass * 1000;
+        this.printSummaryEl.textContent =
+            `${(analysis.volume * 1e6).toFixed(1)} cm³ · ~${grams.toFixed(0)} g · ${analysis.filamentLength.toFixed(1)} m filament`;
+
+        this.printWarningsEl.innerHTML = '';
+        analysis.warnings.forEach((warning) => {
+            const item = document.createElement('li');
+            item.className = warning.type;
+            item.textContent = warning.message;
+            this.printWarningsEl.appendChild(item);
+        });
+        this.printPanel.classList.remove('hidden');
+
+        this.showPrintIssues(triangles, analysis.warnings);
+    }
+
+    showPrintIssues(triangles, warnings) {
+        // Triangles are in the part's own frame, turned z up for printing; render() keeps the overlay on the part
+        this.issueOverlay = new THREE.Group();
+        const toPart = PRINT_FRAME.clone().invert();
+
+        warnings.forEach((warning) => {
+            if (warning.triangles.length === 0) return;
+
+            const positions = [];
+            warning.triangles.forEach((index) => {
+                const { normal, vertices } = triangles[index];
+                // Lift the highlight off the surface so it doesn't z-fight with the part
+                vertices.forEach(v => positions.push(
+                    v.x + normal.x * 0.0002,
+                    v.y + normal.y * 0.0002,
+                    v.z + normal.z * 0.0002
+                ));
+            });
+
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            geometry.applyMatrix4(toPart);
+            const material = new THREE.MeshBasicMaterial({
+                color: ISSUE_COLORS[warning.type],
+                transparent: true,
+                opacity: 0.6,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            });
+            this.issueOverlay.add(new THREE.Mesh(geometry, material));
+        });
+
+        this.scene.add(this.issueOverlay);
+    }
+
+    clearPrintIssues() {
+        if (!this.issueOverlay) return;
+
+        this.scene.remove(this.issueOverlay);
+        this.issueOverlay.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.issueOverlay = null;
+    }
+
+    removeGeneratedPart() {
+        if (!this.generatedPart) return;
+
+        this.scene.remove(this.generatedPart);
+        this.generatedPart.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+        });
+        this.releaseGeneratedPart();
+    }
+
+    /**
+     * Stop editing the current part, leaving it in the scene
+     */
+    releaseGeneratedPart() {
+        clearTimeout(this.partRebuildTimer);
+        this.partRebuildTimer = null;
+        this.generatedPart = null;
+        this.partPlacement.detach();
+        this.generatedTemplate = null;
+        this.generatedParams = null;
+        this.preparedPart = null;
+        this.printAnalysis = null;
+        this.clearPrintIssues();
+        this.desktopView.clearPart();
+        this.printPanel.classList.add('hidden');
+        this.laserPanel.classList.add('hidden');
+        this.placementPanel.classList.add('hidden');
+    }
+
+    /**
+     * @returns {string|null} name of the written file, null if nothing was exported
+     */
+    exportPart() {
+        if (!this.generatedPart) {
+            alert('Generate a part first');
+            return null;
+        }
+        this.finishRepairPart();
+
+        try {
+            if (!this.preparedPart) {
+                this.preparedPart = this.meshExporter.prepare(this.generatedPart);
+            }
+            return this.exportSolid(this.preparedPart, {
+                filename: 'repair-part',
+                name: this.generatedTemplate.name,
+                template: this.generatedTemplate,
+                params: this.generatedParams,
+                printWarnings: this.printAnalysis ? this.printAnalysis.warnings.map(warning => warning.message) : []
+            });
+        } catch (error) {
+            console.error('Export error:', error);
+            alert('Failed to export: ' + error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Write a prepared solid in the chosen format, once any print problems are accepted
+     *
+     * @param {{mesh: THREE.Mesh, report: Object}} prepared - MeshExporter.prepare() result
+     * @param {{filename: string, name: string, template: Object, params: Object, printWarnings: string[]}} info -
+     *   filename without extension
+     * @returns {string|null} name of the written file, null if cancelled
+     */
+    exportSolid({ mesh, report }, { filename, name, template, params, printWarnings }) {
+        const problems = report.problems.concat(printWarnings);
+        if (problems.length > 0) {
+            console.warn('Mesh problems:', report, printWarnings);
+            const proceed = confirm(
+                'The part may not print correctly:\n- ' + problems.join('\n- ') + '\n\nExport anyway?'
+            );
+            if (!proceed) {
+                this.statusEl.textContent = 'Export cancelled: ' + problems.join('; ');
+                this.statusEl.style.color = '#ff9800';
+                return null;
+            }
+        }
+
+        const exporter = createExporter(this.exportFormatSelect.value);
+        const exportOptions = this.settings.getExportOptions();
+        const file = filename + '.' + exporter.extension;
+        exporter.export(mesh, file, {
+            ...exportOptions,
+            name,
+            metadata: this.describeExportParameters(template, exportOptions, params)
+        });
+        this.statusEl.textContent = `${exporter.extension.toUpperCase()} exported successfully!`;
+        return file;
+    }
+
+    /**
+     * Move the current part to the parts list, so the next one can be made beside it
+     */
+    keepPart() {
+        if (!this.generatedPart) {
+            alert('Generate a part first');
+            return;
+        }
+        this.finishRepairPart();
+
+        const part = this.assembly.add(this.generatedPart, {
+            template: this.generatedTemplate,
+            params: this.generatedParams,
+            prepared: this.preparedPart
+        });
+        this.releaseGeneratedPart();
+        this.statusEl.textContent = `Added "${part.name}" to the parts`;
+        this.statusEl.style.color = '#4CAF50';
+    }
+
+    renderPartsList() {
+        const parts = this.assembly.parts;
+        this.partsListEl.innerHTML = '';
+
+        parts.forEach((part) => {
+            const item = document.createElement('li');
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'part-name';
+            nameInput.value = part.name;
+            nameInput.setAttribute('aria-label', 'Part name');
+            nameInput.addEventListener('change', () => {
+                this.assembly.rename(part.id, nameInput.value);
+                nameInput.value = part.name;
+            });
+
+            const exportButton = document.createElement('button');
+            exportButton.textContent = 'Export';
+            exportButton.addEventListener('click', () => this.exportListedPart(part));
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'btn-danger';
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => this.assembly.remove(part.id));
+
+            item.append(nameInput, exportButton, removeButton);
+            this.partsListEl.appendChild(item);
+        });
+
+        this.partsPanel.classList.toggle('hidden', parts.length === 0);
+        // The format picker is in the export row
+        if (parts.length > 0) this.exportRow.classList.remove('hidden');
+    }
+
+    exportListedPart(part) {
+        try {
+            const prepared = this.assembly.prepare(part);
+            const analysis = analyzePrintability(this.meshExporter.getTriangles(prepared.mesh), this.printer);
+            this.exportSolid(prepared, {
+                filename: fileSlug(part.name),
+                name: part.name,
+                template: part.template,
+                params: part.params,
+                printWarnings: analysis.warnings.map(warning => warning.message)
+            });
+        } catch (error) {
+            console.error('Export error:', error);
+            alert('Failed to export: ' + error.message);
+        }
+    }
+
+    /**
+     * Lay all listed parts out on the bed and export them as one file
+     */
+    exportPlate() {
+        try {
+            const { plate, placements } = this.assembly.arrange(this.printer.bed);
+
+            const problems = [];
+            this.assembly.parts.forEach((part) => {
+                this.assembly.prepare(part).report.problems.forEach(problem => problems.push(`${part.name}: ${problem}`));
+            });
+            if (problems.length > 0) {
+                const proceed = confirm('Some parts may not print correctly:\n- ' + problems.join('\n- ') + '\n\nExport anyway?');
+                if (!proceed) {
+                    this.statusEl.textContent = 'Plate export cancelled: ' + problems.join('; ');
+                    this.statusEl.style.color = '#ff9800';
+                    return;
+                }
+            }
+
+            const exporter = createExporter(this.exportFormatSelect.value);
+            exporter.export(plate, 'repair-plate.' + exporter.extension, {
+                ...this.settings.getExportOptions(),
+                name: 'Repair plate',
+                metadata: { Parts: placements.map(placement => placement.name).join(', ') }
+            });
+            this.statusEl.textContent = `Plate with ${placements.length} part${placements.length > 1 ? 's' : ''} exported`;
+            this.statusEl.style.color = '#4CAF50';
+        } catch (error) {
+            console.error('Plate export error:', error);
+            alert('Failed to export plate: ' + error.message);
+        }
+    }
+
+    /**
+     * Export the generated part's 2D profile for laser cutting, compensated for
+     * the kerf and cut from the chosen sheet thickness
+     */
+    exportFlatPattern() {
+        const template = this.generatedTemplate;
+        if (!template || !template.flatPattern) {
+            alert('Generate a part that can be laser cut first');
+            return;
+        }
+
+        try {
+            // Blank means the part's own thickness
+            const sheet = parseFloat(this.sheetThicknessInput.value);
+            const materialThickness = sheet > 0 ? sheet / 1000 : undefined;
+            const kerf = Math.max(parseFloat(this.kerfInput.value) || 0, 0) / 1000;
+
+            const pattern = template.flatPattern(
+                this.parametricGenerator,
+                this.generatedParams,
+                this.measurements,
+                materialThickness
+            );
+            const exporter = createProfileExporter(this.flatFormatSelect.value);
+            // Flat patterns are cut at true size, so only the unit applies
+            exporter.export(pattern, 'repair-part-flat.' + exporter.extension, { kerf, unit: this.settings.exportUnit });
+
+            if (pattern.warnings.length > 0) {
+                this.statusEl.textContent = 'Flat pattern exported: ' + pattern.warnings.join('; ');
+                this.statusEl.style.color = '#ff9800';
+            } else {
+                this.statusEl.textContent = `${exporter.extension.toUpperCase()} flat pattern exported!`;
+                this.statusEl.style.color = '#4CAF50';
+            }
+        } catch (error) {
+            console.error('Flat pattern export error:', error);
+            alert('Failed to export flat pattern: ' + error.message);
+        }
+    }
+
+    /**
+     * Export a report of the session for the repair ticket - screenshot,
+     * measurements, template and parameters - with the model file beside it
+     * when a part is generated
+     *
+     * @returns {Promise<string|null>} the report HTML
+     */
+    async exportReport() {
+        try {
+            const modelFile = this.generatedPart ? this.exportPart() : null;
+            const html = renderReportHTML(await this.createReport(modelFile));
+            // Named after the model file so the two stay together
+            downloadReport(html, (modelFile ? modelFile.replace(/\.[^.]+$/, '') : 'repair') + '-report.html');
+            this.statusEl.textContent = modelFile ? `Report exported with ${modelFile}` : 'Report exported';
+            this.statusEl.style.color = '#4CAF50';
+            return html;
+        } catch (error) {
+            console.error('Report error:', error);
+            alert('Failed to export report: ' + error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Report data for the current session (see report.js)
+     *
+     * @param {string|null} [modelFile] - model file the report goes with
+     */
+    async createReport(modelFile = null) {
+        const { displayUnit } = this.settings;
+        const describeParameters = (template, params) =>
+            Object.entries(this.describeExportParameters(template, { unit: displayUnit, scale: 1 }, params))
+                .map(([label, value]) => ({ label, value }));
+        const { scaleFactor, method } = this.calibration;
+        const template = this.generatedTemplate;
+
+        return {
+            title: this.projectNameInput.value.trim() || 'Repair report',
+            date: new Date(),
+            screenshot: await this.captureView(),
+            mode: MEASUREMENT_MODE_LABELS[this.arMeasurement.mode],
+            calibration: method ? `${scaleFactor.toFixed(3)}x (${method})` : null,
+            measurements: measurementRows(
+                this.arMeasurement.getMeasurements(),
+                (meters, extraDigits) => this.settings.formatLength(meters, extraDigits)
+            ),
+            template: template ? { name: template.name, description: template.description } : null,
+            parameters: template ? describeParameters(template, this.generatedParams) : [],
+            parts: this.assembly.parts.map(part => ({
+                name: part.name,
+                template: part.template ? part.template.name : null,
+                parameters: part.template ? describeParameters(part.template, part.params) : []
+            })),
+            modelFile
+        };
+    }
+
+    /**
+     * Picture of what is being measured: in AR the camera image with the points
+     * and lengths drawn over it (needs camera access), otherwise the preview
+     *
+     * @returns {Promise<string|null>} PNG data URL
+     */
+    async captureView() {
+        if (this.renderer.xr.isPresenting) {
+            try {
+                const { image, view } = await this.arMeasurement.captureCameraFrame();
+                const labels = this.measurements.map(measurement => this.settings.formatLength(measurement.distanceToNext));
+                return annotateCameraImage(image, view, this.arMeasurement.points.map(point => point.position), labels);
+            } catch (error) {
+                console.warn('Camera capture failed, using the canvas instead:', error);
+            }
+        }
+
+        // Read back straight after drawing, before the browser clears the buffer
+        this.renderer.render(this.scene, this.camera);
+        return toPNG(this.renderer.domElement);
+    }
+
+    /**
+     * Snapshot of the current session as a project
+     */
+    createProject() {
+        const project = createProject({
+            name: this.projectNameInput.value.trim() || `Session ${new Date().toLocaleString()}`,
+            units: this.settings.displayUnit,
+            mode: this.arMeasurement.mode,
+            calibration: this.calibration,
+            points: this.arMeasurement.getPointData(),
+            measurements: this.measurements,
+            template: this.templateSelect.value,
+            parameterOverrides: this.parameterOverrides,
+            partGenerated: this.generatedPart !== null,
+            partPose: this.partPlacement.getRelativePose()
+        });
+        if (this.projectId !== null) project.id = this.projectId;
+        return project;
+    }
+
+    async saveProject() {
+        try {
+            const project = this.createProject();
+            this.projectId = await this.projectStore.save(project);
+            this.projectNameInput.value = project.name;
+            this.statusEl.textContent = `Saved "${project.name}"`;
+            this.refreshProjectList();
+        } catch (error) {
+            console.error('Project save error:', error);
+            this.statusEl.textContent = 'Could not save project: ' + error.message;
+        }
+    }
+
+    async refreshProjectList() {
+        if (this.projectPanel.classList.contains('hidden')) return;
+
+        let projects;
+        try {
+            projects = await this.projectStore.list();
+        } catch (error) {
+            console.error('Project list error:', error);
+            this.projectListEl.textContent = error.message;
+            return;
+        }
+
+        this.projectListEl.innerHTML = '';
+        projects.forEach((summary) => {
+            const item = document.createElement('li');
+
+            const title = document.createElement('span');
+            title.className = 'project-title';
+            title.textContent = `${summary.name} (${summary.pointCount} points)`;
+
+            const loadButton = document.createElement('button');
+            loadButton.textContent = 'Load';
+            loadButton.addEventListener('click', async () => {
+                try {
+                    this.loadProject(await this.projectStore.load(summary.id));
+                } catch (error) {
+                    console.error('Project load error:', error);
+                    alert('Could not load project: ' + error.message);
+                }
+            });
+
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'btn-danger';
+            deleteButton.textContent = 'Delete';
+            deleteButton.addEventListener('click', async () => {
+                if (!confirm(`Delete "${summary.name}"?`)) return;
+                await this.projectStore.delete(summary.id);
+                if (this.projectId === summary.id) this.projectId = null;
+                this.refreshProjectList();
+            });
+
+            item.append(title, loadButton, deleteButton);
+            this.projectListEl.appendChild(item);
+        });
+    }
+
+    /**
+     * Load a scanned mesh at true scale to measure on instead of the real object
+     */
+    async importScan() {
+        const file = this.scanFileInput.files[0];
+        this.scanFileInput.value = '';
+        if (!file) return;
+
+        try {
+            const scan = await readScanFile(file, { unit: this.scanUnitSelect.value });
+            this.scanReference.setScan(scan);
+            this.desktopView.frame(this.scanReference.getBox());
+            this.removeScanButton.classList.remove('hidden');
+
+            const { triangleCount, pointCount } = scan.userData;
+            const size = triangleCount > 0 ? `${triangleCount} triangles` : `${pointCount} points`;
+            this.statusEl.textContent = `Scan loaded (${size}) - click it to place points`;
+            this.statusEl.style.color = '#4CAF50';
+        } catch (error) {
+            console.error('Scan import error:', error);
+            alert('Could not import scan: ' + error.message);
+        }
+    }
+
+    removeScan() {
+        this.scanReference.clear();
+        this.removeScanButton.classList.add('hidden');
+    }
+
+    async importProject() {
+        const file = this.projectFileInput.files[0];
+        this.projectFileInput.value = '';
+        if (!file) return;
+
+        try {
+            const project = await readProjectFile(file);
+            // Imported files become new sessions here
+            delete project.id;
+            this.loadProject(project);
+        } catch (error) {
+            console.error('Project import error:', error);
+            alert('Could not import project: ' + error.message);
+        }
+    }
+
+    /**
+     * Restore a saved session: settings, points, template and edited parameters.
+     * Works outside AR - the part is rebuilt from the saved points.
+     */
+    loadProject(project) {
+        this.removeGeneratedPart();
+        this.exportRow.classList.add('hidden');
+
+        // Lengths are saved in meters and shown in the user's own unit, whatever unit the project was saved in
+        if (project.mode in MEASUREMENT_MODE_LABELS) {
+            this.modeSelect.value = project.mode;
+            this.arMeasurement.setMode(project.mode);
+        }
+        if (project.calibration && project.calibration.method) {
+            this.calibration.apply(project.calibration.scaleFactor, project.calibration.method);
+        } else {
+            this.calibration.reset();
+        }
+
+        if (templateRegistry.has(project.template)) {
+            this.templateSelect.value = project.template;
+        } else {
+            console.warn('Project uses an unknown template:', project.template);
+        }
+        this.parameterOverrides = { ...project.parameterOverrides };
+
+        // Rebuilds the measurements and the template mapping
+        this.arMeasurement.loadPoints(project.points);
+
+        this.projectId = project.id ?? null;
+        this.projectNameInput.value = project.name || '';
+        this.statusEl.textContent = `Loaded "${project.name}"`;
+        this.statusEl.style.color = '';
+
+        if (project.partPose) {
+            this.partPlacement.setRelativePose(project.partPose);
+        } else {
+            this.partPlacement.reset();
+        }
+        if (project.partGenerated) {
+            this.generateRepairPart();
+        }
+    }
+
+    /**
+     * Parameter values of the generated part, labelled and formatted for file metadata
+     *
+     * @param {{unit: string, scale: number}} exportOptions
+     * @param {Object} [params] - values the part was built with, the current part's by default
+     */
+    describeExportParameters(template, { unit, scale }, params = this.generatedParams) {
+        const metadata = {};
+        template.parameters.forEach((parameter) => {
+            const value = params[parameter.key];
+            if (value === undefined) return;
+            metadata[parameter.label] = parameter.unit === 'length' ? formatLength(value, unit, 2) : String(value);
+        });
+        // Parameters are the measured sizes; note when the model itself was scaled
+        if (scale !== 1) {
+            metadata['Export scale'] = `${parseFloat((scale * 100).toFixed(2))}%`;
+        }
+        return metadata;
+    }
+
+    onWindowResize() {
+        this.camera.aspect = window.innerWidth / window.innerHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+    }
+
+    render() {
+        this.arMeasurement.update();
+        if (this.renderer.xr.isPresenting) {
+            this.partPlacement.update(this.renderer.xr.getFrame(), this.renderer.xr.getReferenceSpace());
+        }
+        if (this.issueOverlay && this.generatedPart) {
+            this.issueOverlay.position.copy(this.generatedPart.position);
+            this.issueOverlay.quaternion.copy(this.generatedPart.quaternion);
+        }
+        if (!this.renderer.xr.isPresenting) {
+            this.desktopView.update();
+            this.arMeasurement.updateLabels(this.camera);
+        }
+        this.renderer.render(this.scene, this.camera);
+    }
+}
+
+/**
+ * File name for a part name: lower case, dashes for anything else
+ */
+function fileSlug(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'repair-part';
+}
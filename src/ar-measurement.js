@@ -1,4 +1,27 @@
 import * as THREE from 'three';
+import { MeasurementMode, FIT_MODES, computeResults, polygonNormal } from './measurement-modes.js';
+import { MeasurementLabel } from './measurement-label.js';
+import { LengthUnit, formatLength } from './units.js';
+import { readCameraImage } from './calibration.js';
+import { PointSampler } from './point-sampler.js';
+import { PlaneTracker } from './plane-tracker.js';
+import { snapPoint } from './snapping.js';
+import { createDepthMap, fitCircleFromDepth, fitEdgeFromDepth, viewCenterPixel, viewRays } from './depth-fitting.js';
+
+// Part of the depth image around the reticle searched for a hole or edge
+const FIT_SEARCH_RADIUS = 0.2;
+
+// Fit RMS error at which confidence reaches zero, meters
+const MAX_FIT_RMS = 0.003;
+
+/**
+ * Where a point was placed. Calibration corrects the AR hit test; scans are
+ * imported at true scale and measured as they are.
+ */
+export const PointSource = {
+    AR: 'ar',
+    SCAN: 'scan'
+};
 
 export class ARMeasurement {
     constructor(scene, renderer) {
@@ -11,9 +34,60 @@ export class ARMeasurement {
         this.points = [];
         this.measurements = [];
         this.lines = [];
+        this.labels = [];
         this.reticle = null;
+        this.units = LengthUnit.CM;
+        this.precision = 1;
+
+        // Multi-sample placement - average the reticle over a short window per tap
+        this.samplingEnabled = false;
+        this.sampleDuration = 500; // ms
+        this.activeSampler = null;
+        this.onSamplingChange = null;
+
+        // Calibration correction applied to every distance
+        this.scaleFactor = 1;
+
+        // Camera frame requests waiting for the next XR frame
+        this.pendingCaptures = [];
+        this.glBinding = null;
+
+        // Depth frame requests for hole and edge fitting ('depth-sensing' session feature)
+        this.depthSensingAvailable = false;
+        this.pendingDepthCaptures = [];
+        this.fitting = false;
+        // Bumped when the points are cleared, the mode changes or the session ends; a fit started before is dropped
+        this.fitGeneration = 0;
+        this.onDepthFit = null;
+
+        // How the placed points are interpreted (distance chain, angle, polygon, height)
+        this.mode = MeasurementMode.DISTANCE;
+        this.results = [];
+        this.overlayGroup = new THREE.Group();
+        this.scene.add(this.overlayGroup);
+
+        // Edit history - each entry describes one user action so it can be reverted
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Point selection and dragging
+        this.selectRadius = 0.04; // how close the reticle must be to grab a point
+        this.selectedIndex = -1;
+        this.dragIndex = -1;
+        this.dragStartPosition = null;
+        this.dragStartPlane = null;
+        // Off while taps are used for something else, e.g. moving the generated part
+        this.interactionEnabled = true;
+        this.lastHit = null;
+
+        // Detected planes; points on a plane record it and can snap to its edges
+        this.planeTracker = new PlaneTracker(scene);
+        this.snappingEnabled = false;
+        // Where a tap would place a point this frame (see getPlacement)
+        this.placement = null;
         
         this.onMeasurementUpdate = null;
+        this.onHistoryChange = null;
 
         this.createReticle();
     }
@@ -42,6 +116,15 @@ export class ARMeasurement {
         this.reticle.add(dot);
         
         this.scene.add(this.reticle);
+
+        // Shows where the point goes when it snaps away from the reticle
+        this.snapMarker = new THREE.Mesh(
+            new THREE.SphereGeometry(0.008, 12, 12),
+            new THREE.MeshBasicMaterial({ color: 0x00e5ff, depthTest: false })
+        );
+        this.snapMarker.renderOrder = 999;
+        this.snapMarker.visible = false;
+        this.scene.add(this.snapMarker);
     }
 
     async startSession(session) {
@@ -53,6 +136,26 @@ export class ARMeasurement {
             console.log('Screen tapped!');
             this.onSelect(event);
         });
+
+        // selectstart/selectend bracket every tap, which lets us grab and drag existing points
+        this.session.addEventListener('selectstart', (event) => this.onSelectStart(event));
+        this.session.addEventListener('selectend', (event) => this.onSelectEnd(event));
+        // Fitting reads the depth buffer on the CPU; reading depthUsage throws without depth sensing
+        try {
+            this.depthSensingAvailable = session.depthUsage === 'cpu-optimized';
+        } catch (error) {
+            this.depthSensingAvailable = false;
+        }
+
+        this.session.addEventListener('end', () => {
+            this.fitGeneration++;
+            // No more frames will come to answer these
+            this.pendingDepthCaptures.forEach(({ reject }) => reject(new Error('AR session ended')));
+            this.pendingDepthCaptures = [];
+            this.depthSensingAvailable = false;
+            this.planeTracker.clear();
+            this.snapMarker.visible = false;
+        });
         
         // Request hit test source - properly await it
         try {
@@ -67,55 +170,696 @@ export class ARMeasurement {
         }
     }
 
+    onSelectStart(event) {
+        if (!this.interactionEnabled || !this.reticle.visible || this.activeSampler) return;
+
+        const reticlePosition = new THREE.Vector3().setFromMatrixPosition(this.reticle.matrix);
+        const index = this.findPointNear(reticlePosition);
+        if (index === -1) return;
+
+        // Start dragging the existing point instead of placing a new one
+        this.dragIndex = index;
+        this.dragStartPosition = this.points[index].position.clone();
+        this.dragStartPlane = this.points[index].userData.plane;
+        this.setSelectedIndex(index);
+        console.log('Dragging point #' + (index + 1));
+    }
+
+    onSelectEnd(event) {
+        if (this.dragIndex === -1) return;
+
+        const index = this.dragIndex;
+        const from = this.dragStartPosition;
+        const to = this.points[index].position.clone();
+        const fromPlane = this.dragStartPlane;
+        const toPlane = this.points[index].userData.plane;
+        this.dragIndex = -1;
+        this.dragStartPosition = null;
+        this.dragStartPlane = null;
+
+        if (from.distanceTo(to) > 0.001) {
+            this.pushHistory({ type: 'move', index, from, to, fromPlane, toPlane });
+            console.log('Point #' + (index + 1) + ' moved');
+        }
+        // Listeners skip the costly updates mid-drag; give them the final position
+        this.rebuildMeasurements();
+    }
+
     onSelect(event) {
+        // 'select' comes before 'selectend' - while dragging it ends the drag, not a new point
+        if (this.dragIndex !== -1) return;
+        if (!this.interactionEnabled) return;
+
+        // Still averaging or fitting the previous tap
+        if (this.activeSampler || this.fitting) return;
+
         if (!this.reticle.visible) {
             console.log('Cannot place point - no surface detected');
             return;
         }
 
+        // Without depth sensing, holes and edges are measured by tapping both ends
+        if (this.depthSensingAvailable && FIT_MODES.includes(this.mode)) {
+            this.fitFromDepth();
+            return;
+        }
+
+        if (this.samplingEnabled) {
+            this.startSampling();
+            return;
+        }
+
+        const position = new THREE.Vector3().setFromMatrixPosition(this.reticle.matrix);
+        this.addSurfacePoint(position, this.getReticleNormal());
+    }
+
+    /**
+     * Place a point on a surface, from the hit test or from a raycast on an
+     * imported scan - both go through the same placement and snapping
+     *
+     * @param {string} [source] - PointSource
+     */
+    addSurfacePoint(position, normal, source = PointSource.AR) {
+        const placement = this.getPlacement(position, normal);
+        this.placePoint(placement.position, placement.normal, null, placement.plane, source);
+    }
+
+    startSampling() {
+        console.log('Sampling measurement point #' + (this.points.length + 1));
+        this.activeSampler = new PointSampler(performance.now(), this.sampleDuration);
+        this.reticle.material.color.set(0xffeb3b);
+        if (this.onSamplingChange) this.onSamplingChange(true);
+    }
+
+    cancelSampling() {
+        const sampler = this.activeSampler;
+        this.activeSampler = null;
+        this.reticle.material.color.set(0x00ff00);
+        if (this.onSamplingChange) this.onSamplingChange(false);
+        return sampler;
+    }
+
+    finishSampling() {
+        const sampler = this.cancelSampling();
+
+        if (!sampler.hasSamples()) {
+            console.log('Cannot place point - surface lost while sampling');
+            return;
+        }
+
+        const result = sampler.finish();
+        console.log(`Averaged ${result.inlierCount}/${result.sampleCount} samples, ` +
+            `spread ${(result.spread * 1000).toFixed(1)} mm`);
+
+        // Snap the averaged point rather than the individual samples
+        const placement = this.getPlacement(result.position, result.normal);
+        this.placePoint(placement.position, placement.normal, {
+            spread: result.spread,
+            confidence: result.confidence,
+            sampleCount: result.sampleCount
+        }, placement.plane);
+    }
+
+    placePoint(position, normal, quality, plane = null, source = PointSource.AR) {
         console.log('Placing measurement point #' + (this.points.length + 1));
 
-        // Place a measurement point at the reticle position - LARGER and more visible
+        this.setSelectedIndex(-1);
+        this.addPoint(position, normal, quality, plane, source);
+        this.pushHistory({
+            type: 'add',
+            position: position.clone(),
+            normal: normal.clone(),
+            quality,
+            plane,
+            source
+        });
+
+        if (this.measurements.length > 0) {
+            const distance = this.measurements[this.measurements.length - 1].distanceToNext;
+            console.log('Distance measured: ' + formatLength(distance, this.units, this.precision));
+        }
+    }
+
+    /**
+     * Add a typed-in segment: a new point `length` meters (calibrated) from the
+     * last one, starting the chain at the origin. Segments turn 90° in turn so
+     * the chain lies flat on the floor.
+     */
+    addManualSegment(length) {
+        if (!(length > 0)) {
+            throw new Error('Segment length must be positive');
+        }
+
+        const up = new THREE.Vector3(0, 1, 0);
+        if (this.points.length === 0) {
+            this.placePoint(new THREE.Vector3(), up, null);
+        }
+
+        const last = this.points[this.points.length - 1].position;
+        const direction = this.points.length % 2 === 1 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 0, -1);
+        // Stored positions are uncalibrated, distances get the scale factor applied
+        this.placePoint(last.clone().addScaledVector(direction, length / this.scaleFactor), up, null);
+    }
+
+    /**
+     * Fit a hole (circle) or edge in the depth image around the reticle and add
+     * its two end points - the ends of the diameter, or of the edge
+     */
+    async fitFromDepth() {
+        this.fitting = true;
+        const circle = this.mode === MeasurementMode.CIRCLE;
+        const generation = this.fitGeneration;
+
+        try {
+            const { depthMap, rays, center, viewMatrix } = await this.captureDepthFrame();
+            // Cleared, switched mode or left AR while waiting for the frame
+            if (generation !== this.fitGeneration) return;
+
+            const radius = Math.min(depthMap.width, depthMap.height) * FIT_SEARCH_RADIUS;
+            const fit = circle
+                ? fitCircleFromDepth(depthMap, rays, center, radius)
+                : fitEdgeFromDepth(depthMap, rays, center, radius);
+            if (!fit) {
+                throw new Error(circle ? 'No hole or knob found around the reticle' : 'No edge found around the reticle');
+            }
+
+            let ends;
+            let normal;
+            if (circle) {
+                // Face the viewer (at the view space origin)
+                normal = fit.center.dot(fit.normal) > 0 ? fit.normal.clone().negate() : fit.normal.clone();
+                // Put the diameter across the view, in the circle's plane
+                const across = new THREE.Vector3(1, 0, 0).projectOnPlane(normal);
+                // Facing along the view's x axis, go across it vertically instead
+                if (across.lengthSq() < 1e-12) across.set(0, 1, 0).projectOnPlane(normal);
+                across.normalize();
+                ends = [
+                    fit.center.clone().addScaledVector(across, -fit.radius),
+                    fit.center.clone().addScaledVector(across, fit.radius)
+                ];
+            } else {
+                normal = null;
+                ends = [fit.start, fit.end];
+            }
+
+            // View space to the scene
+            ends.forEach(end => end.applyMatrix4(viewMatrix));
+            normal = normal ? normal.transformDirection(viewMatrix) : this.getReticleNormal();
+
+            // Both ends share the fit's error, so the segment spread comes out as the RMS
+            const quality = {
+                spread: fit.rms * Math.SQRT1_2,
+                confidence: THREE.MathUtils.clamp(1 - fit.rms / MAX_FIT_RMS, 0, 1),
+                sampleCount: fit.inlierCount
+            };
+            this.addFittedPoints(ends.map(position => ({ position, normal: normal.clone(), quality })));
+
+            const value = (circle ? fit.diameter : fit.length) * this.scaleFactor;
+            console.log(`Fitted ${circle ? 'circle' : 'edge'} from ${fit.inlierCount}/${fit.edgeCount} edge pixels, ` +
+                `rms ${(fit.rms * 1000).toFixed(2)} mm`);
+            if (this.onDepthFit) this.onDepthFit({ type: circle ? 'diameter' : 'edge', value, rms: fit.rms }, null);
+        } catch (error) {
+            if (generation !== this.fitGeneration) return;
+            console.warn('Depth fit failed:', error);
+            if (this.onDepthFit) this.onDepthFit(null, error);
+        } finally {
+            this.fitting = false;
+        }
+    }
+
+    /**
+     * Add the points of one fitted feature as a single undo step
+     */
+    addFittedPoints(points) {
+        this.setSelectedIndex(-1);
+        points.forEach(({ position, normal, quality }) => this.addPoint(position, normal, quality));
+        this.pushHistory({
+            type: 'fit',
+            points: points.map(({ position, normal, quality }) => ({
+                position: position.clone(),
+                normal: normal.clone(),
+                quality
+            }))
+        });
+    }
+
+    /**
+     * Where a point at `position` would go: onto the plane it lies on (taking
+     * the plane's normal) and, with snapping on, onto a plane corner or edge or
+     * a direction parallel/perpendicular to the previous segments
+     *
+     * @param {number} [index] - index of the point being placed or dragged
+     * @returns {{position: THREE.Vector3, normal: THREE.Vector3, plane: Object|null, snap: string|null}}
+     */
+    getPlacement(position, normal, index = this.points.length) {
+        const plane = this.planeTracker.findPlane(position);
+        const surfaceNormal = plane ? plane.normal.clone() : normal.clone();
+
+        if (!this.snappingEnabled) {
+            return {
+                position: position.clone(),
+                normal: surfaceNormal,
+                plane: plane ? this.planeTracker.describe(plane) : null,
+                snap: null
+            };
+        }
+
+        const snapped = snapPoint(position, {
+            outline: plane ? plane.outline : null,
+            normal: surfaceNormal,
+            previous: this.points.slice(0, index).map(point => point.position)
+        });
+        return {
+            position: snapped.position,
+            normal: surfaceNormal,
+            plane: plane ? this.planeTracker.describe(plane) : null,
+            snap: snapped.snap
+        };
+    }
+
+    /**
+     * Append a measurement point and extend the measurement chain
+     *
+     * @param {Object} [plane] - detected plane the point lies on (PlaneTracker.describe)
+     * @param {string} [source] - PointSource
+     */
+    addPoint(position, normal = new THREE.Vector3(0, 1, 0), quality = null, plane = null, source = PointSource.AR) {
+        // Place a measurement point - LARGER and more visible
         const pointGeometry = new THREE.SphereGeometry(0.02, 16, 16);
         const pointMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000 });
         const point = new THREE.Mesh(pointGeometry, pointMaterial);
-        
-        point.position.setFromMatrixPosition(this.reticle.matrix);
+
+        point.position.copy(position);
+        point.userData.normal = normal.clone();
+        point.userData.quality = quality;
+        point.userData.plane = plane;
+        point.userData.source = source;
         this.scene.add(point);
         this.points.push(point);
 
-        // If we have at least 2 points, draw a line and calculate distance
-        if (this.points.length >= 2) {
-            const prevPoint = this.points[this.points.length - 2];
-            const currPoint = this.points[this.points.length - 1];
-            
-            const distance = prevPoint.position.distanceTo(currPoint.position);
-            console.log('Distance measured: ' + (distance * 100).toFixed(1) + ' cm');
-            
-            // Create line between points - THICKER and more visible
-            const lineGeometry = new THREE.BufferGeometry().setFromPoints([
-                prevPoint.position,
-                currPoint.position
-            ]);
-            const lineMaterial = new THREE.LineBasicMaterial({ 
-                color: 0xffffff,
-                linewidth: 5
-            });
-            const line = new THREE.Line(lineGeometry, lineMaterial);
-            this.scene.add(line);
-            this.lines.push(line);
+        this.rebuildMeasurements();
+        return point;
+    }
 
-            // Store measurement
+    removeLastPoint() {
+        const point = this.points.pop();
+        if (!point) return;
+
+        this.scene.remove(point);
+        point.geometry.dispose();
+        point.material.dispose();
+
+        if (this.selectedIndex >= this.points.length) {
+            this.selectedIndex = -1;
+        }
+
+        this.rebuildMeasurements();
+    }
+
+    /**
+     * @param {Object|null} [plane] - new plane of the point; leave out to keep the current one
+     */
+    movePoint(index, position, plane = undefined) {
+        const point = this.points[index];
+        if (!point) return;
+
+        point.position.copy(position);
+        if (plane !== undefined) point.userData.plane = plane;
+        this.rebuildMeasurements();
+    }
+
+    /**
+     * Surface normal under the reticle - hit test poses have their Y axis along the normal
+     */
+    getReticleNormal() {
+        const quaternion = new THREE.Quaternion().setFromRotationMatrix(this.reticle.matrix);
+        return new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion).normalize();
+    }
+
+    findPointNear(position) {
+        let closestIndex = -1;
+        let closestDistance = this.selectRadius;
+
+        this.points.forEach((point, index) => {
+            const distance = point.position.distanceTo(position);
+            if (distance <= closestDistance) {
+                closestDistance = distance;
+                closestIndex = index;
+            }
+        });
+
+        return closestIndex;
+    }
+
+    setSelectedIndex(index) {
+        this.selectedIndex = index;
+        this.points.forEach((point, i) => {
+            point.material.color.set(i === index ? 0xffeb3b : 0xff0000);
+        });
+    }
+
+    /**
+     * Recompute lines and distances from the current point positions
+     */
+    rebuildMeasurements() {
+        const segmentCount = Math.max(this.points.length - 1, 0);
+
+        // Drop lines that no longer have a segment
+        while (this.lines.length > segmentCount) {
+            const line = this.lines.pop();
+            this.scene.remove(line);
+            line.geometry.dispose();
+            line.material.dispose();
+        }
+
+        while (this.labels.length > segmentCount) {
+            const label = this.labels.pop();
+            this.scene.remove(label);
+            label.dispose();
+        }
+
+        this.measurements = [];
+
+        for (let i = 0; i < segmentCount; i++) {
+            const prevPoint = this.points[i];
+            const currPoint = this.points[i + 1];
+
+            if (this.lines[i]) {
+                this.lines[i].geometry.setFromPoints([prevPoint.position, currPoint.position]);
+            } else {
+                // Create line between points - THICKER and more visible
+                const lineGeometry = new THREE.BufferGeometry().setFromPoints([
+                    prevPoint.position,
+                    currPoint.position
+                ]);
+                const lineMaterial = new THREE.LineBasicMaterial({ 
+                    color: 0xffffff,
+                    linewidth: 5
+                });
+                const line = new THREE.Line(lineGeometry, lineMaterial);
+                this.scene.add(line);
+                this.lines.push(line);
+            }
+
+            const distance = prevPoint.position.distanceTo(currPoint.position) * this.getScaleFactor([prevPoint, currPoint]);
+
+            // Distance label floating at the middle of the segment
+            if (!this.labels[i]) {
+                const label = new MeasurementLabel();
+                this.scene.add(label);
+                this.labels.push(label);
+            }
+            this.labels[i].position.lerpVectors(prevPoint.position, currPoint.position, 0.5);
+            this.labels[i].setText(formatLength(distance, this.units, this.precision));
+
+            // Orientation for generators: segment direction, surface normal and planes of both ends
             this.measurements.push({
-                index: this.points.length - 2,
+                index: i,
                 position: prevPoint.position.clone(),
-                distanceToNext: distance
+                distanceToNext: distance,
+                direction: currPoint.position.clone().sub(prevPoint.position).normalize(),
+                normal: prevPoint.userData.normal.clone(),
+                plane: prevPoint.userData.plane,
+                nextPlane: currPoint.userData.plane,
+                ...this.getSegmentQuality(prevPoint, currPoint)
             });
         }
 
-        // If this is not the first point, update the last measurement
-        if (this.points.length >= 2 && this.onMeasurementUpdate) {
-            this.onMeasurementUpdate(this.measurements);
+        const positions = this.points.map(point => point.position);
+        const normals = this.points.map(point => point.userData.normal);
+        this.results = computeResults(this.mode, positions, normals, this.getScaleFactor(this.points));
+        this.rebuildOverlays(positions, normals);
+
+        if (this.onMeasurementUpdate) {
+            this.onMeasurementUpdate(this.measurements, this.results);
+        }
+    }
+
+    /**
+     * Calibration to apply between points: none when they all lie on a scan
+     */
+    getScaleFactor(points) {
+        const onScan = points.length > 0 && points.every(point => point.userData.source === PointSource.SCAN);
+        return onScan ? 1 : this.scaleFactor;
+    }
+
+    /**
+     * Uncertainty of a segment from the sampling spread of its two end points.
+     * Unknown (null) unless both points were placed with multi-sample averaging.
+     */
+    getSegmentQuality(pointA, pointB) {
+        const a = pointA.userData.quality;
+        const b = pointB.userData.quality;
+        if (!a || !b) {
+            return { spread: null, confidence: null };
+        }
+
+        return {
+            spread: Math.sqrt(a.spread * a.spread + b.spread * b.spread) * this.getScaleFactor([pointA, pointB]),
+            confidence: Math.min(a.confidence, b.confidence)
+        };
+    }
+
+    /**
+     * Stop taps from placing or dragging points (and start again)
+     */
+    setInteractionEnabled(enabled) {
+        this.interactionEnabled = enabled;
+        if (!enabled && this.activeSampler) this.cancelSampling();
+    }
+
+    /**
+     * Surface under the reticle, or null when no surface is detected
+     *
+     * @returns {{position: THREE.Vector3, normal: THREE.Vector3, hit: XRHitTestResult}|null}
+     */
+    getReticleSurface() {
+        if (!this.reticle.visible) return null;
+        return {
+            position: new THREE.Vector3().setFromMatrixPosition(this.reticle.matrix),
+            normal: this.getReticleNormal(),
+            hit: this.lastHit
+        };
+    }
+
+    setSnappingEnabled(enabled) {
+        this.snappingEnabled = enabled;
+    }
+
+    setPlanesVisible(visible) {
+        this.planeTracker.setVisible(visible);
+    }
+
+    setSamplingEnabled(enabled) {
+        this.samplingEnabled = enabled;
+    }
+
+    setScaleFactor(scaleFactor) {
+        this.scaleFactor = scaleFactor;
+        this.rebuildMeasurements();
+    }
+
+    /**
+     * Unit and decimal places of the distance labels
+     */
+    setUnits(unit, precision = this.precision) {
+        this.units = unit;
+        this.precision = precision;
+        this.rebuildMeasurements();
+    }
+
+    /**
+     * Keep distance labels a readable size wherever the camera is
+     */
+    updateLabels(camera) {
+        const cameraPosition = new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld);
+        this.labels.forEach(label => label.updateScale(cameraPosition));
+    }
+
+    setMode(mode) {
+        if (!Object.values(MeasurementMode).includes(mode)) {
+            throw new Error('Unknown measurement mode: ' + mode);
+        }
+
+        this.mode = mode;
+        this.fitGeneration++;
+        this.rebuildMeasurements();
+    }
+
+    /**
+     * Mode specific scene overlays drawn on top of the point chain
+     */
+    rebuildOverlays(positions, normals) {
+        this.clearOverlays();
+
+        if (this.mode === MeasurementMode.POLYGON && positions.length >= 3) {
+            this.overlayGroup.add(this.createPolylineOverlay(
+                [positions[positions.length - 1], positions[0]], 0xffffff
+            ));
+            this.overlayGroup.add(this.createPolygonFill(positions));
+        } else if (this.mode === MeasurementMode.ANGLE) {
+            for (let i = 1; i < positions.length - 1; i++) {
+                this.overlayGroup.add(this.createAngleArc(positions[i - 1], positions[i], positions[i + 1]));
+            }
+        } else if (this.mode === MeasurementMode.CIRCLE) {
+            for (let i = 0; i + 1 < positions.length; i += 2) {
+                this.overlayGroup.add(this.createCircleOverlay(positions[i], positions[i + 1], normals[i]));
+            }
+        } else if (this.mode === MeasurementMode.HEIGHT && positions.length >= 2) {
+            const base = positions[0];
+            const normal = normals[0].clone().normalize();
+            const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, base);
+
+            for (let i = 1; i < positions.length; i++) {
+                const foot = plane.projectPoint(positions[i], new THREE.Vector3());
+                this.overlayGroup.add(this.createPolylineOverlay([positions[i], foot], 0x00bcd4));
+            }
+            this.overlayGroup.add(this.createPlaneMarker(base, normal));
+        }
+    }
+
+    clearOverlays() {
+        this.overlayGroup.children.slice().forEach((child) => {
+            this.overlayGroup.remove(child);
+            child.geometry.dispose();
+            child.material.dispose();
+        });
+    }
+
+    createPolylineOverlay(positions, color) {
+        const geometry = new THREE.BufferGeometry().setFromPoints(positions);
+        const material = new THREE.LineBasicMaterial({ color, linewidth: 5 });
+        return new THREE.Line(geometry, material);
+    }
+
+    createPolygonFill(positions) {
+        // Triangulate in the polygon's own plane, then lift back to 3D
+        const normal = polygonNormal(positions).normalize();
+        const centroid = new THREE.Vector3();
+        positions.forEach(p => centroid.add(p));
+        centroid.divideScalar(positions.length);
+
+        const quaternion = new THREE.Quaternion().setFromUnitVectors(normal, new THREE.Vector3(0, 0, 1));
+        const flat = positions.map(p => {
+            const local = p.clone().sub(centroid).applyQuaternion(quaternion);
+            return new THREE.Vector2(local.x, local.y);
+        });
+        const faces = THREE.ShapeUtils.triangulateShape(flat, []);
+
+        const geometry = new THREE.BufferGeometry().setFromPoints(positions);
+        geometry.setIndex(faces.flat());
+        const material = new THREE.MeshBasicMaterial({
+            color: 0x2196F3,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false
+        });
+        return new THREE.Mesh(geometry, material);
+    }
+
+    createAngleArc(a, vertex, c, segments = 16) {
+        const armA = new THREE.Vector3().subVectors(a, vertex);
+        const armC = new THREE.Vector3().subVectors(c, vertex);
+        const radius = Math.min(armA.length(), armC.length(), 0.1) * 0.4;
+        armA.normalize();
+        armC.normalize();
+
+        const arcPoints = [];
+        for (let i = 0; i <= segments; i++) {
+            // Spherical interpolation between the two arm directions
+            const direction = slerpDirection(armA, armC, i / segments);
+            arcPoints.push(vertex.clone().addScaledVector(direction, radius));
+        }
+        return this.createPolylineOverlay(arcPoints, 0xffeb3b);
+    }
+
+    /**
+     * Circle with the segment a→b as its diameter, lying across the surface normal
+     */
+    createCircleOverlay(a, b, normal, segments = 48) {
+        const center = new THREE.Vector3().lerpVectors(a, b, 0.5);
+        const across = new THREE.Vector3().subVectors(b, center);
+        const radius = across.length();
+        const up = normal.clone().normalize();
+        across.projectOnPlane(up);
+        if (across.lengthSq() < 1e-12) across.set(1, 0, 0).projectOnPlane(up);
+        across.normalize();
+        const side = new THREE.Vector3().crossVectors(up, across);
+
+        const circlePoints = [];
+        for (let i = 0; i <= segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            circlePoints.push(center.clone()
+                .addScaledVector(across, Math.cos(angle) * radius)
+                .addScaledVector(side, Math.sin(angle) * radius));
+        }
+        return this.createPolylineOverlay(circlePoints, 0x00e5ff);
+    }
+
+    createPlaneMarker(position, normal) {
+        const geometry = new THREE.RingGeometry(0.07, 0.08, 32);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0x00bcd4,
+            side: THREE.DoubleSide
+        });
+        const marker = new THREE.Mesh(geometry, material);
+        marker.position.copy(position);
+        marker.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+        return marker;
+    }
+
+    pushHistory(action) {
+        this.undoStack.push(action);
+        this.redoStack = [];
+        this.notifyHistoryChange();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        const action = this.undoStack.pop();
+        if (!action) return false;
+
+        if (action.type === 'add') {
+            this.removeLastPoint();
+        } else if (action.type === 'fit') {
+            action.points.forEach(() => this.removeLastPoint());
+        } else if (action.type === 'move') {
+            this.movePoint(action.index, action.from, action.fromPlane);
+        }
+
+        this.redoStack.push(action);
+        this.notifyHistoryChange();
+        return true;
+    }
+
+    redo() {
+        const action = this.redoStack.pop();
+        if (!action) return false;
+
+        if (action.type === 'add') {
+            this.addPoint(action.position, action.normal, action.quality, action.plane, action.source);
+        } else if (action.type === 'fit') {
+            action.points.forEach(({ position, normal, quality }) => this.addPoint(position, normal, quality));
+        } else if (action.type === 'move') {
+            this.movePoint(action.index, action.to, action.toPlane);
+        }
+
+        this.undoStack.push(action);
+        this.notifyHistoryChange();
+        return true;
+    }
+
+    notifyHistoryChange() {
+        if (this.onHistoryChange) {
+            this.onHistoryChange(this.canUndo(), this.canRedo());
         }
     }
 
@@ -125,6 +869,17 @@ export class ARMeasurement {
         const frame = this.renderer.xr.getFrame();
         if (!frame) return;
 
+        if (this.pendingCaptures.length > 0) {
+            this.processCaptures(frame);
+        }
+        if (this.pendingDepthCaptures.length > 0) {
+            this.processDepthCaptures(frame);
+        }
+
+        if (frame.detectedPlanes) {
+            this.planeTracker.update(frame, this.renderer.xr.getReferenceSpace());
+        }
+
         if (this.hitTestSourceRequested && this.hitTestSource) {
             const referenceSpace = this.renderer.xr.getReferenceSpace();
             const hitTestResults = frame.getHitTestResults(this.hitTestSource);
@@ -132,6 +887,7 @@ export class ARMeasurement {
             if (hitTestResults.length > 0) {
                 const hit = hitTestResults[0];
                 const pose = hit.getPose(referenceSpace);
+                this.lastHit = hit;
 
                 if (pose) {
                     if (!this.reticle.visible) {
@@ -139,10 +895,137 @@ export class ARMeasurement {
                     }
                     this.reticle.visible = true;
                     this.reticle.matrix.fromArray(pose.transform.matrix);
+
+                    const reticlePosition = new THREE.Vector3().setFromMatrixPosition(this.reticle.matrix);
+                    const index = this.dragIndex !== -1 ? this.dragIndex : this.points.length;
+                    this.placement = this.getPlacement(reticlePosition, this.getReticleNormal(), index);
+                    this.snapMarker.visible = this.placement.snap !== null;
+                    this.snapMarker.position.copy(this.placement.position);
+
+                    // Dragged point follows the reticle
+                    if (this.dragIndex !== -1) {
+                        this.movePoint(this.dragIndex, this.placement.position, this.placement.plane);
+                    }
+
+                    if (this.activeSampler) {
+                        const position = new THREE.Vector3().setFromMatrixPosition(this.reticle.matrix);
+                        this.activeSampler.addSample(position, this.getReticleNormal());
+                    }
                 }
             } else {
                 this.reticle.visible = false;
+                this.lastHit = null;
+                this.placement = null;
+                this.snapMarker.visible = false;
+            }
+        }
+
+        if (this.activeSampler && this.activeSampler.isComplete(performance.now())) {
+            this.finishSampling();
+        }
+
+        this.updateLabels(this.renderer.xr.getCamera());
+    }
+
+    /**
+     * Grab the camera image of the next XR frame together with the view it was
+     * taken from and the surface currently under the reticle.
+     * Needs the 'camera-access' session feature.
+     */
+    captureCameraFrame() {
+        return new Promise((resolve, reject) => {
+            if (!this.session) {
+                reject(new Error('AR session not started'));
+                return;
+            }
+            this.pendingCaptures.push({ resolve, reject });
+        });
+    }
+
+    processCaptures(frame) {
+        const captures = this.pendingCaptures;
+        this.pendingCaptures = [];
+
+        try {
+            const referenceSpace = this.renderer.xr.getReferenceSpace();
+            const pose = frame.getViewerPose(referenceSpace);
+            const view = pose && pose.views.find(v => v.camera);
+            if (!view || typeof XRWebGLBinding === 'undefined') {
+                throw new Error('Camera access not available on this device');
             }
+
+            const gl = this.renderer.getContext();
+            if (!this.glBinding) {
+                this.glBinding = new XRWebGLBinding(this.session, gl);
+            }
+
+            const image = readCameraImage(this.glBinding, gl, view);
+            if (!image) {
+                throw new Error('Camera image not available');
+            }
+
+            const capture = {
+                image,
+                view: {
+                    width: image.width,
+                    height: image.height,
+                    projectionMatrix: Array.from(view.projectionMatrix),
+                    transform: Array.from(view.transform.matrix)
+                },
+                surface: this.reticle.visible ? {
+                    position: new THREE.Vector3().setFromMatrixPosition(this.reticle.matrix),
+                    normal: this.getReticleNormal()
+                } : null
+            };
+            captures.forEach(({ resolve }) => resolve(capture));
+        } catch (error) {
+            captures.forEach(({ reject }) => reject(error));
+        }
+    }
+
+    /**
+     * Depth image of the next XR frame in meters, with the view rays to lift it
+     * to 3D, the depth pixel under the reticle and the view's pose.
+     * Needs the 'depth-sensing' session feature with CPU access.
+     */
+    captureDepthFrame() {
+        return new Promise((resolve, reject) => {
+            if (!this.session) {
+                reject(new Error('AR session not started'));
+                return;
+            }
+            this.pendingDepthCaptures.push({ resolve, reject });
+        });
+    }
+
+    processDepthCaptures(frame) {
+        const captures = this.pendingDepthCaptures;
+        this.pendingDepthCaptures = [];
+
+        try {
+            const pose = frame.getViewerPose(this.renderer.xr.getReferenceSpace());
+            const view = pose && pose.views[0];
+            const depthInfo = view && frame.getDepthInformation(view);
+            if (!depthInfo) {
+                throw new Error('Depth data not available for this frame');
+            }
+
+            // The buffer is only valid during this frame, createDepthMap copies it
+            const { width, height, rawValueToMeters } = depthInfo;
+            const raw = this.session.depthDataFormat === 'float32'
+                ? new Float32Array(depthInfo.data)
+                : new Uint16Array(depthInfo.data);
+            const normDepthFromView = depthInfo.normDepthBufferFromNormView.matrix;
+
+            const capture = {
+                depthMap: createDepthMap(raw, width, height, rawValueToMeters),
+                rays: viewRays(view.projectionMatrix, normDepthFromView, width, height),
+                center: viewCenterPixel(normDepthFromView, width, height),
+                viewMatrix: new THREE.Matrix4().fromArray(view.transform.matrix)
+            };
+            captures.forEach(({ resolve }) => resolve(capture));
+        } catch (error) {
+            captures.forEach(({ reject }) => reject(error));
         }
     }
 
@@ -155,12 +1038,77 @@ export class ARMeasurement {
         this.lines.forEach(line => this.scene.remove(line));
         this.lines = [];
 
+        // Remove all distance labels
+        this.labels.forEach((label) => {
+            this.scene.remove(label);
+            label.dispose();
+        });
+        this.labels = [];
+
         // Clear measurements
         this.measurements = [];
+        this.results = [];
+        this.clearOverlays();
+
+        // Start over with a fresh history
+        if (this.activeSampler) this.cancelSampling();
+        this.fitGeneration++;
+        this.selectedIndex = -1;
+        this.dragIndex = -1;
+        this.dragStartPosition = null;
+        this.dragStartPlane = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notifyHistoryChange();
+    }
+
+    /**
+     * Point positions, normals, sampling quality, planes and sources as plain data (for project files)
+     */
+    getPointData() {
+        return this.points.map(({ position, userData: { normal, quality, plane, source } }) => ({
+            position: position.toArray(),
+            normal: normal.toArray(),
+            quality,
+            plane: plane ? { ...plane, normal: plane.normal.toArray() } : null,
+            source
+        }));
+    }
+
+    /**
+     * Replace all points with saved ones (see getPointData). History starts fresh.
+     * A plane saved without its normal takes the point's, as placement does.
+     */
+    loadPoints(pointData) {
+        this.clearMeasurements();
+        // Listeners see the empty list even when there is nothing to load
+        this.rebuildMeasurements();
+        pointData.forEach(({ position, normal, quality, plane, source }) => {
+            this.addPoint(
+                new THREE.Vector3().fromArray(position),
+                new THREE.Vector3().fromArray(normal),
+                quality,
+                plane ? { ...plane, normal: new THREE.Vector3().fromArray(plane.normal || normal) } : null,
+                source
+            );
+        });
     }
 
     getMeasurements() {
         return this.measurements;
     }
+
+    getResults() {
+        return this.results;
+    }
+}
+
+function slerpDirection(from, to, t) {
+    const angle = from.angleTo(to);
+    if (angle < 1e-6) return from.clone();
+
+    const sin = Math.sin(angle);
+    return from.clone().multiplyScalar(Math.sin((1 - t) * angle) / sin)
+        .addScaledVector(to, Math.sin(t * angle) / sin);
 }
 
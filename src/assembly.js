@@ -0,0 +1,238 @@
+import * as THREE from 'three';
+import { createExporter } from './exporters.js';
+
+/**
+ * Repairs that need more than one piece. Generated parts are kept in a named
+ * list, each exportable on its own, and can be laid out together on the
+ * printer bed as one plate.
+ */
+
+// Gap between parts on a plate, meters
+const PLATE_SPACING = 0.005;
+
+// Directions a part can rest on, the generated "down" first so it wins ties
+const REST_DIRECTIONS = [
+    new THREE.Vector3(0, -1, 0),
+    new THREE.Vector3(0, 1, 0),
+    new THREE.Vector3(1, 0, 0),
+    new THREE.Vector3(-1, 0, 0),
+    new THREE.Vector3(0, 0, 1),
+    new THREE.Vector3(0, 0, -1)
+];
+
+const DOWN = new THREE.Vector3(0, -1, 0);
+
+/**
+ * The parts list. Kept parts stay in the scene where they were placed until
+ * removed.
+ */
+export class Assembly {
+    constructor(scene) {
+        this.scene = scene;
+        this.parts = [];
+        this.nextId = 1;
+        this.exporter = createExporter('stl');
+        this.onChange = null; // (parts)
+    }
+
+    /**
+     * @param {THREE.Object3D} object - generated part, already in the scene
+     * @param {Object} [info]
+     * @param {string} [info.name] - defaults to the template name and a number
+     * @param {Object} [info.template] - template it was built from
+     * @param {Object} [info.params] - parameter values it was built with
+     * @param {{mesh: THREE.Mesh, report: Object}} [info.prepared] - MeshExporter.prepare() result, if already made
+     * @returns {Object} the list entry
+     */
+    add(object, info = {}) {
+        const part = {
+            id: this.nextId++,
+            name: info.name || this.uniqueName(info.template ? info.template.name : 'Part'),
+            object,
+            template: info.template || null,
+            params: info.params || {},
+            prepared: info.prepared || null
+        };
+        this.parts.push(part);
+        this.notify();
+        return part;
+    }
+
+    get(id) {
+        const part = this.parts.find(candidate => candidate.id === id);
+        if (!part) {
+            throw new Error('Unknown part: ' + id);
+        }
+        return part;
+    }
+
+    /**
+     * Blank names are ignored
+     */
+    rename(id, name) {
+        const trimmed = name.trim();
+        if (!trimmed) return;
+        this.get(id).name = trimmed;
+        this.notify();
+    }
+
+    remove(id) {
+        const part = this.get(id);
+        this.scene.remove(part.object);
+        part.object.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+        });
+        this.parts.splice(this.parts.indexOf(part), 1);
+        this.notify();
+    }
+
+    clear() {
+        [...this.parts].forEach(part => this.remove(part.id));
+    }
+
+    /**
+     * The part as one printable solid in its own frame (cached)
+     */
+    prepare(part) {
+        if (!part.prepared) {
+            part.prepared = this.exporter.prepare(part.object);
+        }
+        return part.prepared;
+    }
+
+    /**
+     * Lay every part out on the bed as one plate
+     *
+     * @param {{width: number, depth: number, height: number}} bed - meters
+     * @returns {Object} see arrangeOnBed
+     */
+    arrange(bed) {
+        if (this.parts.length === 0) {
+            throw new Error('Add parts to the list first');
+        }
+        return arrangeOnBed(this.parts.map(part => ({ name: part.name, mesh: this.prepare(part).mesh })), bed);
+    }
+
+    uniqueName(base) {
+        let number = 1;
+        while (this.parts.some(part => part.name === `${base} ${number}`)) number++;
+        return `${base} ${number}`;
+    }
+
+    notify() {
+        if (this.onChange) this.onChange(this.parts);
+    }
+}
+
+/**
+ * Turn that rests a solid on its largest flat face: of the six axis-aligned
+ * directions, the one with the most face area on the bed, lower first on a tie
+ *
+ * @param {Array<{normal: THREE.Vector3, vertices: THREE.Vector3[]}>} triangles - see MeshExporter.getTriangles
+ * @returns {THREE.Quaternion}
+ */
+export function restingOrientation(triangles) {
+    let best = null;
+
+    REST_DIRECTIONS.forEach((direction) => {
+        let lowest = -Infinity;
+        let highest = Infinity;
+        triangles.forEach(({ vertices }) => vertices.forEach((vertex) => {
+            const depth = vertex.dot(direction);
+            lowest = Math.max(lowest, depth);
+            highest = Math.min(highest, depth);
+        }));
+
+        let contact = 0;
+        triangles.forEach(({ normal, vertices }) => {
+            if (normal.dot(direction) < 0.999) return;
+            if (vertices.some(vertex => lowest - vertex.dot(direction) > 1e-6)) return;
+            contact += new THREE.Triangle(...vertices).getArea();
+        });
+
+        const height = lowest - highest;
+        if (!best || contact > best.contact + 1e-9 || (Math.abs(contact - best.contact) <= 1e-9 && height < best.height - 1e-9)) {
+            best = { direction, contact, height };
+        }
+    });
+
+    return new THREE.Quaternion().setFromUnitVectors(best.direction, DOWN);
+}
+
+/**
+ * Lay solids flat on the bed in rows, without overlap. Each part rests on its
+ * largest flat face and is turned a quarter if that makes it fit. The layout
+ * is centred on the bed; bed coordinates run from (0, 0, 0) to (width,
+ * height, -depth) with y up, so the exporters' z-up turn (PRINT_FRAME) puts
+ * the plate on the printer's bed from (0, 0, 0) to (width, depth, height).
+ *
+ * @param {Array<{name: string, mesh: THREE.Mesh}>} parts - solids in their own frames
+ * @param {{width: number, depth: number, height: number}} bed - meters
+ * @param {number} [spacing] - gap between parts, meters
+ * @returns {{plate: THREE.Group, placements: Array<{name: string, min: THREE.Vector3, size: THREE.Vector3}>}}
+ * @throws {Error} naming the parts that don't fit
+ */
+export function arrangeOnBed(parts, bed, spacing = PLATE_SPACING) {
+    const exporter = createExporter('stl');
+    const tooLarge = [];
+
+    const items = parts.map(({ name, mesh }) => {
+        const solid = new THREE.Mesh(mesh.geometry, mesh.material);
+        solid.name = name;
+        solid.quaternion.copy(restingOrientation(exporter.getTriangles(mesh, 1, null)));
+
+        let size = footprint(solid).getSize(new THREE.Vector3());
+        if (size.x > bed.width && size.z <= bed.width && size.x <= bed.depth) {
+            solid.quaternion.premultiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 2));
+            size = footprint(solid).getSize(new THREE.Vector3());
+        }
+        if (size.x > bed.width || size.z > bed.depth || size.y > bed.height) tooLarge.push(name);
+        return { name, solid, size };
+    });
+    if (tooLarge.length > 0) {
+        throw new Error(`Too large for the bed: ${tooLarge.join(', ')}`);
+    }
+
+    // Shelf packing: deepest parts first, rows along x stacked along z
+    const order = items.slice().sort((a, b) => b.size.z - a.size.z || b.size.x - a.size.x);
+    const rows = [];
+    order.forEach((item) => {
+        let row = rows[rows.length - 1];
+        if (!row || row.width + spacing + item.size.x > bed.width) {
+            const z = row ? row.z + row.depth + spacing : 0;
+            row = { z, width: -spacing, depth: item.size.z, items: [] };
+            rows.push(row);
+        }
+        item.min = new THREE.Vector3(row.width + spacing, 0, row.z);
+        row.width += spacing + item.size.x;
+        row.items.push(item);
+    });
+
+    const last = rows[rows.length - 1];
+    const usedDepth = last.z + last.depth;
+    if (usedDepth > bed.depth) {
+        const leftOver = rows.filter(row => row.z + row.depth > bed.depth).flatMap(row => row.items.map(item => item.name));
+        throw new Error(`Not everything fits on one plate: ${leftOver.join(', ')} left over`);
+    }
+    const usedWidth = Math.max(...rows.map(row => row.width));
+    const offset = new THREE.Vector3((bed.width - usedWidth) / 2, 0, (bed.depth - usedDepth) / 2);
+
+    const plate = new THREE.Group();
+    plate.name = 'Plate';
+    const placements = items.map((item) => {
+        // Rows were stacked along +z; the bed's depth runs along -z
+        item.min.add(offset);
+        const min = new THREE.Vector3(item.min.x, 0, -(item.min.z + item.size.z));
+        item.solid.position.add(min.clone().sub(footprint(item.solid).min));
+        plate.add(item.solid);
+        return { name: item.name, min, size: item.size };
+    });
+    plate.updateMatrixWorld(true);
+
+    return { plate, placements };
+}
+
+function footprint(solid) {
+    solid.updateMatrixWorld(true);
+    return new THREE.Box3().setFromObject(solid);
+}
@@ -0,0 +1,147 @@
+import * as THREE from 'three';
+
+// Corrections outside this range mean the reference was misread rather than drift
+const MIN_SCALE_FACTOR = 0.5;
+const MAX_SCALE_FACTOR = 1.5;
+
+/**
+ * Scale correction applied to every AR distance.
+ * Computed either from a printed marker of known size or from a tapped reference length.
+ */
+export class ScaleCalibration {
+    constructor() {
+        this.scaleFactor = 1;
+        this.method = null;
+        this.onChange = null;
+    }
+
+    /**
+     * Calibrate from a segment the user measured on an object of known length
+     */
+    setFromReference(measuredLength, knownLength) {
+        if (!(measuredLength > 0) || !(knownLength > 0)) {
+            throw new Error('Reference lengths must be positive');
+        }
+
+        this.apply(knownLength / measuredLength, 'reference');
+        return this.scaleFactor;
+    }
+
+    /**
+     * Calibrate from a detected marker.
+     *
+     * @param {{corners: Array<{x: number, y: number}>}} marker - result of detectMarkers()
+     * @param {{width: number, height: number, projectionMatrix: ArrayLike<number>, transform: ArrayLike<number>}} view
+     *   camera image size, projection matrix and camera-to-world transform of the captured frame
+     * @param {THREE.Plane} plane - surface the marker lies on, in the same space as the view transform
+     * @param {number} markerSize - printed side length of the black square in meters
+     */
+    setFromMarker(marker, view, plane, markerSize) {
+        const measuredSide = measureMarkerSide(marker.corners, view, plane);
+        if (measuredSide === null) {
+            throw new Error('Marker is not on the detected surface');
+        }
+
+        this.apply(markerSize / measuredSide, 'marker');
+        return this.scaleFactor;
+    }
+
+    reset() {
+        this.scaleFactor = 1;
+        this.method = null;
+        if (this.onChange) this.onChange(this.scaleFactor, this.method);
+    }
+
+    apply(scaleFactor, method) {
+        if (scaleFactor < MIN_SCALE_FACTOR || scaleFactor > MAX_SCALE_FACTOR) {
+            throw new Error(`Calibration rejected: correction of ${scaleFactor.toFixed(2)}x is implausible`);
+        }
+
+        this.scaleFactor = scaleFactor;
+        this.method = method;
+        if (this.onChange) this.onChange(this.scaleFactor, this.method);
+    }
+}
+
+/**
+ * World space ray through a pixel of the camera image
+ */
+export function unprojectPixel(x, y, view) {
+    const ndcX = (x / view.width) * 2 - 1;
+    const ndcY = 1 - (y / view.height) * 2;
+
+    const inverseProjection = new THREE.Matrix4().fromArray(view.projectionMatrix).invert();
+    const cameraMatrix = new THREE.Matrix4().fromArray(view.transform);
+
+    const near = new THREE.Vector3(ndcX, ndcY, -1).applyMatrix4(inverseProjection).applyMatrix4(cameraMatrix);
+    const far = new THREE.Vector3(ndcX, ndcY, 1).applyMatrix4(inverseProjection).applyMatrix4(cameraMatrix);
+
+    return new THREE.Ray(near, far.sub(near).normalize());
+}
+
+/**
+ * Pixel of the camera image a world space point shows up at, null when it is
+ * behind the camera
+ *
+ * @returns {THREE.Vector2|null}
+ */
+export function projectToPixel(point, view) {
+    const viewMatrix = new THREE.Matrix4().fromArray(view.transform).invert();
+    const clip = new THREE.Vector4(point.x, point.y, point.z, 1)
+        .applyMatrix4(viewMatrix)
+        .applyMatrix4(new THREE.Matrix4().fromArray(view.projectionMatrix));
+    if (clip.w <= 0) return null;
+
+    return new THREE.Vector2(
+        (clip.x / clip.w + 1) / 2 * view.width,
+        (1 - clip.y / clip.w) / 2 * view.height
+    );
+}
+
+/**
+ * Average side length in world units of a marker quad projected onto a plane
+ */
+export function measureMarkerSide(corners, view, plane) {
+    const worldCorners = [];
+    for (const corner of corners) {
+        const hit = unprojectPixel(corner.x, corner.y, view).intersectPlane(plane, new THREE.Vector3());
+        if (!hit) return null;
+        worldCorners.push(hit);
+    }
+
+    let perimeter = 0;
+    for (let i = 0; i < worldCorners.length; i++) {
+        perimeter += worldCorners[i].distanceTo(worldCorners[(i + 1) % worldCorners.length]);
+    }
+    return perimeter / worldCorners.length;
+}
+
+/**
+ * Copy the camera image of an XR view (raw camera access) into CPU memory.
+ * Must be called while the XR frame is active. Rows are returned top to bottom.
+ */
+export function readCameraImage(binding, gl, view) {
+    const { width, height } = view.camera;
+    const texture = binding.getCameraImage(view.camera);
+    if (!texture) return null;
+
+    const previousFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+
+    const pixels = new Uint8Array(width * height * 4);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, previousFramebuffer);
+    gl.deleteFramebuffer(framebuffer);
+
+    // GL reads bottom row first
+    const rowSize = width * 4;
+    const data = new Uint8ClampedArray(pixels.length);
+    for (let y = 0; y < height; y++) {
+        data.set(pixels.subarray(y * rowSize, (y + 1) * rowSize), (height - 1 - y) * rowSize);
+    }
+
+    return { width, height, data };
+}
@@ -0,0 +1,287 @@
+import * as THREE from 'three';
+
+/**
+ * Shims shaped to an uneven gap. The first measured point lies on the
+ * reference plane (its surface normal is "up"), the others on the surface to
+ * fill up to. Heights above the plane are interpolated between the points -
+ * along a line for a polyline, across an area for a grid - and the height
+ * field is closed into a solid standing on the plane.
+ *
+ * Everything is in the frame of the measured points (see measurementFrame in
+ * part-placement.js): origin at the first point, y along its normal, x towards
+ * the second point.
+ */
+
+// Points spread less than this fraction of their length off a line are a profile, not a grid
+const PROFILE_SPREAD = 0.15;
+
+// Surface points closer than this are merged into one, meters
+const MERGE_DISTANCE = 0.001;
+
+// Target spacing of the surface mesh, meters, and a cap on its rings for large shims
+const SURFACE_RESOLUTION = 0.002;
+const MAX_RINGS = 40;
+
+/**
+ * Positions of all measured points, the last segment's end included. Segments
+ * are chained with their calibrated lengths, so the calibration scale applies
+ * to heights too.
+ *
+ * @param {Array} measurements - segments with position, direction and distanceToNext
+ * @returns {THREE.Vector3[]}
+ */
+export function measuredPoints(measurements) {
+    if (measurements.length === 0) return [];
+
+    const points = [measurements[0].position.clone()];
+    measurements.forEach((measurement) => {
+        const last = points[points.length - 1];
+        points.push(last.clone().addScaledVector(measurement.direction, measurement.distanceToNext));
+    });
+    return points;
+}
+
+/**
+ * Interpolate the gap between the surface points and the reference plane.
+ * Points spread along a line give a profile extruded `width` across it;
+ * points spread over an area give a thin-plate spline surface over their
+ * convex hull.
+ *
+ * @param {Array<{x: number, z: number, height: number}>} samples - surface points in the plane frame
+ * @param {number} width - shim width across a profile, meters
+ * @returns {{mode: 'profile'|'surface', outline: THREE.Vector2[], heightAt: Function}}
+ *   outline is counter-clockwise in (x, z); heightAt(x, z) gives the height above the plane
+ */
+export function fitGapSurface(samples, width) {
+    const points = mergeSamples(samples);
+    if (points.length < 2) {
+        throw new Error('Conformal shim needs at least 2 distinct surface points');
+    }
+
+    const start = new THREE.Vector2(points[0].x, points[0].z);
+    const axis = new THREE.Vector2(points[points.length - 1].x, points[points.length - 1].z).sub(start);
+    const length = axis.length();
+
+    let spread = 0;
+    if (length > MERGE_DISTANCE) {
+        axis.divideScalar(length);
+        points.forEach((point) => {
+            spread = Math.max(spread, Math.abs(axis.cross(new THREE.Vector2(point.x, point.z).sub(start))));
+        });
+    }
+
+    if (length > MERGE_DISTANCE && spread <= length * PROFILE_SPREAD) {
+        return fitProfile(points, start, axis, width);
+    }
+    if (points.length < 3) {
+        throw new Error('Conformal shim surface points are too close together');
+    }
+    return fitSurface(points);
+}
+
+function mergeSamples(samples) {
+    const merged = [];
+    samples.forEach((sample) => {
+        const near = merged.find(point => Math.hypot(point.x - sample.x, point.z - sample.z) < MERGE_DISTANCE);
+        if (near) {
+            near.height = (near.height * near.count + sample.height) / (near.count + 1);
+            near.count++;
+        } else {
+            merged.push({ ...sample, count: 1 });
+        }
+    });
+    return merged;
+}
+
+/**
+ * Heights along the line through the points, linear between them
+ */
+function fitProfile(points, start, axis, width) {
+    const across = new THREE.Vector2(-axis.y, axis.x);
+    const stations = points.map((point) => {
+        const offset = new THREE.Vector2(point.x, point.z).sub(start);
+        return { along: offset.dot(axis), across: offset.dot(across), height: point.height };
+    }).sort((a, b) => a.along - b.along);
+
+    const first = stations[0].along;
+    const last = stations[stations.length - 1].along;
+    const middle = stations.reduce((sum, station) => sum + station.across, 0) / stations.length;
+
+    const corner = (along, side) => start.clone()
+        .addScaledVector(axis, along)
+        .addScaledVector(across, middle + side * width / 2);
+    const outline = [corner(first, -1), corner(last, -1), corner(last, 1), corner(first, 1)];
+
+    const heightAt = (x, z) => {
+        const along = THREE.MathUtils.clamp(new THREE.Vector2(x, z).sub(start).dot(axis), first, last);
+        let i = 1;
+        while (i < stations.length - 1 && stations[i].along < along) i++;
+        const a = stations[i - 1];
+        const b = stations[i];
+        const t = b.along > a.along ? (along - a.along) / (b.along - a.along) : 0;
+        return a.height + (b.height - a.height) * t;
+    };
+
+    return { mode: 'profile', outline: ensureCounterClockwise(outline), heightAt };
+}
+
+/**
+ * Thin-plate spline through the points: the smoothest surface that passes
+ * through all of them exactly
+ */
+function fitSurface(points) {
+    const n = points.length;
+    const size = n + 3;
+    const matrix = Array.from({ length: size }, () => new Float64Array(size));
+    const rhs = new Float64Array(size);
+
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            matrix[i][j] = splineKernel(Math.hypot(points[i].x - points[j].x, points[i].z - points[j].z));
+        }
+        matrix[i][n] = matrix[n][i] = 1;
+        matrix[i][n + 1] = matrix[n + 1][i] = points[i].x;
+        matrix[i][n + 2] = matrix[n + 2][i] = points[i].z;
+        rhs[i] = points[i].height;
+    }
+
+    const solution = solveLinearSystem(matrix, rhs);
+    if (!solution) {
+        throw new Error('Could not fit a surface through the shim points');
+    }
+
+    const heightAt = (x, z) => {
+        let height = solution[n] + solution[n + 1] * x + solution[n + 2] * z;
+        for (let i = 0; i < n; i++) {
+            height += solution[i] * splineKernel(Math.hypot(x - points[i].x, z - points[i].z));
+        }
+        return height;
+    };
+
+    const outline = convexHull(points.map(point => new THREE.Vector2(point.x, point.z)));
+    return { mode: 'surface', outline, heightAt };
+}
+
+function splineKernel(r) {
+    return r > 0 ? r * r * Math.log(r) : 0;
+}
+
+/**
+ * Gaussian elimination with partial pivoting; null when singular
+ */
+function solveLinearSystem(matrix, rhs) {
+    const size = rhs.length;
+    for (let col = 0; col < size; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < size; row++) {
+            if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+        }
+        if (Math.abs(matrix[pivot][col]) < 1e-15) return null;
+        [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+        [rhs[col], rhs[pivot]] = [rhs[pivot], rhs[col]];
+
+        for (let row = col + 1; row < size; row++) {
+            const factor = matrix[row][col] / matrix[col][col];
+            if (factor === 0) continue;
+            for (let k = col; k < size; k++) matrix[row][k] -= factor * matrix[col][k];
+            rhs[row] -= factor * rhs[col];
+        }
+    }
+
+    const solution = new Float64Array(size);
+    for (let row = size - 1; row >= 0; row--) {
+        let sum = rhs[row];
+        for (let k = row + 1; k < size; k++) sum -= matrix[row][k] * solution[k];
+        solution[row] = sum / matrix[row][row];
+    }
+    return solution;
+}
+
+/**
+ * Convex hull (monotone chain), counter-clockwise
+ *
+ * @param {THREE.Vector2[]} points
+ * @returns {THREE.Vector2[]}
+ */
+export function convexHull(points) {
+    const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+    const turn = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+    const lower = [];
+    for (const point of sorted) {
+        while (lower.length >= 2 && turn(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+        lower.push(point);
+    }
+    const upper = [];
+    for (const point of sorted.reverse()) {
+        while (upper.length >= 2 && turn(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+        upper.push(point);
+    }
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+function ensureCounterClockwise(outline) {
+    return THREE.ShapeUtils.isClockWise(outline) ? outline.reverse() : outline;
+}
+
+/**
+ * Close a height field over a convex outline into a solid: the surface on
+ * top, a flat bottom on the plane and straight walls between them. The top is
+ * meshed in rings shrinking towards the outline's centre, so the walls and
+ * the bottom share their edges with it and the solid is watertight.
+ *
+ * @param {THREE.Vector2[]} outline - convex, counter-clockwise in (x, z)
+ * @param {Function} heightAt - (x, z) => height, must be positive
+ * @returns {THREE.BufferGeometry} non-indexed, y up
+ */
+export function heightFieldSolid(outline, heightAt) {
+    const center = outline.reduce((sum, point) => sum.add(point), new THREE.Vector2()).divideScalar(outline.length);
+    const radius = Math.max(...outline.map(point => point.distanceTo(center)));
+    const step = Math.max(SURFACE_RESOLUTION, radius / MAX_RINGS);
+    const rings = Math.max(1, Math.ceil(radius / step));
+
+    // The outline subdivided to the mesh resolution
+    const boundary = [];
+    outline.forEach((point, i) => {
+        const next = outline[(i + 1) % outline.length];
+        const divisions = Math.max(1, Math.ceil(point.distanceTo(next) / step));
+        for (let k = 0; k < divisions; k++) {
+            boundary.push(point.clone().lerp(next, k / divisions));
+        }
+    });
+
+    const top = (point) => new THREE.Vector3(point.x, heightAt(point.x, point.y), point.y);
+    const bottom = (point) => new THREE.Vector3(point.x, 0, point.y);
+    const grid = [[top(center)]];
+    for (let k = 1; k <= rings; k++) {
+        grid.push(boundary.map(point => top(center.clone().lerp(point, k / rings))));
+    }
+
+    const positions = [];
+    const triangle = (a, b, c) => positions.push(a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z);
+    const count = boundary.length;
+    const bottomCenter = bottom(center);
+
+    for (let j = 0; j < count; j++) {
+        const next = (j + 1) % count;
+
+        // Counter-clockwise in (x, z) faces down, so the top is wound the other way
+        triangle(grid[0][0], grid[1][next], grid[1][j]);
+        for (let k = 1; k < rings; k++) {
+            triangle(grid[k][j], grid[k][next], grid[k + 1][next]);
+            triangle(grid[k][j], grid[k + 1][next], grid[k + 1][j]);
+        }
+
+        const lowJ = bottom(boundary[j]);
+        const lowNext = bottom(boundary[next]);
+        triangle(bottomCenter, lowJ, lowNext);
+
+        triangle(lowJ, grid[rings][j], grid[rings][next]);
+        triangle(lowJ, grid[rings][next], lowNext);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.computeVertexNormals();
+    return geometry;
+}
@@ -0,0 +1,327 @@
+import * as THREE from 'three';
+import { closeSeams } from './mesh-repair.js';
+
+/**
+ * Constructive solid geometry (union / subtract / intersect) on Three.js geometry.
+ *
+ * Solids are stored as convex polygons and combined with BSP trees, following
+ * the approach of csg.js by Evan Wallace (MIT). Inputs must be closed meshes;
+ * the result is a single non-indexed BufferGeometry.
+ */
+
+// Tolerance for classifying a point against a plane (scene units are meters)
+const EPSILON = 1e-8;
+
+const COPLANAR = 0;
+const FRONT = 1;
+const BACK = 2;
+const SPANNING = 3;
+
+class Vertex {
+    constructor(pos) {
+        this.pos = pos;
+    }
+
+    clone() {
+        return new Vertex(this.pos.clone());
+    }
+
+    interpolate(other, t) {
+        return new Vertex(this.pos.clone().lerp(other.pos, t));
+    }
+}
+
+class Plane {
+    constructor(normal, w) {
+        this.normal = normal;
+        this.w = w;
+    }
+
+    static fromPoints(a, b, c) {
+        const normal = new THREE.Vector3()
+            .subVectors(b, a)
+            .cross(new THREE.Vector3().subVectors(c, a))
+            .normalize();
+        return new Plane(normal, normal.dot(a));
+    }
+
+    clone() {
+        return new Plane(this.normal.clone(), this.w);
+    }
+
+    flip() {
+        this.normal.negate();
+        this.w = -this.w;
+    }
+
+    /**
+     * Sort a polygon into the lists for this plane, splitting it if it spans the plane
+     */
+    splitPolygon(polygon, coplanarFront, coplanarBack, front, back) {
+        let polygonType = 0;
+        const types = [];
+
+        for (const vertex of polygon.vertices) {
+            const t = this.normal.dot(vertex.pos) - this.w;
+            const type = t < -EPSILON ? BACK : (t > EPSILON ? FRONT : COPLANAR);
+            polygonType |= type;
+            types.push(type);
+        }
+
+        switch (polygonType) {
+            case COPLANAR:
+                (this.normal.dot(polygon.plane.normal) > 0 ? coplanarFront : coplanarBack).push(polygon);
+                break;
+            case FRONT:
+                front.push(polygon);
+                break;
+            case BACK:
+                back.push(polygon);
+                break;
+            default: {
+                const f = [];
+                const b = [];
+                const count = polygon.vertices.length;
+
+                for (let i = 0; i < count; i++) {
+                    const j = (i + 1) % count;
+                    const ti = types[i];
+                    const tj = types[j];
+                    const vi = polygon.vertices[i];
+                    const vj = polygon.vertices[j];
+
+                    if (ti !== BACK) f.push(vi);
+                    if (ti !== FRONT) b.push(ti !== BACK ? vi.clone() : vi);
+
+                    if ((ti | tj) === SPANNING) {
+                        const edge = new THREE.Vector3().subVectors(vj.pos, vi.pos);
+                        const t = (this.w - this.normal.dot(vi.pos)) / this.normal.dot(edge);
+                        const v = vi.interpolate(vj, t);
+                        f.push(v);
+                        b.push(v.clone());
+                    }
+                }
+
+                if (f.length >= 3) front.push(new Polygon(f, polygon.plane.clone()));
+                if (b.length >= 3) back.push(new Polygon(b, polygon.plane.clone()));
+                break;
+            }
+        }
+    }
+}
+
+class Polygon {
+    constructor(vertices, plane) {
+        this.vertices = vertices;
+        this.plane = plane || Plane.fromPoints(vertices[0].pos, vertices[1].pos, vertices[2].pos);
+    }
+
+    clone() {
+        return new Polygon(this.vertices.map(v => v.clone()), this.plane.clone());
+    }
+
+    flip() {
+        this.vertices.reverse();
+        this.plane.flip();
+    }
+}
+
+/**
+ * BSP tree node. Polygons coplanar with the node's plane are kept on the node.
+ */
+class Node {
+    constructor(polygons) {
+        this.plane = null;
+        this.front = null;
+        this.back = null;
+        this.polygons = [];
+        if (polygons) this.build(polygons);
+    }
+
+    // Swap solid space and empty space
+    invert() {
+        this.polygons.forEach(p => p.flip());
+        this.plane.flip();
+        if (this.front) this.front.invert();
+        if (this.back) this.back.invert();
+        [this.front, this.back] = [this.back, this.front];
+    }
+
+    // Remove the parts of the polygons that are inside this tree's solid
+    clipPolygons(polygons) {
+        if (!this.plane) return polygons.slice();
+
+        let front = [];
+        let back = [];
+        polygons.forEach(p => this.plane.splitPolygon(p, front, back, front, back));
+
+        if (this.front) front = this.front.clipPolygons(front);
+        back = this.back ? this.back.clipPolygons(back) : [];
+        return front.concat(back);
+    }
+
+    clipTo(bsp) {
+        this.polygons = bsp.clipPolygons(this.polygons);
+        if (this.front) this.front.clipTo(bsp);
+        if (this.back) this.back.clipTo(bsp);
+    }
+
+    allPolygons() {
+        let polygons = this.polygons.slice();
+        if (this.front) polygons = polygons.concat(this.front.allPolygons());
+        if (this.back) polygons = polygons.concat(this.back.allPolygons());
+        return polygons;
+    }
+
+    build(polygons) {
+        if (polygons.length === 0) return;
+        if (!this.plane) this.plane = polygons[0].plane.clone();
+
+        const front = [];
+        const back = [];
+        polygons.forEach(p => this.plane.splitPolygon(p, this.polygons, this.polygons, front, back));
+
+        if (front.length > 0) {
+            if (!this.front) this.front = new Node();
+            this.front.build(front);
+        }
+        if (back.length > 0) {
+            if (!this.back) this.back = new Node();
+            this.back.build(back);
+        }
+    }
+}
+
+export class CSG {
+    constructor(polygons = []) {
+        this.polygons = polygons;
+    }
+
+    /**
+     * Build a solid from a closed geometry, optionally transformed by a matrix
+     */
+    static fromGeometry(geometry, matrix = null) {
+        const position = geometry.attributes.position;
+        const index = geometry.index;
+        const count = index ? index.count : position.count;
+        const polygons = [];
+
+        const readVertex = (i) => {
+            const v = new THREE.Vector3().fromBufferAttribute(position, index ? index.getX(i) : i);
+            if (matrix) v.applyMatrix4(matrix);
+            return v;
+        };
+
+        // Mirroring transforms turn the triangles inside out, so swap their winding back
+        const mirrored = matrix !== null && matrix.determinant() < 0;
+
+        const edge1 = new THREE.Vector3();
+        const edge2 = new THREE.Vector3();
+        for (let i = 0; i < count; i += 3) {
+            const a = readVertex(i);
+            const b = readVertex(mirrored ? i + 2 : i + 1);
+            const c = readVertex(mirrored ? i + 1 : i + 2);
+
+            // Skip degenerate triangles (e.g. at cone tips and sphere poles)
+            edge1.subVectors(b, a);
+            edge2.subVectors(c, a);
+            if (edge1.cross(edge2).lengthSq() < EPSILON * EPSILON * EPSILON) continue;
+
+            polygons.push(new Polygon([new Vertex(a), new Vertex(b), new Vertex(c)]));
+        }
+
+        return new CSG(polygons);
+    }
+
+    /**
+     * Build a solid from a mesh using its local transform
+     */
+    static fromMesh(mesh) {
+        mesh.updateMatrix();
+        return CSG.fromGeometry(mesh.geometry, mesh.matrix);
+    }
+
+    /**
+     * Union all meshes under an object (e.g. a generated part's group) into one solid in world space
+     *
+     * @param {THREE.Matrix4} [frame] - applied on top of the world transform, e.g. the
+     *   inverse of the object's world matrix to get the solid in its own frame
+     */
+    static fromObject(object, frame = null) {
+        object.updateMatrixWorld(true);
+
+        let solid = null;
+        object.traverse((child) => {
+            if (!child.isMesh) return;
+            const matrix = frame ? frame.clone().multiply(child.matrixWorld) : child.matrixWorld;
+            const part = CSG.fromGeometry(child.geometry, matrix);
+            solid = solid ? solid.union(part) : part;
+        });
+        return solid || new CSG();
+    }
+
+    clone() {
+        return new CSG(this.polygons.map(p => p.clone()));
+    }
+
+    union(other) {
+        const a = new Node(this.clone().polygons);
+        const b = new Node(other.clone().polygons);
+        a.clipTo(b);
+        b.clipTo(a);
+        b.invert();
+        b.clipTo(a);
+        b.invert();
+        a.build(b.allPolygons());
+        return new CSG(a.allPolygons());
+    }
+
+    subtract(other) {
+        const a = new Node(this.clone().polygons);
+        const b = new Node(other.clone().polygons);
+        a.invert();
+        a.clipTo(b);
+        b.clipTo(a);
+        b.invert();
+        b.clipTo(a);
+        b.invert();
+        a.build(b.allPolygons());
+        a.invert();
+        return new CSG(a.allPolygons());
+    }
+
+    intersect(other) {
+        const a = new Node(this.clone().polygons);
+        const b = new Node(other.clone().polygons);
+        a.invert();
+        b.clipTo(a);
+        b.invert();
+        a.clipTo(b);
+        b.clipTo(a);
+        a.build(b.allPolygons());
+        a.invert();
+        return new CSG(a.allPolygons());
+    }
+
+    /**
+     * Triangulate the polygons into a non-indexed BufferGeometry.
+     * BSP splitting leaves T-junctions between fragments; those are welded shut
+     * and the winding is made consistent.
+     */
+    toGeometry() {
+        const positions = [];
+
+        for (const polygon of this.polygons) {
+            const vertices = polygon.vertices;
+            for (let i = 1; i < vertices.length - 1; i++) {
+                positions.push(
+                    vertices[0].pos.x, vertices[0].pos.y, vertices[0].pos.z,
+                    vertices[i].pos.x, vertices[i].pos.y, vertices[i].pos.z,
+                    vertices[i + 1].pos.x, vertices[i + 1].pos.y, vertices[i + 1].pos.z
+                );
+            }
+        }
+
+        return closeSeams(positions);
+    }
+}
@@ -0,0 +1,405 @@
+import * as THREE from 'three';
+
+/**
+ * Circle and straight edge fitting on a depth image, for measuring holes,
+ * knobs and edges that are hard to tap precisely.
+ *
+ * Edges are where the depth jumps: the pixels on the near side of the jump
+ * outline a hole's rim, a knob or a table edge. Those pixels are lifted to 3D
+ * and a circle (in their best-fit plane) or a line is fitted with RANSAC.
+ * Everything here is plain math on arrays, independent of WebXR.
+ */
+
+// Smallest depth jump that counts as an edge, meters
+const MIN_DEPTH_STEP = 0.01;
+
+// Largest distance from the fitted shape for a point to count as an inlier, meters
+const INLIER_TOLERANCE = 0.002;
+
+const RANSAC_ITERATIONS = 200;
+
+// Fewest edge points a fit must explain
+const MIN_INLIERS = 12;
+
+// Share of the edge points a fit must explain. Scattered edges (noise, clutter)
+// always fit some circle or line by chance, but only a few of them at once.
+const MIN_INLIER_RATIO = 0.3;
+
+/**
+ * Depth image in meters, row by row from the top left
+ *
+ * @param {ArrayLike<number>} raw - raw depth values (e.g. Uint16Array or Float32Array)
+ * @param {number} [rawValueToMeters]
+ * @returns {{data: Float32Array, width: number, height: number}}
+ */
+export function createDepthMap(raw, width, height, rawValueToMeters = 1) {
+    if (raw.length < width * height) {
+        throw new Error(`Depth data has ${raw.length} values, expected ${width * height}`);
+    }
+
+    const data = new Float32Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = raw[i] * rawValueToMeters;
+    }
+    return { data, width, height };
+}
+
+/**
+ * View rays of an ideal pinhole camera: focal lengths and principal point in pixels.
+ * Rays map the pixel (u, v) to the view space direction (x, y, -1), with
+ * x = x0 + x1 * u + x2 * v (likewise y), so the point at depth d is (x * d, y * d, -d).
+ */
+export function pinholeRays(fx, fy, cx, cy) {
+    return {
+        x: [-cx / fx, 1 / fx, 0],
+        y: [cy / fy, 0, -1 / fy]
+    };
+}
+
+/**
+ * View rays for a WebXR depth buffer
+ *
+ * @param {Float32Array|number[]} projectionMatrix - XRView.projectionMatrix
+ * @param {Float32Array|number[]} normDepthBufferFromNormView - XRDepthInformation.normDepthBufferFromNormView.matrix;
+ *   normalized view coordinates run from the top left of the view, y down
+ */
+export function viewRays(projectionMatrix, normDepthBufferFromNormView, width, height) {
+    const P = projectionMatrix;
+    const normViewFromNormDepth = new THREE.Matrix4().fromArray(normDepthBufferFromNormView).invert();
+
+    // The mapping is affine in (u, v), so three pixels pin it down
+    const rayAt = (u, v) => {
+        const view = new THREE.Vector3((u + 0.5) / width, (v + 0.5) / height, 0).applyMatrix4(normViewFromNormDepth);
+        const ndcX = view.x * 2 - 1;
+        const ndcY = 1 - view.y * 2;
+        return [(ndcX + P[8]) / P[0], (ndcY + P[9]) / P[5]];
+    };
+    const origin = rayAt(0, 0);
+    const alongU = rayAt(1, 0);
+    const alongV = rayAt(0, 1);
+
+    return {
+        x: [origin[0], alongU[0] - origin[0], alongV[0] - origin[0]],
+        y: [origin[1], alongU[1] - origin[1], alongV[1] - origin[1]]
+    };
+}
+
+/**
+ * Depth pixel at the middle of the view, where the viewer hit test (and so the reticle) points
+ */
+export function viewCenterPixel(normDepthBufferFromNormView, width, height) {
+    const depth = new THREE.Vector3(0.5, 0.5, 0).applyMatrix4(new THREE.Matrix4().fromArray(normDepthBufferFromNormView));
+    return { u: depth.x * width - 0.5, v: depth.y * height - 0.5 };
+}
+
+/**
+ * View space position of the depth pixel (u, v)
+ */
+export function unproject(rays, u, v, depth, target = new THREE.Vector3()) {
+    const x = rays.x[0] + rays.x[1] * u + rays.x[2] * v;
+    const y = rays.y[0] + rays.y[1] * u + rays.y[2] * v;
+    return target.set(x * depth, y * depth, -depth);
+}
+
+/**
+ * Pixels on the near side of a depth jump within `radius` pixels of `center`.
+ * The jump itself lies between pixels, so each edge is moved half a pixel
+ * towards its far neighbors. Pixels without depth (0) are skipped.
+ *
+ * @param {{u: number, v: number}} center
+ * @returns {Array<{u: number, v: number, depth: number}>}
+ */
+export function findDepthEdges(depthMap, center, radius, minStep = MIN_DEPTH_STEP) {
+    const { data, width, height } = depthMap;
+    const edges = [];
+    const minU = Math.max(Math.floor(center.u - radius), 0);
+    const maxU = Math.min(Math.ceil(center.u + radius), width - 1);
+    const minV = Math.max(Math.floor(center.v - radius), 0);
+    const maxV = Math.min(Math.ceil(center.v + radius), height - 1);
+
+    for (let v = minV; v <= maxV; v++) {
+        for (let u = minU; u <= maxU; u++) {
+            if ((u - center.u) ** 2 + (v - center.v) ** 2 > radius * radius) continue;
+            const depth = data[v * width + u];
+            if (!(depth > 0)) continue;
+
+            const neighbors = [
+                [-1, 0, u > 0 ? data[v * width + u - 1] : 0],
+                [1, 0, u < width - 1 ? data[v * width + u + 1] : 0],
+                [0, -1, v > 0 ? data[(v - 1) * width + u] : 0],
+                [0, 1, v < height - 1 ? data[(v + 1) * width + u] : 0]
+            ];
+            let du = 0;
+            let dv = 0;
+            let isEdge = false;
+            neighbors.forEach(([nu, nv, n]) => {
+                if (n > 0 && n - depth >= minStep) {
+                    du += nu;
+                    dv += nv;
+                    isEdge = true;
+                }
+            });
+            if (isEdge) {
+                const length = Math.hypot(du, dv) || 1;
+                edges.push({ u: u + du / length * 0.5, v: v + dv / length * 0.5, depth });
+            }
+        }
+    }
+    return edges;
+}
+
+/**
+ * Least squares plane through points
+ *
+ * @returns {{centroid: THREE.Vector3, normal: THREE.Vector3, axes: THREE.Vector3[]}} -
+ *   axes are the principal directions, largest spread first (the normal is the last)
+ */
+export function fitPlane(points) {
+    const centroid = new THREE.Vector3();
+    points.forEach(p => centroid.add(p));
+    centroid.divideScalar(points.length);
+
+    const c = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const d = new THREE.Vector3();
+    points.forEach((p) => {
+        d.subVectors(p, centroid);
+        const v = [d.x, d.y, d.z];
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) c[i][j] += v[i] * v[j];
+        }
+    });
+
+    const axes = symmetricEigenvectors(c);
+    return { centroid, normal: axes[2].clone(), axes };
+}
+
+/**
+ * Algebraic (Kåsa) circle fit
+ *
+ * @param {THREE.Vector2[]} points
+ * @returns {{center: THREE.Vector2, radius: number, rms: number}|null}
+ */
+export function fitCircle2D(points) {
+    if (points.length < 3) return null;
+
+    // Solve x² + y² + Dx + Ey + F = 0 in the least squares sense (normal equations)
+    const m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const b = [0, 0, 0];
+    points.forEach(({ x, y }) => {
+        const row = [x, y, 1];
+        const rhs = -(x * x + y * y);
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) m[i][j] += row[i] * row[j];
+            b[i] += row[i] * rhs;
+        }
+    });
+
+    const solution = solve3(m, b);
+    if (!solution) return null;
+    const [D, E, F] = solution;
+    const center = new THREE.Vector2(-D / 2, -E / 2);
+    const radiusSq = center.lengthSq() - F;
+    if (!(radiusSq > 0)) return null;
+
+    const radius = Math.sqrt(radiusSq);
+    return { center, radius, rms: rmsOf(points.map(p => p.distanceTo(center) - radius)) };
+}
+
+/**
+ * Fit a circle to the depth edges around `center`, e.g. the rim of a hole or a knob
+ *
+ * @param {Object} rays - see pinholeRays / viewRays
+ * @param {{u: number, v: number}} center - pixel to search around
+ * @param {number} radius - search radius in pixels
+ * @returns {{center: THREE.Vector3, normal: THREE.Vector3, radius: number, diameter: number,
+ *   rms: number, inlierCount: number, edgeCount: number}|null} - view space, meters; null when
+ *   no circle explains enough edge points
+ */
+export function fitCircleFromDepth(depthMap, rays, center, radius, options = {}) {
+    const { tolerance = INLIER_TOLERANCE, minStep = MIN_DEPTH_STEP, seed = 1 } = options;
+    const points = edgePoints(depthMap, rays, center, radius, minStep);
+    if (points.length < MIN_INLIERS) return null;
+
+    // Work in the plane of the rim
+    const plane = fitPlane(points);
+    const [axisU, axisV] = plane.axes;
+    const flat = points.map((p) => {
+        const d = p.clone().sub(plane.centroid);
+        return new THREE.Vector2(d.dot(axisU), d.dot(axisV));
+    });
+
+    const random = createRandom(seed);
+    let best = null;
+    for (let i = 0; i < RANSAC_ITERATIONS; i++) {
+        const sample = pickDistinct(random, flat.length, 3).map(index => flat[index]);
+        const circle = fitCircle2D(sample);
+        if (!circle) continue;
+
+        const inliers = flat.filter(p => Math.abs(p.distanceTo(circle.center) - circle.radius) <= tolerance);
+        if (!best || inliers.length > best.length) best = inliers;
+    }
+    if (!explainsEdges(best, points)) return null;
+
+    const circle = fitCircle2D(best);
+    if (!circle) return null;
+
+    return {
+        center: plane.centroid.clone()
+            .addScaledVector(axisU, circle.center.x)
+            .addScaledVector(axisV, circle.center.y),
+        normal: plane.normal.clone(),
+        radius: circle.radius,
+        diameter: circle.radius * 2,
+        rms: circle.rms,
+        inlierCount: best.length,
+        edgeCount: points.length
+    };
+}
+
+/**
+ * Fit a straight edge to the depth edges around `center`
+ *
+ * @returns {{start: THREE.Vector3, end: THREE.Vector3, direction: THREE.Vector3, length: number,
+ *   rms: number, inlierCount: number, edgeCount: number}|null} - view space, meters
+ */
+export function fitEdgeFromDepth(depthMap, rays, center, radius, options = {}) {
+    const { tolerance = INLIER_TOLERANCE, minStep = MIN_DEPTH_STEP, seed = 1 } = options;
+    const points = edgePoints(depthMap, rays, center, radius, minStep);
+    if (points.length < MIN_INLIERS) return null;
+
+    const line = new THREE.Line3();
+    const closest = new THREE.Vector3();
+    const distanceTo = p => line.closestPointToPoint(p, false, closest).distanceTo(p);
+
+    const random = createRandom(seed);
+    let best = null;
+    for (let i = 0; i < RANSAC_ITERATIONS; i++) {
+        const [a, b] = pickDistinct(random, points.length, 2).map(index => points[index]);
+        if (a.distanceToSquared(b) < 1e-10) continue;
+        line.set(a, b);
+
+        const inliers = points.filter(p => distanceTo(p) <= tolerance);
+        if (!best || inliers.length > best.length) best = inliers;
+    }
+    if (!explainsEdges(best, points)) return null;
+
+    // Refine: the main axis of the inliers, clipped to their extent
+    const { centroid, axes } = fitPlane(best);
+    const direction = axes[0].clone();
+    const offsets = best.map(p => closest.subVectors(p, centroid).dot(direction));
+    const start = centroid.clone().addScaledVector(direction, Math.min(...offsets));
+    const end = centroid.clone().addScaledVector(direction, Math.max(...offsets));
+    line.set(start, end);
+
+    return {
+        start,
+        end,
+        direction,
+        length: start.distanceTo(end),
+        rms: rmsOf(best.map(distanceTo)),
+        inlierCount: best.length,
+        edgeCount: points.length
+    };
+}
+
+function edgePoints(depthMap, rays, center, radius, minStep) {
+    return findDepthEdges(depthMap, center, radius, minStep)
+        .map(({ u, v, depth }) => unproject(rays, u, v, depth));
+}
+
+function explainsEdges(inliers, points) {
+    return !!inliers && inliers.length >= MIN_INLIERS && inliers.length >= points.length * MIN_INLIER_RATIO;
+}
+
+function rmsOf(values) {
+    return Math.sqrt(values.reduce((sum, value) => sum + value * value, 0) / values.length);
+}
+
+/**
+ * Eigenvectors of a symmetric 3x3 matrix (Jacobi rotations), sorted by descending eigenvalue
+ */
+function symmetricEigenvectors(matrix) {
+    const a = matrix.map(row => row.slice());
+    const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        const off = Math.abs(a[0][1]) + Math.abs(a[0][2]) + Math.abs(a[1][2]);
+        if (off < 1e-20) break;
+
+        for (let p = 0; p < 2; p++) {
+            for (let q = p + 1; q < 3; q++) {
+                if (Math.abs(a[p][q]) < 1e-30) continue;
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < 3; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < 3; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < 3; k++) {
+                    const vkp = v[k][p];
+                    const vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    return [0, 1, 2]
+        .sort((i, j) => a[j][j] - a[i][i])
+        .map(i => new THREE.Vector3(v[0][i], v[1][i], v[2][i]).normalize());
+}
+
+/**
+ * Solve a 3x3 linear system with Cramer's rule; null when singular
+ */
+function solve3(m, b) {
+    const det = (c0, c1, c2) =>
+        c0[0] * (c1[1] * c2[2] - c2[1] * c1[2]) -
+        c1[0] * (c0[1] * c2[2] - c2[1] * c0[2]) +
+        c2[0] * (c0[1] * c1[2] - c1[1] * c0[2]);
+
+    const columns = [0, 1, 2].map(j => m.map(row => row[j]));
+    const d = det(...columns);
+    if (Math.abs(d) < 1e-18) return null;
+
+    return [0, 1, 2].map((j) => {
+        const replaced = columns.slice();
+        replaced[j] = b;
+        return det(...replaced) / d;
+    });
+}
+
+/**
+ * Seeded random numbers (mulberry32), so fits are repeatable
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function pickDistinct(random, count, n) {
+    const picked = [];
+    while (picked.length < Math.min(n, count)) {
+        const index = Math.floor(random() * count);
+        if (!picked.includes(index)) picked.push(index);
+    }
+    return picked;
+}
@@ -0,0 +1,201 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { MeasurementLabel } from './measurement-label.js';
+import { formatLength } from './units.js';
+
+const BACKGROUND_COLOR = 0x263238;
+const GRID_COLOR = 0x546e7a;
+const BED_COLOR = 0x90a4ae;
+const CALLOUT_COLOR = 0xffeb3b;
+
+// Grid spacing on the bed, meters
+const GRID_SPACING = 0.01;
+
+// Gap between the part and its dimension lines, meters
+const CALLOUT_OFFSET = 0.008;
+
+/**
+ * Editing view outside AR: an orbit camera around the part, the printer bed as
+ * a grid with its build volume, and dimension callouts on the part's bounding
+ * box. Everything is at true scale (meters), like the AR scene.
+ */
+export class DesktopView {
+    constructor(scene, camera, renderer) {
+        this.scene = scene;
+        this.camera = camera;
+        this.renderer = renderer;
+
+        this.controls = new OrbitControls(camera, renderer.domElement);
+        this.controls.enableDamping = true;
+        this.controls.minDistance = 0.02;
+        this.controls.maxDistance = 5;
+
+        this.group = new THREE.Group();
+        this.bed = new THREE.Group();
+        this.callouts = new THREE.Group();
+        this.group.add(this.bed, this.callouts);
+        this.scene.add(this.group);
+
+        this.labels = [];
+        this.part = null;
+        this.units = 'cm';
+        this.precision = 1;
+        this.bedSize = null;
+        this.enabled = false;
+
+        camera.position.set(0.25, 0.2, 0.3);
+        this.controls.target.set(0, 0, 0);
+    }
+
+    /**
+     * Show or hide the view - it is switched off while an AR session runs
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.controls.enabled = enabled;
+        this.group.visible = enabled;
+        // AR needs a transparent canvas over the camera feed
+        this.renderer.setClearColor(BACKGROUND_COLOR, enabled ? 1 : 0);
+    }
+
+    /**
+     * @param {{width: number, depth: number, height: number}} bed - build volume in meters
+     */
+    setBed(bed) {
+        this.bedSize = { ...bed };
+        this.disposeChildren(this.bed);
+
+        const { width, depth, height } = bed;
+        const positions = [];
+        for (let x = -width / 2; x <= width / 2 + 1e-9; x += GRID_SPACING) {
+            positions.push(x, 0, -depth / 2, x, 0, depth / 2);
+        }
+        for (let z = -depth / 2; z <= depth / 2 + 1e-9; z += GRID_SPACING) {
+            positions.push(-width / 2, 0, z, width / 2, 0, z);
+        }
+        const gridGeometry = new THREE.BufferGeometry();
+        gridGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        this.bed.add(new THREE.LineSegments(gridGeometry, new THREE.LineBasicMaterial({
+            color: GRID_COLOR,
+            transparent: true,
+            opacity: 0.5
+        })));
+
+        // Outline of the build volume
+        const volume = new THREE.BoxGeometry(width, height, depth);
+        volume.translate(0, height / 2, 0);
+        this.bed.add(new THREE.LineSegments(new THREE.EdgesGeometry(volume), new THREE.LineBasicMaterial({
+            color: BED_COLOR,
+            transparent: true,
+            opacity: 0.4
+        })));
+        volume.dispose();
+
+        if (this.part) this.placeBed();
+    }
+
+    setUnits(units, precision = this.precision) {
+        this.units = units;
+        this.precision = precision;
+        if (this.part) this.buildCallouts();
+    }
+
+    /**
+     * Put the bed under a part, add its dimension callouts and point the camera at it
+     */
+    showPart(part) {
+        this.part = part;
+        this.placeBed();
+        this.buildCallouts();
+        this.frame(this.getPartBox());
+    }
+
+    /**
+     * Follow a part that was moved or turned, without moving the camera
+     */
+    refreshPart() {
+        if (!this.part) return;
+        this.placeBed();
+        this.buildCallouts();
+    }
+
+    clearPart() {
+        this.part = null;
+        this.clearCallouts();
+    }
+
+    getPartBox() {
+        this.part.updateMatrixWorld(true);
+        return new THREE.Box3().setFromObject(this.part);
+    }
+
+    placeBed() {
+        const box = this.getPartBox();
+        const center = box.getCenter(new THREE.Vector3());
+        this.bed.position.set(center.x, box.min.y, center.z);
+    }
+
+    /**
+     * Width, depth and height of the part's bounding box, drawn along its
+     * bottom front, bottom right and front right edges
+     */
+    buildCallouts() {
+        this.clearCallouts();
+
+        const { min, max } = this.getPartBox();
+        const offset = CALLOUT_OFFSET;
+        const dimensions = [
+            [new THREE.Vector3(min.x, min.y, max.z + offset), new THREE.Vector3(max.x, min.y, max.z + offset)],
+            [new THREE.Vector3(max.x + offset, min.y, min.z), new THREE.Vector3(max.x + offset, min.y, max.z)],
+            [new THREE.Vector3(max.x + offset, min.y, max.z + offset), new THREE.Vector3(max.x + offset, max.y, max.z + offset)]
+        ];
+
+        const material = new THREE.LineBasicMaterial({ color: CALLOUT_COLOR, depthTest: false });
+        dimensions.forEach(([start, end]) => {
+            const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints([start, end]), material);
+            line.renderOrder = 998;
+            this.callouts.add(line);
+
+            const label = new MeasurementLabel(formatLength(start.distanceTo(end), this.units, this.precision));
+            label.position.lerpVectors(start, end, 0.5);
+            this.callouts.add(label);
+            this.labels.push(label);
+        });
+    }
+
+    clearCallouts() {
+        this.labels.forEach(label => label.dispose());
+        this.labels = [];
+        this.disposeChildren(this.callouts);
+    }
+
+    /**
+     * Move the camera so the whole box is in view, keeping the viewing direction
+     */
+    frame(box) {
+        const center = box.getCenter(new THREE.Vector3());
+        const radius = Math.max(box.getSize(new THREE.Vector3()).length() / 2, 0.01);
+        const distance = radius / Math.sin(THREE.MathUtils.degToRad(this.camera.fov) / 2) * 1.3;
+
+        const direction = this.camera.position.clone().sub(this.controls.target).normalize();
+        this.controls.target.copy(center);
+        this.camera.position.copy(center).addScaledVector(direction, distance);
+        this.controls.update();
+    }
+
+    update() {
+        if (!this.enabled) return;
+
+        this.controls.update();
+        const cameraPosition = this.camera.position;
+        this.labels.forEach(label => label.updateScale(cameraPosition));
+    }
+
+    disposeChildren(group) {
+        group.children.slice().forEach((child) => {
+            group.remove(child);
+            if (child.geometry) child.geometry.dispose();
+            if (child.material && !child.isSprite) child.material.dispose();
+        });
+    }
+}
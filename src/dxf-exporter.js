@@ -0,0 +1,92 @@
+import { ProfileExporter, toUnit } from './profile-exporter.js';
+import { LengthUnit } from './units.js';
+
+// AutoCAD colour numbers for the layers
+const CUT_COLOR = 1; // red
+const MARK_COLOR = 5; // blue
+
+// $INSUNITS codes
+const INSUNITS = {
+    [LengthUnit.IN]: 1,
+    [LengthUnit.MM]: 4,
+    [LengthUnit.CM]: 5
+};
+
+/**
+ * ASCII DXF (R12 entities, readable by laser software and CAD) in millimeters
+ * unless another unit is asked for.
+ * Contours go on the CUT layer as closed polylines and circles, bend lines on
+ * the BEND layer.
+ */
+export class DXFExporter extends ProfileExporter {
+    constructor() {
+        super('dxf', 'image/vnd.dxf');
+    }
+
+    /**
+     * @param {Object} pattern
+     * @param {Object} [options]
+     * @param {number} [options.kerf=0] - meters
+     * @param {string} [options.unit='mm']
+     * @returns {Uint8Array}
+     */
+    toBytes(pattern, options = {}) {
+        const kerf = options.kerf || 0;
+        const unit = options.unit || LengthUnit.MM;
+        if (!INSUNITS[unit]) {
+            throw new Error('Unsupported DXF unit: ' + unit);
+        }
+        const { parts } = this.prepare(pattern, kerf);
+        const f = value => toUnit(value, unit);
+
+        // DXF is a flat list of group code / value line pairs
+        const pairs = [
+            [999, `${pattern.name} - material ${f(pattern.materialThickness)} ${unit}, kerf ${f(kerf)} ${unit}`],
+            [0, 'SECTION'], [2, 'HEADER'],
+            [9, '$ACADVER'], [1, 'AC1009'],
+            [9, '$INSUNITS'], [70, INSUNITS[unit]],
+            // 0 imperial, 1 metric
+            [9, '$MEASUREMENT'], [70, unit === LengthUnit.IN ? 0 : 1],
+            [0, 'ENDSEC'],
+            [0, 'SECTION'], [2, 'ENTITIES']
+        ];
+
+        parts.forEach((part) => {
+            [part.outline, ...part.holes].forEach((contour) => {
+                pairs.push(...this.generateContour(contour, f));
+            });
+            part.marks.forEach(([a, b]) => {
+                pairs.push(
+                    [0, 'LINE'], [8, 'BEND'], [62, MARK_COLOR],
+                    [10, f(a.x)], [20, f(a.y)],
+                    [11, f(b.x)], [21, f(b.y)]
+                );
+            });
+        });
+
+        pairs.push([0, 'ENDSEC'], [0, 'EOF']);
+        const text = pairs.map(([code, value]) => `${code}\n${value}`).join('\n') + '\n';
+        return new TextEncoder().encode(text);
+    }
+
+    /**
+     * @param {Function} f - formats a length in meters for the file
+     */
+    generateContour(contour, f) {
+        if (contour.type === 'circle') {
+            return [
+                [0, 'CIRCLE'], [8, 'CUT'], [62, CUT_COLOR],
+                [10, f(contour.center.x)], [20, f(contour.center.y)],
+                [40, f(contour.radius)]
+            ];
+        }
+
+        // Closed polyline: header, one VERTEX per point, SEQEND
+        const pairs = [[0, 'POLYLINE'], [8, 'CUT'], [62, CUT_COLOR], [66, 1], [70, 1]];
+        contour.points.forEach((point) => {
+            pairs.push([0, 'VERTEX'], [8, 'CUT'], [10, f(point.x)], [20, f(point.y)]);
+        });
+        pairs.push([0, 'SEQEND'], [8, 'CUT']);
+        return pairs;
+    }
+}
@@ -0,0 +1,38 @@
+import { STLExporter } from './stl-exporter.js';
+import { ThreeMFExporter } from './threemf-exporter.js';
+import { OBJExporter } from './obj-exporter.js';
+import { DXFExporter } from './dxf-exporter.js';
+import { SVGExporter } from './svg-exporter.js';
+
+/**
+ * Export formats offered in the UI, keyed by file extension
+ */
+export const EXPORT_FORMATS = {
+    stl: { label: 'STL', create: () => new STLExporter() },
+    '3mf': { label: '3MF (with units)', create: () => new ThreeMFExporter() },
+    obj: { label: 'OBJ', create: () => new OBJExporter() }
+};
+
+export function createExporter(format) {
+    const entry = EXPORT_FORMATS[format];
+    if (!entry) {
+        throw new Error('Unknown export format: ' + format);
+    }
+    return entry.create();
+}
+
+/**
+ * 2D flat pattern formats for laser cutting
+ */
+export const PROFILE_FORMATS = {
+    dxf: { label: 'DXF', create: () => new DXFExporter() },
+    svg: { label: 'SVG', create: () => new SVGExporter() }
+};
+
+export function createProfileExporter(format) {
+    const entry = PROFILE_FORMATS[format];
+    if (!entry) {
+        throw new Error('Unknown flat pattern format: ' + format);
+    }
+    return entry.create();
+}
@@ -0,0 +1,222 @@
+import * as THREE from 'three';
+
+/**
+ * 2D flat patterns for laser cutting. A pattern is a set of parts, each with
+ * an outer outline, holes and marks (bend lines - scored, not cut), in meters
+ * with y up:
+ *
+ *   { name, materialThickness, warnings: string[],
+ *     parts: [{ name, outline: Contour, holes: Contour[], marks: Array<[Vector2, Vector2]> }] }
+ *
+ * A contour is `{ type: 'polygon', points: THREE.Vector2[] }` (counter-clockwise)
+ * or `{ type: 'circle', center: THREE.Vector2, radius }`.
+ */
+
+// Fingers are about this many material thicknesses wide
+const FINGER_WIDTH = 3;
+
+// Gap between laid out parts, meters
+const PART_SPACING = 0.005;
+
+export function polygonContour(points) {
+    return { type: 'polygon', points };
+}
+
+export function circleContour(center, radius) {
+    return { type: 'circle', center, radius };
+}
+
+export function rectangleContour(width, height) {
+    return polygonContour([
+        new THREE.Vector2(0, 0),
+        new THREE.Vector2(width, 0),
+        new THREE.Vector2(width, height),
+        new THREE.Vector2(0, height)
+    ]);
+}
+
+/**
+ * Outline of a rectangular panel whose edges carry finger joints, for sheets
+ * `thickness` thick meeting at right angles.
+ *
+ * @param {string[]} edges - bottom, right, top, left: 'flat', 'tabs' (fingers at
+ *   both ends) or 'slots' (recessed at both ends). Mating edges must be the same
+ *   length, one 'tabs' and the other 'slots'.
+ */
+export function fingerJointPanel(width, height, edges, thickness) {
+    const corners = [
+        new THREE.Vector2(0, 0),
+        new THREE.Vector2(width, 0),
+        new THREE.Vector2(width, height),
+        new THREE.Vector2(0, height)
+    ];
+
+    const sides = corners.map((start, i) => {
+        const end = corners[(i + 1) % 4];
+        const length = start.distanceTo(end);
+        const direction = end.clone().sub(start).divideScalar(length);
+        return {
+            start,
+            direction,
+            // Counter-clockwise, so the interior is on the left
+            inward: new THREE.Vector2(-direction.y, direction.x),
+            segments: jointSegments(length, edges[i], thickness)
+        };
+    });
+
+    const pointOn = (side, distance, depth) => side.start.clone()
+        .addScaledVector(side.direction, distance)
+        .addScaledVector(side.inward, depth);
+
+    const points = [];
+    sides.forEach((side, i) => {
+        // The corner square only stays when both edges keep their material there
+        const previous = sides[(i + 3) % 4];
+        const previousDepth = previous.segments[previous.segments.length - 1].depth;
+        points.push(pointOn(side, 0, side.segments[0].depth).addScaledVector(previous.inward, previousDepth));
+
+        side.segments.forEach((segment, k) => {
+            if (k > 0) points.push(pointOn(side, segment.from, segment.depth));
+            if (k < side.segments.length - 1) points.push(pointOn(side, segment.to, segment.depth));
+        });
+    });
+
+    return polygonContour(removeCollinear(points));
+}
+
+/**
+ * Split an edge into an odd number of fingers. The end fingers also cover the
+ * corner square, the rest are spread evenly between the corners.
+ *
+ * @returns {Array<{from: number, to: number, depth: number}>} depth 0 keeps the
+ *   material up to the edge, `thickness` cuts it back
+ */
+function jointSegments(length, type, thickness) {
+    if (type === 'flat') {
+        return [{ from: 0, to: length, depth: 0 }];
+    }
+    if (length <= thickness * 2) {
+        throw new Error('Panel edge is too short for finger joints in this material');
+    }
+
+    const inner = length - thickness * 2;
+    let count = Math.floor(inner / (thickness * FINGER_WIDTH));
+    if (count % 2 === 0) count--;
+    count = Math.max(count, 1);
+
+    const bounds = [0];
+    for (let i = 1; i < count; i++) {
+        bounds.push(thickness + inner * i / count);
+    }
+    bounds.push(length);
+
+    const segments = [];
+    for (let i = 0; i < count; i++) {
+        const keep = (i % 2 === 0) === (type === 'tabs');
+        segments.push({ from: bounds[i], to: bounds[i + 1], depth: keep ? 0 : thickness });
+    }
+    return segments;
+}
+
+function removeCollinear(points) {
+    const result = points.filter((point, i) => !point.equals(points[(i + points.length - 1) % points.length]));
+    return result.filter((point, i) => {
+        const previous = result[(i + result.length - 1) % result.length];
+        const next = result[(i + 1) % result.length];
+        const cross = (point.x - previous.x) * (next.y - point.y) - (point.y - previous.y) * (next.x - point.x);
+        return Math.abs(cross) > 1e-14;
+    });
+}
+
+/**
+ * Move a contour's boundary by `distance`: positive grows the enclosed area,
+ * negative shrinks it. Polygon corners are mitered.
+ */
+export function offsetContour(contour, distance) {
+    if (contour.type === 'circle') {
+        return circleContour(contour.center.clone(), contour.radius + distance);
+    }
+
+    const points = contour.points;
+    // Outward is to the right of a counter-clockwise polygon
+    const outward = distance * Math.sign(polygonArea(points));
+
+    const normals = points.map((point, i) => {
+        const next = points[(i + 1) % points.length];
+        const edge = next.clone().sub(point).normalize();
+        return new THREE.Vector2(edge.y, -edge.x);
+    });
+
+    return polygonContour(points.map((point, i) => {
+        const before = normals[(i + points.length - 1) % points.length];
+        const after = normals[i];
+        // Where the two shifted edges meet
+        const miter = before.clone().add(after).multiplyScalar(outward / (1 + before.dot(after)));
+        return point.clone().add(miter);
+    }));
+}
+
+/**
+ * Widen every cut by the laser's kerf: outlines grow and holes shrink by half
+ * the kerf, so parts come out at their nominal size.
+ */
+export function applyKerf(pattern, kerf) {
+    return {
+        ...pattern,
+        parts: pattern.parts.map(part => ({
+            ...part,
+            outline: offsetContour(part.outline, kerf / 2),
+            holes: part.holes.map(hole => offsetContour(hole, -kerf / 2))
+        }))
+    };
+}
+
+/**
+ * Place the parts side by side along x, bottoms aligned on y = 0
+ *
+ * @returns {{parts: Array, width: number, height: number}} moved copies of the parts and the overall size
+ */
+export function layoutPattern(pattern, spacing = PART_SPACING) {
+    let cursor = 0;
+    let height = 0;
+
+    const parts = pattern.parts.map((part) => {
+        const box = contourBounds(part.outline);
+        const shift = new THREE.Vector2(cursor, 0).sub(box.min);
+        cursor += box.max.x - box.min.x + spacing;
+        height = Math.max(height, box.max.y - box.min.y);
+
+        return {
+            ...part,
+            outline: translateContour(part.outline, shift),
+            holes: part.holes.map(hole => translateContour(hole, shift)),
+            marks: part.marks.map(([a, b]) => [a.clone().add(shift), b.clone().add(shift)])
+        };
+    });
+
+    return { parts, width: Math.max(cursor - spacing, 0), height };
+}
+
+export function contourBounds(contour) {
+    if (contour.type === 'circle') {
+        const radius = new THREE.Vector2(contour.radius, contour.radius);
+        return new THREE.Box2(contour.center.clone().sub(radius), contour.center.clone().add(radius));
+    }
+    return new THREE.Box2().setFromPoints(contour.points);
+}
+
+function translateContour(contour, shift) {
+    if (contour.type === 'circle') {
+        return circleContour(contour.center.clone().add(shift), contour.radius);
+    }
+    return polygonContour(contour.points.map(point => point.clone().add(shift)));
+}
+
+function polygonArea(points) {
+    let area = 0;
+    points.forEach((point, i) => {
+        const next = points[(i + 1) % points.length];
+        area += point.x * next.y - next.x * point.y;
+    });
+    return area / 2;
+}
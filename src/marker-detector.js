@@ -0,0 +1,537 @@
+/**
+ * Fiducial marker detection for scale calibration.
+ *
+ * Markers are square 6x6 cell grids: a one cell black border around 4x4 data bits.
+ * Everything here works on plain pixel arrays ({ width, height, data }) so it runs
+ * the same on camera frames, canvas ImageData and still images loaded in Node.
+ */
+
+export const MARKER_GRID_SIZE = 6;
+const DATA_SIZE = MARKER_GRID_SIZE - 2;
+
+// 16 bit codes (row-major, MSB first). All rotations of every code are at least
+// 4 bits apart, so single bit errors can be corrected without ambiguity.
+export const MARKER_DICTIONARY = [
+    0x48cc, 0x47b0, 0x5831, 0x0b6d, 0x568d, 0x5a28, 0xd6e5, 0x124e,
+    0x59de, 0x9993, 0x28ad, 0x2ebe, 0x2447, 0x948f, 0x28d1, 0x27a3
+];
+
+const MAX_BIT_ERRORS = 1;
+
+/**
+ * Convert RGBA (4 bytes per pixel) or single channel pixel data to luminance
+ */
+export function toGrayscale(image) {
+    const { width, height, data } = image;
+    const pixelCount = width * height;
+
+    if (data.length === pixelCount) {
+        return Uint8Array.from(data);
+    }
+
+    const gray = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        const r = data[i * 4];
+        const g = data[i * 4 + 1];
+        const b = data[i * 4 + 2];
+        gray[i] = (r * 77 + g * 150 + b * 29) >> 8;
+    }
+    return gray;
+}
+
+/**
+ * Global threshold separating dark and light pixels (Otsu's method)
+ */
+export function otsuThreshold(gray) {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < gray.length; i++) {
+        histogram[gray[i]]++;
+    }
+
+    let sum = 0;
+    for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let bestVariance = -1;
+    let threshold = 127;
+
+    for (let i = 0; i < 256; i++) {
+        weightBackground += histogram[i];
+        if (weightBackground === 0) continue;
+
+        const weightForeground = gray.length - weightBackground;
+        if (weightForeground === 0) break;
+
+        sumBackground += i * histogram[i];
+        const meanBackground = sumBackground / weightBackground;
+        const meanForeground = (sum - sumBackground) / weightForeground;
+        const variance = weightBackground * weightForeground *
+            (meanBackground - meanForeground) * (meanBackground - meanForeground);
+
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            threshold = i;
+        }
+    }
+
+    return threshold;
+}
+
+/**
+ * Mark pixels darker than their neighbourhood. Large uniformly dark regions
+ * (where the local mean is itself dark) fall back to the global threshold.
+ */
+export function adaptiveThreshold(gray, width, height, options = {}) {
+    const radius = options.radius || Math.max(3, Math.round(Math.min(width, height) / 16));
+    const offset = options.offset !== undefined ? options.offset : 7;
+    const globalThreshold = otsuThreshold(gray);
+
+    // Integral image for constant time window sums
+    const stride = width + 1;
+    const integral = new Float64Array(stride * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x++) {
+            rowSum += gray[y * width + x];
+            integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+        }
+    }
+
+    const mask = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.max(0, y - radius);
+        const y1 = Math.min(height, y + radius + 1);
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.max(0, x - radius);
+            const x1 = Math.min(width, x + radius + 1);
+            const area = (x1 - x0) * (y1 - y0);
+            const windowSum = integral[y1 * stride + x1] - integral[y0 * stride + x1] -
+                integral[y1 * stride + x0] + integral[y0 * stride + x0];
+            const mean = windowSum / area;
+            const value = gray[y * width + x];
+
+            if (value < mean - offset || (value <= globalThreshold && mean <= globalThreshold)) {
+                mask[y * width + x] = 1;
+            }
+        }
+    }
+
+    return mask;
+}
+
+/**
+ * Group dark pixels into 4-connected components and collect each component's boundary pixels
+ */
+export function findComponents(mask, width, height, minArea = 64) {
+    const labels = new Int32Array(width * height);
+    const components = [];
+    const stack = [];
+    let nextLabel = 1;
+
+    for (let start = 0; start < mask.length; start++) {
+        if (!mask[start] || labels[start]) continue;
+
+        const component = { area: 0, boundary: [], touchesEdge: false };
+        labels[start] = nextLabel;
+        stack.push(start);
+
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const x = index % width;
+            const y = (index - x) / width;
+            component.area++;
+
+            let isBoundary = false;
+            const neighbours = [
+                x > 0 ? index - 1 : -1,
+                x < width - 1 ? index + 1 : -1,
+                y > 0 ? index - width : -1,
+                y < height - 1 ? index + width : -1
+            ];
+
+            for (const neighbour of neighbours) {
+                if (neighbour === -1) {
+                    isBoundary = true;
+                    component.touchesEdge = true;
+                } else if (!mask[neighbour]) {
+                    isBoundary = true;
+                } else if (!labels[neighbour]) {
+                    labels[neighbour] = nextLabel;
+                    stack.push(neighbour);
+                }
+            }
+
+            if (isBoundary) component.boundary.push(x, y);
+        }
+
+        if (component.area >= minArea && !component.touchesEdge) {
+            components.push(component);
+        }
+        nextLabel++;
+    }
+
+    return components;
+}
+
+/**
+ * Convex hull (monotone chain) of a list of {x, y} points
+ */
+export function convexHull(points) {
+    const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+    if (sorted.length < 3) return sorted;
+
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const lower = [];
+    for (const p of sorted) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) {
+            lower.pop();
+        }
+        lower.push(p);
+    }
+
+    const upper = [];
+    for (let i = sorted.length - 1; i >= 0; i--) {
+        const p = sorted[i];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) {
+            upper.pop();
+        }
+        upper.push(p);
+    }
+
+    upper.pop();
+    lower.pop();
+    return lower.concat(upper);
+}
+
+function polygonArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        area += a.x * b.y - b.x * a.y;
+    }
+    return Math.abs(area) / 2;
+}
+
+/**
+ * Reduce a convex hull to the quadrilateral that best covers it, or null if the
+ * hull is not close to a quadrilateral.
+ */
+export function fitQuad(hull, minCoverage = 0.9) {
+    if (hull.length < 4) return null;
+
+    // The two most distant hull points form one diagonal
+    let a = 0;
+    let b = 1;
+    let bestDistance = -1;
+    for (let i = 0; i < hull.length; i++) {
+        for (let j = i + 1; j < hull.length; j++) {
+            const dx = hull[i].x - hull[j].x;
+            const dy = hull[i].y - hull[j].y;
+            const distance = dx * dx + dy * dy;
+            if (distance > bestDistance) {
+                bestDistance = distance;
+                a = i;
+                b = j;
+            }
+        }
+    }
+
+    // The points farthest from that diagonal on either side are the other two corners
+    const p = hull[a];
+    const q = hull[b];
+    let left = -1;
+    let right = -1;
+    let maxLeft = 0;
+    let maxRight = 0;
+    hull.forEach((point, i) => {
+        const side = (q.x - p.x) * (point.y - p.y) - (q.y - p.y) * (point.x - p.x);
+        if (side > maxLeft) {
+            maxLeft = side;
+            left = i;
+        } else if (-side > maxRight) {
+            maxRight = -side;
+            right = i;
+        }
+    });
+    if (left === -1 || right === -1) return null;
+
+    const quad = orderClockwise([hull[a], hull[left], hull[b], hull[right]]);
+    if (polygonArea(quad) < minCoverage * polygonArea(hull)) return null;
+
+    return quad;
+}
+
+/**
+ * Sort corners clockwise in image space (y down), starting from the top-left-most corner
+ */
+function orderClockwise(corners) {
+    const cx = corners.reduce((sum, c) => sum + c.x, 0) / corners.length;
+    const cy = corners.reduce((sum, c) => sum + c.y, 0) / corners.length;
+    const sorted = corners.slice().sort((a, b) =>
+        Math.atan2(a.y - cy, a.x - cx) - Math.atan2(b.y - cy, b.x - cx)
+    );
+
+    let start = 0;
+    sorted.forEach((c, i) => {
+        if (c.x + c.y < sorted[start].x + sorted[start].y) start = i;
+    });
+    return sorted.slice(start).concat(sorted.slice(0, start));
+}
+
+/**
+ * Homography mapping the unit square (0,0),(1,0),(1,1),(0,1) onto the given quad
+ */
+export function computeHomography(quad) {
+    const source = [[0, 0], [1, 0], [1, 1], [0, 1]];
+    const rows = [];
+
+    for (let i = 0; i < 4; i++) {
+        const [u, v] = source[i];
+        const { x, y } = quad[i];
+        rows.push([u, v, 1, 0, 0, 0, -u * x, -v * x, x]);
+        rows.push([0, 0, 0, u, v, 1, -u * y, -v * y, y]);
+    }
+
+    const h = solveLinearSystem(rows);
+    if (!h) return null;
+    return [...h, 1];
+}
+
+export function applyHomography(h, u, v) {
+    const w = h[6] * u + h[7] * v + h[8];
+    return {
+        x: (h[0] * u + h[1] * v + h[2]) / w,
+        y: (h[3] * u + h[4] * v + h[5]) / w
+    };
+}
+
+// Gaussian elimination with partial pivoting on an augmented matrix
+function solveLinearSystem(rows) {
+    const n = rows.length;
+    const m = rows.map(row => row.slice());
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+        }
+        if (Math.abs(m[pivot][col]) < 1e-12) return null;
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+
+        for (let r = 0; r < n; r++) {
+            if (r === col) continue;
+            const factor = m[r][col] / m[col][col];
+            for (let c = col; c <= n; c++) {
+                m[r][c] -= factor * m[col][c];
+            }
+        }
+    }
+
+    return m.map((row, i) => row[n] / row[i]);
+}
+
+function sampleGray(gray, width, height, x, y) {
+    let sum = 0;
+    let count = 0;
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+            const px = Math.round(x + dx);
+            const py = Math.round(y + dy);
+            if (px < 0 || py < 0 || px >= width || py >= height) continue;
+            sum += gray[py * width + px];
+            count++;
+        }
+    }
+    return count > 0 ? sum / count : 0;
+}
+
+// Rotate a DATA_SIZE x DATA_SIZE bit matrix 90 degrees clockwise
+function rotateBits(bits) {
+    return bits.map((row, r) => row.map((_, c) => bits[DATA_SIZE - 1 - c][r]));
+}
+
+function bitsToCode(bits) {
+    return bits.flat().reduce((code, bit) => (code << 1) | bit, 0);
+}
+
+function hammingDistance(a, b) {
+    let x = a ^ b;
+    let count = 0;
+    while (x) {
+        count += x & 1;
+        x >>= 1;
+    }
+    return count;
+}
+
+/**
+ * Read the cell grid inside a quad and match it against the dictionary
+ */
+export function decodeMarker(gray, width, height, quad) {
+    const h = computeHomography(quad);
+    if (!h) return null;
+
+    const samples = [];
+    for (let r = 0; r < MARKER_GRID_SIZE; r++) {
+        const row = [];
+        for (let c = 0; c < MARKER_GRID_SIZE; c++) {
+            const { x, y } = applyHomography(
+                h,
+                (c + 0.5) / MARKER_GRID_SIZE,
+                (r + 0.5) / MARKER_GRID_SIZE
+            );
+            row.push(sampleGray(gray, width, height, x, y));
+        }
+        samples.push(row);
+    }
+
+    const flat = samples.flat();
+    const min = Math.min(...flat);
+    const max = Math.max(...flat);
+    if (max - min < 40) return null;
+    const threshold = (min + max) / 2;
+
+    // The border ring must be solid black
+    for (let i = 0; i < MARKER_GRID_SIZE; i++) {
+        const last = MARKER_GRID_SIZE - 1;
+        if (samples[0][i] > threshold || samples[last][i] > threshold ||
+            samples[i][0] > threshold || samples[i][last] > threshold) {
+            return null;
+        }
+    }
+
+    // Dark cells are 1 bits
+    let bits = [];
+    for (let r = 1; r <= DATA_SIZE; r++) {
+        bits.push(samples[r].slice(1, DATA_SIZE + 1).map(value => (value < threshold ? 1 : 0)));
+    }
+
+    for (let rotation = 0; rotation < 4; rotation++) {
+        const code = bitsToCode(bits);
+        for (let id = 0; id < MARKER_DICTIONARY.length; id++) {
+            if (hammingDistance(code, MARKER_DICTIONARY[id]) <= MAX_BIT_ERRORS) {
+                // The image shows the marker turned `rotation` quarter turns counterclockwise,
+                // so its own top-left corner sits `rotation` steps back around the quad
+                const corners = quad.map((_, i) => quad[(i - rotation + 4) % 4]);
+                return { id, rotation, corners };
+            }
+        }
+        bits = rotateBits(bits);
+    }
+
+    return null;
+}
+
+/**
+ * Find all dictionary markers in an image.
+ *
+ * @param {{width: number, height: number, data: ArrayLike<number>}} image - RGBA or grayscale pixels
+ * @returns {Array<{id: number, corners: Array<{x: number, y: number}>, sidePixels: number}>}
+ *   corners are clockwise from the marker's own top-left corner, in pixel coordinates
+ */
+export function detectMarkers(image, options = {}) {
+    const { width, height } = image;
+    const gray = toGrayscale(image);
+    const mask = adaptiveThreshold(gray, width, height, options);
+    const minArea = options.minArea || 64;
+    const markers = [];
+
+    for (const component of findComponents(mask, width, height, minArea)) {
+        // Use pixel corners rather than centres so the hull follows the true outer edge
+        const points = [];
+        for (let i = 0; i < component.boundary.length; i += 2) {
+            const x = component.boundary[i];
+            const y = component.boundary[i + 1];
+            points.push({ x, y }, { x: x + 1, y }, { x, y: y + 1 }, { x: x + 1, y: y + 1 });
+        }
+
+        const quad = fitQuad(convexHull(points));
+        if (!quad) continue;
+
+        const marker = decodeMarker(gray, width, height, quad);
+        if (!marker) continue;
+
+        let perimeter = 0;
+        for (let i = 0; i < 4; i++) {
+            const a = marker.corners[i];
+            const b = marker.corners[(i + 1) % 4];
+            perimeter += Math.hypot(b.x - a.x, b.y - a.y);
+        }
+
+        markers.push({
+            id: marker.id,
+            corners: marker.corners,
+            sidePixels: perimeter / 4
+        });
+    }
+
+    return markers;
+}
+
+/**
+ * Render a marker as RGBA pixels, with a white quiet zone of one cell around it
+ */
+export function generateMarkerImage(id, cellSize = 10) {
+    const code = MARKER_DICTIONARY[id];
+    if (code === undefined) {
+        throw new Error('Unknown marker id: ' + id);
+    }
+
+    const cells = MARKER_GRID_SIZE + 2;
+    const size = cells * cellSize;
+    const data = new Uint8ClampedArray(size * size * 4).fill(255);
+
+    for (let r = 0; r < MARKER_GRID_SIZE; r++) {
+        for (let c = 0; c < MARKER_GRID_SIZE; c++) {
+            if (!isMarkerCellBlack(code, r, c)) continue;
+
+            for (let y = 0; y < cellSize; y++) {
+                for (let x = 0; x < cellSize; x++) {
+                    const px = (c + 1) * cellSize + x;
+                    const py = (r + 1) * cellSize + y;
+                    const index = (py * size + px) * 4;
+                    data[index] = data[index + 1] = data[index + 2] = 0;
+                }
+            }
+        }
+    }
+
+    return { width: size, height: size, data };
+}
+
+/**
+ * Printable SVG of a marker at an exact physical size
+ */
+export function generateMarkerSVG(id, sizeMm = 50) {
+    const code = MARKER_DICTIONARY[id];
+    if (code === undefined) {
+        throw new Error('Unknown marker id: ' + id);
+    }
+
+    const cell = sizeMm / MARKER_GRID_SIZE;
+    const margin = cell;
+    const total = sizeMm + margin * 2;
+    let rects = '';
+
+    for (let r = 0; r < MARKER_GRID_SIZE; r++) {
+        for (let c = 0; c < MARKER_GRID_SIZE; c++) {
+            if (isMarkerCellBlack(code, r, c)) {
+                rects += `<rect x="${margin + c * cell}" y="${margin + r * cell}" width="${cell}" height="${cell}"/>`;
+            }
+        }
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${total}mm" height="${total}mm" ` +
+        `viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">` +
+        `<rect width="${total}" height="${total}" fill="#fff"/><g fill="#000">${rects}</g></svg>`;
+}
+
+function isMarkerCellBlack(code, r, c) {
+    const last = MARKER_GRID_SIZE - 1;
+    if (r === 0 || c === 0 || r === last || c === last) return true;
+
+    const bitIndex = (r - 1) * DATA_SIZE + (c - 1);
+    return ((code >> (DATA_SIZE * DATA_SIZE - 1 - bitIndex)) & 1) === 1;
+}
@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+
+const CANVAS_WIDTH = 256;
+const CANVAS_HEIGHT = 64;
+
+/**
+ * Camera-facing text label for a measurement, drawn into a canvas texture.
+ * Sprites always face the camera so the label stays readable from any angle.
+ */
+export class MeasurementLabel extends THREE.Sprite {
+    constructor(text = '') {
+        const canvas = document.createElement('canvas');
+        canvas.width = CANVAS_WIDTH;
+        canvas.height = CANVAS_HEIGHT;
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const material = new THREE.SpriteMaterial({
+            map: texture,
+            depthTest: false, // keep labels visible through the measured object
+            transparent: true
+        });
+
+        super(material);
+
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.texture = texture;
+        this.text = null;
+        this.renderOrder = 999;
+
+        // World size of the label at 1m from the camera
+        this.baseHeight = 0.025;
+        this.minHeight = 0.015;
+        this.maxHeight = 0.2;
+
+        this.setText(text);
+    }
+
+    setText(text) {
+        if (text === this.text) return;
+        this.text = text;
+
+        // Canvas 2D may be unavailable (e.g. headless environments)
+        if (!this.context) return;
+
+        const ctx = this.context;
+        ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.beginPath();
+        if (ctx.roundRect) {
+            ctx.roundRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT, 16);
+        } else {
+            ctx.rect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+        }
+        ctx.fill();
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 36px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2);
+
+        this.texture.needsUpdate = true;
+    }
+
+    /**
+     * Grow the label with camera distance so it keeps a readable on-screen size
+     */
+    updateScale(cameraPosition) {
+        const distance = this.position.distanceTo(cameraPosition);
+        const height = THREE.MathUtils.clamp(
+            this.baseHeight * distance,
+            this.minHeight,
+            this.maxHeight
+        );
+        this.scale.set(height * CANVAS_WIDTH / CANVAS_HEIGHT, height, 1);
+    }
+
+    dispose() {
+        this.texture.dispose();
+        this.material.dispose();
+    }
+}
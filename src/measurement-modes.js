@@ -0,0 +1,145 @@
+import * as THREE from 'three';
+
+export const MeasurementMode = {
+    DISTANCE: 'distance',
+    ANGLE: 'angle',
+    POLYGON: 'polygon',
+    HEIGHT: 'height',
+    CIRCLE: 'circle',
+    EDGE: 'edge'
+};
+
+// Modes where each pair of points is one fitted feature (a diameter or an edge)
+export const FIT_MODES = [MeasurementMode.CIRCLE, MeasurementMode.EDGE];
+
+export const MEASUREMENT_MODE_LABELS = {
+    [MeasurementMode.DISTANCE]: 'Distance',
+    [MeasurementMode.ANGLE]: 'Angle',
+    [MeasurementMode.POLYGON]: 'Area',
+    [MeasurementMode.HEIGHT]: 'Height',
+    [MeasurementMode.CIRCLE]: 'Hole / Knob',
+    [MeasurementMode.EDGE]: 'Edge'
+};
+
+/**
+ * Angle at vertex b formed by the segments b→a and b→c, in radians
+ */
+export function angleAt(a, b, c) {
+    const ba = new THREE.Vector3().subVectors(a, b);
+    const bc = new THREE.Vector3().subVectors(c, b);
+    if (ba.lengthSq() === 0 || bc.lengthSq() === 0) return 0;
+    return ba.angleTo(bc);
+}
+
+/**
+ * Perimeter of the closed polygon through the given points
+ */
+export function polygonPerimeter(points) {
+    if (points.length < 2) return 0;
+
+    let perimeter = 0;
+    for (let i = 0; i < points.length; i++) {
+        perimeter += points[i].distanceTo(points[(i + 1) % points.length]);
+    }
+    return perimeter;
+}
+
+/**
+ * Normal of a (roughly planar) polygon using Newell's method.
+ * The length of the unnormalized result is twice the polygon area.
+ */
+export function polygonNormal(points) {
+    const normal = new THREE.Vector3();
+
+    for (let i = 0; i < points.length; i++) {
+        const curr = points[i];
+        const next = points[(i + 1) % points.length];
+        normal.x += (curr.y - next.y) * (curr.z + next.z);
+        normal.y += (curr.z - next.z) * (curr.x + next.x);
+        normal.z += (curr.x - next.x) * (curr.y + next.y);
+    }
+
+    return normal;
+}
+
+/**
+ * Area of the closed polygon through the given points, projected onto its best-fit plane
+ */
+export function polygonArea(points) {
+    if (points.length < 3) return 0;
+    return polygonNormal(points).length() / 2;
+}
+
+/**
+ * Signed distance of a point above the plane through planePoint with the given normal
+ */
+export function heightAbovePlane(point, planePoint, planeNormal) {
+    const offset = new THREE.Vector3().subVectors(point, planePoint);
+    return offset.dot(planeNormal);
+}
+
+/**
+ * Interpret the placed points according to the measurement mode.
+ * Each result carries a `type` so the UI can format it.
+ *
+ * @param {string} mode - one of MeasurementMode
+ * @param {THREE.Vector3[]} positions - point positions in placement order
+ * @param {THREE.Vector3[]} normals - surface normal under each point
+ * @param {number} scale - calibration correction applied to every length
+ */
+export function computeResults(mode, positions, normals = [], scale = 1) {
+    const results = [];
+
+    if (mode === MeasurementMode.ANGLE) {
+        for (let i = 1; i < positions.length - 1; i++) {
+            const angle = angleAt(positions[i - 1], positions[i], positions[i + 1]);
+            results.push({
+                type: 'angle',
+                index: i,
+                value: angle,
+                degrees: THREE.MathUtils.radToDeg(angle)
+            });
+        }
+    } else if (mode === MeasurementMode.POLYGON) {
+        if (positions.length >= 3) {
+            results.push({
+                type: 'polygon',
+                pointCount: positions.length,
+                perimeter: polygonPerimeter(positions) * scale,
+                area: polygonArea(positions) * scale * scale
+            });
+        }
+    } else if (mode === MeasurementMode.HEIGHT) {
+        // The first point sits on the reference plane, every later point is measured against it
+        if (positions.length >= 2) {
+            const base = positions[0];
+            const normal = (normals[0] || new THREE.Vector3(0, 1, 0)).clone().normalize();
+            for (let i = 1; i < positions.length; i++) {
+                results.push({
+                    type: 'height',
+                    index: i,
+                    value: heightAbovePlane(positions[i], base, normal) * scale
+                });
+            }
+        }
+    } else if (FIT_MODES.includes(mode)) {
+        // Points come in pairs: the ends of a diameter or of an edge
+        for (let i = 0; i + 1 < positions.length; i += 2) {
+            results.push({
+                type: mode === MeasurementMode.CIRCLE ? 'diameter' : 'edge',
+                index: i,
+                value: positions[i].distanceTo(positions[i + 1]) * scale
+            });
+        }
+    } else {
+        for (let i = 0; i < positions.length - 1; i++) {
+            results.push({
+                type: 'distance',
+                index: i,
+                value: positions[i].distanceTo(positions[i + 1]) * scale
+            });
+        }
+    }
+
+    return results;
+}
@@ -0,0 +1,234 @@
+import * as THREE from 'three';
+import { CSG } from './csg.js';
+import { validateMesh } from './mesh-validator.js';
+import { LengthUnit, fromMeters } from './units.js';
+
+/**
+ * The scene is y up, printers and their file formats (3MF by definition) are
+ * z up: a quarter turn about x takes one to the other
+ */
+export const PRINT_FRAME = new THREE.Matrix4().set(
+    1, 0, 0, 0,
+    0, 0, -1, 0,
+    0, 1, 0, 0,
+    0, 0, 0, 1
+);
+
+/**
+ * Shared base for the file exporters. Subclasses implement toBytes(); the
+ * scene is in meters, so every exporter scales to `options.unit` (mm by default),
+ * times `options.scale` if given, and turns the part into PRINT_FRAME.
+ */
+export class MeshExporter {
+    constructor(extension, mimeType) {
+        this.extension = extension;
+        this.mimeType = mimeType;
+    }
+
+    /**
+     * Turn a part into one printable solid: union its meshes (generators return
+     * groups of overlapping primitives), weld vertices, fix the winding and
+     * validate the result. Check `report.problems` before writing the mesh.
+     *
+     * The solid is in the part's own frame - where it is placed in the scene
+     * doesn't change how it prints.
+     *
+     * @returns {{mesh: THREE.Mesh, report: Object}} mesh in part space and validateMesh() report
+     */
+    prepare(object) {
+        object.updateMatrixWorld(true);
+        const toLocal = object.matrixWorld.clone().invert();
+        const geometry = CSG.fromObject(object, toLocal).toGeometry();
+        return {
+            mesh: new THREE.Mesh(geometry),
+            report: validateMesh(geometry)
+        };
+    }
+
+    /**
+     * Encode an object without downloading it (works in Node)
+     *
+     * @param {THREE.Object3D} object
+     * @param {Object} [options] - `unit` ('mm', 'cm', 'in' or 'm'), `scale` (uniform factor, default 1)
+     *   plus format specific options
+     * @returns {Uint8Array}
+     */
+    toBytes(object, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement toBytes`);
+    }
+
+    /**
+     * Encode an object and download it as a file
+     */
+    export(object, filename = 'model.' + this.extension, options = {}) {
+        const bytes = this.toBytes(object, options);
+        this.download(bytes, filename);
+        return bytes;
+    }
+
+    download(bytes, filename) {
+        downloadFile(bytes, filename, this.mimeType);
+    }
+
+    /**
+     * All mesh triangles of an object in world space, multiplied by `scale`
+     *
+     * @param {THREE.Object3D} object
+     * @param {number} [scale]
+     * @param {THREE.Matrix4|null} [frame] - turn applied after the world matrix; null keeps the scene's y up
+     * @returns {Array<{normal: THREE.Vector3, vertices: THREE.Vector3[]}>}
+     */
+    getTriangles(object, scale = 1, frame = PRINT_FRAME) {
+        const triangles = [];
+
+        this.getTriangleSources(object, frame).forEach((source) => {
+            for (let i = 0; i < source.count; i++) {
+                const vertices = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+                this.readTriangle(source, i, scale, ...vertices);
+                triangles.push({
+                    normal: faceNormal(...vertices, new THREE.Vector3()),
+                    vertices
+                });
+            }
+        });
+
+        return triangles;
+    }
+
+    /**
+     * The meshes of an object with their world matrices (turned into `frame`)
+     * and triangle counts, so writers can size their output before walking the
+     * triangles once
+     *
+     * @param {THREE.Object3D} object
+     * @param {THREE.Matrix4|null} [frame] - see getTriangles
+     * @returns {Array<{positions: THREE.BufferAttribute, index: THREE.BufferAttribute|null,
+     *   matrix: THREE.Matrix4, count: number}>}
+     */
+    getTriangleSources(object, frame = PRINT_FRAME) {
+        const sources = [];
+        object.updateMatrixWorld(true);
+
+        object.traverse((child) => {
+            if (!child.isMesh || !child.geometry.isBufferGeometry) return;
+
+            const positions = child.geometry.attributes.position;
+            const index = child.geometry.index;
+            sources.push({
+                positions,
+                index,
+                matrix: frame ? frame.clone().multiply(child.matrixWorld) : child.matrixWorld,
+                count: Math.floor((index !== null ? index.count : positions.count) / 3)
+            });
+        });
+
+        return sources;
+    }
+
+    /**
+     * Load triangle `i` of a source into a, b and c, in world space times `scale`
+     */
+    readTriangle(source, i, scale, a, b, c) {
+        const { positions, index, matrix } = source;
+        [a, b, c].forEach((vertex, k) => {
+            const vertexIndex = index !== null ? index.getX(i * 3 + k) : i * 3 + k;
+            vertex.fromBufferAttribute(positions, vertexIndex).applyMatrix4(matrix).multiplyScalar(scale);
+        });
+    }
+
+    /**
+     * Triangles as a shared vertex list and 0-based index triples, for formats
+     * that store indexed meshes
+     */
+    getIndexedMesh(object, scale = 1) {
+        const positions = [];
+        const indices = [];
+        const lookup = new Map();
+
+        this.getTriangles(object, scale).forEach(({ vertices }) => {
+            vertices.forEach((v) => {
+                const key = `${v.x},${v.y},${v.z}`;
+                if (!lookup.has(key)) {
+                    lookup.set(key, positions.length);
+                    positions.push(v);
+                }
+                indices.push(lookup.get(key));
+            });
+        });
+
+        return { positions, indices };
+    }
+}
+
+/**
+ * Unit normal of the triangle a, b, c (counter-clockwise front face)
+ */
+export function faceNormal(a, b, c, target) {
+    edge.subVectors(a, b);
+    return target.subVectors(c, b).cross(edge).normalize();
+}
+
+const edge = new THREE.Vector3();
+
+/**
+ * Save bytes as a file through a temporary download link
+ */
+export function downloadFile(bytes, filename, mimeType) {
+    const blob = new Blob([bytes], { type: mimeType });
+    const link = document.createElement('a');
+    link.style.display = 'none';
+    document.body.appendChild(link);
+
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Factor from scene meters to an export unit
+ */
+export function unitScale(unit = LengthUnit.MM) {
+    return unit === 'm' ? 1 : fromMeters(1, unit);
+}
+
+/**
+ * Factor from scene meters to exported coordinates: the unit times the user's export scale
+ *
+ * @param {{unit?: string, scale?: number}} options
+ */
+export function exportScale(options = {}) {
+    const scale = options.scale ?? 1;
+    if (!(scale > 0)) {
+        throw new Error('Export scale must be positive: ' + scale);
+    }
+    return unitScale(options.unit) * scale;
+}
+
+/**
+ * Decimal places that resolve a tenth of a micron in an export unit - finer
+ * digits are only float noise
+ */
+export function unitPrecision(unit = LengthUnit.MM) {
+    return Math.ceil(-Math.log10(1e-6 * unitScale(unit))) + 1;
+}
+
+/**
+ * Compact decimal for text formats
+ */
+export function formatNumber(value, precision = 4) {
+    return String(parseFloat(value.toFixed(precision)));
+}
+
+/**
+ * Escape text for XML and HTML content and attribute values; numbers are written as they are
+ */
+export function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,620 @@
+import * as THREE from 'three';
+
+/**
+ * Mesh clean-up for printable output. Apart from weldVertices, which turns a
+ * triangle soup into one, everything works on indexed meshes (flat vertex and
+ * index arrays) in scene units (meters).
+ */
+
+// Vertices closer than this are treated as the same point
+export const WELD_TOLERANCE = 1e-8;
+// Largest deviation (normal or plane offset) for triangles to count as one flat face
+export const COPLANAR_TOLERANCE = 1e-6;
+// Edges shorter than this are collapsed (10 microns - far below print resolution)
+export const COLLAPSE_TOLERANCE = 1e-5;
+
+/**
+ * Merge vertices closer than `tolerance` and return an indexed mesh.
+ * Triangles that collapse to a line or point are dropped.
+ *
+ * @param {ArrayLike<number>} positions - x, y, z per vertex, 3 vertices per triangle
+ * @returns {{vertices: number[], indices: number[]}}
+ */
+export function weldVertices(positions, tolerance = WELD_TOLERANCE) {
+    const vertices = [];
+    const indices = [];
+    const grid = new Map();
+
+    const cellKey = (x, y, z) => `${x},${y},${z}`;
+    const findOrAdd = (x, y, z) => {
+        const cx = Math.floor(x / tolerance);
+        const cy = Math.floor(y / tolerance);
+        const cz = Math.floor(z / tolerance);
+
+        // A match can sit in any neighbouring cell
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    const bucket = grid.get(cellKey(cx + dx, cy + dy, cz + dz));
+                    if (!bucket) continue;
+                    for (const index of bucket) {
+                        const ox = vertices[index * 3] - x;
+                        const oy = vertices[index * 3 + 1] - y;
+                        const oz = vertices[index * 3 + 2] - z;
+                        if (ox * ox + oy * oy + oz * oz <= tolerance * tolerance) {
+                            return index;
+                        }
+                    }
+                }
+            }
+        }
+
+        const index = vertices.length / 3;
+        vertices.push(x, y, z);
+        const key = cellKey(cx, cy, cz);
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(index);
+        return index;
+    };
+
+    for (let i = 0; i < positions.length; i += 9) {
+        const a = findOrAdd(positions[i], positions[i + 1], positions[i + 2]);
+        const b = findOrAdd(positions[i + 3], positions[i + 4], positions[i + 5]);
+        const c = findOrAdd(positions[i + 6], positions[i + 7], positions[i + 8]);
+        if (a === b || b === c || c === a) continue;
+        indices.push(a, b, c);
+    }
+
+    return { vertices, indices };
+}
+
+const edgeKey = (a, b) => (a < b ? `${a}_${b}` : `${b}_${a}`);
+
+/**
+ * Count how many triangles use each undirected edge
+ */
+export function countEdges(indices) {
+    const edges = new Map();
+    for (let i = 0; i < indices.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            const key = edgeKey(indices[i + k], indices[i + (k + 1) % 3]);
+            edges.set(key, (edges.get(key) || 0) + 1);
+        }
+    }
+    return edges;
+}
+
+/**
+ * Split triangles whose edges have other vertices lying on them (T-junctions),
+ * as left behind by boolean operations. Afterwards neighbouring triangles share
+ * whole edges, which is what a closed mesh needs.
+ */
+export function splitTJunctions(vertices, indices, tolerance = WELD_TOLERANCE) {
+    const point = (i) => new THREE.Vector3(vertices[i * 3], vertices[i * 3 + 1], vertices[i * 3 + 2]);
+    let current = indices.slice();
+
+    // Each pass splits every triangle at most once; repeat until nothing changes
+    for (let pass = 0; pass < 32; pass++) {
+        const edges = countEdges(current);
+        const openVertices = new Set();
+        edges.forEach((count, key) => {
+            if (count === 1) {
+                key.split('_').forEach(v => openVertices.add(Number(v)));
+            }
+        });
+        if (openVertices.size === 0) break;
+
+        const candidates = Array.from(openVertices).map(index => ({ index, position: point(index) }));
+        const next = [];
+        let changed = false;
+
+        for (let i = 0; i < current.length; i += 3) {
+            const tri = [current[i], current[i + 1], current[i + 2]];
+            let split = null;
+
+            for (let k = 0; k < 3 && !split; k++) {
+                const a = tri[k];
+                const b = tri[(k + 1) % 3];
+                if (edges.get(edgeKey(a, b)) !== 1) continue;
+
+                const onEdge = findVerticesOnSegment(point(a), point(b), candidates, a, b, tolerance);
+                if (onEdge.length > 0) {
+                    split = { k, onEdge };
+                }
+            }
+
+            if (!split) {
+                next.push(...tri);
+                continue;
+            }
+
+            // Fan from the vertex opposite the split edge through the inserted points
+            const a = tri[split.k];
+            const b = tri[(split.k + 1) % 3];
+            const c = tri[(split.k + 2) % 3];
+            const chain = [a, ...split.onEdge, b];
+            for (let j = 0; j < chain.length - 1; j++) {
+                next.push(chain[j], chain[j + 1], c);
+            }
+            changed = true;
+        }
+
+        current = next;
+        if (!changed) break;
+    }
+
+    return current;
+}
+
+function findVerticesOnSegment(start, end, candidates, startIndex, endIndex, tolerance) {
+    const direction = new THREE.Vector3().subVectors(end, start);
+    const lengthSq = direction.lengthSq();
+    const min = new THREE.Vector3().copy(start).min(end).subScalar(tolerance);
+    const max = new THREE.Vector3().copy(start).max(end).addScalar(tolerance);
+    const found = [];
+    const offset = new THREE.Vector3();
+
+    for (const candidate of candidates) {
+        if (candidate.index === startIndex || candidate.index === endIndex) continue;
+
+        const p = candidate.position;
+        if (p.x < min.x || p.y < min.y || p.z < min.z || p.x > max.x || p.y > max.y || p.z > max.z) continue;
+
+        offset.subVectors(p, start);
+        const t = offset.dot(direction) / lengthSq;
+        if (t <= 0 || t >= 1) continue;
+
+        const distanceSq = offset.addScaledVector(direction, -t).lengthSq();
+        if (distanceSq <= tolerance * tolerance * 4) {
+            found.push({ index: candidate.index, t });
+        }
+    }
+
+    return found.sort((x, y) => x.t - y.t).map(entry => entry.index);
+}
+
+/**
+ * Drop sliver triangles whose corners are (nearly) collinear - their height over
+ * the longest edge is below the tolerance. Splitting T-junctions afterwards
+ * re-closes the edges they leave behind.
+ */
+export function removeDegenerateTriangles(vertices, indices, tolerance = WELD_TOLERANCE) {
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    const ab = new THREE.Vector3();
+    const ac = new THREE.Vector3();
+    const result = [];
+
+    for (let i = 0; i < indices.length; i += 3) {
+        a.fromArray(vertices, indices[i] * 3);
+        b.fromArray(vertices, indices[i + 1] * 3);
+        c.fromArray(vertices, indices[i + 2] * 3);
+
+        const doubleArea = ab.subVectors(b, a).cross(ac.subVectors(c, a)).length();
+        const longestEdge = Math.max(a.distanceTo(b), b.distanceTo(c), c.distanceTo(a));
+        if (doubleArea / longestEdge > tolerance) {
+            result.push(indices[i], indices[i + 1], indices[i + 2]);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Re-triangulate connected patches of coplanar triangles from their outlines.
+ * Boolean operations cut flat faces into many thin fragments; this brings the
+ * triangle count back down and gets rid of slivers. Outline points on a straight
+ * seam between two patches are dropped from both, so shared edges still match.
+ */
+export function mergeCoplanarTriangles(vertices, indices, tolerance = COPLANAR_TOLERANCE) {
+    const patches = findCoplanarPatches(vertices, indices, tolerance);
+    patches.forEach(patch => traceOutline(patch));
+    dropSeamVertices(vertices, patches, tolerance);
+
+    return patches.flatMap(patch => (patch.next && triangulateOutline(vertices, patch)) || patch.triangles);
+}
+
+function findCoplanarPatches(vertices, indices, tolerance) {
+    const triangleCount = indices.length / 3;
+    const point = (i) => new THREE.Vector3().fromArray(vertices, i * 3);
+    const normals = [];
+    const directed = new Map();
+
+    for (let t = 0; t < triangleCount; t++) {
+        const [a, b, c] = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+        normals.push(new THREE.Triangle(point(a), point(b), point(c)).getNormal(new THREE.Vector3()));
+        directed.set(`${a}_${b}`, t);
+        directed.set(`${b}_${c}`, t);
+        directed.set(`${c}_${a}`, t);
+    }
+
+    const visited = new Uint8Array(triangleCount);
+    const patches = [];
+
+    for (let seed = 0; seed < triangleCount; seed++) {
+        if (visited[seed]) continue;
+
+        // Grow across edges to neighbours lying in the seed's plane
+        const normal = normals[seed];
+        const offset = normal.dot(point(indices[seed * 3]));
+        const region = [seed];
+        visited[seed] = 1;
+
+        for (let r = 0; r < region.length; r++) {
+            const t = region[r];
+            for (let k = 0; k < 3; k++) {
+                const a = indices[t * 3 + k];
+                const b = indices[t * 3 + (k + 1) % 3];
+                const neighbour = directed.get(`${b}_${a}`);
+                if (neighbour === undefined || visited[neighbour]) continue;
+                if (normals[neighbour].dot(normal) < 1 - tolerance) continue;
+
+                const inPlane = [0, 1, 2].every(j =>
+                    Math.abs(normal.dot(point(indices[neighbour * 3 + j])) - offset) <= tolerance);
+                if (!inPlane) continue;
+
+                visited[neighbour] = 1;
+                region.push(neighbour);
+            }
+        }
+
+        patches.push({
+            normal,
+            triangles: region.flatMap(t => [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]]),
+            next: null,
+            prev: null
+        });
+    }
+
+    return patches;
+}
+
+/**
+ * Link up the outline of a patch as next/prev maps. Patches whose outline
+ * touches itself are left without one and keep their triangles.
+ */
+function traceOutline(patch) {
+    const inside = new Set();
+    const { triangles } = patch;
+    for (let i = 0; i < triangles.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            inside.add(`${triangles[i + k]}_${triangles[i + (k + 1) % 3]}`);
+        }
+    }
+
+    // Outline edges are those whose reverse isn't part of the patch
+    const next = new Map();
+    const prev = new Map();
+    for (const key of inside) {
+        const [a, b] = key.split('_').map(Number);
+        if (inside.has(`${b}_${a}`)) continue;
+        if (next.has(a) || prev.has(b)) return;
+        next.set(a, b);
+        prev.set(b, a);
+    }
+    for (const a of next.keys()) {
+        if (!prev.has(a)) return;
+    }
+
+    patch.next = next;
+    patch.prev = prev;
+}
+
+/**
+ * Remove outline points that sit on a straight seam shared by exactly two patches
+ */
+function dropSeamVertices(vertices, patches, tolerance) {
+    const owners = new Map();
+    const pinned = new Set();
+    patches.forEach(patch => {
+        if (patch.next) {
+            patch.next.forEach((_, v) => {
+                if (!owners.has(v)) owners.set(v, []);
+                owners.get(v).push(patch);
+            });
+        } else {
+            patch.triangles.forEach(v => pinned.add(v));
+        }
+    });
+
+    const start = new THREE.Vector3();
+    const end = new THREE.Vector3();
+    const position = new THREE.Vector3();
+    const segment = new THREE.Line3(start, end);
+    const closest = new THREE.Vector3();
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+        owners.forEach((list, v) => {
+            if (list.length !== 2 || pinned.has(v)) return;
+
+            const [p, q] = list;
+            const a = p.prev.get(v);
+            const b = p.next.get(v);
+            if (q.prev.get(v) !== b || q.next.get(v) !== a) return;
+            // Keep at least a triangle's worth of outline on both sides
+            if (p.next.get(b) === a || q.next.get(a) === b) return;
+
+            start.fromArray(vertices, a * 3);
+            end.fromArray(vertices, b * 3);
+            position.fromArray(vertices, v * 3);
+            const t = segment.closestPointToPointParameter(position, false);
+            if (t <= 0 || t >= 1) return;
+            if (segment.at(t, closest).distanceTo(position) > tolerance) return;
+
+            p.next.set(a, b);
+            p.prev.set(b, a);
+            q.next.set(b, a);
+            q.prev.set(a, b);
+            [p, q].forEach(patch => {
+                patch.next.delete(v);
+                patch.prev.delete(v);
+            });
+            owners.delete(v);
+            changed = true;
+        });
+    }
+}
+
+/**
+ * Triangulate a patch from its outline. Returns null when that doesn't
+ * reproduce the patch area, so the caller keeps the original triangles.
+ */
+function triangulateOutline(vertices, patch) {
+    const { normal, next } = patch;
+    const loops = [];
+    const used = new Set();
+    for (const start of next.keys()) {
+        if (used.has(start)) continue;
+        const loop = [];
+        for (let v = start; !used.has(v); v = next.get(v)) {
+            used.add(v);
+            loop.push(v);
+        }
+        loops.push(loop);
+    }
+
+    // Work in 2D coordinates within the patch plane
+    const u = new THREE.Vector3(1, 0, 0);
+    if (Math.abs(normal.x) > 0.9) u.set(0, 1, 0);
+    u.cross(normal).normalize();
+    const w = new THREE.Vector3().crossVectors(normal, u);
+    const position = new THREE.Vector3();
+    const to2D = (i) => {
+        position.fromArray(vertices, i * 3);
+        return new THREE.Vector2(position.dot(u), position.dot(w));
+    };
+
+    const outers = [];
+    const holes = [];
+    for (const loop of loops) {
+        const points = loop.map(to2D);
+        const area = THREE.ShapeUtils.area(points);
+        (area > 0 ? outers : holes).push({ loop, points, area });
+    }
+    if (outers.length !== 1) return null;
+
+    const outer = outers[0];
+    const faces = THREE.ShapeUtils.triangulateShape(outer.points.slice(), holes.map(h => h.points.slice()));
+    const lookup = outer.loop.concat(...holes.map(h => h.loop));
+    const lookupPoints = outer.points.concat(...holes.map(h => h.points));
+
+    // Reject the result unless it covers exactly the patch area
+    const expected = outer.area + holes.reduce((sum, h) => sum + h.area, 0);
+    let covered = 0;
+    for (const [a, b, c] of faces) {
+        covered += THREE.ShapeUtils.area([lookupPoints[a], lookupPoints[b], lookupPoints[c]]);
+    }
+    if (Math.abs(Math.abs(covered) - expected) > expected * 1e-6) return null;
+
+    // Earcut winds all faces the same way; match the patch normal
+    return faces.flatMap(([a, b, c]) => (covered > 0
+        ? [lookup[a], lookup[b], lookup[c]]
+        : [lookup[a], lookup[c], lookup[b]]));
+}
+
+/**
+ * Remove pairs of identical triangles facing opposite ways. They enclose no
+ * volume and show up where two re-triangulated patches meet along a nearly
+ * straight seam.
+ */
+export function removeOpposingTriangles(indices) {
+    const faces = new Map();
+    const keep = new Uint8Array(indices.length / 3).fill(1);
+
+    for (let t = 0; t < indices.length / 3; t++) {
+        const [a, b, c] = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+        // Rotate so the smallest index leads; the opposite face then has the other two swapped
+        const first = Math.min(a, b, c);
+        const ordered = first === a ? [a, b, c] : (first === b ? [b, c, a] : [c, a, b]);
+        const key = ordered.join('_');
+        const opposite = [ordered[0], ordered[2], ordered[1]].join('_');
+
+        const match = faces.get(opposite);
+        if (match && match.length > 0) {
+            keep[match.pop()] = 0;
+            keep[t] = 0;
+        } else {
+            if (!faces.has(key)) faces.set(key, []);
+            faces.get(key).push(t);
+        }
+    }
+
+    return indices.filter((_, i) => keep[Math.floor(i / 3)]);
+}
+
+/**
+ * Collapse edges shorter than `tolerance` into their first vertex. Cleans up the
+ * near-duplicate points and slivers that boolean operations leave around seams.
+ * Unlike welding this follows the mesh topology, so it only joins points that
+ * are connected and never pinches separate surfaces together.
+ */
+export function collapseShortEdges(vertices, indices, tolerance = COLLAPSE_TOLERANCE) {
+    const distanceSq = (a, b) => {
+        const dx = vertices[a * 3] - vertices[b * 3];
+        const dy = vertices[a * 3 + 1] - vertices[b * 3 + 1];
+        const dz = vertices[a * 3 + 2] - vertices[b * 3 + 2];
+        return dx * dx + dy * dy + dz * dz;
+    };
+    let current = indices.slice();
+
+    // Collapses touching the same neighbourhood are left for the next pass
+    for (let pass = 0; pass < 32; pass++) {
+        const neighbours = new Map();
+        const link = (a, b) => {
+            if (!neighbours.has(a)) neighbours.set(a, new Set());
+            neighbours.get(a).add(b);
+        };
+        for (let i = 0; i < current.length; i += 3) {
+            for (let k = 0; k < 3; k++) {
+                link(current[i + k], current[i + (k + 1) % 3]);
+                link(current[i + (k + 1) % 3], current[i + k]);
+            }
+        }
+
+        const edges = countEdges(current);
+        const locked = new Set();
+        const replace = new Map();
+
+        for (const [key, count] of edges) {
+            const [a, b] = key.split('_').map(Number);
+            if (locked.has(a) || locked.has(b)) continue;
+            if (distanceSq(a, b) > tolerance * tolerance) continue;
+
+            // Link condition: the ends may only share the two vertices opposite the edge,
+            // otherwise the collapse would fold the surface onto itself
+            let shared = 0;
+            neighbours.get(a).forEach(v => {
+                if (neighbours.get(b).has(v)) shared++;
+            });
+            if (shared !== count) continue;
+
+            replace.set(b, a);
+            locked.add(a);
+            locked.add(b);
+            neighbours.get(a).forEach(v => locked.add(v));
+            neighbours.get(b).forEach(v => locked.add(v));
+        }
+
+        if (replace.size === 0) break;
+
+        const next = [];
+        for (let i = 0; i < current.length; i += 3) {
+            const a = replace.get(current[i]) ?? current[i];
+            const b = replace.get(current[i + 1]) ?? current[i + 1];
+            const c = replace.get(current[i + 2]) ?? current[i + 2];
+            if (a === b || b === c || c === a) continue;
+            next.push(a, b, c);
+        }
+        current = next;
+    }
+
+    return current;
+}
+
+/**
+ * Make the winding consistent so neighbouring triangles run their shared edge in
+ * opposite directions, then flip each connected piece that ends up inside out
+ * (negative volume). Edges shared by more than two triangles are ignored.
+ */
+export function orientTriangles(vertices, indices) {
+    const result = indices.slice();
+    const triangleCount = result.length / 3;
+    const edgeTriangles = new Map();
+    for (let t = 0; t < triangleCount; t++) {
+        for (let k = 0; k < 3; k++) {
+            const key = edgeKey(result[t * 3 + k], result[t * 3 + (k + 1) % 3]);
+            if (!edgeTriangles.has(key)) edgeTriangles.set(key, []);
+            edgeTriangles.get(key).push(t);
+        }
+    }
+
+    const runsForward = (t, a, b) => [0, 1, 2].some(k => result[t * 3 + k] === a && result[t * 3 + (k + 1) % 3] === b);
+    const flip = (t) => {
+        [result[t * 3 + 1], result[t * 3 + 2]] = [result[t * 3 + 2], result[t * 3 + 1]];
+    };
+
+    const visited = new Uint8Array(triangleCount);
+    for (let seed = 0; seed < triangleCount; seed++) {
+        if (visited[seed]) continue;
+
+        const component = [seed];
+        visited[seed] = 1;
+        for (let c = 0; c < component.length; c++) {
+            const t = component[c];
+            for (let k = 0; k < 3; k++) {
+                const a = result[t * 3 + k];
+                const b = result[t * 3 + (k + 1) % 3];
+                const shared = edgeTriangles.get(edgeKey(a, b));
+                if (shared.length !== 2) continue;
+
+                const neighbour = shared[0] === t ? shared[1] : shared[0];
+                if (visited[neighbour]) continue;
+                // The neighbour must run the edge b -> a
+                if (runsForward(neighbour, a, b)) flip(neighbour);
+                visited[neighbour] = 1;
+                component.push(neighbour);
+            }
+        }
+
+        if (signedVolume(vertices, component.flatMap(t => [result[t * 3], result[t * 3 + 1], result[t * 3 + 2]])) < 0) {
+            component.forEach(flip);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Volume enclosed by a closed, consistently wound mesh - negative when it's inside out
+ */
+export function signedVolume(vertices, indices) {
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    let volume = 0;
+
+    for (let i = 0; i < indices.length; i += 3) {
+        a.fromArray(vertices, indices[i] * 3);
+        b.fromArray(vertices, indices[i + 1] * 3);
+        c.fromArray(vertices, indices[i + 2] * 3);
+        volume += a.dot(b.cross(c)) / 6;
+    }
+
+    return volume;
+}
+
+/**
+ * Weld a triangle soup, close the seams between its pieces and fix the winding.
+ * Returns a non-indexed geometry (flat shading) whose shared edges match exactly.
+ *
+ * @param {ArrayLike<number>} positions - x, y, z per vertex, 3 vertices per triangle.
+ *   Pass full precision values; rounding to 32-bit floats first can open up seams.
+ */
+export function closeSeams(positions, tolerance = WELD_TOLERANCE) {
+    const { vertices, indices } = weldVertices(positions, tolerance);
+    const cleaned = removeDegenerateTriangles(vertices, indices, tolerance);
+    const split = splitTJunctions(vertices, cleaned, tolerance);
+
+    // Tidy up the fragments, then close whatever seams that leaves
+    const merged = removeOpposingTriangles(mergeCoplanarTriangles(vertices, split));
+    const closed = collapseShortEdges(vertices, splitTJunctions(vertices, merged, tolerance));
+
+    return indexedToGeometry(vertices, orientTriangles(vertices, closed));
+}
+
+export function indexedToGeometry(vertices, indices) {
+    const positions = new Float32Array(indices.length * 3);
+    for (let i = 0; i < indices.length; i++) {
+        positions[i * 3] = vertices[indices[i] * 3];
+        positions[i * 3 + 1] = vertices[indices[i] * 3 + 1];
+        positions[i * 3 + 2] = vertices[indices[i] * 3 + 2];
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.computeVertexNormals();
+    return geometry;
+}
@@ -0,0 +1,141 @@
+import * as THREE from 'three';
+import { weldVertices, signedVolume } from './mesh-repair.js';
+
+// Touching within this distance (meters) doesn't count as intersecting
+const INTERSECTION_TOLERANCE = 1e-9;
+
+/**
+ * Check that a geometry is a printable solid: closed (every edge shared by
+ * exactly two triangles), consistently wound, outward facing and free of
+ * self-intersections.
+ *
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {{valid: boolean, problems: string[], triangleCount: number, openEdges: number,
+ *   nonManifoldEdges: number, flippedEdges: number, selfIntersections: number, volume: number}}
+ */
+export function validateMesh(geometry) {
+    const source = geometry.index ? geometry.toNonIndexed() : geometry;
+    const { vertices, indices } = weldVertices(source.attributes.position.array);
+
+    // Directed edge counts: a closed, consistently wound mesh has every edge once in each direction
+    const directed = new Map();
+    for (let i = 0; i < indices.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            const key = `${indices[i + k]}_${indices[i + (k + 1) % 3]}`;
+            directed.set(key, (directed.get(key) || 0) + 1);
+        }
+    }
+
+    let openEdges = 0;
+    let nonManifoldEdges = 0;
+    let flippedEdges = 0;
+    const seen = new Set();
+    directed.forEach((count, key) => {
+        const [a, b] = key.split('_');
+        const reverseKey = `${b}_${a}`;
+        if (seen.has(reverseKey)) return;
+        seen.add(key);
+
+        const reverse = directed.get(reverseKey) || 0;
+        const total = count + reverse;
+        if (total === 1) openEdges++;
+        else if (total > 2) nonManifoldEdges++;
+        else if (reverse !== 1) flippedEdges++;
+    });
+
+    const selfIntersections = countSelfIntersections(vertices, indices);
+    const volume = signedVolume(vertices, indices);
+
+    const problems = [];
+    if (indices.length === 0) problems.push('Mesh has no triangles');
+    if (openEdges > 0) problems.push(`${openEdges} open edge${openEdges > 1 ? 's' : ''} (holes in the surface)`);
+    if (nonManifoldEdges > 0) problems.push(`${nonManifoldEdges} edge${nonManifoldEdges > 1 ? 's' : ''} shared by more than two faces`);
+    if (flippedEdges > 0) problems.push(`${flippedEdges} edge${flippedEdges > 1 ? 's' : ''} between faces with opposite winding`);
+    if (selfIntersections > 0) problems.push(`${selfIntersections} pair${selfIntersections > 1 ? 's' : ''} of intersecting faces`);
+    if (volume < 0) problems.push('Surface is inside out (negative volume)');
+
+    return {
+        valid: problems.length === 0,
+        problems,
+        triangleCount: indices.length / 3,
+        openEdges,
+        nonManifoldEdges,
+        flippedEdges,
+        selfIntersections,
+        volume
+    };
+}
+
+/**
+ * Count pairs of triangles that cross each other. Triangles sharing a corner
+ * are neighbours and are skipped, as are coplanar overlaps.
+ */
+export function countSelfIntersections(vertices, indices) {
+    const triangles = [];
+    for (let i = 0; i < indices.length; i += 3) {
+        const corners = [indices[i], indices[i + 1], indices[i + 2]];
+        const points = corners.map(v => new THREE.Vector3().fromArray(vertices, v * 3));
+        triangles.push({ corners, points, box: new THREE.Box3().setFromPoints(points) });
+    }
+
+    // Sweep along x so only triangles with overlapping extents get tested
+    triangles.sort((a, b) => a.box.min.x - b.box.min.x);
+
+    let count = 0;
+    for (let i = 0; i < triangles.length; i++) {
+        const first = triangles[i];
+        for (let j = i + 1; j < triangles.length; j++) {
+            const second = triangles[j];
+            if (second.box.min.x > first.box.max.x) break;
+            if (!first.box.intersectsBox(second.box)) continue;
+            if (first.corners.some(v => second.corners.includes(v))) continue;
+
+            if (trianglesIntersect(first.points, second.points)) count++;
+        }
+    }
+
+    return count;
+}
+
+function trianglesIntersect(a, b) {
+    for (let k = 0; k < 3; k++) {
+        if (segmentCrossesTriangle(a[k], a[(k + 1) % 3], b)) return true;
+        if (segmentCrossesTriangle(b[k], b[(k + 1) % 3], a)) return true;
+    }
+    return false;
+}
+
+const edge1 = new THREE.Vector3();
+const edge2 = new THREE.Vector3();
+const direction = new THREE.Vector3();
+const pvec = new THREE.Vector3();
+const tvec = new THREE.Vector3();
+const qvec = new THREE.Vector3();
+
+/**
+ * Möller–Trumbore test for the segment start-end passing through the triangle's interior
+ */
+function segmentCrossesTriangle(start, end, [a, b, c]) {
+    edge1.subVectors(b, a);
+    edge2.subVectors(c, a);
+    direction.subVectors(end, start);
+    const length = direction.length();
+    if (length === 0) return false;
+
+    pvec.crossVectors(direction, edge2);
+    const det = edge1.dot(pvec);
+    // Parallel (or coplanar) segments don't cross
+    if (Math.abs(det) < 1e-18) return false;
+
+    const inverse = 1 / det;
+    tvec.subVectors(start, a);
+    const u = tvec.dot(pvec) * inverse;
+    qvec.crossVectors(tvec, edge1);
+    const v = direction.dot(qvec) * inverse;
+    const t = edge2.dot(qvec) * inverse;
+
+    // Scale the tolerances so touching at a corner or along an edge isn't reported
+    const margin = INTERSECTION_TOLERANCE / Math.max(edge1.length(), edge2.length());
+    const along = INTERSECTION_TOLERANCE / length;
+    return u > margin && v > margin && u + v < 1 - margin && t > along && t < 1 - along;
+}
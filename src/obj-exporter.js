@@ -0,0 +1,42 @@
+import { MeshExporter, exportScale, unitPrecision, formatNumber } from './mesh-exporter.js';
+import { LengthUnit } from './units.js';
+
+/**
+ * Wavefront OBJ - plain text vertices and faces. The format has no units, so
+ * the unit and any metadata go into comments.
+ */
+export class OBJExporter extends MeshExporter {
+    constructor() {
+        super('obj', 'model/obj');
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.unit='mm']
+     * @param {number} [options.scale=1]
+     * @param {string} [options.name] - object name
+     * @param {Object<string, string>} [options.metadata] - written as comments
+     * @returns {Uint8Array}
+     */
+    toBytes(object, options = {}) {
+        const unit = options.unit || LengthUnit.MM;
+        const { positions, indices } = this.getIndexedMesh(object, exportScale(options));
+        const precision = unitPrecision(unit);
+
+        const lines = ['# AR Repair Kit', `# units: ${unit}`];
+        Object.entries(options.metadata || {}).forEach(([key, value]) => {
+            lines.push(`# ${key}: ${value}`);
+        });
+        lines.push(`o ${(options.name || 'part').replace(/\s+/g, '_')}`);
+
+        positions.forEach((v) => {
+            lines.push(`v ${formatNumber(v.x, precision)} ${formatNumber(v.y, precision)} ${formatNumber(v.z, precision)}`);
+        });
+        // OBJ indices are 1-based
+        for (let i = 0; i < indices.length; i += 3) {
+            lines.push(`f ${indices[i] + 1} ${indices[i + 1] + 1} ${indices[i + 2] + 1}`);
+        }
+
+        return new TextEncoder().encode(lines.join('\n') + '\n');
+    }
+}
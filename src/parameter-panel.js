@@ -0,0 +1,134 @@
+import { fromMeters, toMeters, formatLength } from './units.js';
+
+/**
+ * Dimension editing panel - one row per part parameter showing where its value
+ * comes from, the measured value and an editable override within min/max.
+ */
+export class ParameterPanel {
+    constructor(container) {
+        this.container = container;
+        this.onChange = null; // (key, value) with value in meters for lengths, null to reset
+        this.displayUnit = 'cm';
+        this.precision = 1;
+    }
+
+    /**
+     * @param {Array} entries - output of describeMapping()
+     * @param {string} displayUnit - unit lengths are shown and typed in
+     * @param {number} [precision] - decimal places of displayed lengths
+     */
+    render(entries, displayUnit, precision = this.precision) {
+        this.displayUnit = displayUnit;
+        this.precision = precision;
+        this.container.innerHTML = '';
+
+        entries.forEach((entry) => {
+            this.container.appendChild(this.createRow(entry));
+        });
+    }
+
+    createRow(entry) {
+        const row = document.createElement('div');
+        row.className = 'parameter-row';
+
+        const label = document.createElement('label');
+        label.htmlFor = 'param-' + entry.key;
+        label.textContent = entry.label;
+
+        const source = document.createElement('div');
+        source.className = 'mapping-source';
+        source.textContent = this.describeSource(entry);
+
+        const input = this.createInput(entry);
+        input.id = 'param-' + entry.key;
+        if (entry.override !== null) row.classList.add('overridden');
+
+        const unit = document.createElement('span');
+        unit.textContent = entry.unit === 'length' ? this.displayUnit : '';
+
+        const reset = document.createElement('button');
+        reset.textContent = 'Reset';
+        reset.disabled = entry.override === null;
+        reset.addEventListener('click', () => this.emitChange(entry.key, null));
+
+        const range = document.createElement('div');
+        range.className = 'parameter-range';
+        range.textContent = this.describeRange(entry);
+
+        row.append(label, source, input, unit, reset, range);
+        return row;
+    }
+
+    createInput(entry) {
+        if (entry.unit === 'choice') {
+            const select = document.createElement('select');
+            entry.options.forEach((option) => {
+                const element = document.createElement('option');
+                element.value = option;
+                element.textContent = option;
+                select.appendChild(element);
+            });
+            select.value = entry.value;
+            select.addEventListener('change', () => this.emitChange(entry.key, select.value));
+            return select;
+        }
+
+        const input = document.createElement('input');
+
+        if (entry.unit === 'boolean') {
+            input.type = 'checkbox';
+            input.checked = Boolean(entry.value);
+            input.addEventListener('change', () => this.emitChange(entry.key, input.checked));
+            return input;
+        }
+
+        input.type = 'number';
+        input.step = entry.unit === 'count' ? '1' : 'any';
+        if (entry.value !== undefined) {
+            input.value = this.toDisplay(entry, entry.value);
+        }
+        if (isFinite(entry.min)) input.min = this.toDisplay(entry, entry.min);
+        if (isFinite(entry.max)) input.max = this.toDisplay(entry, entry.max);
+
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            if (isNaN(value)) return;
+            this.emitChange(entry.key, this.fromDisplay(entry, value));
+        });
+        return input;
+    }
+
+    describeSource(entry) {
+        if (entry.source === null) return 'default';
+        if (entry.measured === null) return `segment ${entry.source + 1} (not measured)`;
+        return `segment ${entry.source + 1}: ${this.formatValue(entry, entry.measured)}`;
+    }
+
+    describeRange(entry) {
+        if (entry.unit === 'choice' || entry.unit === 'boolean') return '';
+        const min = isFinite(entry.min) ? this.formatValue(entry, entry.min) : '';
+        const max = isFinite(entry.max) ? this.formatValue(entry, entry.max) : '';
+        if (!min && !max) return '';
+        return `${min} – ${max}`;
+    }
+
+    formatValue(entry, value) {
+        if (entry.unit === 'length') return formatLength(value, this.displayUnit, this.precision);
+        return String(Math.round(value));
+    }
+
+    toDisplay(entry, value) {
+        if (entry.unit !== 'length') return value;
+        return parseFloat(fromMeters(value, this.displayUnit).toFixed(3));
+    }
+
+    fromDisplay(entry, value) {
+        if (entry.unit === 'count') return Math.round(value);
+        if (entry.unit !== 'length') return value;
+        return toMeters(value, this.displayUnit);
+    }
+
+    emitChange(key, value) {
+        if (this.onChange) this.onChange(key, value);
+    }
+}
@@ -1,4 +1,22 @@
 import * as THREE from 'three';
+import { CSG } from './csg.js';
+import { circleContour, fingerJointPanel, rectangleContour } from './flat-pattern.js';
+import { fitGapSurface, heightFieldSolid, measuredPoints } from './conformal-shim.js';
+import { measurementFrame } from './part-placement.js';
+
+// Metric countersunk screws: clearance hole (ISO 273 medium) and head diameter (ISO 10642), meters
+export const SCREW_SIZES = {
+    M3: { clearance: 0.0034, head: 0.0067 },
+    M4: { clearance: 0.0045, head: 0.0090 },
+    M5: { clearance: 0.0055, head: 0.0112 },
+    M6: { clearance: 0.0066, head: 0.0134 }
+};
+
+// Clearance between a screw head and the flange edges or leg ends, meters
+const SCREW_MARGIN = 0.002;
+
+// Neutral axis position in a bend as a fraction of the sheet thickness
+const BEND_K_FACTOR = 0.44;
 
 export class ParametricGenerator {
     constructor(scene) {
@@ -6,61 +24,274 @@ export class ParametricGenerator {
     }
 
     /**
-     * Generate a simple L-bracket based on measurements
-     * This is a starting point - can be expanded to generate more complex parts
+     * Generate an L-bracket based on measurements as a single solid.
+     * The L profile is extruded across the flange width, with an optional
+     * inner fillet, a centre gusset and countersunk screw holes in both legs.
+     *
+     * @param {Array} measurements - measured segments, first two give width and height
+     * @param {Object} [options] - explicit values overriding the measured/default ones:
+     *   width, height, thickness, flangeWidth, filletRadius, gusset (boolean),
+     *   screwSize ('none' or a key of SCREW_SIZES), holesPerFlange
      */
-    generateBracket(measurements) {
-        if (measurements.length < 2) {
-            throw new Error('Need at least 2 measurements to generate bracket');
-        }
+    generateBracket(measurements, options = {}) {
+        const { profile, gusset, holes, warnings } = this.planBracket(measurements, options);
 
-        // Use first measurement for one dimension, second for another
-        const width = measurements[0].distanceToNext;
-        const height = measurements.length > 1 ? measurements[1].distanceToNext : width;
-        const thickness = 0.01; // 1cm default thickness
+        let solid = CSG.fromGeometry(profile);
+        if (gusset) solid = solid.union(CSG.fromGeometry(gusset));
 
-        // Create an L-shaped bracket
-        const group = new THREE.Group();
+        // Cut all holes at once - every subtraction fragments the solid's faces further
+        if (holes.length > 0) {
+            const cutters = holes
+                .map(({ shaft, countersink, matrix }) => CSG.fromGeometry(shaft, matrix).union(CSG.fromGeometry(countersink, matrix)))
+                .reduce((all, hole) => all.union(hole));
+            solid = solid.subtract(cutters);
+        }
+
+        warnings.forEach(warning => console.warn(warning));
 
-        // Horizontal part
-        const horizontalGeometry = new THREE.BoxGeometry(width, thickness, thickness);
         const material = new THREE.MeshStandardMaterial({ 
             color: 0x4CAF50,
             roughness: 0.7,
             metalness: 0.3
         });
-        const horizontalPart = new THREE.Mesh(horizontalGeometry, material);
-        horizontalPart.position.set(width / 2, 0, 0);
+        return this.placeBracket(measurements, [new THREE.Mesh(solid.toGeometry(), material)], warnings);
+    }
+
+    /**
+     * Quick look at a bracket while its parameters are edited: the profile and
+     * gusset as separate meshes and the screw holes as dark pins, without the
+     * booleans of generateBracket. Not for export.
+     */
+    generateBracketPreview(measurements, options = {}) {
+        const { profile, gusset, holes, warnings } = this.planBracket(measurements, options);
+
+        const material = new THREE.MeshStandardMaterial({
+            color: 0x4CAF50,
+            roughness: 0.7,
+            metalness: 0.3
+        });
+        const holeMaterial = new THREE.MeshBasicMaterial({ color: 0x222222 });
+        const meshes = [new THREE.Mesh(profile, material)];
+        if (gusset) meshes.push(new THREE.Mesh(gusset, material));
+        holes.forEach(({ shaft, countersink, matrix }) => {
+            countersink.dispose();
+            shaft.applyMatrix4(matrix);
+            meshes.push(new THREE.Mesh(shaft, holeMaterial));
+        });
+
+        const group = this.placeBracket(measurements, meshes, warnings);
+        group.userData.preview = true;
+        return group;
+    }
+
+    /**
+     * Shapes making up a bracket: the extruded profile, the gusset and the
+     * cutters of each screw hole, plus warnings for options that didn't fit
+     *
+     * @returns {{profile: THREE.BufferGeometry, gusset: THREE.BufferGeometry|null,
+     *   holes: Array<{shaft: THREE.BufferGeometry, countersink: THREE.BufferGeometry, matrix: THREE.Matrix4}>,
+     *   warnings: string[]}}
+     */
+    planBracket(measurements, options) {
+        if (measurements.length < 2) {
+            throw new Error('Need at least 2 measurements to generate bracket');
+        }
 
-        // Vertical part
-        const verticalGeometry = new THREE.BoxGeometry(thickness, height, thickness);
-        const verticalPart = new THREE.Mesh(verticalGeometry, material);
-        verticalPart.position.set(0, height / 2, 0);
+        const {
+            width, height, thickness, flangeWidth, filletRadius, gusset, screwSize, holesPerFlange
+        } = this.resolveBracketOptions(measurements, options);
 
-        group.add(horizontalPart);
-        group.add(verticalPart);
+        const warnings = [];
+        const profile = this.createBracketProfile(width, height, thickness, flangeWidth, filletRadius);
 
-        // Position the bracket at the first measurement point
-        if (measurements.length > 0) {
-            group.position.copy(measurements[0].position);
+        // Triangular gusset across the inner corner, sunk into both legs so the union is clean
+        let gussetGeometry = null;
+        const gussetSize = Math.min(width, height) * 0.6 - thickness;
+        if (gusset && gussetSize > filletRadius) {
+            const inset = thickness / 2;
+            const triangle = new THREE.Shape();
+            triangle.moveTo(thickness - inset, thickness - inset);
+            triangle.lineTo(thickness + gussetSize, thickness - inset);
+            triangle.lineTo(thickness - inset, thickness + gussetSize);
+            triangle.closePath();
+
+            gussetGeometry = new THREE.ExtrudeGeometry(triangle, { depth: thickness, bevelEnabled: false });
+            gussetGeometry.translate(0, 0, -thickness / 2);
+        } else if (gusset) {
+            warnings.push('Bracket legs are too short for a gusset');
         }
 
+        // Countersunk screw holes, keeping clear of the corner (and gusset) and the leg ends
+        const holes = [];
+        const screw = SCREW_SIZES[screwSize];
+        if (screw && holesPerFlange > 0) {
+            const cornerClearance = thickness + (gusset ? Math.max(gussetSize, filletRadius) : filletRadius);
+
+            if (flangeWidth < screw.head + SCREW_MARGIN * 2) {
+                warnings.push(`Flange is too narrow for ${screwSize} screws`);
+            } else {
+                const legs = [
+                    { length: width, matrix: (offset) => new THREE.Matrix4().makeTranslation(offset, 0, 0) },
+                    {
+                        length: height,
+                        // Turn the cutter so its axis runs along x, through the vertical leg
+                        matrix: (offset) => new THREE.Matrix4()
+                            .makeTranslation(0, offset, 0)
+                            .multiply(new THREE.Matrix4().makeRotationZ(-Math.PI / 2))
+                    }
+                ];
+
+                for (const leg of legs) {
+                    const offsets = this.getScrewHoleOffsets(leg.length, cornerClearance, screw, holesPerFlange);
+                    if (offsets.length === 0) {
+                        warnings.push(`A bracket leg is too short for ${screwSize} screw holes`);
+                        continue;
+                    }
+
+                    for (const offset of offsets) {
+                        const [shaft, countersink] = this.createCountersunkHole(screw, thickness);
+                        holes.push({ shaft, countersink, matrix: leg.matrix(offset) });
+                    }
+                }
+            }
+        }
+
+        return { profile, gusset: gussetGeometry, holes, warnings };
+    }
+
+    /**
+     * Group the bracket's meshes at the first measurement point
+     */
+    placeBracket(measurements, meshes, warnings) {
+        const group = new THREE.Group();
+        meshes.forEach(mesh => group.add(mesh));
+        group.userData.warnings = warnings;
+        group.position.copy(measurements[0].position);
+
         this.scene.add(group);
         return group;
     }
 
+    /**
+     * Fill in bracket options from the measurements and defaults. The fillet is
+     * clamped so it fits inside both legs.
+     */
+    resolveBracketOptions(measurements, options = {}) {
+        // Use first measurement for one dimension, second for another
+        const width = options.width ?? measurements[0].distanceToNext;
+        const height = options.height ?? (measurements.length > 1 ? measurements[1].distanceToNext : width);
+        const thickness = options.thickness ?? 0.01; // 1cm default thickness
+
+        // The fillet has to fit inside both legs
+        const maxFillet = Math.max(Math.min(width, height) - thickness - 0.001, 0);
+
+        return {
+            width,
+            height,
+            thickness,
+            flangeWidth: options.flangeWidth ?? 0.02,
+            filletRadius: Math.min(options.filletRadius ?? 0.003, maxFillet),
+            gusset: options.gusset ?? false,
+            screwSize: options.screwSize ?? 'M4',
+            holesPerFlange: options.holesPerFlange ?? 1
+        };
+    }
+
+    /**
+     * Screw hole positions along a bracket leg, measured from the outer corner.
+     * Empty if the leg is too short to fit them between the corner and its end.
+     */
+    getScrewHoleOffsets(legLength, cornerClearance, screw, count) {
+        const start = cornerClearance + screw.head / 2 + SCREW_MARGIN;
+        const end = legLength - screw.head / 2 - SCREW_MARGIN;
+        if (end < start || count < 1) return [];
+
+        if (count === 1) return [(start + end) / 2];
+        return Array.from({ length: count }, (_, i) => start + (end - start) * i / (count - 1));
+    }
+
+    /**
+     * L cross-section (outer corner at the origin, legs along +x and +y)
+     * extruded across the flange width and centred on z = 0
+     */
+    createBracketProfile(width, height, thickness, flangeWidth, filletRadius) {
+        const profile = new THREE.Shape();
+        profile.moveTo(0, 0);
+        profile.lineTo(width, 0);
+        profile.lineTo(width, thickness);
+
+        if (filletRadius > 0) {
+            // Concave quarter circle joining the two inner faces
+            profile.lineTo(thickness + filletRadius, thickness);
+            profile.absarc(
+                thickness + filletRadius,
+                thickness + filletRadius,
+                filletRadius,
+                -Math.PI / 2,
+                Math.PI,
+                true
+            );
+        } else {
+            profile.lineTo(thickness, thickness);
+        }
+
+        profile.lineTo(thickness, height);
+        profile.lineTo(0, height);
+        profile.closePath();
+
+        const geometry = new THREE.ExtrudeGeometry(profile, {
+            depth: flangeWidth,
+            bevelEnabled: false,
+            curveSegments: 12
+        });
+        geometry.translate(0, 0, -flangeWidth / 2);
+        return geometry;
+    }
+
+    /**
+     * Cutters for a countersunk clearance hole through a plate lying in y = 0..thickness,
+     * with the 90° countersink opening on the y = thickness face.
+     */
+    createCountersunkHole(screw, thickness, segments = 32) {
+        // Cutters overshoot the plate faces so no cutter face is coplanar with the plate
+        const overshoot = 0.0005;
+
+        const shaft = new THREE.CylinderGeometry(
+            screw.clearance / 2,
+            screw.clearance / 2,
+            thickness + overshoot * 2,
+            segments
+        );
+        shaft.translate(0, thickness / 2, 0);
+
+        // A 90° countersink is as deep as its radius grows; leave some plate under it
+        const depth = Math.min((screw.head - screw.clearance) / 2, thickness * 0.8);
+        const countersink = new THREE.CylinderGeometry(
+            screw.clearance / 2 + depth + overshoot,
+            screw.clearance / 2,
+            depth + overshoot,
+            segments
+        );
+        countersink.translate(0, thickness - depth + (depth + overshoot) / 2, 0);
+
+        return [shaft, countersink];
+    }
+
     /**
      * Generate a simple shim/spacer based on measurements
+     *
+     * @param {Array} measurements - measured segments, the first gives the thickness
+     * @param {Object} [options] - explicit { thickness, diameter } overriding the defaults
      */
-    generateShim(measurements) {
+    generateShim(measurements, options = {}) {
         if (measurements.length < 1) {
             throw new Error('Need at least 1 measurement to generate shim');
         }
 
-        const thickness = measurements[0].distanceToNext;
-        const diameter = 0.02; // 2cm default diameter
+        const thickness = options.thickness ?? measurements[0].distanceToNext;
+        const diameter = options.diameter ?? 0.02; // 2cm default diameter
 
-        const geometry = new THREE.CylinderGeometry(diameter, diameter, thickness, 32);
+        const geometry = new THREE.CylinderGeometry(diameter / 2, diameter / 2, thickness, 32);
         const material = new THREE.MeshStandardMaterial({ 
             color: 0x2196F3,
             roughness: 0.7,
@@ -76,6 +307,64 @@ export class ParametricGenerator {
         return shim;
     }
 
+    /**
+     * Generate a shim shaped to an uneven gap (a wobbly table leg, a warped
+     * joint). The first measured point sits on the reference plane; the rest
+     * lie on the surface to fill up to, either along a line or spread over an
+     * area. The gap is interpolated between them and filled down to the plane.
+     *
+     * @param {Array} measurements - measured segments; their points, not lengths, shape the shim
+     * @param {Object} [options]
+     * @param {number} [options.minThickness=0.001] - thinner spots are raised to this
+     * @param {number} [options.width=0.02] - width across the line when the points form a line
+     */
+    generateConformalShim(measurements, options = {}) {
+        if (measurements.length < 2) {
+            throw new Error('Need at least 2 measurements to generate conformal shim');
+        }
+
+        const minThickness = options.minThickness ?? 0.001;
+        const width = options.width ?? 0.02;
+        const warnings = [];
+
+        const points = measuredPoints(measurements);
+        const frame = measurementFrame(points, measurements[0].normal);
+        const toPlane = frame.clone().invert();
+        const samples = points.slice(1).map((point) => {
+            const local = point.clone().applyMatrix4(toPlane);
+            return { x: local.x, z: local.z, height: local.y };
+        });
+
+        const { mode, outline, heightAt } = fitGapSurface(samples, width);
+        let clamped = false;
+        let maxThickness = 0;
+        const geometry = heightFieldSolid(outline, (x, z) => {
+            const height = heightAt(x, z);
+            if (height < minThickness) clamped = true;
+            maxThickness = Math.max(maxThickness, height);
+            return Math.max(height, minThickness);
+        });
+
+        if (clamped) {
+            warnings.push('The gap is thinner than the minimum thickness in places; the shim is thickened there');
+        }
+        warnings.forEach(warning => console.warn(warning));
+
+        const material = new THREE.MeshStandardMaterial({
+            color: 0x2196F3,
+            roughness: 0.7,
+            metalness: 0.3
+        });
+        const shim = new THREE.Mesh(geometry, material);
+        frame.decompose(shim.position, shim.quaternion, shim.scale);
+        shim.userData.warnings = warnings;
+        shim.userData.fit = mode;
+        shim.userData.maxThickness = Math.max(maxThickness, minThickness);
+
+        this.scene.add(shim);
+        return shim;
+    }
+
     /**
      * Generate a parametric box with custom dimensions
      */
@@ -124,5 +413,140 @@ export class ParametricGenerator {
         this.scene.add(group);
         return group;
     }
-}
 
+    /**
+     * Flat blank for bending the L-bracket from sheet: both legs plus the bend
+     * allowance, with clearance holes for the screws and the bend line marked.
+     * The inner fillet becomes the bend radius; a gusset can't be bent in and is
+     * left out.
+     *
+     * @param {Array} measurements - measured segments, first two give width and height
+     * @param {Object} [options] - as for generateBracket, `thickness` being the sheet thickness
+     * @returns {Object} flat pattern (see flat-pattern.js)
+     */
+    generateBracketBlank(measurements, options = {}) {
+        if (measurements.length < 2) {
+            throw new Error('Need at least 2 measurements to generate bracket');
+        }
+
+        const {
+            width, height, thickness, flangeWidth, filletRadius, gusset, screwSize, holesPerFlange
+        } = this.resolveBracketOptions(measurements, options);
+        const warnings = [];
+
+        // Straight lengths outside the bend, plus the arc length along the neutral axis
+        const bendStart = thickness + filletRadius;
+        const verticalLength = height - bendStart;
+        const bendAllowance = Math.PI / 2 * (filletRadius + BEND_K_FACTOR * thickness);
+        const length = verticalLength + bendAllowance + width - bendStart;
+
+        // The blank runs from the end of the vertical leg to the end of the horizontal one
+        const holes = [];
+        const screw = SCREW_SIZES[screwSize];
+        if (screw && holesPerFlange > 0) {
+            if (flangeWidth < screw.head + SCREW_MARGIN * 2) {
+                warnings.push(`Flange is too narrow for ${screwSize} screws`);
+            } else {
+                const legs = [
+                    { length: width, position: (offset) => verticalLength + bendAllowance + offset - bendStart },
+                    { length: height, position: (offset) => height - offset }
+                ];
+                for (const leg of legs) {
+                    const offsets = this.getScrewHoleOffsets(leg.length, bendStart, screw, holesPerFlange);
+                    if (offsets.length === 0) {
+                        warnings.push(`A bracket leg is too short for ${screwSize} screw holes`);
+                    }
+                    offsets.forEach((offset) => {
+                        const center = new THREE.Vector2(leg.position(offset), flangeWidth / 2);
+                        holes.push(circleContour(center, screw.clearance / 2));
+                    });
+                }
+            }
+        }
+        if (gusset) {
+            warnings.push('The gusset is left out of the flat blank');
+        }
+
+        const bendLine = verticalLength + bendAllowance / 2;
+        warnings.forEach(warning => console.warn(warning));
+
+        return {
+            name: 'L-Bracket blank',
+            materialThickness: thickness,
+            warnings,
+            parts: [{
+                name: 'Blank',
+                outline: rectangleContour(length, flangeWidth),
+                holes,
+                marks: [[new THREE.Vector2(bendLine, 0), new THREE.Vector2(bendLine, flangeWidth)]]
+            }]
+        };
+    }
+
+    /**
+     * Outline of the shim for cutting it from sheet of the shim's thickness
+     *
+     * @param {Array} measurements - measured segments, the first gives the thickness
+     * @param {Object} [options] - explicit { thickness, diameter } overriding the defaults
+     * @returns {Object} flat pattern (see flat-pattern.js)
+     */
+    generateShimProfile(measurements, options = {}) {
+        if (measurements.length < 1) {
+            throw new Error('Need at least 1 measurement to generate shim');
+        }
+
+        const thickness = options.thickness ?? measurements[0].distanceToNext;
+        const radius = (options.diameter ?? 0.02) / 2;
+
+        return {
+            name: 'Shim',
+            materialThickness: thickness,
+            warnings: [],
+            parts: [{
+                name: 'Shim',
+                outline: circleContour(new THREE.Vector2(radius, radius), radius),
+                holes: [],
+                marks: []
+            }]
+        };
+    }
+
+    /**
+     * Panels of an open-top box, joined with finger joints, for cutting from
+     * sheet `thickness` thick. Dimensions mean what they do for generateBox:
+     * width and depth run between the wall centres, height is the outside
+     * height - the assembled panels match the 3D box.
+     *
+     * @returns {Object} flat pattern (see flat-pattern.js)
+     */
+    generateBoxPanels(width, height, depth, thickness = 0.005) {
+        const outerWidth = width + thickness;
+        const outerDepth = depth + thickness;
+
+        // Edges are bottom, right, top, left. Front and back own the corners,
+        // the walls own the bottom edges.
+        const front = ['tabs', 'tabs', 'flat', 'tabs'];
+        const side = ['tabs', 'slots', 'flat', 'slots'];
+        const bottom = ['slots', 'slots', 'slots', 'slots'];
+
+        const panel = (name, panelWidth, panelHeight, edges) => ({
+            name,
+            outline: fingerJointPanel(panelWidth, panelHeight, edges, thickness),
+            holes: [],
+            marks: []
+        });
+
+        return {
+            name: 'Open Box',
+            materialThickness: thickness,
+            warnings: [],
+            parts: [
+                panel('Bottom', outerWidth, outerDepth, bottom),
+                panel('Front', outerWidth, height, front),
+                panel('Back', outerWidth, height, front),
+                panel('Left', outerDepth, height, side),
+                panel('Right', outerDepth, height, side)
+            ]
+        };
+    }
+}
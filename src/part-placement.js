@@ -0,0 +1,246 @@
+import * as THREE from 'three';
+
+// Rotation step for the rotate buttons, degrees
+export const ROTATION_STEP = 15;
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Frame of a set of measured points: origin at the first point, y along its
+ * surface normal and x towards the second point. Parts are generated and
+ * placed in this frame.
+ *
+ * @param {THREE.Vector3[]} points - point positions, at least one
+ * @param {THREE.Vector3} normal - surface normal at the first point
+ * @returns {THREE.Matrix4}
+ */
+export function measurementFrame(points, normal) {
+    const y = normal.clone().normalize();
+    const x = points.length > 1 ? points[1].clone().sub(points[0]).projectOnPlane(y) : new THREE.Vector3();
+    if (x.lengthSq() < 1e-12) {
+        // No usable direction along the surface - pick any
+        x.set(1, 0, 0).projectOnPlane(y);
+        if (x.lengthSq() < 1e-12) x.set(0, 0, 1).projectOnPlane(y);
+    }
+    x.normalize();
+    const z = new THREE.Vector3().crossVectors(x, y);
+
+    return new THREE.Matrix4().makeBasis(x, y, z).setPosition(points[0]);
+}
+
+/**
+ * Pose of the generated part in the scene. The pose is kept relative to the
+ * measured points, so the part follows when points are moved, and in AR it is
+ * held by a WebXR anchor so it stays put on the real object as tracking
+ * improves. Users can drag it across detected surfaces and rotate it to check
+ * the fit before printing.
+ */
+export class PartPlacement {
+    constructor(arMeasurement) {
+        this.arMeasurement = arMeasurement;
+        this.part = null;
+
+        // Part pose in the frame of the measured points (see getMeasurementFrame)
+        this.relativeMatrix = new THREE.Matrix4();
+
+        this.session = null;
+        this.anchor = null;
+        // Counts anchor requests so a late result for an old pose is dropped
+        this.anchorRequest = 0;
+        this.anchorPending = false;
+
+        this.moving = false;
+        this.dragging = false;
+        this.snapToSurface = true;
+        this.onMovingChange = null;
+    }
+
+    startSession(session) {
+        this.session = session;
+        session.addEventListener('selectstart', () => {
+            if (this.moving && this.part) this.dragging = true;
+        });
+        session.addEventListener('selectend', () => {
+            if (!this.dragging) return;
+            this.dragging = false;
+            this.commit();
+        });
+        session.addEventListener('end', () => {
+            this.session = null;
+            this.anchor = null;
+            this.setMoving(false);
+        });
+        if (this.part) this.requestAnchor();
+    }
+
+    /**
+     * Frame given by the measured points (see measurementFrame)
+     */
+    getMeasurementFrame() {
+        const points = this.arMeasurement.points;
+        if (points.length === 0) return new THREE.Matrix4();
+
+        return measurementFrame(points.map(point => point.position), points[0].userData.normal || UP);
+    }
+
+    /**
+     * Show a part at its pose relative to the measured points. A regenerated part
+     * takes the place of the previous one.
+     */
+    attach(part) {
+        this.part = part;
+        this.updateFromPoints();
+    }
+
+    detach() {
+        this.part = null;
+        this.dragging = false;
+        this.deleteAnchor();
+    }
+
+    /**
+     * Forget any moves and go back to the pose given by the measurements
+     */
+    reset() {
+        this.relativeMatrix.identity();
+        if (this.part) this.updateFromPoints();
+    }
+
+    /**
+     * Re-pose the part after the measured points changed
+     */
+    updateFromPoints() {
+        if (!this.part) return;
+
+        const pose = this.getMeasurementFrame().multiply(this.relativeMatrix);
+        pose.decompose(this.part.position, this.part.quaternion, new THREE.Vector3());
+        this.part.updateMatrixWorld(true);
+        this.requestAnchor();
+    }
+
+    /**
+     * Turn the part about its own up axis
+     */
+    rotate(degrees) {
+        if (!this.part) return;
+
+        const turn = new THREE.Quaternion().setFromAxisAngle(UP, THREE.MathUtils.degToRad(degrees));
+        this.part.quaternion.multiply(turn);
+        this.commit();
+    }
+
+    /**
+     * While moving, taps drag the part instead of placing measurement points
+     */
+    setMoving(moving) {
+        this.moving = moving;
+        this.dragging = false;
+        this.arMeasurement.setInteractionEnabled(!moving);
+        if (this.onMovingChange) this.onMovingChange(moving);
+    }
+
+    setSnapToSurface(enabled) {
+        this.snapToSurface = enabled;
+    }
+
+    /**
+     * Pose relative to the measured points as a plain array (for project files)
+     */
+    getRelativePose() {
+        return this.relativeMatrix.toArray();
+    }
+
+    setRelativePose(elements) {
+        this.relativeMatrix.fromArray(elements);
+        this.updateFromPoints();
+    }
+
+    /**
+     * Call once per XR frame
+     */
+    update(frame, referenceSpace) {
+        if (!this.part || !frame) return;
+
+        if (this.dragging) {
+            this.followSurface();
+            return;
+        }
+
+        // Wait until a dragged measurement point is let go before anchoring
+        if (this.anchorPending && this.arMeasurement.dragIndex === -1) {
+            this.createAnchor(frame, referenceSpace);
+        }
+
+        // Let the anchor carry the part as tracking refines its idea of the room
+        if (this.anchor && frame.trackedAnchors && frame.trackedAnchors.has(this.anchor)) {
+            const pose = frame.getPose(this.anchor.anchorSpace, referenceSpace);
+            if (pose) {
+                new THREE.Matrix4().fromArray(pose.transform.matrix)
+                    .decompose(this.part.position, this.part.quaternion, new THREE.Vector3());
+            }
+        }
+    }
+
+    /**
+     * Put the part on the surface under the reticle, lying flat on it when snapping
+     */
+    followSurface() {
+        const surface = this.arMeasurement.getReticleSurface();
+        if (!surface) return;
+
+        this.part.position.copy(surface.position);
+        if (this.snapToSurface) {
+            // Tilt the part's up axis onto the surface normal, keeping its heading
+            const up = UP.clone().applyQuaternion(this.part.quaternion);
+            const tilt = new THREE.Quaternion().setFromUnitVectors(up, surface.normal);
+            this.part.quaternion.premultiply(tilt);
+        }
+    }
+
+    /**
+     * Keep the current pose: store it relative to the points and anchor it
+     */
+    commit() {
+        this.part.updateMatrixWorld(true);
+        this.relativeMatrix.copy(this.getMeasurementFrame().invert().multiply(this.part.matrixWorld));
+        this.requestAnchor();
+    }
+
+    requestAnchor() {
+        this.deleteAnchor();
+        this.anchorPending = this.session !== null;
+    }
+
+    createAnchor(frame, referenceSpace) {
+        this.anchorPending = false;
+        // Anchors are an optional session feature
+        if (typeof frame.createAnchor !== 'function') return;
+
+        const request = ++this.anchorRequest;
+        const { position, quaternion } = this.part;
+        const transform = new XRRigidTransform(
+            { x: position.x, y: position.y, z: position.z },
+            { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w }
+        );
+
+        frame.createAnchor(transform, referenceSpace).then((anchor) => {
+            if (request !== this.anchorRequest || !this.part) {
+                anchor.delete();
+                return;
+            }
+            this.anchor = anchor;
+        }).catch((error) => {
+            console.warn('Could not anchor the part:', error);
+        });
+    }
+
+    deleteAnchor() {
+        // Invalidate any anchor still being created
+        this.anchorRequest++;
+        this.anchorPending = false;
+        if (this.anchor) {
+            this.anchor.delete();
+            this.anchor = null;
+        }
+    }
+}
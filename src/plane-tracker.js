@@ -0,0 +1,182 @@
+import * as THREE from 'three';
+
+const HORIZONTAL_COLOR = 0x00bcd4;
+const VERTICAL_COLOR = 0xab47bc;
+
+// How far off a plane a point may be and still count as lying on it, meters
+const PLANE_TOLERANCE = 0.02;
+
+/**
+ * Planes found by WebXR plane detection ('plane-detection' session feature),
+ * drawn as translucent outlines. Each plane gets a stable id for the session
+ * so measurement points can record which surface they lie on.
+ */
+export class PlaneTracker {
+    constructor(scene) {
+        this.group = new THREE.Group();
+        scene.add(this.group);
+
+        // XRPlane -> {id, orientation, polygon, outline, normal, origin, matrix, object, lastChangedTime}
+        this.planes = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Call once per XR frame
+     */
+    update(frame, referenceSpace) {
+        const detected = frame.detectedPlanes;
+        if (!detected) return;
+
+        for (const xrPlane of this.planes.keys()) {
+            if (!detected.has(xrPlane)) this.removePlane(xrPlane);
+        }
+
+        detected.forEach((xrPlane) => {
+            const pose = frame.getPose(xrPlane.planeSpace, referenceSpace);
+            if (!pose) return;
+
+            let plane = this.planes.get(xrPlane);
+            if (!plane) {
+                plane = {
+                    id: 'plane-' + this.nextId++,
+                    orientation: xrPlane.orientation || null,
+                    polygon: [],
+                    outline: [],
+                    normal: new THREE.Vector3(),
+                    origin: new THREE.Vector3(),
+                    matrix: new THREE.Matrix4(),
+                    object: null,
+                    lastChangedTime: -1
+                };
+                this.planes.set(xrPlane, plane);
+            }
+
+            if (plane.lastChangedTime !== xrPlane.lastChangedTime) {
+                plane.lastChangedTime = xrPlane.lastChangedTime;
+                // Plane space has y along the normal, so the outline lies in its xz plane
+                plane.polygon = xrPlane.polygon.map(p => new THREE.Vector3(p.x, 0, p.z));
+                this.rebuildObject(plane);
+            }
+
+            plane.matrix.fromArray(pose.transform.matrix);
+            plane.object.matrix.copy(plane.matrix);
+            plane.origin.setFromMatrixPosition(plane.matrix);
+            plane.normal.setFromMatrixColumn(plane.matrix, 1).normalize();
+            plane.outline = plane.polygon.map(p => p.clone().applyMatrix4(plane.matrix));
+        });
+    }
+
+    rebuildObject(plane) {
+        if (plane.object) this.disposeObject(plane.object);
+
+        const color = plane.orientation === 'vertical' ? VERTICAL_COLOR : HORIZONTAL_COLOR;
+        const object = new THREE.Group();
+        object.matrixAutoUpdate = false;
+
+        if (plane.polygon.length >= 3) {
+            const flat = plane.polygon.map(p => new THREE.Vector2(p.x, p.z));
+            const fill = new THREE.BufferGeometry().setFromPoints(plane.polygon);
+            fill.setIndex(THREE.ShapeUtils.triangulateShape(flat, []).flat());
+            object.add(new THREE.Mesh(fill, new THREE.MeshBasicMaterial({
+                color,
+                side: THREE.DoubleSide,
+                transparent: true,
+                opacity: 0.15,
+                depthWrite: false
+            })));
+
+            object.add(new THREE.LineLoop(
+                new THREE.BufferGeometry().setFromPoints(plane.polygon),
+                new THREE.LineBasicMaterial({ color })
+            ));
+        }
+
+        plane.object = object;
+        this.group.add(object);
+    }
+
+    /**
+     * Plane a point lies on: within PLANE_TOLERANCE of it and inside (or just
+     * outside) its outline. The closest one wins where planes overlap.
+     */
+    findPlane(position) {
+        let best = null;
+        let bestDistance = PLANE_TOLERANCE;
+        const inverse = new THREE.Matrix4();
+
+        this.planes.forEach((plane) => {
+            if (plane.polygon.length < 3) return;
+            const distance = Math.abs(plane.normal.dot(position) - plane.normal.dot(plane.origin));
+            if (distance > bestDistance) return;
+
+            const local = position.clone().applyMatrix4(inverse.copy(plane.matrix).invert());
+            if (!isNearPolygon(local.x, local.z, plane.polygon, PLANE_TOLERANCE)) return;
+
+            bestDistance = distance;
+            best = plane;
+        });
+
+        return best;
+    }
+
+    /**
+     * What a measurement point keeps about its plane
+     */
+    describe(plane) {
+        return {
+            id: plane.id,
+            orientation: plane.orientation,
+            normal: plane.normal.clone()
+        };
+    }
+
+    setVisible(visible) {
+        this.group.visible = visible;
+    }
+
+    removePlane(xrPlane) {
+        const plane = this.planes.get(xrPlane);
+        if (plane.object) this.disposeObject(plane.object);
+        this.planes.delete(xrPlane);
+    }
+
+    clear() {
+        Array.from(this.planes.keys()).forEach(xrPlane => this.removePlane(xrPlane));
+    }
+
+    disposeObject(object) {
+        this.group.remove(object);
+        object.children.forEach((child) => {
+            child.geometry.dispose();
+            child.material.dispose();
+        });
+    }
+}
+
+/**
+ * Point-in-polygon in the plane's xz coordinates, counting points within
+ * `margin` of an edge as inside
+ */
+function isNearPolygon(x, z, polygon, margin) {
+    let inside = false;
+    let nearEdge = false;
+    const point = new THREE.Vector2(x, z);
+    const a = new THREE.Vector2();
+    const b = new THREE.Vector2();
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        a.set(polygon[i].x, polygon[i].z);
+        b.set(polygon[j].x, polygon[j].z);
+        if ((a.y > z) !== (b.y > z) && x < (b.x - a.x) * (z - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+
+        // Distance to the edge
+        const edge = b.clone().sub(a);
+        const t = THREE.MathUtils.clamp(point.clone().sub(a).dot(edge) / Math.max(edge.lengthSq(), 1e-12), 0, 1);
+        if (a.clone().addScaledVector(edge, t).distanceTo(point) <= margin) nearEdge = true;
+    }
+
+    return inside || nearEdge;
+}
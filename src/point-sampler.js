@@ -0,0 +1,103 @@
+import * as THREE from 'three';
+
+// Spread (RMS distance from the mean) at which confidence reaches zero
+const MAX_ACCEPTABLE_SPREAD = 0.005;
+// Never reject samples closer to the median than this, even if the MAD is tiny
+const MIN_INLIER_TOLERANCE = 0.001;
+// 1.4826 * MAD estimates the standard deviation for normally distributed noise
+const MAD_TO_SIGMA = 1.4826;
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0
+        ? (sorted[middle - 1] + sorted[middle]) / 2
+        : sorted[middle];
+}
+
+/**
+ * Robust average of a cloud of hit-test positions.
+ * Samples further than `outlierSigmas` robust standard deviations from the
+ * component-wise median are dropped before averaging.
+ *
+ * @param {THREE.Vector3[]} samples
+ * @returns {{position: THREE.Vector3, spread: number, confidence: number, sampleCount: number, inlierCount: number}}
+ */
+export function robustMean(samples, outlierSigmas = 2.5) {
+    if (samples.length === 0) {
+        throw new Error('Need at least one sample');
+    }
+
+    const center = new THREE.Vector3(
+        median(samples.map(s => s.x)),
+        median(samples.map(s => s.y)),
+        median(samples.map(s => s.z))
+    );
+
+    const distances = samples.map(s => s.distanceTo(center));
+    const sigma = MAD_TO_SIGMA * median(distances);
+    const tolerance = Math.max(outlierSigmas * sigma, MIN_INLIER_TOLERANCE);
+    const inliers = samples.filter((s, i) => distances[i] <= tolerance);
+
+    const position = new THREE.Vector3();
+    inliers.forEach(s => position.add(s));
+    position.divideScalar(inliers.length);
+
+    let sumSquares = 0;
+    inliers.forEach(s => {
+        sumSquares += s.distanceToSquared(position);
+    });
+    const spread = Math.sqrt(sumSquares / inliers.length);
+
+    // Tight clusters where most samples agree get high confidence
+    const inlierRatio = inliers.length / samples.length;
+    const confidence = THREE.MathUtils.clamp(1 - spread / MAX_ACCEPTABLE_SPREAD, 0, 1) * inlierRatio;
+
+    return {
+        position,
+        spread,
+        confidence,
+        sampleCount: samples.length,
+        inlierCount: inliers.length
+    };
+}
+
+/**
+ * Collects reticle poses over a short time window for one placed point
+ */
+export class PointSampler {
+    constructor(startTime, duration = 500, minSamples = 5) {
+        this.startTime = startTime;
+        this.duration = duration;
+        this.minSamples = minSamples;
+        this.positions = [];
+        this.normals = [];
+    }
+
+    addSample(position, normal) {
+        this.positions.push(position.clone());
+        this.normals.push(normal.clone());
+    }
+
+    hasSamples() {
+        return this.positions.length > 0;
+    }
+
+    isComplete(time) {
+        // Give slow devices extra time to collect enough samples, but don't wait forever
+        const elapsed = time - this.startTime;
+        return elapsed >= this.duration &&
+            (this.positions.length >= this.minSamples || elapsed >= this.duration * 3);
+    }
+
+    /**
+     * Robust mean position plus the average surface normal of the collected samples
+     */
+    finish() {
+        const result = robustMean(this.positions);
+        const normal = new THREE.Vector3();
+        this.normals.forEach(n => normal.add(n));
+        result.normal = normal.normalize();
+        return result;
+    }
+}
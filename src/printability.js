@@ -0,0 +1,282 @@
+import * as THREE from 'three';
+import { formatLength } from './units.js';
+
+/**
+ * Printability checks for a part before export. Works on plain triangle data
+ * ({normal, vertices: [a, b, c]} in meters - what MeshExporter.getTriangles
+ * returns) so it runs without a renderer. The triangles are the ones the
+ * exporter writes, z up as the printer sees them.
+ */
+
+export const PrintIssue = {
+    THIN_WALL: 'thin-wall',
+    OVERHANG: 'overhang',
+    BED_SIZE: 'bed-size'
+};
+
+export const DEFAULT_PRINTER = {
+    nozzleDiameter: 0.0004,
+    // Walls narrower than this many extrusion lines print weak or not at all
+    minWallLines: 2,
+    // Faces leaning further than this from vertical need support (degrees)
+    overhangAngle: 45,
+    // Printable volume; width/depth are interchangeable since the part can be turned on the bed
+    bed: { width: 0.22, depth: 0.22, height: 0.25 },
+    // PLA, kg/m³
+    materialDensity: 1240,
+    filamentDiameter: 0.00175,
+    // Exported files are z up (see PRINT_FRAME)
+    up: new THREE.Vector3(0, 0, 1)
+};
+
+// Faces this close to the lowest point sit on the bed and aren't overhangs
+const BED_CONTACT_TOLERANCE = 1e-5;
+
+// The far side of a wall faces away from the ray within this many degrees.
+// Faces the ray only grazes are the rim of an edge, not the other side of a wall
+const WALL_EXIT_ANGLE = 60;
+
+// Cap on grid cells along the longest side for the wall thickness rays
+const GRID_MAX_DIVISIONS = 64;
+
+/**
+ * Run every check on a part
+ *
+ * @param {Array<{normal: THREE.Vector3, vertices: THREE.Vector3[]}>} triangles
+ * @param {Object} [printer] - overrides for DEFAULT_PRINTER
+ * @returns {{warnings: Array<{type: string, message: string, triangles: number[]}>,
+ *   minWallThickness: number, overhangArea: number, size: THREE.Vector3, fitsBed: boolean,
+ *   volume: number, mass: number, filamentLength: number}} lengths in meters, mass in kg
+ */
+export function analyzePrintability(triangles, printer = {}) {
+    const settings = {
+        ...DEFAULT_PRINTER,
+        ...printer,
+        bed: { ...DEFAULT_PRINTER.bed, ...printer.bed }
+    };
+    const warnings = [];
+
+    // Thin walls
+    const minWall = settings.nozzleDiameter * settings.minWallLines;
+    const thickness = measureWallThickness(triangles);
+    const thin = [];
+    thickness.forEach((value, index) => {
+        if (value < minWall) thin.push(index);
+    });
+    const minWallThickness = thickness.reduce((min, value) => Math.min(min, value), Infinity);
+    if (thin.length > 0) {
+        warnings.push({
+            type: PrintIssue.THIN_WALL,
+            message: `Walls down to ${formatLength(minWallThickness, 'mm', 2)} - thinner than ${settings.minWallLines} lines of a ${formatLength(settings.nozzleDiameter, 'mm', 1)} nozzle`,
+            triangles: thin
+        });
+    }
+
+    // Overhangs
+    const overhangs = findOverhangs(triangles, settings.overhangAngle, settings.up);
+    const overhangArea = overhangs.reduce((sum, index) => sum + triangleArea(triangles[index]), 0);
+    if (overhangs.length > 0) {
+        warnings.push({
+            type: PrintIssue.OVERHANG,
+            message: `${(overhangArea * 1e6).toFixed(1)} mm² of overhang steeper than ${settings.overhangAngle}° - needs support`,
+            triangles: overhangs
+        });
+    }
+
+    // Build volume
+    const size = computeSize(triangles, settings.up);
+    const fitsBed = fitsOnBed(size, settings.bed);
+    if (!fitsBed) {
+        const format = (v) => formatLength(v, 'mm', 0);
+        warnings.push({
+            type: PrintIssue.BED_SIZE,
+            message: `Part is ${format(size.x)} × ${format(size.z)} × ${format(size.y)} high, ` +
+                `bigger than the ${format(settings.bed.width)} × ${format(settings.bed.depth)} × ${format(settings.bed.height)} bed`,
+            triangles: []
+        });
+    }
+
+    const volume = Math.abs(computeVolume(triangles));
+    const filamentArea = Math.PI * (settings.filamentDiameter / 2) ** 2;
+
+    return {
+        warnings,
+        minWallThickness,
+        overhangArea,
+        size,
+        fitsBed,
+        volume,
+        mass: volume * settings.materialDensity,
+        filamentLength: volume / filamentArea
+    };
+}
+
+/**
+ * Wall thickness under every triangle: the distance from its centre, straight
+ * into the part, to the opposite surface. Infinity where nothing is hit.
+ */
+export function measureWallThickness(triangles) {
+    const grid = new TriangleGrid(triangles);
+    const minExit = Math.cos(THREE.MathUtils.degToRad(WALL_EXIT_ANGLE));
+    const ray = new THREE.Ray();
+    const hit = new THREE.Vector3();
+    // Triangles spanning several cells are only tested once per ray
+    const tested = new Int32Array(triangles.length).fill(-1);
+
+    return triangles.map((triangle, index) => {
+        const [a, b, c] = triangle.vertices;
+        ray.origin.copy(a).add(b).add(c).divideScalar(3);
+        ray.direction.copy(triangle.normal).negate();
+
+        let nearest = Infinity;
+        grid.walk(ray, (cell, exit) => {
+            cell.forEach((other) => {
+                if (other === index || tested[other] === index) return;
+                tested[other] = index;
+
+                const target = triangles[other];
+                if (target.normal.dot(ray.direction) < minExit) return;
+                const [p, q, r] = target.vertices;
+                if (!ray.intersectTriangle(p, q, r, false, hit)) return;
+
+                const distance = hit.distanceTo(ray.origin);
+                // Ignore neighbours touching at the start point
+                if (distance > 1e-7 && distance < nearest) nearest = distance;
+            });
+            // Cells further along can't hold anything nearer
+            return nearest <= exit;
+        });
+        return nearest;
+    });
+}
+
+/**
+ * Uniform grid of triangle indices, so a ray only tests the triangles in the
+ * cells it passes through
+ */
+class TriangleGrid {
+    constructor(triangles) {
+        this.box = new THREE.Box3();
+        triangles.forEach(t => t.vertices.forEach(v => this.box.expandByPoint(v)));
+        const size = this.box.isEmpty() ? new THREE.Vector3() : this.box.getSize(new THREE.Vector3());
+
+        // Around a cell per triangle's worth of the longest side, which keeps cells small on flat parts too
+        const longest = Math.max(size.x, size.y, size.z, 1e-9);
+        const divisions = Math.min(GRID_MAX_DIVISIONS, Math.max(1, Math.ceil(2 * Math.cbrt(triangles.length))));
+        this.cellSize = longest / divisions;
+        this.counts = [size.x, size.y, size.z].map(length => Math.max(1, Math.ceil(length / this.cellSize)));
+        this.cells = new Map();
+
+        const low = new THREE.Vector3();
+        const high = new THREE.Vector3();
+        const bounds = new THREE.Box3();
+        triangles.forEach((triangle, index) => {
+            bounds.setFromPoints(triangle.vertices);
+            this.cellOf(bounds.min, low);
+            this.cellOf(bounds.max, high);
+            for (let x = low.x; x <= high.x; x++) {
+                for (let y = low.y; y <= high.y; y++) {
+                    for (let z = low.z; z <= high.z; z++) {
+                        const key = this.key(x, y, z);
+                        if (!this.cells.has(key)) this.cells.set(key, []);
+                        this.cells.get(key).push(index);
+                    }
+                }
+            }
+        });
+    }
+
+    key(x, y, z) {
+        return (z * this.counts[1] + y) * this.counts[0] + x;
+    }
+
+    cellOf(point, target) {
+        const clamp = (value, axis) => Math.min(this.counts[axis] - 1, Math.max(0, Math.floor(value / this.cellSize)));
+        return target.set(
+            clamp(point.x - this.box.min.x, 0),
+            clamp(point.y - this.box.min.y, 1),
+            clamp(point.z - this.box.min.z, 2)
+        );
+    }
+
+    /**
+     * Visit the cells along a ray starting inside the grid, nearest first.
+     * visit(triangleIndices, exitDistance) returns true to stop.
+     */
+    walk(ray, visit) {
+        const cell = this.cellOf(ray.origin, new THREE.Vector3()).toArray();
+        const origin = ray.origin.toArray();
+        const direction = ray.direction.toArray();
+        const min = this.box.min.toArray();
+        const step = [];
+        const next = [];
+        const delta = [];
+        for (let axis = 0; axis < 3; axis++) {
+            const d = direction[axis];
+            step[axis] = d > 0 ? 1 : -1;
+            delta[axis] = d === 0 ? Infinity : this.cellSize / Math.abs(d);
+            const boundary = min[axis] + (cell[axis] + (d > 0 ? 1 : 0)) * this.cellSize;
+            next[axis] = d === 0 ? Infinity : (boundary - origin[axis]) / d;
+        }
+
+        for (;;) {
+            const axis = next[0] < next[1] ? (next[0] < next[2] ? 0 : 2) : (next[1] < next[2] ? 1 : 2);
+            const triangles = this.cells.get(this.key(...cell));
+            if (triangles && visit(triangles, next[axis])) return;
+
+            cell[axis] += step[axis];
+            if (cell[axis] < 0 || cell[axis] >= this.counts[axis]) return;
+            next[axis] += delta[axis];
+        }
+    }
+}
+
+/**
+ * Indices of downward facing triangles leaning more than `maxAngle` degrees
+ * from vertical, excluding the ones resting on the bed
+ */
+export function findOverhangs(triangles, maxAngle = DEFAULT_PRINTER.overhangAngle, up = DEFAULT_PRINTER.up) {
+    const limit = Math.sin(THREE.MathUtils.degToRad(maxAngle));
+    let lowest = Infinity;
+    triangles.forEach(t => t.vertices.forEach(v => {
+        lowest = Math.min(lowest, v.dot(up));
+    }));
+
+    const result = [];
+    triangles.forEach((triangle, index) => {
+        const downward = -triangle.normal.dot(up);
+        if (downward <= limit) return;
+
+        const onBed = triangle.vertices.every(v => v.dot(up) - lowest < BED_CONTACT_TOLERANCE);
+        if (!onBed) result.push(index);
+    });
+    return result;
+}
+
+/**
+ * Bounding box size with `y` along the up axis
+ */
+export function computeSize(triangles, up = DEFAULT_PRINTER.up) {
+    // Measure in a frame whose y axis is `up`
+    const rotation = new THREE.Quaternion().setFromUnitVectors(up.clone().normalize(), new THREE.Vector3(0, 1, 0));
+    const box = new THREE.Box3();
+    triangles.forEach(t => t.vertices.forEach(v => box.expandByPoint(v.clone().applyQuaternion(rotation))));
+    return box.isEmpty() ? new THREE.Vector3() : box.getSize(new THREE.Vector3());
+}
+
+export function fitsOnBed(size, bed) {
+    if (size.y > bed.height) return false;
+    return (size.x <= bed.width && size.z <= bed.depth) || (size.x <= bed.depth && size.z <= bed.width);
+}
+
+/**
+ * Enclosed volume (m³) of a closed, outward facing triangle mesh
+ */
+export function computeVolume(triangles) {
+    const cross = new THREE.Vector3();
+    return triangles.reduce((sum, { vertices: [a, b, c] }) => sum + a.dot(cross.crossVectors(b, c)) / 6, 0);
+}
+
+function triangleArea({ vertices: [a, b, c] }) {
+    return new THREE.Triangle(a, b, c).getArea();
+}
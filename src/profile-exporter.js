@@ -0,0 +1,58 @@
+import { downloadFile, formatNumber, unitPrecision } from './mesh-exporter.js';
+import { applyKerf, layoutPattern } from './flat-pattern.js';
+import { LengthUnit, fromMeters } from './units.js';
+
+/**
+ * Shared base for the 2D flat pattern exporters (DXF, SVG). Subclasses
+ * implement toBytes(); patterns are in meters and written in `options.unit`
+ * (mm by default). Patterns are always cut at true size - the export scale
+ * for 3D models would spoil joints cut to the sheet thickness.
+ */
+export class ProfileExporter {
+    constructor(extension, mimeType) {
+        this.extension = extension;
+        this.mimeType = mimeType;
+    }
+
+    /**
+     * Encode a flat pattern without downloading it (works in Node)
+     *
+     * @param {Object} pattern - see flat-pattern.js
+     * @param {Object} [options]
+     * @param {number} [options.kerf=0] - width of the laser cut in meters, compensated for on every contour
+     * @param {string} [options.unit='mm'] - 'mm', 'cm' or 'in'
+     * @returns {Uint8Array}
+     */
+    toBytes(pattern, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement toBytes`);
+    }
+
+    /**
+     * Encode a flat pattern and download it as a file
+     */
+    export(pattern, filename = 'pattern.' + this.extension, options = {}) {
+        const bytes = this.toBytes(pattern, options);
+        this.download(bytes, filename);
+        return bytes;
+    }
+
+    download(bytes, filename) {
+        downloadFile(bytes, filename, this.mimeType);
+    }
+
+    /**
+     * Apply the kerf and lay the parts out side by side
+     *
+     * @returns {{parts: Array, width: number, height: number}} in meters
+     */
+    prepare(pattern, kerf = 0) {
+        return layoutPattern(kerf > 0 ? applyKerf(pattern, kerf) : pattern);
+    }
+}
+
+/**
+ * A length in meters as a number string in the file's unit, without float noise
+ */
+export function toUnit(meters, unit = LengthUnit.MM) {
+    return formatNumber(fromMeters(meters, unit), unitPrecision(unit));
+}
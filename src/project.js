@@ -0,0 +1,191 @@
+import { downloadFile } from './mesh-exporter.js';
+
+/**
+ * Project files: everything needed to pick a measuring session up again -
+ * points, units, calibration, the chosen template and edited parameters.
+ * Projects are plain JSON so they can be kept in IndexedDB or shared as files.
+ */
+
+export const PROJECT_FORMAT = 'ar-repair-kit-project';
+export const PROJECT_VERSION = 1;
+
+const DB_NAME = 'ar-repair-kit';
+const DB_VERSION = 1;
+const STORE_NAME = 'projects';
+
+// Upgrades from older versions, keyed by the version they upgrade from
+const MIGRATIONS = {};
+
+/**
+ * @param {Object} state
+ * @param {string} state.name
+ * @param {string} state.units - display unit
+ * @param {string} state.mode - measurement mode
+ * @param {{scaleFactor: number, method: string|null}} state.calibration
+ * @param {Array} state.points - ARMeasurement.getPointData()
+ * @param {Array} state.measurements - measured segments, kept for reference (rebuilt from the points on load)
+ * @param {string} state.template - template id
+ * @param {Object} state.parameterOverrides
+ * @param {boolean} state.partGenerated - rebuild the part when loading
+ * @param {number[]} [state.partPose] - part pose relative to the measured points (4x4 matrix, column-major)
+ */
+export function createProject(state) {
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        name: state.name,
+        savedAt: new Date().toISOString(),
+        units: state.units,
+        mode: state.mode,
+        calibration: {
+            scaleFactor: state.calibration.scaleFactor,
+            method: state.calibration.method
+        },
+        points: state.points,
+        measurements: state.measurements.map(({ distanceToNext, spread, confidence }) => ({
+            distance: distanceToNext,
+            spread,
+            confidence
+        })),
+        template: state.template,
+        parameterOverrides: { ...state.parameterOverrides },
+        partGenerated: state.partGenerated,
+        partPose: state.partPose || null
+    };
+}
+
+export function serializeProject(project) {
+    return JSON.stringify(project, null, 2);
+}
+
+/**
+ * Read a project from JSON, upgrading older versions
+ *
+ * @param {string|Object} source - JSON text or an already parsed object
+ */
+export function parseProject(source) {
+    let project = source;
+    if (typeof source === 'string') {
+        try {
+            project = JSON.parse(source);
+        } catch (error) {
+            throw new Error('Not a project file: ' + error.message);
+        }
+    }
+
+    if (!project || project.format !== PROJECT_FORMAT) {
+        throw new Error('Not a project file');
+    }
+    if (!Number.isInteger(project.version)) {
+        throw new Error('Project has no valid version');
+    }
+    if (project.version > PROJECT_VERSION) {
+        throw new Error(`Project version ${project.version} is newer than this app supports`);
+    }
+    while (project.version < PROJECT_VERSION) {
+        const migrate = MIGRATIONS[project.version];
+        if (!migrate) {
+            throw new Error(`Project version ${project.version} can no longer be read`);
+        }
+        project = migrate(project);
+    }
+
+    const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+    if (!Array.isArray(project.points) || !project.points.every(p => isVector(p.position) && isVector(p.normal))) {
+        throw new Error('Project has invalid measurement points');
+    }
+    if (project.partPose != null && !(Array.isArray(project.partPose) && project.partPose.length === 16 && project.partPose.every(Number.isFinite))) {
+        throw new Error('Project has an invalid part pose');
+    }
+    return project;
+}
+
+/**
+ * Download a project as a .json file
+ */
+export function downloadProject(project) {
+    // The IndexedDB key means nothing on another device
+    const { id, ...data } = project;
+    const filename = (project.name || 'project').replace(/[^\w-]+/g, '-') + '.arproject.json';
+    downloadFile(new TextEncoder().encode(serializeProject(data)), filename, 'application/json');
+}
+
+/**
+ * Read a project from a user picked file
+ */
+export async function readProjectFile(file) {
+    return parseProject(await file.text());
+}
+
+/**
+ * Saved sessions in IndexedDB
+ */
+export class ProjectStore {
+    constructor(dbName = DB_NAME) {
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('Saving projects needs IndexedDB');
+        }
+
+        const request = indexedDB.open(this.dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        };
+        this.db = await promisify(request);
+        return this.db;
+    }
+
+    /**
+     * Save a project, replacing the stored one if it has an `id` (leave it out for a new one)
+     *
+     * @returns {Promise<number>} id of the stored project
+     */
+    async save(project) {
+        const store = await this.transaction('readwrite');
+        return promisify(store.put(project));
+    }
+
+    /**
+     * Stored projects, newest first, without their points
+     *
+     * @returns {Promise<Array<{id: number, name: string, savedAt: string, template: string, pointCount: number}>>}
+     */
+    async list() {
+        const store = await this.transaction('readonly');
+        const projects = await promisify(store.getAll());
+        return projects
+            .map(({ id, name, savedAt, template, points }) => ({ id, name, savedAt, template, pointCount: points.length }))
+            .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    async load(id) {
+        const store = await this.transaction('readonly');
+        const project = await promisify(store.get(id));
+        if (!project) {
+            throw new Error('Project not found: ' + id);
+        }
+        return parseProject(project);
+    }
+
+    async delete(id) {
+        const store = await this.transaction('readwrite');
+        await promisify(store.delete(id));
+    }
+
+    async transaction(mode) {
+        const db = await this.open();
+        return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    }
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
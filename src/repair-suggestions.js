@@ -0,0 +1,237 @@
+import * as THREE from 'three';
+import { templateRegistry, clampParameter } from './templates.js';
+import { measuredPoints } from './conformal-shim.js';
+import { angleAt, heightAbovePlane, polygonNormal } from './measurement-modes.js';
+import { formatLength } from './units.js';
+
+/**
+ * Offline repair suggestions. The measurement set is boiled down to a few
+ * features - segment lengths, corner angles, flatness and heights off the
+ * first surface - and each rule scores one shape template against them.
+ * Rules are plain data: register another one to cover a new case, app.js
+ * only lists what comes out.
+ */
+
+// Corners within this many degrees of square count as right angles
+const SQUARE_TOLERANCE = 15;
+
+// Points within this distance of a common plane are coplanar, meters
+const COPLANAR_TOLERANCE = 0.003;
+
+// Segments leaving their surface steeper than this (cosine to the normal) measure a height
+const RISING = 0.7;
+
+// Gaps up to this size are shim territory, meters
+const MAX_SHIM_GAP = 0.03;
+
+/**
+ * Shape of a measurement set, as seen by the rules
+ *
+ * @param {Array} measurements - measured segments (see TemplateRegistry.register)
+ * @returns {{count: number, lengths: number[], corners: number[], coplanar: boolean,
+ *   flatness: number, rises: number[], heights: number[], spread: number}}
+ *   corners are the angles at the inner points in degrees; rises the cosine
+ *   between each segment and the normal at its start; heights of the later
+ *   points above the first point's surface; spread the extent of the later
+ *   points along that surface
+ */
+export function describeMeasurements(measurements) {
+    const points = measuredPoints(measurements);
+    const lengths = measurements.map(measurement => measurement.distanceToNext);
+
+    const corners = [];
+    for (let i = 1; i < points.length - 1; i++) {
+        corners.push(THREE.MathUtils.radToDeg(angleAt(points[i - 1], points[i], points[i + 1])));
+    }
+
+    // Distance of the points from their best-fit plane
+    let flatness = 0;
+    const normal = polygonNormal(points);
+    if (points.length > 3 && normal.lengthSq() > 1e-12) {
+        normal.normalize();
+        const center = points.reduce((sum, point) => sum.add(point), new THREE.Vector3()).divideScalar(points.length);
+        flatness = Math.max(...points.map(point => Math.abs(heightAbovePlane(point, center, normal))));
+    }
+
+    const rises = measurements.map(measurement => Math.abs(measurement.direction.dot(measurement.normal)));
+
+    const heights = [];
+    let spread = 0;
+    if (points.length > 1) {
+        const up = measurements[0].normal;
+        const along = new THREE.Box3();
+        points.slice(1).forEach((point) => {
+            heights.push(heightAbovePlane(point, points[0], up));
+            along.expandByPoint(point.clone().sub(points[0]).projectOnPlane(up));
+        });
+        spread = along.getSize(new THREE.Vector3()).length();
+    }
+
+    return {
+        count: measurements.length,
+        lengths,
+        corners,
+        coplanar: flatness <= COPLANAR_TOLERANCE,
+        flatness,
+        rises,
+        heights,
+        spread
+    };
+}
+
+/**
+ * Ranks the shape templates against a measurement set
+ */
+export class SuggestionEngine {
+    constructor(templates = templateRegistry) {
+        this.templates = templates;
+        this.rules = [];
+    }
+
+    /**
+     * @param {Object} rule
+     * @param {string} rule.id - unique key
+     * @param {string} rule.template - id of the template it suggests
+     * @param {Function} rule.score - (features) => 0..1, 0 when the rule doesn't apply
+     * @param {Function} rule.reason - (features, formatLength) => one-line explanation
+     * @param {Function} [rule.parameters] - (features) => parameter values to prefill, in meters
+     */
+    register(rule) {
+        if (!rule.id || !rule.template) {
+            throw new Error('Suggestion rule needs an id and a template');
+        }
+        if (typeof rule.score !== 'function' || typeof rule.reason !== 'function') {
+            throw new Error(`Suggestion rule "${rule.id}" needs score and reason functions`);
+        }
+        if (this.rules.some(existing => existing.id === rule.id)) {
+            throw new Error(`Suggestion rule "${rule.id}" is already registered`);
+        }
+        this.rules.push(rule);
+    }
+
+    /**
+     * Templates that fit the measurements, best first, at most one per template
+     *
+     * @param {Array} measurements
+     * @param {Object} [options]
+     * @param {Function} [options.formatLength] - (meters) => text for lengths in reasons
+     * @returns {Array<{template: Object, score: number, reason: string, parameters: Object, rule: string}>}
+     */
+    suggest(measurements, options = {}) {
+        if (measurements.length === 0) return [];
+
+        const format = options.formatLength || (meters => formatLength(meters));
+        const features = describeMeasurements(measurements);
+        const best = new Map();
+
+        this.rules.forEach((rule) => {
+            if (!this.templates.has(rule.template)) return;
+            const template = this.templates.get(rule.template);
+            if (features.count < template.requiredMeasurements) return;
+
+            const score = rule.score(features);
+            if (!(score > 0)) return;
+            if (best.has(template.id) && best.get(template.id).score >= score) return;
+
+            best.set(template.id, {
+                template,
+                score: Math.min(score, 1),
+                reason: rule.reason(features, format),
+                parameters: prefill(template, rule.parameters ? rule.parameters(features) : {}),
+                rule: rule.id
+            });
+        });
+
+        return Array.from(best.values()).sort((a, b) => b.score - a.score);
+    }
+}
+
+/**
+ * Keep the prefilled values the template knows, within its bounds
+ */
+function prefill(template, values) {
+    const parameters = {};
+    template.parameters.forEach((parameter) => {
+        if (values[parameter.key] !== undefined) {
+            parameters[parameter.key] = clampParameter(parameter, values[parameter.key]);
+        }
+    });
+    return parameters;
+}
+
+// Closeness of a corner to 90°, 1 when square, 0 at the tolerance
+function squareness(degrees) {
+    return Math.max(0, 1 - Math.abs(degrees - 90) / SQUARE_TOLERANCE);
+}
+
+function roundTo(value, step) {
+    return Math.round(value / step) * step;
+}
+
+// Built-in rules for the built-in templates
+export const suggestionEngine = new SuggestionEngine();
+
+suggestionEngine.register({
+    id: 'square-corner',
+    template: 'bracket',
+    score: (features) => {
+        const square = squareness(features.corners[0]);
+        return square > 0 ? 0.6 + 0.3 * square : 0;
+    },
+    reason: (features, format) => `Legs of ${format(features.lengths[0])} and ${format(features.lengths[1])} ` +
+        `meet at ${Math.round(features.corners[0])}° - a bracket can brace the corner`,
+    parameters: (features) => {
+        const shorterLeg = Math.min(features.lengths[0], features.lengths[1]);
+        return {
+            // Stiff enough for the leg length without filling the corner
+            thickness: THREE.MathUtils.clamp(roundTo(shorterLeg * 0.12, 0.0005), 0.003, 0.01),
+            screwSize: shorterLeg < 0.025 ? 'none' : 'M4'
+        };
+    }
+});
+
+suggestionEngine.register({
+    id: 'straight-gap',
+    template: 'shim',
+    score: (features) => {
+        if (features.lengths[0] > MAX_SHIM_GAP) return 0;
+        if (features.rises[0] >= RISING) return 0.8;
+        // A typed length or a short span on the surface could still be a gap
+        return features.count === 1 ? 0.5 : 0;
+    },
+    reason: (features, format) => features.rises[0] >= RISING
+        ? `The first segment rises ${format(features.lengths[0])} straight off the surface - a flat shim fills it`
+        : `A single short length of ${format(features.lengths[0])} - a spacer of that thickness`
+});
+
+suggestionEngine.register({
+    id: 'uneven-gap',
+    template: 'conformal-shim',
+    score: (features) => {
+        const lowest = Math.min(...features.heights);
+        const highest = Math.max(...features.heights);
+        if (lowest < -COPLANAR_TOLERANCE || highest > MAX_SHIM_GAP) return 0;
+        // Needs an uneven gap spread along the surface, not one height measured twice
+        if (highest - lowest < 0.001 || features.spread < 0.005) return 0;
+        return 0.85;
+    },
+    reason: (features, format) => `The gap varies from ${format(Math.max(0, Math.min(...features.heights)))} ` +
+        `to ${format(Math.max(...features.heights))} across ${features.heights.length} points - a shim shaped to it sits flat`
+});
+
+suggestionEngine.register({
+    id: 'square-box',
+    template: 'box',
+    score: (features) => {
+        const square = Math.min(squareness(features.corners[0]), squareness(features.corners[1]));
+        if (square === 0) return 0;
+        // Width and depth along the surface, then the height straight up out of it
+        const upright = features.rises[2] >= RISING || !features.coplanar;
+        return upright ? 0.6 + 0.2 * square : 0.4 + 0.1 * square;
+    },
+    reason: (features, format) => `${features.lengths.slice(0, 3).map(length => format(length)).join(' × ')} ` +
+        'at right angles - an open box or enclosure',
+    parameters: (features) => ({
+        thickness: THREE.MathUtils.clamp(roundTo(Math.max(...features.lengths.slice(0, 3)) * 0.03, 0.0005), 0.002, 0.006)
+    })
+});
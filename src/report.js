@@ -0,0 +1,174 @@
+import { projectToPixel } from './calibration.js';
+import { downloadFile, escapeXml } from './mesh-exporter.js';
+
+/**
+ * Repair reports: what was measured and what was made, for the repair ticket.
+ * The report is a single HTML file with its styles and screenshot inlined, so
+ * it opens anywhere; print it from the browser for a PDF.
+ *
+ * Report data, with every value already formatted in the display unit:
+ *
+ *   { title, date: Date, screenshot: string|null (PNG data URL), mode, calibration,
+ *     measurements: Array<{label, length, confidence, plane}>,
+ *     template: {name, description}|null, parameters: Array<{label, value}>,
+ *     parts: Array<{name, template, parameters}>, modelFile: string|null }
+ */
+
+// Overlay colours on camera screenshots
+const OVERLAY_LINE = '#ffffff';
+const OVERLAY_POINT = '#4CAF50';
+
+/**
+ * One row per measured segment: its length, sampling confidence and the
+ * detected plane it starts on
+ *
+ * @param {Array} measurements - ARMeasurement.getMeasurements()
+ * @param {Function} formatLength - (meters, extraDigits) => text in the display unit
+ * @returns {Array<{label: string, length: string, confidence: string, plane: string}>}
+ */
+export function measurementRows(measurements, formatLength) {
+    return measurements.map((measurement, i) => ({
+        label: `Point ${i + 1} → ${i + 2}`,
+        length: formatLength(measurement.distanceToNext),
+        confidence: measurement.confidence === null || measurement.confidence === undefined
+            ? '—'
+            : `±${formatLength(measurement.spread, 1)} (${Math.round(measurement.confidence * 100)}%)`,
+        plane: measurement.plane ? measurement.plane.orientation : '—'
+    }));
+}
+
+/**
+ * Draw the measured points, the segments between them and their lengths over
+ * a camera image, projected with the view the image was taken from
+ *
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - RGBA, see ARMeasurement.captureCameraFrame()
+ * @param {Object} view - the capture's {width, height, projectionMatrix, transform}
+ * @param {THREE.Vector3[]} points - measured points in world space
+ * @param {string[]} labels - text for each segment
+ * @returns {string|null} PNG data URL, null without a 2D canvas
+ */
+export function annotateCameraImage(image, view, points, labels) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d');
+    if (!context) return null;
+
+    context.putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+    const pixels = points.map(point => projectToPixel(point, view));
+    const scale = Math.max(1, image.width / 640);
+
+    context.lineWidth = 3 * scale;
+    context.strokeStyle = OVERLAY_LINE;
+    context.font = `bold ${Math.round(16 * scale)}px sans-serif`;
+    context.textAlign = 'center';
+    for (let i = 0; i < pixels.length - 1; i++) {
+        const [a, b] = [pixels[i], pixels[i + 1]];
+        if (!a || !b) continue;
+
+        context.beginPath();
+        context.moveTo(a.x, a.y);
+        context.lineTo(b.x, b.y);
+        context.stroke();
+
+        if (labels[i]) {
+            const x = (a.x + b.x) / 2;
+            const y = (a.y + b.y) / 2 - 8 * scale;
+            context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            const width = context.measureText(labels[i]).width + 12 * scale;
+            context.fillRect(x - width / 2, y - 18 * scale, width, 24 * scale);
+            context.fillStyle = OVERLAY_LINE;
+            context.fillText(labels[i], x, y);
+        }
+    }
+
+    context.fillStyle = OVERLAY_POINT;
+    pixels.forEach((pixel) => {
+        if (!pixel) return;
+        context.beginPath();
+        context.arc(pixel.x, pixel.y, 6 * scale, 0, Math.PI * 2);
+        context.fill();
+    });
+
+    return toPNG(canvas);
+}
+
+/**
+ * PNG data URL of a canvas; null where the browser (or jsdom) can't encode one
+ */
+export function toPNG(canvas) {
+    try {
+        const url = canvas.toDataURL('image/png');
+        return typeof url === 'string' && url.startsWith('data:image/png') ? url : null;
+    } catch (error) {
+        // A tainted canvas can't be read back
+        console.warn('Screenshot failed:', error);
+        return null;
+    }
+}
+
+/**
+ * The report as a self-contained HTML page
+ *
+ * @param {Object} report - see the module comment
+ * @returns {string}
+ */
+export function renderReportHTML(report) {
+    const rows = report.measurements.map(row => `
+            <tr><td>${escapeXml(row.label)}</td><td>${escapeXml(row.length)}</td>` +
+        `<td>${escapeXml(row.confidence)}</td><td>${escapeXml(row.plane)}</td></tr>`).join('');
+
+    const parameterList = parameters => parameters.map(parameter =>
+        `<tr><th>${escapeXml(parameter.label)}</th><td>${escapeXml(parameter.value)}</td></tr>`).join('');
+
+    const sections = [];
+    sections.push(report.screenshot
+        ? `<img src="${report.screenshot}" alt="Measured view">`
+        : '<p class="note">No screenshot available.</p>');
+
+    sections.push(`<h2>Measurements</h2>
+        <p>Mode: ${escapeXml(report.mode)} · Calibration: ${escapeXml(report.calibration || 'none')}</p>` +
+        (report.measurements.length > 0
+            ? `<table>
+            <tr><th>Segment</th><th>Length</th><th>Confidence</th><th>Plane</th></tr>${rows}
+        </table>`
+            : '<p class="note">Nothing measured.</p>'));
+
+    sections.push('<h2>Part</h2>' + (report.template
+        ? `<p><strong>${escapeXml(report.template.name)}</strong> - ${escapeXml(report.template.description)}</p>
+        <table>${parameterList(report.parameters)}</table>` +
+            (report.modelFile ? `<p>Model file: <code>${escapeXml(report.modelFile)}</code></p>` : '')
+        : '<p class="note">No part generated.</p>'));
+
+    if (report.parts.length > 0) {
+        sections.push('<h2>Parts list</h2>' + report.parts.map(part => `
+        <h3>${escapeXml(part.name)}${part.template ? ` (${escapeXml(part.template)})` : ''}</h3>
+        <table>${parameterList(part.parameters)}</table>`).join(''));
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeXml(report.title)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 24px auto; padding: 0 16px; color: #222; }
+        img { max-width: 100%; border-radius: 8px; }
+        table { border-collapse: collapse; margin: 8px 0; }
+        th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+        .note { color: #777; }
+        @media print { body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <h1>${escapeXml(report.title)}</h1>
+    <p>${escapeXml(report.date.toLocaleString())}</p>
+    ${sections.join('\n    ')}
+</body>
+</html>
+`;
+}
+
+export function downloadReport(html, filename) {
+    downloadFile(new TextEncoder().encode(html), filename, 'text/html');
+}
@@ -0,0 +1,138 @@
+import * as THREE from 'three';
+import { PLYLoader } from 'three/examples/jsm/loaders/PLYLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { unitScale } from './mesh-exporter.js';
+
+/**
+ * Scanned meshes (PolyCam, photogrammetry, NeRF exports) loaded as a reference
+ * to measure on. glTF is in meters by definition; PLY and OBJ carry no unit,
+ * so the caller says which one the scan was saved in.
+ */
+
+export const SCAN_FORMATS = {
+    ply: 'PLY',
+    obj: 'OBJ',
+    gltf: 'glTF',
+    glb: 'glTF (binary)'
+};
+
+// Units a scan may be saved in; most scanning apps write meters
+export const SCAN_UNITS = ['m', 'cm', 'mm', 'in'];
+
+const SCAN_COLOR = 0xb0bec5;
+
+/**
+ * Read a scan file picked by the user
+ *
+ * @param {File} file
+ * @param {Object} [options] - see parseScan
+ * @returns {Promise<THREE.Group>}
+ */
+export async function readScanFile(file, options = {}) {
+    return parseScan(await file.arrayBuffer(), file.name, options);
+}
+
+/**
+ * Turn scan file contents into an object in scene meters
+ *
+ * @param {ArrayBuffer} data
+ * @param {string} filename - the extension picks the format
+ * @param {Object} [options]
+ * @param {string} [options.unit='m'] - unit of PLY/OBJ coordinates, one of SCAN_UNITS
+ * @returns {Promise<THREE.Group>} scan with `userData.format`, `triangleCount` and `pointCount`
+ */
+export async function parseScan(data, filename, options = {}) {
+    const format = getScanFormat(filename);
+    const unit = options.unit || 'm';
+    if (!SCAN_UNITS.includes(unit)) {
+        throw new Error('Unknown scan unit: ' + unit);
+    }
+
+    let content;
+    switch (format) {
+        case 'ply':
+            content = createPLYObject(new PLYLoader().parse(data));
+            break;
+        case 'obj':
+            content = new OBJLoader().parse(new TextDecoder().decode(data));
+            break;
+        default:
+            content = (await parseGLTF(data)).scene;
+    }
+
+    const scan = new THREE.Group();
+    scan.name = filename;
+    scan.add(content);
+    // glTF is always meters
+    scan.scale.setScalar(format === 'gltf' || format === 'glb' ? 1 : 1 / unitScale(unit));
+
+    const stats = prepareScan(scan);
+    if (stats.triangleCount === 0 && stats.pointCount === 0) {
+        throw new Error(`No geometry found in ${filename}`);
+    }
+    scan.userData = { format, ...stats };
+    return scan;
+}
+
+export function getScanFormat(filename) {
+    const extension = filename.split('.').pop().toLowerCase();
+    if (!SCAN_FORMATS[extension]) {
+        throw new Error(`Unsupported scan format: .${extension} (use PLY, OBJ, glTF or GLB)`);
+    }
+    return extension;
+}
+
+/**
+ * PLY files from scanners are often bare point clouds - without faces they
+ * become points, which can still be picked
+ */
+function createPLYObject(geometry) {
+    const vertexColors = geometry.hasAttribute('color');
+    if (geometry.index === null) {
+        return new THREE.Points(geometry, new THREE.PointsMaterial({
+            size: 0.002,
+            color: vertexColors ? 0xffffff : SCAN_COLOR,
+            vertexColors
+        }));
+    }
+    return new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+        color: vertexColors ? 0xffffff : SCAN_COLOR,
+        vertexColors
+    }));
+}
+
+function parseGLTF(data) {
+    return new Promise((resolve, reject) => {
+        // External .bin files and textures can't be resolved from a single file
+        new GLTFLoader().parse(data, '', resolve, (error) => {
+            reject(new Error('Could not read glTF (embed its buffers or use .glb): ' + error.message));
+        });
+    });
+}
+
+/**
+ * Fill in missing normals, show both sides (scans are rarely closed or
+ * consistently wound) and count what was loaded
+ */
+function prepareScan(scan) {
+    let triangleCount = 0;
+    let pointCount = 0;
+
+    scan.traverse((child) => {
+        if (child.isMesh) {
+            const { geometry } = child;
+            if (!geometry.hasAttribute('normal')) geometry.computeVertexNormals();
+            triangleCount += (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach((material) => {
+                material.side = THREE.DoubleSide;
+            });
+        } else if (child.isPoints) {
+            pointCount += child.geometry.attributes.position.count;
+        }
+    });
+
+    return { triangleCount, pointCount };
+}
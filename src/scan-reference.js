@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+
+// A pointer that moves further than this between press and release is orbiting, not picking (pixels)
+const CLICK_TOLERANCE = 5;
+
+// How close a ray must pass a point cloud point to hit it, meters
+const POINT_THRESHOLD = 0.003;
+
+/**
+ * An imported scan in the desktop view. The scan is kept at true scale and set
+ * on the bed; clicking it raycasts to the surface under the pointer and reports
+ * the spot, which becomes a measurement point just like a hit test in AR.
+ */
+export class ScanReference {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     * @param {HTMLElement} [domElement] - canvas to listen for clicks on
+     */
+    constructor(scene, camera, domElement = null) {
+        this.scene = scene;
+        this.camera = camera;
+        this.scan = null;
+        this.enabled = true;
+        this.raycaster = new THREE.Raycaster();
+        this.raycaster.params.Points.threshold = POINT_THRESHOLD;
+
+        this.pointerStart = null;
+        this.onPick = null; // (position, normal)
+
+        if (domElement) {
+            domElement.addEventListener('pointerdown', (event) => {
+                this.pointerStart = { x: event.clientX, y: event.clientY };
+            });
+            domElement.addEventListener('pointerup', (event) => this.onPointerUp(event, domElement));
+        }
+    }
+
+    /**
+     * Show a scan, replacing the previous one. It is moved (not scaled) so it
+     * sits centred on the bed.
+     */
+    setScan(scan) {
+        this.clear();
+        this.scan = scan;
+        this.scene.add(scan);
+
+        const box = new THREE.Box3().setFromObject(scan);
+        const center = box.getCenter(new THREE.Vector3());
+        scan.position.sub(new THREE.Vector3(center.x, box.min.y, center.z));
+        scan.visible = this.enabled;
+        scan.updateMatrixWorld(true);
+    }
+
+    getBox() {
+        return this.scan ? new THREE.Box3().setFromObject(this.scan) : null;
+    }
+
+    /**
+     * Hidden and not pickable while an AR session runs
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (this.scan) this.scan.visible = enabled;
+    }
+
+    onPointerUp(event, domElement) {
+        const start = this.pointerStart;
+        this.pointerStart = null;
+        if (!start || !this.onPick || Math.hypot(event.clientX - start.x, event.clientY - start.y) > CLICK_TOLERANCE) {
+            return;
+        }
+
+        const rect = domElement.getBoundingClientRect();
+        const hit = this.pick(new THREE.Vector2(
+            (event.clientX - rect.left) / rect.width * 2 - 1,
+            -(event.clientY - rect.top) / rect.height * 2 + 1
+        ));
+        if (hit) this.onPick(hit.position, hit.normal);
+    }
+
+    /**
+     * Surface of the scan under a screen position
+     *
+     * @param {THREE.Vector2} ndc - normalized device coordinates (-1 to 1)
+     * @returns {{position: THREE.Vector3, normal: THREE.Vector3}|null}
+     */
+    pick(ndc) {
+        if (!this.scan || !this.enabled) return null;
+
+        this.camera.updateMatrixWorld();
+        this.raycaster.setFromCamera(ndc, this.camera);
+        const [hit] = this.raycaster.intersectObject(this.scan, true);
+        if (!hit) return null;
+
+        const towardsCamera = this.raycaster.ray.direction.clone().negate();
+        // Points have no face; use the viewing direction
+        const normal = hit.face
+            ? hit.face.normal.clone().transformDirection(hit.object.matrixWorld)
+            : towardsCamera.clone();
+        // Scans are often wound inconsistently - face the side that was clicked
+        if (normal.dot(towardsCamera) < 0) normal.negate();
+
+        return { position: hit.point.clone(), normal };
+    }
+
+    clear() {
+        if (!this.scan) return;
+
+        this.scene.remove(this.scan);
+        this.scan.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => material && material.dispose());
+        });
+        this.scan = null;
+    }
+}
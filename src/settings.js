@@ -0,0 +1,139 @@
+import { LengthUnit, formatLength, formatArea } from './units.js';
+
+/**
+ * User settings for how lengths are shown and exported, kept in localStorage
+ * so they survive reloads. Everything that displays or writes a length reads
+ * it from here.
+ */
+
+const STORAGE_KEY = 'ar-repair-kit-settings';
+
+// Decimal places offered for displayed lengths
+export const MAX_PRECISION = 4;
+
+export const DEFAULT_SETTINGS = {
+    // Unit for the measurement list, labels and parameter values
+    displayUnit: LengthUnit.CM,
+    // Decimal places of displayed lengths
+    precision: 1,
+    // Unit of exported files
+    exportUnit: LengthUnit.MM,
+    // Uniform scale of exported 3D models, e.g. 1.02 to make up for shrinkage
+    exportScale: 1
+};
+
+const VALIDATORS = {
+    displayUnit: value => Object.values(LengthUnit).includes(value),
+    precision: value => Number.isInteger(value) && value >= 0 && value <= MAX_PRECISION,
+    exportUnit: value => Object.values(LengthUnit).includes(value),
+    exportScale: value => Number.isFinite(value) && value > 0
+};
+
+export class Settings {
+    /**
+     * @param {Storage|null} [storage] - where settings persist; null keeps them in memory only
+     */
+    constructor(storage = defaultStorage()) {
+        this.storage = storage;
+        this.values = { ...DEFAULT_SETTINGS, ...this.load() };
+        this.onChange = null; // (values, changedKeys)
+    }
+
+    get displayUnit() {
+        return this.values.displayUnit;
+    }
+
+    get precision() {
+        return this.values.precision;
+    }
+
+    get exportUnit() {
+        return this.values.exportUnit;
+    }
+
+    get exportScale() {
+        return this.values.exportScale;
+    }
+
+    /**
+     * Change one or more settings; invalid values throw and nothing changes
+     *
+     * @param {Object} changes - subset of DEFAULT_SETTINGS
+     */
+    update(changes) {
+        Object.entries(changes).forEach(([key, value]) => {
+            if (!VALIDATORS[key]) {
+                throw new Error('Unknown setting: ' + key);
+            }
+            if (!VALIDATORS[key](value)) {
+                throw new Error(`Invalid value for ${key}: ${value}`);
+            }
+        });
+
+        const changed = Object.keys(changes).filter(key => this.values[key] !== changes[key]);
+        if (changed.length === 0) return;
+
+        this.values = { ...this.values, ...changes };
+        this.save();
+        if (this.onChange) this.onChange({ ...this.values }, changed);
+    }
+
+    reset() {
+        this.update({ ...DEFAULT_SETTINGS });
+    }
+
+    /**
+     * A length in meters in the display unit and precision
+     *
+     * @param {number} [extraDigits] - more decimals, e.g. for small uncertainties
+     */
+    formatLength(meters, extraDigits = 0) {
+        return formatLength(meters, this.displayUnit, Math.min(this.precision + extraDigits, MAX_PRECISION + 1));
+    }
+
+    formatArea(squareMeters) {
+        return formatArea(squareMeters, this.displayUnit, this.precision);
+    }
+
+    /**
+     * Options for MeshExporter / ProfileExporter
+     */
+    getExportOptions() {
+        return { unit: this.exportUnit, scale: this.exportScale };
+    }
+
+    load() {
+        if (!this.storage) return {};
+
+        try {
+            const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+            // Drop anything unknown or invalid, e.g. from an older version
+            return Object.fromEntries(Object.entries(stored).filter(([key, value]) =>
+                VALIDATORS[key] && VALIDATORS[key](value)
+            ));
+        } catch (error) {
+            console.warn('Ignoring unreadable settings:', error);
+            return {};
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+        } catch (error) {
+            // Private browsing or a full quota - keep the settings for this visit
+            console.warn('Could not save settings:', error);
+        }
+    }
+}
+
+function defaultStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        // Access can throw when storage is blocked
+        return null;
+    }
+}
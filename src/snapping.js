@@ -0,0 +1,115 @@
+import * as THREE from 'three';
+
+/**
+ * Snapping for measurement points: onto the corners and edges of a detected
+ * plane, or onto a direction parallel or perpendicular to earlier segments.
+ */
+
+export const SnapType = {
+    CORNER: 'corner',
+    EDGE: 'edge',
+    PARALLEL: 'parallel',
+    PERPENDICULAR: 'perpendicular'
+};
+
+// How close the reticle must be to a plane corner or edge to snap onto it, meters
+export const SNAP_RADIUS = 0.02;
+
+// How far a segment may be off parallel/perpendicular and still snap, degrees
+export const SNAP_ANGLE = 5;
+
+/**
+ * Nearest corner, or failing that nearest edge, of a plane outline
+ *
+ * @param {THREE.Vector3[]} outline - closed polygon, world space
+ * @returns {{position: THREE.Vector3, type: string}|null}
+ */
+export function snapToOutline(position, outline, radius = SNAP_RADIUS) {
+    let best = null;
+    let bestDistance = radius;
+    outline.forEach((corner) => {
+        const distance = corner.distanceTo(position);
+        if (distance <= bestDistance) {
+            bestDistance = distance;
+            best = { position: corner.clone(), type: SnapType.CORNER };
+        }
+    });
+    if (best) return best;
+
+    const edge = new THREE.Line3();
+    const closest = new THREE.Vector3();
+    outline.forEach((start, i) => {
+        edge.set(start, outline[(i + 1) % outline.length]);
+        edge.closestPointToPoint(position, true, closest);
+        const distance = closest.distanceTo(position);
+        if (distance <= bestDistance) {
+            bestDistance = distance;
+            best = { position: closest.clone(), type: SnapType.EDGE };
+        }
+    });
+    return best;
+}
+
+/**
+ * Straighten the segment from the last point to `position` when it is nearly
+ * parallel to an earlier segment, or nearly perpendicular to the last one
+ * within the surface. The point slides onto the snapped direction.
+ *
+ * @param {THREE.Vector3[]} previous - points placed before this one
+ * @param {THREE.Vector3} normal - surface normal at the new point
+ * @returns {{position: THREE.Vector3, type: string}|null}
+ */
+export function snapToDirection(position, previous, normal, angle = SNAP_ANGLE) {
+    if (previous.length < 2) return null;
+
+    const start = previous[previous.length - 1];
+    const offset = new THREE.Vector3().subVectors(position, start);
+    if (offset.lengthSq() < 1e-12) return null;
+
+    const candidates = [];
+    for (let i = 0; i < previous.length - 1; i++) {
+        const direction = new THREE.Vector3().subVectors(previous[i + 1], previous[i]);
+        if (direction.lengthSq() < 1e-12) continue;
+        direction.normalize();
+        candidates.push({ direction, type: SnapType.PARALLEL });
+
+        if (i === previous.length - 2) {
+            const across = new THREE.Vector3().crossVectors(normal, direction);
+            if (across.lengthSq() > 1e-12) {
+                candidates.push({ direction: across.normalize(), type: SnapType.PERPENDICULAR });
+            }
+        }
+    }
+
+    const limit = Math.sin(THREE.MathUtils.degToRad(angle));
+    let best = null;
+    let bestSine = limit;
+    const length = offset.length();
+    candidates.forEach(({ direction, type }) => {
+        const along = offset.dot(direction);
+        // Distance from the line over the segment length
+        const sine = Math.sqrt(Math.max(length * length - along * along, 0)) / length;
+        if (sine <= bestSine) {
+            bestSine = sine;
+            best = { position: start.clone().addScaledVector(direction, along), type };
+        }
+    });
+    return best;
+}
+
+/**
+ * Snap a point, preferring plane corners and edges over directions
+ *
+ * @param {Object} options
+ * @param {THREE.Vector3[]|null} options.outline - outline of the plane under the point
+ * @param {THREE.Vector3} options.normal
+ * @param {THREE.Vector3[]} options.previous
+ * @returns {{position: THREE.Vector3, snap: string|null}}
+ */
+export function snapPoint(position, { outline = null, normal, previous = [] }) {
+    const snapped = (outline && snapToOutline(position, outline)) ||
+        snapToDirection(position, previous, normal);
+    return snapped
+        ? { position: snapped.position, snap: snapped.type }
+        : { position: position.clone(), snap: null };
+}
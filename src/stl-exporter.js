@@ -1,202 +1,176 @@
 import * as THREE from 'three';
+import { MeshExporter, exportScale, faceNormal } from './mesh-exporter.js';
+
+// Binary STL layout: 80 byte header, uint32 triangle count, then 50 bytes per triangle
+const HEADER_BYTES = 84;
+const TRIANGLE_BYTES = 50;
+
+// Triangles per chunk when streaming (~3 MB)
+const CHUNK_TRIANGLES = 65536;
+
+/**
+ * STL has no unit field; coordinates are written in `options.unit` (mm by
+ * default, which is what slicers assume). Binary is the default: the geometry
+ * is walked once and written straight into a preallocated buffer.
+ */
+export class STLExporter extends MeshExporter {
+    constructor() {
+        super('stl', 'model/stl');
+        // Scratch vectors reused for every triangle
+        this.a = new THREE.Vector3();
+        this.b = new THREE.Vector3();
+        this.c = new THREE.Vector3();
+        this.normal = new THREE.Vector3();
+        // Order of the vectors in a binary triangle record
+        this.record = [this.normal, this.a, this.b, this.c];
+    }
 
-export class STLExporter {
-    constructor() {}
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.unit='mm']
+     * @param {number} [options.scale=1]
+     * @param {boolean} [options.binary=true] - false for ASCII STL (larger and slower, but human readable)
+     * @returns {Uint8Array}
+     */
+    toBytes(object, options = {}) {
+        const scale = exportScale(options);
+        if (options.binary === false) {
+            return new TextEncoder().encode(this.generateSTL(object, scale));
+        }
+        return new Uint8Array(this.generateBinarySTL(object, scale));
+    }
 
     /**
-     * Export a Three.js object to STL format (binary)
+     * Export to binary STL
      */
-    export(object, filename = 'model.stl') {
-        const stlString = this.generateSTL(object);
-        this.downloadSTL(stlString, filename);
+    exportBinary(object, filename = 'model.stl', options = {}) {
+        return this.export(object, filename, { ...options, binary: true });
     }
 
-    generateSTL(object) {
-        let output = '';
-
-        // Header
-        output += 'solid exported\n';
-
-        object.traverse((child) => {
-            if (child instanceof THREE.Mesh) {
-                const geometry = child.geometry;
-                const matrix = child.matrixWorld;
-
-                if (geometry.isBufferGeometry) {
-                    const vertices = geometry.attributes.position;
-                    const indices = geometry.index;
-
-                    if (indices !== null) {
-                        // Indexed geometry
-                        for (let i = 0; i < indices.count; i += 3) {
-                            const a = indices.getX(i);
-                            const b = indices.getX(i + 1);
-                            const c = indices.getX(i + 2);
-
-                            const vA = this.getVertex(vertices, a, matrix);
-                            const vB = this.getVertex(vertices, b, matrix);
-                            const vC = this.getVertex(vertices, c, matrix);
-
-                            output += this.generateFacet(vA, vB, vC);
-                        }
-                    } else {
-                        // Non-indexed geometry
-                        for (let i = 0; i < vertices.count; i += 3) {
-                            const vA = this.getVertex(vertices, i, matrix);
-                            const vB = this.getVertex(vertices, i + 1, matrix);
-                            const vC = this.getVertex(vertices, i + 2, matrix);
-
-                            output += this.generateFacet(vA, vB, vC);
-                        }
-                    }
-                }
+    generateSTL(object, scale = 1) {
+        const { a, b, c } = this;
+        const facets = [];
+
+        this.getTriangleSources(object).forEach((source) => {
+            for (let i = 0; i < source.count; i++) {
+                this.readTriangle(source, i, scale, a, b, c);
+                facets.push(this.generateFacet(a, b, c));
             }
         });
 
-        output += 'endsolid exported\n';
-        return output;
-    }
-
-    getVertex(vertices, index, matrix) {
-        const vertex = new THREE.Vector3();
-        vertex.fromBufferAttribute(vertices, index);
-        vertex.applyMatrix4(matrix);
-        return vertex;
+        return 'solid exported\n' + facets.join('') + 'endsolid exported\n';
     }
 
     generateFacet(vA, vB, vC) {
-        // Calculate normal
-        const cb = new THREE.Vector3();
-        const ab = new THREE.Vector3();
-        cb.subVectors(vC, vB);
-        ab.subVectors(vA, vB);
-        cb.cross(ab);
-        cb.normalize();
-
-        let output = '';
-        output += `  facet normal ${cb.x.toExponential()} ${cb.y.toExponential()} ${cb.z.toExponential()}\n`;
-        output += '    outer loop\n';
-        output += `      vertex ${vA.x.toExponential()} ${vA.y.toExponential()} ${vA.z.toExponential()}\n`;
-        output += `      vertex ${vB.x.toExponential()} ${vB.y.toExponential()} ${vB.z.toExponential()}\n`;
-        output += `      vertex ${vC.x.toExponential()} ${vC.y.toExponential()} ${vC.z.toExponential()}\n`;
-        output += '    endloop\n';
-        output += '  endfacet\n';
-
-        return output;
+        const n = faceNormal(vA, vB, vC, this.normal);
+
+        return `  facet normal ${n.x.toExponential()} ${n.y.toExponential()} ${n.z.toExponential()}\n` +
+            '    outer loop\n' +
+            `      vertex ${vA.x.toExponential()} ${vA.y.toExponential()} ${vA.z.toExponential()}\n` +
+            `      vertex ${vB.x.toExponential()} ${vB.y.toExponential()} ${vB.z.toExponential()}\n` +
+            `      vertex ${vC.x.toExponential()} ${vC.y.toExponential()} ${vC.z.toExponential()}\n` +
+            '    endloop\n' +
+            '  endfacet\n';
     }
 
-    downloadSTL(stlString, filename) {
-        const blob = new Blob([stlString], { type: 'text/plain' });
-        const link = document.createElement('a');
-        link.style.display = 'none';
-        document.body.appendChild(link);
-        
-        link.href = URL.createObjectURL(blob);
-        link.download = filename;
-        link.click();
-        
-        document.body.removeChild(link);
-        URL.revokeObjectURL(link.href);
+    generateBinarySTL(object, scale = 1) {
+        const sources = this.getTriangleSources(object);
+        const count = sources.reduce((sum, source) => sum + source.count, 0);
+        const buffer = new ArrayBuffer(HEADER_BYTES + count * TRIANGLE_BYTES);
+        const view = new DataView(buffer);
+
+        this.writeHeader(view, count);
+        let offset = HEADER_BYTES;
+        sources.forEach((source) => {
+            for (let i = 0; i < source.count; i++) {
+                offset = this.writeTriangle(view, offset, source, i, scale);
+            }
+        });
+
+        return buffer;
     }
 
     /**
-     * Export to binary STL (more compact, better for 3D printers)
+     * Binary STL in chunks of at most `chunkTriangles` triangles, so a large
+     * mesh never has to sit in one buffer. The first chunk is the header.
+     *
+     * @yields {Uint8Array}
      */
-    exportBinary(object, filename = 'model.stl') {
-        const triangles = this.getTriangles(object);
-        const buffer = new ArrayBuffer(80 + 4 + triangles.length * 50);
-        const view = new DataView(buffer);
-
-        // Header (80 bytes)
-        for (let i = 0; i < 80; i++) {
-            view.setUint8(i, 0);
-        }
-
-        // Number of triangles
-        view.setUint32(80, triangles.length, true);
+    *generateBinaryChunks(object, scale = 1, chunkTriangles = CHUNK_TRIANGLES) {
+        const sources = this.getTriangleSources(object);
+        const count = sources.reduce((sum, source) => sum + source.count, 0);
+
+        const header = new ArrayBuffer(HEADER_BYTES);
+        this.writeHeader(new DataView(header), count);
+        yield new Uint8Array(header);
+
+        let remaining = count;
+        let view = null;
+        let offset = 0;
+
+        for (const source of sources) {
+            for (let i = 0; i < source.count; i++) {
+                if (view === null) {
+                    view = new DataView(new ArrayBuffer(Math.min(chunkTriangles, remaining) * TRIANGLE_BYTES));
+                    offset = 0;
+                }
 
-        let offset = 84;
-        triangles.forEach((triangle) => {
-            // Normal
-            view.setFloat32(offset, triangle.normal.x, true);
-            view.setFloat32(offset + 4, triangle.normal.y, true);
-            view.setFloat32(offset + 8, triangle.normal.z, true);
-            offset += 12;
+                offset = this.writeTriangle(view, offset, source, i, scale);
+                remaining--;
 
-            // Vertices
-            for (let i = 0; i < 3; i++) {
-                view.setFloat32(offset, triangle.vertices[i].x, true);
-                view.setFloat32(offset + 4, triangle.vertices[i].y, true);
-                view.setFloat32(offset + 8, triangle.vertices[i].z, true);
-                offset += 12;
+                if (offset === view.byteLength) {
+                    yield new Uint8Array(view.buffer);
+                    view = null;
+                }
             }
-
-            // Attribute byte count
-            view.setUint16(offset, 0, true);
-            offset += 2;
-        });
-
-        const blob = new Blob([buffer], { type: 'application/octet-stream' });
-        const link = document.createElement('a');
-        link.style.display = 'none';
-        document.body.appendChild(link);
-        
-        link.href = URL.createObjectURL(blob);
-        link.download = filename;
-        link.click();
-        
-        document.body.removeChild(link);
-        URL.revokeObjectURL(link.href);
+        }
     }
 
-    getTriangles(object) {
-        const triangles = [];
-
-        object.traverse((child) => {
-            if (child instanceof THREE.Mesh) {
-                const geometry = child.geometry;
-                const matrix = child.matrixWorld;
-
-                if (geometry.isBufferGeometry) {
-                    const vertices = geometry.attributes.position;
-                    const indices = geometry.index;
-
-                    const processTriangle = (a, b, c) => {
-                        const vA = this.getVertex(vertices, a, matrix);
-                        const vB = this.getVertex(vertices, b, matrix);
-                        const vC = this.getVertex(vertices, c, matrix);
-
-                        const cb = new THREE.Vector3();
-                        const ab = new THREE.Vector3();
-                        cb.subVectors(vC, vB);
-                        ab.subVectors(vA, vB);
-                        cb.cross(ab);
-                        cb.normalize();
-
-                        triangles.push({
-                            normal: cb,
-                            vertices: [vA, vB, vC]
-                        });
-                    };
-
-                    if (indices !== null) {
-                        for (let i = 0; i < indices.count; i += 3) {
-                            processTriangle(
-                                indices.getX(i),
-                                indices.getX(i + 1),
-                                indices.getX(i + 2)
-                            );
-                        }
-                    } else {
-                        for (let i = 0; i < vertices.count; i += 3) {
-                            processTriangle(i, i + 1, i + 2);
-                        }
-                    }
+    /**
+     * Binary STL as a ReadableStream that encodes one chunk per pull, e.g. to
+     * pipe into a file handle or an upload
+     *
+     * @param {Object} [options] - `unit`, `scale`, and `chunkTriangles` per chunk
+     * @returns {ReadableStream<Uint8Array>}
+     */
+    createStream(object, options = {}) {
+        const chunks = this.generateBinaryChunks(object, exportScale(options), options.chunkTriangles);
+        return new ReadableStream({
+            pull(controller) {
+                const { value, done } = chunks.next();
+                if (done) {
+                    controller.close();
+                } else {
+                    controller.enqueue(value);
                 }
             }
         });
+    }
 
-        return triangles;
+    writeHeader(view, count) {
+        // The 80 byte header stays zeroed - some readers treat "solid" there as ASCII
+        view.setUint32(80, count, true);
     }
-}
 
+    /**
+     * Write triangle `i` of a source at `offset`
+     *
+     * @returns {number} offset after the triangle
+     */
+    writeTriangle(view, offset, source, i, scale) {
+        const { a, b, c } = this;
+        this.readTriangle(source, i, scale, a, b, c);
+        faceNormal(a, b, c, this.normal);
+
+        for (const v of this.record) {
+            view.setFloat32(offset, v.x, true);
+            view.setFloat32(offset + 4, v.y, true);
+            view.setFloat32(offset + 8, v.z, true);
+            offset += 12;
+        }
+
+        // Attribute byte count
+        view.setUint16(offset, 0, true);
+        return offset + 2;
+    }
+}
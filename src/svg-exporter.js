@@ -0,0 +1,77 @@
+import { escapeXml } from './mesh-exporter.js';
+import { ProfileExporter, toUnit } from './profile-exporter.js';
+import { LengthUnit } from './units.js';
+
+// Hairline strokes - laser software reads these as vector cuts (meters)
+const STROKE_WIDTH = 0.0001;
+
+// Dash and gap of bend lines, meters
+const BEND_DASH = [0.002, 0.001];
+
+/**
+ * SVG in millimeters (or cm / inches): the document is sized in that unit and
+ * the viewBox makes one user unit one of it. Cuts are red, bend lines dashed blue.
+ */
+export class SVGExporter extends ProfileExporter {
+    constructor() {
+        super('svg', 'image/svg+xml');
+    }
+
+    /**
+     * @param {Object} pattern
+     * @param {Object} [options]
+     * @param {number} [options.kerf=0] - meters
+     * @param {number} [options.margin=0.002] - blank border around the parts, meters
+     * @param {string} [options.unit='mm']
+     * @returns {Uint8Array}
+     */
+    toBytes(pattern, options = {}) {
+        const kerf = options.kerf || 0;
+        const margin = options.margin ?? 0.002;
+        const unit = options.unit || LengthUnit.MM;
+        const { parts, width, height } = this.prepare(pattern, kerf);
+        const f = value => toUnit(value, unit);
+
+        // SVG's y axis points down
+        const x = (value) => f(value + margin);
+        const y = (value) => f(height - value + margin);
+
+        const cuts = [];
+        const marks = [];
+        parts.forEach((part) => {
+            [part.outline, ...part.holes].forEach((contour) => {
+                if (contour.type === 'circle') {
+                    cuts.push(`<circle cx="${x(contour.center.x)}" cy="${y(contour.center.y)}" r="${f(contour.radius)}"/>`);
+                } else {
+                    const path = contour.points.map((point, i) => `${i === 0 ? 'M' : 'L'}${x(point.x)} ${y(point.y)}`);
+                    cuts.push(`<path d="${path.join(' ')} Z"/>`);
+                }
+            });
+            part.marks.forEach(([a, b]) => {
+                marks.push(`<line x1="${x(a.x)}" y1="${y(a.y)}" x2="${x(b.x)}" y2="${y(b.y)}"/>`);
+            });
+        });
+
+        const documentWidth = f(width + margin * 2);
+        const documentHeight = f(height + margin * 2);
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${documentWidth}${unit}" height="${documentHeight}${unit}" viewBox="0 0 ${documentWidth} ${documentHeight}">`,
+            `  <title>${escapeXml(pattern.name)}</title>`,
+            `  <desc>Material ${f(pattern.materialThickness)} ${unit}, kerf ${f(kerf)} ${unit}</desc>`,
+            `  <g id="cut" fill="none" stroke="#ff0000" stroke-width="${f(STROKE_WIDTH)}">`,
+            ...cuts.map(element => '    ' + element),
+            '  </g>'
+        ];
+        if (marks.length > 0) {
+            lines.push(
+                `  <g id="bend" fill="none" stroke="#0000ff" stroke-width="${f(STROKE_WIDTH)}" stroke-dasharray="${BEND_DASH.map(f).join(' ')}">`,
+                ...marks.map(element => '    ' + element),
+                '  </g>'
+            );
+        }
+        lines.push('</svg>');
+
+        return new TextEncoder().encode(lines.join('\n') + '\n');
+    }
+}
@@ -0,0 +1,192 @@
+import { SCREW_SIZES } from './parametric-generator.js';
+
+/**
+ * Shape templates - each one describes a part the generator can build, which
+ * measured segments it needs and how they map onto the part's parameters.
+ * Add a new shape by registering a template; app.js picks them up automatically.
+ */
+export class TemplateRegistry {
+    constructor() {
+        this.templates = new Map();
+    }
+
+    /**
+     * @param {Object} template
+     * @param {string} template.id - unique key
+     * @param {string} template.name - label shown in the picker
+     * @param {string} [template.description]
+     * @param {number} template.requiredMeasurements - number of measured segments needed
+     * @param {Array<{key: string, label: string, source?: number, default?: *, min?: number, max?: number, unit?: string, options?: string[]}>} template.parameters -
+     *   `source` is the index of the measured segment feeding the parameter, `default` is used otherwise.
+     *   `unit` is 'length' (meters, shown in display units), 'count', 'boolean' or 'choice'
+     *   (one of `options`); min/max bound edited numeric values.
+     * @param {Function} template.generate - (generator, params, measurements) => THREE.Object3D.
+     *   Each measurement has `position`, `distanceToNext`, `direction` and `normal`, and the detected
+     *   planes of its end points as `plane`/`nextPlane` ({id, orientation, normal} or null)
+     * @param {Function} [template.preview] - (generator, params, measurements) => THREE.Object3D shown
+     *   while parameters are edited, for parts that are slow to generate; the app builds the real part
+     *   once editing stops
+     * @param {Function} [template.flatPattern] - (generator, params, measurements, materialThickness) =>
+     *   flat pattern for laser cutting (see flat-pattern.js); materialThickness is in meters,
+     *   undefined to use the part's own thickness
+     */
+    register(template) {
+        if (!template.id || !template.name) {
+            throw new Error('Template needs an id and a name');
+        }
+        if (typeof template.generate !== 'function') {
+            throw new Error(`Template "${template.id}" has no generate function`);
+        }
+        if (this.templates.has(template.id)) {
+            throw new Error(`Template "${template.id}" is already registered`);
+        }
+
+        this.templates.set(template.id, {
+            description: '',
+            requiredMeasurements: 0,
+            ...template,
+            parameters: (template.parameters || []).map(parameter => ({
+                unit: 'length',
+                min: 0,
+                max: Infinity,
+                ...parameter
+            }))
+        });
+    }
+
+    has(id) {
+        return this.templates.has(id);
+    }
+
+    get(id) {
+        const template = this.templates.get(id);
+        if (!template) {
+            throw new Error('Unknown template: ' + id);
+        }
+        return template;
+    }
+
+    list() {
+        return Array.from(this.templates.values());
+    }
+}
+
+/**
+ * Describe every parameter of a template: which measured segment feeds it,
+ * the measured value, any user override and the value that will be used.
+ *
+ * @param {Object} [overrides] - user edited values keyed by parameter key
+ */
+export function describeMapping(template, measurements, overrides = {}) {
+    return template.parameters.map((parameter) => {
+        const hasSource = parameter.source !== undefined;
+        const measurement = hasSource ? measurements[parameter.source] : undefined;
+        const override = overrides[parameter.key];
+        const base = measurement ? measurement.distanceToNext : parameter.default;
+        const value = override !== undefined ? override : base;
+
+        return {
+            key: parameter.key,
+            label: parameter.label,
+            unit: parameter.unit,
+            min: parameter.min,
+            max: parameter.max,
+            options: parameter.options,
+            source: hasSource ? parameter.source : null,
+            measured: measurement ? measurement.distanceToNext : null,
+            override: override !== undefined ? override : null,
+            value: value !== undefined ? clampParameter(parameter, value) : undefined
+        };
+    });
+}
+
+export function clampParameter(parameter, value) {
+    if (typeof value !== 'number') return value;
+    return Math.min(Math.max(value, parameter.min), parameter.max);
+}
+
+/**
+ * Resolve a template's parameter values from the measurements and user overrides
+ */
+export function resolveParameters(template, measurements, overrides = {}) {
+    if (measurements.length < template.requiredMeasurements) {
+        throw new Error(`${template.name} needs ${template.requiredMeasurements} measurements`);
+    }
+
+    const params = {};
+    describeMapping(template, measurements, overrides).forEach((entry) => {
+        params[entry.key] = entry.value;
+    });
+    return params;
+}
+
+// Built-in templates backed by ParametricGenerator
+export const templateRegistry = new TemplateRegistry();
+
+templateRegistry.register({
+    id: 'bracket',
+    name: 'L-Bracket',
+    description: 'Right-angle bracket for broken corners and shelf supports',
+    requiredMeasurements: 2,
+    parameters: [
+        { key: 'width', label: 'Width', source: 0, min: 0.005, max: 0.5 },
+        { key: 'height', label: 'Height', source: 1, min: 0.005, max: 0.5 },
+        { key: 'thickness', label: 'Thickness', default: 0.01, min: 0.001, max: 0.05 },
+        { key: 'flangeWidth', label: 'Flange width', default: 0.02, min: 0.005, max: 0.2 },
+        { key: 'filletRadius', label: 'Inner fillet', default: 0.003, min: 0, max: 0.05 },
+        { key: 'gusset', label: 'Gusset', unit: 'boolean', default: false },
+        { key: 'screwSize', label: 'Screw holes', unit: 'choice', options: ['none', ...Object.keys(SCREW_SIZES)], default: 'M4' },
+        { key: 'holesPerFlange', label: 'Holes per leg', unit: 'count', default: 1, min: 0, max: 6 }
+    ],
+    generate: (generator, params, measurements) => generator.generateBracket(measurements, params),
+    // The booleans for the gusset and screw holes take too long to redo on every edit
+    preview: (generator, params, measurements) => generator.generateBracketPreview(measurements, params),
+    flatPattern: (generator, params, measurements, materialThickness) =>
+        generator.generateBracketBlank(measurements, { ...params, thickness: materialThickness ?? params.thickness })
+});
+
+templateRegistry.register({
+    id: 'shim',
+    name: 'Shim / Spacer',
+    description: 'Round spacer filling a gap',
+    requiredMeasurements: 1,
+    parameters: [
+        { key: 'thickness', label: 'Thickness', source: 0, min: 0.0002, max: 0.1 },
+        { key: 'diameter', label: 'Diameter', default: 0.02, min: 0.002, max: 0.3 }
+    ],
+    generate: (generator, params, measurements) => generator.generateShim(measurements, params),
+    flatPattern: (generator, params, measurements, materialThickness) =>
+        generator.generateShimProfile(measurements, { ...params, thickness: materialThickness ?? params.thickness })
+});
+
+templateRegistry.register({
+    id: 'conformal-shim',
+    name: 'Conformal Shim',
+    description: 'Shim shaped to an uneven gap: tap the reference surface first, then a line or grid of points on the surface to fill up to',
+    requiredMeasurements: 2,
+    parameters: [
+        { key: 'minThickness', label: 'Min thickness', default: 0.001, min: 0.0004, max: 0.02 },
+        { key: 'width', label: 'Width (line of points)', default: 0.02, min: 0.005, max: 0.3 }
+    ],
+    generate: (generator, params, measurements) => generator.generateConformalShim(measurements, params)
+});
+
+templateRegistry.register({
+    id: 'box',
+    name: 'Open Box',
+    description: 'Open-top box or enclosure',
+    requiredMeasurements: 3,
+    parameters: [
+        { key: 'width', label: 'Width', source: 0, min: 0.01, max: 0.5 },
+        { key: 'depth', label: 'Depth', source: 1, min: 0.01, max: 0.5 },
+        { key: 'height', label: 'Height', source: 2, min: 0.005, max: 0.5 },
+        { key: 'thickness', label: 'Wall thickness', default: 0.005, min: 0.001, max: 0.02 }
+    ],
+    generate: (generator, params, measurements) => {
+        const box = generator.generateBox(params.width, params.height, params.depth, params.thickness);
+        box.position.copy(measurements[0].position);
+        return box;
+    },
+    flatPattern: (generator, params, measurements, materialThickness) =>
+        generator.generateBoxPanels(params.width, params.height, params.depth, materialThickness ?? params.thickness)
+});
@@ -0,0 +1,107 @@
+import { zipSync, strToU8 } from 'three/examples/jsm/libs/fflate.module.js';
+import { MeshExporter, exportScale, unitPrecision, formatNumber, escapeXml } from './mesh-exporter.js';
+import { LengthUnit } from './units.js';
+
+// 3MF unit names for our length units
+const MODEL_UNITS = {
+    [LengthUnit.MM]: 'millimeter',
+    [LengthUnit.CM]: 'centimeter',
+    [LengthUnit.IN]: 'inch',
+    m: 'meter'
+};
+
+const CORE_NAMESPACE = 'http://schemas.microsoft.com/3dmanufacturing/core/2015/02';
+// Custom metadata has to live in its own namespace
+const PARAMETER_NAMESPACE = 'urn:ar-repair-kit:parameters';
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>
+</Types>
+`;
+
+const RELATIONSHIPS = `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>
+</Relationships>
+`;
+
+/**
+ * 3MF - a zip package holding the mesh as XML, with an explicit unit, the
+ * object name and the part parameters as metadata
+ */
+export class ThreeMFExporter extends MeshExporter {
+    constructor() {
+        super('3mf', 'model/3mf');
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.unit='mm']
+     * @param {number} [options.scale=1]
+     * @param {string} [options.name] - object name
+     * @param {Object<string, string>} [options.metadata] - part parameters and other key/value pairs
+     * @returns {Uint8Array}
+     */
+    toBytes(object, options = {}) {
+        return zipSync({
+            '[Content_Types].xml': strToU8(CONTENT_TYPES),
+            '_rels/.rels': strToU8(RELATIONSHIPS),
+            '3D/3dmodel.model': strToU8(this.generateModel(object, options))
+        });
+    }
+
+    generateModel(object, options = {}) {
+        const unit = options.unit || LengthUnit.MM;
+        if (!MODEL_UNITS[unit]) {
+            throw new Error('Unsupported 3MF unit: ' + unit);
+        }
+
+        const name = options.name || 'part';
+        const { positions, indices } = this.getIndexedMesh(object, exportScale(options));
+        const precision = unitPrecision(unit);
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<model unit="${MODEL_UNITS[unit]}" xml:lang="en-US" xmlns="${CORE_NAMESPACE}" xmlns:p="${PARAMETER_NAMESPACE}">`,
+            `  <metadata name="Title">${escapeXml(name)}</metadata>`,
+            '  <metadata name="Application">AR Repair Kit</metadata>',
+            `  <metadata name="CreationDate">${new Date().toISOString().slice(0, 10)}</metadata>`
+        ];
+        Object.entries(options.metadata || {}).forEach(([key, value]) => {
+            lines.push(`  <metadata name="p:${escapeXml(toMetadataName(key))}">${escapeXml(String(value))}</metadata>`);
+        });
+
+        lines.push(
+            '  <resources>',
+            `    <object id="1" name="${escapeXml(name)}" type="model">`,
+            '      <mesh>',
+            '        <vertices>'
+        );
+        positions.forEach((v) => {
+            lines.push(`          <vertex x="${formatNumber(v.x, precision)}" y="${formatNumber(v.y, precision)}" z="${formatNumber(v.z, precision)}"/>`);
+        });
+        lines.push('        </vertices>', '        <triangles>');
+        for (let i = 0; i < indices.length; i += 3) {
+            lines.push(`          <triangle v1="${indices[i]}" v2="${indices[i + 1]}" v3="${indices[i + 2]}"/>`);
+        }
+        lines.push(
+            '        </triangles>',
+            '      </mesh>',
+            '    </object>',
+            '  </resources>',
+            '  <build>',
+            '    <item objectid="1"/>',
+            '  </build>',
+            '</model>'
+        );
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Metadata names must be valid XML names
+function toMetadataName(key) {
+    return key.replace(/[^A-Za-z0-9_.-]/g, '_').replace(/^([^A-Za-z_])/, '_$1');
+}
@@ -0,0 +1,42 @@
+export const LengthUnit = {
+    MM: 'mm',
+    CM: 'cm',
+    IN: 'in'
+};
+
+const METERS_PER_UNIT = {
+    [LengthUnit.MM]: 0.001,
+    [LengthUnit.CM]: 0.01,
+    [LengthUnit.IN]: 0.0254
+};
+
+/**
+ * Convert a length in meters (scene units) to the given display unit
+ */
+export function fromMeters(meters, unit) {
+    const factor = METERS_PER_UNIT[unit];
+    if (!factor) {
+        throw new Error('Unknown length unit: ' + unit);
+    }
+    return meters / factor;
+}
+
+/**
+ * Convert a length in the given display unit back to meters
+ */
+export function toMeters(value, unit) {
+    const factor = METERS_PER_UNIT[unit];
+    if (!factor) {
+        throw new Error('Unknown length unit: ' + unit);
+    }
+    return value * factor;
+}
+
+export function formatLength(meters, unit = LengthUnit.CM, precision = 1) {
+    return `${fromMeters(meters, unit).toFixed(precision)} ${unit}`;
+}
+
+export function formatArea(squareMeters, unit = LengthUnit.CM, precision = 1) {
+    const factor = METERS_PER_UNIT[unit];
+    return `${(squareMeters / (factor * factor)).toFixed(precision)} ${unit}²`;
+}
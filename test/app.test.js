@@ -0,0 +1,442 @@
+// @vitest-environment jsdom
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import * as THREE from 'three';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ARRepairKitApp } from '../src/app.js';
+import { MeshExporter } from '../src/mesh-exporter.js';
+import { parseProject, serializeProject } from '../src/project.js';
+import { FakeRenderer, FakeXRRigidTransform, FakeXRSystem, replay } from './fake-xr.js';
+
+const page = readFileSync(resolve(__dirname, '../index.html'), 'utf8');
+
+/**
+ * Triangle count and bounding box size of a binary STL
+ */
+function readSTL(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const count = view.getUint32(80, true);
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < count; i++) {
+        // Skip the normal, read the three vertices
+        for (let v = 1; v <= 3; v++) {
+            for (let axis = 0; axis < 3; axis++) {
+                const value = view.getFloat32(84 + i * 50 + v * 12 + axis * 4, true);
+                min[axis] = Math.min(min[axis], value);
+                max[axis] = Math.max(max[axis], value);
+            }
+        }
+    }
+    return { count, size: max.map((value, axis) => value - min[axis]) };
+}
+
+function click(id) {
+    document.getElementById(id).click();
+}
+
+function choose(id, value) {
+    const element = document.getElementById(id);
+    element.value = value;
+    element.dispatchEvent(new Event('change'));
+}
+
+async function startApp(xr) {
+    Object.defineProperty(navigator, 'xr', { value: xr, configurable: true });
+    const renderer = new FakeRenderer();
+    const app = new ARRepairKitApp({ renderer });
+    await app.ready;
+    return { app, renderer };
+}
+
+describe('ARRepairKitApp', () => {
+    let downloads;
+
+    beforeEach(() => {
+        document.body.innerHTML = new DOMParser().parseFromString(page, 'text/html').body.innerHTML;
+        localStorage.clear();
+        vi.stubGlobal('XRRigidTransform', FakeXRRigidTransform);
+        vi.stubGlobal('alert', vi.fn());
+        // Accept the printability warnings
+        vi.stubGlobal('confirm', vi.fn(() => true));
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        downloads = [];
+        vi.spyOn(MeshExporter.prototype, 'download').mockImplementation((bytes, filename) => {
+            downloads.push({ bytes, filename });
+        });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('measures in AR, generates a bracket and exports it', async () => {
+        const xr = new FakeXRSystem();
+        const { app, renderer } = await startApp(xr);
+        expect(app.statusEl.textContent).toContain('AR Ready');
+
+        click('ar-button');
+        await vi.waitFor(() => expect(app.arMeasurement.hitTestSource).not.toBeNull());
+        expect(xr.session.enabledFeatures).toEqual(
+            expect.arrayContaining(['hit-test', 'anchors', 'plane-detection', 'depth-sensing'])
+        );
+
+        // An L shape on the table: 8 cm along x, then 5 cm away from the viewer
+        await replay(renderer, [
+            { aim: [0, 0, 0] }, { tap: true },
+            { aim: [0.08, 0, 0] }, { tap: true },
+            { aim: [0.08, 0, -0.05] }, { tap: true }
+        ]);
+        expect(app.measurements.map(m => +m.distanceToNext.toFixed(6))).toEqual([0.08, 0.05]);
+        expect(app.measurementsEl.textContent).toContain('8.0 cm');
+
+        choose('template-select', 'bracket');
+        click('generate-button');
+        expect(app.generatedPart).not.toBeNull();
+        expect(document.getElementById('export-row').classList.contains('hidden')).toBe(false);
+
+        // The part is anchored on the next frame
+        await replay(renderer, [{ frames: 1 }]);
+        expect(xr.session.anchors.size).toBe(1);
+
+        choose('export-format', 'stl');
+        click('export-button');
+        expect(downloads).toHaveLength(1);
+        expect(downloads[0].filename).toBe('repair-part.stl');
+
+        const { count, size } = readSTL(downloads[0].bytes);
+        expect(count).toBeGreaterThan(0);
+        // Legs along x and up - z up in the file - in millimeters
+        expect(size[0]).toBeCloseTo(80, 3);
+        expect(size[2]).toBeCloseTo(50, 3);
+
+        await xr.session.end();
+        expect(app.statusEl.textContent).toBe('AR Ended');
+    });
+
+    it('updates the part and parameters once a dragged point is dropped', async () => {
+        const xr = new FakeXRSystem();
+        const { app, renderer } = await startApp(xr);
+        click('ar-button');
+        await vi.waitFor(() => expect(app.arMeasurement.hitTestSource).not.toBeNull());
+
+        await replay(renderer, [
+            { aim: [0, 0, 0] }, { tap: true },
+            { aim: [0.08, 0, 0] }, { tap: true },
+            { aim: [0.08, 0, -0.05] }, { tap: true }
+        ]);
+        choose('template-select', 'bracket');
+        click('generate-button');
+
+        const mapping = vi.spyOn(app, 'updateTemplateMapping');
+        const suggestions = vi.spyOn(app, 'updateSuggestions');
+        const anchor = vi.spyOn(app.partPlacement, 'requestAnchor');
+
+        // Pull the last point 2 cm further away
+        await replay(renderer, [{ press: true }, { aim: [0.08, 0, -0.07], frames: 5 }]);
+        expect(app.measurementsEl.textContent).toContain('7.0 cm');
+        expect(mapping).not.toHaveBeenCalled();
+        expect(suggestions).not.toHaveBeenCalled();
+        expect(anchor).not.toHaveBeenCalled();
+
+        await replay(renderer, [{ release: true }]);
+        expect(mapping).toHaveBeenCalledTimes(1);
+        expect(suggestions).toHaveBeenCalledTimes(1);
+        expect(anchor).toHaveBeenCalledTimes(1);
+        expect(app.measurements[1].distanceToNext).toBeCloseTo(0.07, 6);
+
+        await xr.session.end();
+    });
+
+    it('builds a part from typed measurements without AR', async () => {
+        const { app } = await startApp(new FakeXRSystem({ supported: false }));
+        expect(app.statusEl.textContent).toContain('type in measurements');
+
+        choose('unit-select', 'mm');
+        choose('template-select', 'shim');
+        app.manualLengthInput.value = '3';
+        click('manual-add-button');
+        expect(app.measurements[0].distanceToNext).toBeCloseTo(0.003, 9);
+
+        click('generate-button');
+        choose('export-scale', '200');
+        click('export-button');
+
+        const { size } = readSTL(downloads[0].bytes);
+        // 3 mm shim at twice the size
+        expect(size[2]).toBeCloseTo(6, 3);
+    });
+
+    it('previews a bracket while its parameters change and builds it once they settle', async () => {
+        const { app } = await startApp(new FakeXRSystem({ supported: false }));
+        choose('unit-select', 'mm');
+        choose('template-select', 'bracket');
+        ['80', '50'].forEach((length) => {
+            app.manualLengthInput.value = length;
+            click('manual-add-button');
+        });
+        click('generate-button');
+        vi.useFakeTimers();
+
+        app.onParameterChange('thickness', 0.004);
+        app.onParameterChange('gusset', true);
+
+        expect(app.generatedPart.userData.preview).toBe(true);
+        expect(app.printPanel.classList.contains('hidden')).toBe(true);
+        vi.advanceTimersByTime(600);
+        expect(app.generatedPart.userData.preview).toBeUndefined();
+        expect(app.printPanel.classList.contains('hidden')).toBe(false);
+
+        // Exporting doesn't wait for the edits to settle
+        app.onParameterChange('thickness', 0.005);
+        click('export-button');
+        expect(app.generatedPart.userData.preview).toBeUndefined();
+        expect(app.generatedParams.thickness).toBe(0.005);
+        expect(vi.getTimerCount()).toBe(0);
+        expect(downloads).toHaveLength(1);
+    });
+
+    it('suggests a part for the measurements and prefills it', async () => {
+        const { app } = await startApp(new FakeXRSystem({ supported: false }));
+        expect(app.suggestionPanel.classList.contains('hidden')).toBe(true);
+
+        choose('unit-select', 'cm');
+        ['8', '5'].forEach((length) => {
+            app.manualLengthInput.value = length;
+            click('manual-add-button');
+        });
+
+        const [first] = app.suggestionListEl.querySelectorAll('li');
+        expect(app.suggestionPanel.classList.contains('hidden')).toBe(false);
+        expect(first.textContent).toContain('L-Bracket');
+        expect(first.textContent).toContain('8.0 cm');
+
+        first.querySelector('button').click();
+        expect(app.templateSelect.value).toBe('bracket');
+        expect(app.parameterOverrides.thickness).toBeCloseTo(0.006, 9);
+    });
+
+    it('keeps several parts and exports them on one plate', async () => {
+        const { app } = await startApp(new FakeXRSystem({ supported: false }));
+        const addSegments = (...lengths) => lengths.forEach((length) => {
+            app.manualLengthInput.value = length;
+            click('manual-add-button');
+        });
+
+        choose('unit-select', 'mm');
+        choose('template-select', 'shim');
+        addSegments('3');
+        click('generate-button');
+        click('keep-part-button');
+        expect(app.generatedPart).toBeNull();
+
+        click('clear-button');
+        choose('template-select', 'bracket');
+        addSegments('60', '40');
+        click('generate-button');
+        click('keep-part-button');
+
+        const items = app.partsListEl.querySelectorAll('li');
+        expect(Array.from(items, item => item.querySelector('input').value)).toEqual(['Shim / Spacer 1', 'L-Bracket 1']);
+        expect(document.getElementById('export-row').classList.contains('hidden')).toBe(false);
+
+        const nameInput = items[0].querySelector('input');
+        nameInput.value = 'Leg shim';
+        nameInput.dispatchEvent(new Event('change'));
+        app.partsListEl.querySelector('li button').click();
+        expect(downloads[0].filename).toBe('leg-shim.stl');
+
+        click('plate-export-button');
+        expect(downloads[1].filename).toBe('repair-plate.stl');
+        const shim = readSTL(downloads[0].bytes);
+        const plate = readSTL(downloads[1].bytes);
+        expect(plate.count).toBeGreaterThan(shim.count);
+        // The bracket rests on the back of its longer leg, the other leg standing up - z up in the file
+        expect(plate.size[2]).toBeCloseTo(40, 3);
+        expect(plate.size[0]).toBeLessThanOrEqual(app.printer.bed.width * 1000);
+    });
+
+    it('exports a report next to the model', async () => {
+        const { app } = await startApp(new FakeXRSystem({ supported: false }));
+        const reports = [];
+        // jsdom has no object URLs and can't follow download links
+        vi.stubGlobal('URL', class extends URL {
+            static createObjectURL(blob) {
+                reports.push({ blob });
+                return 'blob:report';
+            }
+
+            static revokeObjectURL() {}
+        });
+        vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            reports[reports.length - 1].filename = this.download;
+        });
+        vi.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/png;base64,AAAA');
+
+        choose('unit-select', 'cm');
+        choose('template-select', 'bracket');
+        ['8', '5'].forEach((length) => {
+            app.manualLengthInput.value = length;
+            click('manual-add-button');
+        });
+        click('generate-button');
+
+        const html = await app.exportReport();
+        expect(downloads.map(download => download.filename)).toEqual(['repair-part.stl']);
+        expect(reports).toHaveLength(1);
+        expect(reports[0].filename).toBe('repair-part-report.html');
+        expect(reports[0].blob.type).toBe('text/html');
+        expect(app.statusEl.textContent).toBe('Report exported with repair-part.stl');
+
+        expect(html).toContain('<img src="data:image/png;base64,AAAA"');
+        expect(html).toContain('<td>8.0 cm</td>');
+        expect(html).toContain('<strong>L-Bracket</strong>');
+        expect(html).toContain('<tr><th>Width</th><td>8.00 cm</td></tr>');
+        expect(html).toContain('<code>repair-part.stl</code>');
+    });
+
+    it('takes calibration lengths in the display unit', async () => {
+        const { app } = await startApp(new FakeXRSystem({ supported: false }));
+        choose('unit-select', 'in');
+        // The card and marker defaults, in inches
+        expect(app.referenceLengthInput.value).toBe('3.37');
+        expect(app.markerSizeInput.value).toBe('1.969');
+        expect(document.querySelector('.calibration-unit').textContent).toBe('in');
+
+        choose('unit-select', 'cm');
+        app.manualLengthInput.value = '8';
+        click('manual-add-button');
+        // 8 cm measured, really 8.4 cm
+        choose('reference-length', '8.4');
+        click('reference-button');
+        expect(app.arMeasurement.scaleFactor).toBeCloseTo(1.05, 9);
+
+        // The printed marker is still sized in millimeters
+        const saved = [];
+        vi.stubGlobal('URL', { createObjectURL: () => 'blob:marker', revokeObjectURL: () => {} });
+        vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            saved.push(this.download);
+        });
+        choose('marker-size', '4');
+        click('marker-download-button');
+        expect(app.markerSize).toBeCloseTo(0.04, 9);
+        expect(saved).toEqual(['calibration-marker-40mm.svg']);
+    });
+
+    it('measures a scan at true scale after calibrating in AR', async () => {
+        const { app } = await startApp(new FakeXRSystem({ supported: false }));
+        choose('unit-select', 'cm');
+        app.manualLengthInput.value = '8';
+        click('manual-add-button');
+        choose('reference-length', '8.4');
+        click('reference-button');
+        expect(app.arMeasurement.scaleFactor).toBeCloseTo(1.05, 9);
+        click('clear-button');
+
+        // Clicks 10 cm apart on a scan loaded at true scale
+        const up = new THREE.Vector3(0, 1, 0);
+        app.scanReference.onPick(new THREE.Vector3(-0.05, 0.02, 0), up);
+        app.scanReference.onPick(new THREE.Vector3(0.05, 0.02, 0), up);
+        expect(app.measurements[0].distanceToNext).toBeCloseTo(0.1, 9);
+
+        choose('template-select', 'shim');
+        click('generate-button');
+        const box = new THREE.Box3().setFromObject(app.generatedPart);
+        // The shim is as thick as the measured gap
+        expect(box.max.y - box.min.y).toBeCloseTo(0.1, 6);
+    });
+
+    it('saves a session and picks it up again in a fresh app', async () => {
+        const { app } = await startApp(new FakeXRSystem({ supported: false }));
+        choose('unit-select', 'mm');
+        choose('template-select', 'bracket');
+        ['80', '50'].forEach((length) => {
+            app.manualLengthInput.value = length;
+            click('manual-add-button');
+        });
+        app.onParameterChange('thickness', 0.005);
+        click('generate-button');
+        const saved = serializeProject(app.createProject());
+
+        const { app: reloaded } = await startApp(new FakeXRSystem({ supported: false }));
+        choose('unit-select', 'in');
+        reloaded.loadProject(parseProject(saved));
+
+        // Shown in the user's own unit, not the one the project was saved in
+        expect(reloaded.settings.displayUnit).toBe('in');
+        expect(reloaded.templateSelect.value).toBe('bracket');
+        expect(reloaded.parameterOverrides).toEqual({ thickness: 0.005 });
+        expect(reloaded.measurements.map(m => +m.distanceToNext.toFixed(6))).toEqual([0.08, 0.05]);
+        expect(reloaded.generatedPart).not.toBeNull();
+    });
+
+    it('loads a project saved by an older version', async () => {
+        const { app } = await startApp(new FakeXRSystem({ supported: false }));
+        const project = parseProject({
+            format: 'ar-repair-kit-project',
+            version: 1,
+            name: 'Wobbly table',
+            units: 'cm',
+            mode: 'distance',
+            calibration: { scaleFactor: 1, method: null },
+            // No sampling quality, and a plane recorded without its normal
+            points: [
+                { position: [0, 0, 0], normal: [0, 1, 0] },
+                { position: [0, 0.003, 0], normal: [0, 1, 0], plane: { id: 1, orientation: 'horizontal' } }
+            ],
+            measurements: [{ distance: 0.003 }],
+            template: 'shim',
+            parameterOverrides: {},
+            partGenerated: true
+        });
+
+        app.loadProject(project);
+
+        expect(app.measurements[0].distanceToNext).toBeCloseTo(0.003, 9);
+        expect(app.measurements[0].nextPlane.normal.toArray()).toEqual([0, 1, 0]);
+        expect(app.templateSelect.value).toBe('shim');
+        expect(app.projectNameInput.value).toBe('Wobbly table');
+        expect(app.generatedPart).not.toBeNull();
+    });
+
+    it('clears the measurements when loading a project without points', async () => {
+        const { app } = await startApp(new FakeXRSystem({ supported: false }));
+        ['80', '50'].forEach((length) => {
+            app.manualLengthInput.value = length;
+            click('manual-add-button');
+        });
+        expect(app.measurements).toHaveLength(2);
+
+        app.loadProject(parseProject({
+            format: 'ar-repair-kit-project',
+            version: 1,
+            name: 'Not measured yet',
+            units: 'cm',
+            mode: 'distance',
+            calibration: { scaleFactor: 1, method: null },
+            points: [],
+            measurements: [],
+            template: 'shim',
+            parameterOverrides: {},
+            partGenerated: false
+        }));
+
+        expect(app.measurements).toEqual([]);
+        expect(app.measurementsEl.innerHTML).toBe('');
+    });
+
+    it('remembers the settings', async () => {
+        const { app } = await startApp(new FakeXRSystem({ supported: false }));
+        choose('unit-select', 'in');
+        choose('precision-select', '3');
+
+        const { app: reloaded } = await startApp(new FakeXRSystem({ supported: false }));
+        expect(reloaded.settings.displayUnit).toBe('in');
+        expect(reloaded.settings.precision).toBe(3);
+        expect(app).not.toBe(reloaded);
+    });
+});
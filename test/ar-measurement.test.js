@@ -0,0 +1,250 @@
+// @vitest-environment jsdom
+import * as THREE from 'three';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ARMeasurement, PointSource } from '../src/ar-measurement.js';
+import { MeasurementMode } from '../src/measurement-modes.js';
+import { FakeRenderer, FakeXRSystem, poseMatrix, replay } from './fake-xr.js';
+
+async function startMeasuring(features) {
+    const renderer = new FakeRenderer();
+    const session = await new FakeXRSystem({ features }).requestSession('immersive-ar', {
+        requiredFeatures: ['hit-test'],
+        optionalFeatures: ['anchors', 'plane-detection', 'depth-sensing']
+    });
+    await renderer.xr.setSession(session);
+
+    const measurement = new ARMeasurement(new THREE.Scene(), renderer);
+    renderer.setAnimationLoop(() => measurement.update());
+    await measurement.startSession(session);
+    return { renderer, session, measurement };
+}
+
+describe('ARMeasurement', () => {
+    let renderer;
+    let session;
+    let measurement;
+
+    beforeEach(async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        ({ renderer, session, measurement } = await startMeasuring([]));
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('measures the distance between tapped points', async () => {
+        await replay(renderer, [
+            { aim: [0, 0, 0] }, { tap: true },
+            { aim: [0.1, 0, 0] }, { tap: true },
+            { aim: [0.1, 0, -0.06] }, { tap: true }
+        ]);
+
+        const measurements = measurement.getMeasurements();
+        expect(measurements).toHaveLength(2);
+        expect(measurements[0].distanceToNext).toBeCloseTo(0.1, 6);
+        expect(measurements[1].distanceToNext).toBeCloseTo(0.06, 6);
+        expect(measurements[0].direction.toArray()).toEqual([1, 0, 0]);
+        expect(measurements[0].normal.y).toBeCloseTo(1, 6);
+    });
+
+    it('ignores taps while no surface is found', async () => {
+        await replay(renderer, [{ aim: null }, { tap: true }]);
+
+        expect(measurement.reticle.visible).toBe(false);
+        expect(measurement.points).toHaveLength(0);
+    });
+
+    it('applies the calibration scale to distances', async () => {
+        measurement.setScaleFactor(1.1);
+        await replay(renderer, [
+            { aim: [0, 0, 0] }, { tap: true },
+            { aim: [0.1, 0, 0] }, { tap: true }
+        ]);
+
+        expect(measurement.getMeasurements()[0].distanceToNext).toBeCloseTo(0.11, 6);
+    });
+
+    it('drags a point and undoes the move', async () => {
+        await replay(renderer, [
+            { aim: [0, 0, 0] }, { tap: true },
+            { aim: [0.05, 0, 0] }, { tap: true },
+            // Grab the second point and pull it 2 cm further
+            { press: true },
+            { aim: [0.07, 0, 0], frames: 3 },
+            { release: true }
+        ]);
+
+        expect(measurement.points).toHaveLength(2);
+        expect(measurement.getMeasurements()[0].distanceToNext).toBeCloseTo(0.07, 6);
+
+        measurement.undo();
+        expect(measurement.getMeasurements()[0].distanceToNext).toBeCloseTo(0.05, 6);
+        measurement.redo();
+        expect(measurement.getMeasurements()[0].distanceToNext).toBeCloseTo(0.07, 6);
+    });
+
+    it('drops a dragged point without adding one, and the next tap adds one', async () => {
+        await replay(renderer, [
+            { aim: [0, 0, 0] }, { tap: true },
+            { aim: [0.05, 0, 0] }, { tap: true },
+            { press: true },
+            { aim: [0.07, 0, 0], frames: 3 },
+            { release: true }
+        ]);
+
+        expect(measurement.points).toHaveLength(2);
+        expect(measurement.undoStack.map(action => action.type)).toEqual(['add', 'add', 'move']);
+
+        await replay(renderer, [{ aim: [0.07, 0, -0.05] }, { tap: true }]);
+        expect(measurement.points).toHaveLength(3);
+        expect(measurement.getMeasurements()[1].distanceToNext).toBeCloseTo(0.05, 6);
+    });
+
+    it('places surface points from outside the hit test, e.g. a scan', () => {
+        measurement.addSurfacePoint(new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, 1));
+        measurement.addSurfacePoint(new THREE.Vector3(0, 0.05, 0), new THREE.Vector3(0, 0, 1));
+
+        const [segment] = measurement.getMeasurements();
+        expect(segment.distanceToNext).toBeCloseTo(0.05, 6);
+        expect(segment.normal.toArray()).toEqual([0, 0, 1]);
+        measurement.undo();
+        expect(measurement.points).toHaveLength(1);
+    });
+
+    it('applies the AR calibration to hit test points only, not scan points', () => {
+        measurement.setScaleFactor(1.05);
+        const normal = new THREE.Vector3(0, 1, 0);
+        measurement.addSurfacePoint(new THREE.Vector3(0, 0, 0), normal, PointSource.SCAN);
+        measurement.addSurfacePoint(new THREE.Vector3(0.1, 0, 0), normal, PointSource.SCAN);
+        measurement.addSurfacePoint(new THREE.Vector3(0.1, 0, 0.1), normal);
+
+        const [onScan, mixed] = measurement.getMeasurements();
+        expect(onScan.distanceToNext).toBeCloseTo(0.1, 9);
+        expect(mixed.distanceToNext).toBeCloseTo(0.105, 9);
+
+        // Undo and redo keep the source, and so do project files
+        measurement.undo();
+        measurement.undo();
+        measurement.redo();
+        expect(measurement.getMeasurements()[0].distanceToNext).toBeCloseTo(0.1, 9);
+        measurement.loadPoints(measurement.getPointData());
+        expect(measurement.getMeasurements()[0].distanceToNext).toBeCloseTo(0.1, 9);
+    });
+
+    it('computes angles in angle mode', async () => {
+        measurement.setMode(MeasurementMode.ANGLE);
+        await replay(renderer, [
+            { aim: [0.1, 0, 0] }, { tap: true },
+            { aim: [0, 0, 0] }, { tap: true },
+            { aim: [0, 0, -0.1] }, { tap: true }
+        ]);
+
+        const angle = measurement.getResults().find(result => result.type === 'angle');
+        expect(angle.degrees).toBeCloseTo(90, 4);
+    });
+});
+
+describe('ARMeasurement with plane detection', () => {
+    let renderer;
+    let session;
+    let measurement;
+
+    beforeEach(async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        ({ renderer, session, measurement } = await startMeasuring(['plane-detection']));
+        // A 20 × 10 cm table top centred on the origin
+        session.addPlane([
+            { x: -0.1, z: -0.05 }, { x: 0.1, z: -0.05 }, { x: 0.1, z: 0.05 }, { x: -0.1, z: 0.05 }
+        ], poseMatrix(new THREE.Vector3(0, 0, 0)));
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('records the plane under each point', async () => {
+        await replay(renderer, [
+            // Hit tests are noisy - the point takes the plane's normal
+            { aim: [0, 0.005, 0], normal: [0.1, 1, 0] }, { tap: true },
+            { aim: [0.3, 0, 0] }, { tap: true }
+        ]);
+
+        const [segment] = measurement.getMeasurements();
+        expect(segment.plane).toMatchObject({ id: 'plane-1', orientation: 'horizontal' });
+        expect(segment.nextPlane).toBeNull();
+        expect(segment.normal.toArray()).toEqual([0, 1, 0]);
+    });
+
+    it('snaps points onto plane corners', async () => {
+        measurement.setSnappingEnabled(true);
+        await replay(renderer, [
+            { aim: [0.095, 0, 0.045] }, { tap: true }
+        ]);
+
+        expect(measurement.points[0].position.toArray().map(v => +v.toFixed(6))).toEqual([0.1, 0, 0.05]);
+    });
+
+    it('forgets the planes when the session ends', async () => {
+        await replay(renderer, [{ frames: 1 }]);
+        expect(measurement.planeTracker.planes.size).toBe(1);
+
+        await session.end();
+        expect(measurement.planeTracker.planes.size).toBe(0);
+    });
+});
+
+describe('ARMeasurement with depth sensing', () => {
+    it('fits a hole from the depth image in one tap', async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const { renderer, session, measurement } = await startMeasuring(['depth-sensing']);
+        expect(measurement.depthSensingAvailable).toBe(true);
+
+        // Looking down from 30 cm onto a table with a 20 mm hole, 5 cm deep, under the reticle
+        session.setDepth((x, y) => Math.hypot(x * 0.3, y * 0.3) < 0.01 ? 0.35 : 0.3);
+        const onDepthFit = vi.fn();
+        measurement.onDepthFit = onDepthFit;
+        measurement.setMode(MeasurementMode.CIRCLE);
+
+        await replay(renderer, [
+            { aim: [0, 0, 0] }, { tap: true },
+            { frames: 2 }
+        ]);
+
+        expect(onDepthFit).toHaveBeenCalledWith(expect.objectContaining({ type: 'diameter' }), null);
+        const [diameter] = measurement.getResults();
+        expect(diameter.type).toBe('diameter');
+        // Within a depth pixel, about 3 mm at this distance
+        expect(Math.abs(diameter.value - 0.02)).toBeLessThan(0.003);
+        // Both ends lie on the table around the hole's centre
+        measurement.points.forEach(point => expect(point.position.y).toBeCloseTo(0, 3));
+
+        vi.restoreAllMocks();
+    });
+
+    it('drops a fit that finishes after the points were cleared or AR ended', async () => {
+        const { renderer, session, measurement } = await startMeasuring(['depth-sensing']);
+        session.setDepth((x, y) => Math.hypot(x * 0.3, y * 0.3) < 0.01 ? 0.35 : 0.3);
+        const onDepthFit = vi.fn();
+        measurement.onDepthFit = onDepthFit;
+        measurement.setMode(MeasurementMode.CIRCLE);
+
+        // The fit waits for the next frame's depth image
+        await replay(renderer, [{ aim: [0, 0, 0] }, { tap: true, frames: 0 }]);
+        expect(measurement.fitting).toBe(true);
+        measurement.clearMeasurements();
+        await replay(renderer, [{ frames: 2 }]);
+
+        expect(measurement.points).toHaveLength(0);
+        expect(measurement.fitting).toBe(false);
+
+        // Leaving AR before the depth frame arrives
+        await replay(renderer, [{ tap: true, frames: 0 }]);
+        expect(measurement.fitting).toBe(true);
+        await session.end();
+        await vi.waitFor(() => expect(measurement.fitting).toBe(false));
+
+        expect(measurement.points).toHaveLength(0);
+        expect(onDepthFit).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,144 @@
+import * as THREE from 'three';
+import { beforeEach, describe, expect, it } from 'vitest';
+import { Assembly, arrangeOnBed, restingOrientation } from '../src/assembly.js';
+import { createExporter } from '../src/exporters.js';
+
+const BED = { width: 0.2, depth: 0.2, height: 0.2 };
+
+function block(width, height, depth) {
+    return new THREE.Mesh(new THREE.BoxGeometry(width, height, depth));
+}
+
+function boxOf(object) {
+    object.updateMatrixWorld(true);
+    return new THREE.Box3().setFromObject(object);
+}
+
+describe('Assembly', () => {
+    let scene;
+    let assembly;
+
+    beforeEach(() => {
+        scene = new THREE.Scene();
+        assembly = new Assembly(scene);
+    });
+
+    it('names parts after their template', () => {
+        const template = { name: 'Shim / Spacer' };
+        const first = assembly.add(block(0.01, 0.01, 0.01), { template });
+        const second = assembly.add(block(0.01, 0.01, 0.01), { template });
+        const third = assembly.add(block(0.01, 0.01, 0.01));
+
+        expect([first.name, second.name, third.name]).toEqual(['Shim / Spacer 1', 'Shim / Spacer 2', 'Part 1']);
+    });
+
+    it('renames and removes parts', () => {
+        const changes = [];
+        assembly.onChange = parts => changes.push(parts.length);
+        const object = block(0.01, 0.01, 0.01);
+        scene.add(object);
+        const part = assembly.add(object);
+
+        assembly.rename(part.id, '  Leg shim ');
+        assembly.rename(part.id, ' ');
+        expect(part.name).toBe('Leg shim');
+
+        assembly.remove(part.id);
+        expect(assembly.parts).toEqual([]);
+        expect(scene.children).not.toContain(object);
+        expect(changes).toEqual([1, 1, 0]);
+    });
+
+    it('needs parts to arrange', () => {
+        expect(() => assembly.arrange(BED)).toThrow('Add parts to the list first');
+    });
+
+    it('arranges the solids in their own frames, wherever they were placed', () => {
+        const placed = block(0.04, 0.01, 0.02);
+        placed.position.set(1, 2, 3);
+        scene.add(placed);
+        assembly.add(placed, { name: 'Plate' });
+
+        const { plate } = assembly.arrange(BED);
+        const box = boxOf(plate);
+        expect(box.min.y).toBeCloseTo(0, 9);
+        expect(box.max.x).toBeLessThan(BED.width);
+    });
+});
+
+describe('restingOrientation', () => {
+    it('lays a standing slab flat', () => {
+        const slab = block(0.002, 0.05, 0.03);
+        const turn = restingOrientation(createExporter('stl').getTriangles(slab, 1, null));
+        slab.quaternion.copy(turn);
+
+        const size = boxOf(slab).getSize(new THREE.Vector3());
+        expect(size.y).toBeCloseTo(0.002, 9);
+    });
+
+    it('keeps a part that already lies flat as it is', () => {
+        const turn = restingOrientation(createExporter('stl').getTriangles(block(0.04, 0.01, 0.04), 1, null));
+        expect(turn.angleTo(new THREE.Quaternion())).toBeCloseTo(0, 9);
+    });
+});
+
+describe('arrangeOnBed', () => {
+    it('lays parts out without overlap inside the bed', () => {
+        const parts = [
+            { name: 'A', mesh: block(0.08, 0.01, 0.06) },
+            { name: 'B', mesh: block(0.09, 0.01, 0.05) },
+            { name: 'C', mesh: block(0.05, 0.01, 0.05) },
+            { name: 'D', mesh: block(0.03, 0.02, 0.03) }
+        ];
+        const { plate, placements } = arrangeOnBed(parts, BED);
+
+        expect(plate.children).toHaveLength(4);
+        const boxes = plate.children.map(boxOf);
+        boxes.forEach((box, i) => {
+            expect(box.min.x).toBeGreaterThanOrEqual(-1e-9);
+            expect(box.min.z).toBeGreaterThanOrEqual(-BED.depth - 1e-9);
+            expect(box.max.x).toBeLessThanOrEqual(BED.width + 1e-9);
+            expect(box.max.z).toBeLessThanOrEqual(1e-9);
+            expect(box.min.y).toBeCloseTo(0, 9);
+            // Touching counts as overlap - parts are spaced apart
+            boxes.slice(i + 1).forEach(other => expect(box.clone().expandByScalar(0.002).intersectsBox(other)).toBe(false));
+        });
+        expect(placements.map(placement => placement.name)).toEqual(['A', 'B', 'C', 'D']);
+    });
+
+    it('turns a long part to fit', () => {
+        const { plate } = arrangeOnBed([{ name: 'Rail', mesh: block(0.25, 0.01, 0.02) }], { width: 0.2, depth: 0.3, height: 0.2 });
+
+        const size = boxOf(plate).getSize(new THREE.Vector3());
+        expect(size.x).toBeCloseTo(0.02, 9);
+        expect(size.z).toBeCloseTo(0.25, 9);
+    });
+
+    it('exports the plate z up, on the bed and as tall as its tallest part', () => {
+        const parts = [
+            { name: 'Slab', mesh: block(0.06, 0.004, 0.03) },
+            // Stands 3 cm tall on its side, lies 1 cm high once rested
+            { name: 'Post', mesh: block(0.01, 0.03, 0.012) },
+            { name: 'Cube', mesh: block(0.02, 0.02, 0.02) }
+        ];
+        const { plate } = arrangeOnBed(parts, BED);
+
+        const exported = new THREE.Box3();
+        createExporter('stl').getTriangles(plate, 1000).forEach(({ vertices }) => vertices.forEach(vertex => exported.expandByPoint(vertex)));
+
+        expect(exported.min.z).toBeCloseTo(0, 6);
+        expect(exported.max.z).toBeCloseTo(20, 6);
+        expect(exported.min.x).toBeGreaterThanOrEqual(-1e-6);
+        expect(exported.min.y).toBeGreaterThanOrEqual(-1e-6);
+        expect(exported.max.x).toBeLessThanOrEqual(BED.width * 1000 + 1e-6);
+        expect(exported.max.y).toBeLessThanOrEqual(BED.depth * 1000 + 1e-6);
+    });
+
+    it('names the parts that do not fit', () => {
+        expect(() => arrangeOnBed([{ name: 'Huge', mesh: block(0.3, 0.01, 0.3) }], BED))
+            .toThrow('Too large for the bed: Huge');
+
+        const many = Array.from({ length: 6 }, (_, i) => ({ name: `Tile ${i + 1}`, mesh: block(0.09, 0.005, 0.09) }));
+        expect(() => arrangeOnBed(many, BED)).toThrow('Tile 5, Tile 6 left over');
+    });
+});
@@ -0,0 +1,143 @@
+import * as THREE from 'three';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ParametricGenerator } from '../src/parametric-generator.js';
+import { convexHull, fitGapSurface, measuredPoints } from '../src/conformal-shim.js';
+import { MeshExporter } from '../src/mesh-exporter.js';
+import { validateMesh } from '../src/mesh-validator.js';
+import { PartPlacement } from '../src/part-placement.js';
+
+/**
+ * Segments through the given points, as ARMeasurement reports them
+ */
+function pointsToMeasurements(points, normal = new THREE.Vector3(0, 1, 0)) {
+    return points.slice(0, -1).map((position, i) => {
+        const next = points[i + 1];
+        return {
+            position: position.clone(),
+            distanceToNext: next.distanceTo(position),
+            direction: next.clone().sub(position).normalize(),
+            normal: normal.clone()
+        };
+    });
+}
+
+function size(object) {
+    return new THREE.Box3().setFromObject(object).getSize(new THREE.Vector3());
+}
+
+const v = (x, y, z) => new THREE.Vector3(x, y, z);
+
+describe('conformal shim', () => {
+    let generator;
+
+    beforeEach(() => {
+        generator = new ParametricGenerator(new THREE.Scene());
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('recovers every measured point, with the calibration applied', () => {
+        const measurements = pointsToMeasurements([v(0, 0, 0), v(0.1, 0, 0), v(0.1, 0.02, 0)]);
+        // A 10% calibration correction stretches the segments
+        measurements.forEach((measurement) => { measurement.distanceToNext *= 1.1; });
+
+        const points = measuredPoints(measurements);
+        expect(points).toHaveLength(3);
+        expect(points[2].distanceTo(v(0.11, 0.022, 0))).toBeLessThan(1e-9);
+    });
+
+    it('follows a sloping gap along a line of points', () => {
+        // Floor at the origin, then the underside of a leg rising from 2 mm to 6 mm over 4 cm
+        const shim = generator.generateConformalShim(pointsToMeasurements([
+            v(0, 0, 0), v(0.02, 0.002, 0), v(0.04, 0.004, 0), v(0.06, 0.006, 0)
+        ]), { width: 0.03 });
+
+        expect(shim.userData.fit).toBe('profile');
+        expect(shim.userData.warnings).toEqual([]);
+        shim.geometry.computeBoundingBox();
+        const { min, max } = shim.geometry.boundingBox;
+        expect(max.x - min.x).toBeCloseTo(0.04, 6);
+        expect(max.z - min.z).toBeCloseTo(0.03, 6);
+        expect(min.y).toBeCloseTo(0, 9);
+        expect(max.y).toBeCloseTo(0.006, 6);
+    });
+
+    it('passes a surface through a grid of points', () => {
+        const heights = [[0.003, 0.004, 0.003], [0.004, 0.008, 0.004], [0.003, 0.004, 0.003]];
+        const samples = [];
+        heights.forEach((row, i) => row.forEach((height, j) => samples.push({ x: i * 0.02, z: j * 0.02, height })));
+
+        const { mode, outline, heightAt } = fitGapSurface(samples, 0.02);
+        expect(mode).toBe('surface');
+        expect(outline).toHaveLength(4);
+        samples.forEach(sample => expect(heightAt(sample.x, sample.z)).toBeCloseTo(sample.height, 9));
+    });
+
+    it('raises the shim to the minimum thickness where the gap closes', () => {
+        const shim = generator.generateConformalShim(pointsToMeasurements([
+            v(0, 0, 0), v(0.02, 0, 0), v(0.05, 0.004, 0)
+        ]), { minThickness: 0.0015 });
+
+        expect(shim.userData.warnings).toHaveLength(1);
+        expect(size(shim).y).toBeCloseTo(0.004, 6);
+        const positions = shim.geometry.attributes.position;
+        for (let i = 0; i < positions.count; i++) {
+            const y = positions.getY(i);
+            expect(y === 0 || y >= 0.0015 - 1e-7).toBe(true);
+        }
+    });
+
+    it('stands on the reference plane in the measured frame', () => {
+        // Reference surface facing down, e.g. the underside of a shelf
+        const shim = generator.generateConformalShim(pointsToMeasurements([
+            v(0.1, 0.5, 0), v(0.1, 0.495, 0.02), v(0.1, 0.497, 0.05)
+        ], v(0, -1, 0)));
+
+        expect(shim.position.toArray()).toEqual([0.1, 0.5, 0]);
+        expect(v(0, 1, 0).applyQuaternion(shim.quaternion).y).toBeCloseTo(-1, 9);
+        expect(size(shim).y).toBeCloseTo(0.005, 6);
+    });
+
+    it('stands in the same frame as the placed part', () => {
+        const normal = v(0, -1, 0);
+        const points = [v(0.1, 0.5, 0), v(0.1, 0.495, 0.02), v(0.1, 0.497, 0.05)];
+        const shim = generator.generateConformalShim(pointsToMeasurements(points, normal));
+        const placement = new PartPlacement({ points: points.map(position => ({ position, userData: { normal } })) });
+
+        shim.updateMatrix();
+        const frame = placement.getMeasurementFrame().toArray();
+        shim.matrix.toArray().forEach((value, i) => expect(value).toBeCloseTo(frame[i], 9));
+    });
+
+    it('exports as a closed solid', () => {
+        const points = [v(0, 0, 0)];
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) points.push(v(0.02 + i * 0.02, 0.003 + 0.001 * ((i + j) % 2), j * 0.02));
+        }
+        const shim = generator.generateConformalShim(pointsToMeasurements(points));
+        expect(shim.userData.fit).toBe('surface');
+
+        expect(validateMesh(shim.geometry).problems).toEqual([]);
+        const { report } = new MeshExporter().prepare(shim);
+        expect(report.problems).toEqual([]);
+    });
+
+    it('needs the surface points to span something', () => {
+        expect(() => generator.generateConformalShim(pointsToMeasurements([
+            v(0, 0, 0), v(0.02, 0.003, 0), v(0.0201, 0.003, 0)
+        ]))).toThrow('at least 2 distinct surface points');
+    });
+
+    it('builds a counter-clockwise hull', () => {
+        const hull = convexHull([
+            new THREE.Vector2(0, 0), new THREE.Vector2(1, 1), new THREE.Vector2(1, 0),
+            new THREE.Vector2(0.5, 0.5), new THREE.Vector2(0, 1)
+        ]);
+
+        expect(hull).toHaveLength(4);
+        expect(THREE.ShapeUtils.isClockWise(hull)).toBe(false);
+    });
+});
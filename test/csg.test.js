@@ -0,0 +1,75 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import { CSG } from '../src/csg.js';
+import { validateMesh } from '../src/mesh-validator.js';
+
+// 2 cm cube centred at (x, y, z)
+function cube(x = 0, y = 0, z = 0) {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(0.02, 0.02, 0.02));
+    mesh.position.set(x, y, z);
+    return CSG.fromMesh(mesh);
+}
+
+// Overlaps the cube at the origin by 1 × 1.5 × 1.5 cm
+const OVERLAPPING = [0.01, 0.005, 0.005];
+const CUBE_VOLUME = 8e-6;
+const OVERLAP_VOLUME = 0.01 * 0.015 * 0.015;
+
+/**
+ * The result must be a closed, outward facing solid of the given volume (m³)
+ */
+function expectSolid(csg, volume) {
+    const result = validateMesh(csg.toGeometry());
+
+    expect(result.problems).toEqual([]);
+    expect(result.volume / volume).toBeCloseTo(1, 5);
+    return result;
+}
+
+describe('CSG', () => {
+    it('unions two overlapping cubes', () => {
+        expectSolid(cube().union(cube(...OVERLAPPING)), 2 * CUBE_VOLUME - OVERLAP_VOLUME);
+    });
+
+    it('subtracts a cube, leaving a notch', () => {
+        expectSolid(cube().subtract(cube(...OVERLAPPING)), CUBE_VOLUME - OVERLAP_VOLUME);
+    });
+
+    it('intersects two cubes', () => {
+        const { triangleCount } = expectSolid(cube().intersect(cube(...OVERLAPPING)), OVERLAP_VOLUME);
+
+        // The overlap is a plain box again once the fragments are merged
+        expect(triangleCount).toBe(12);
+    });
+
+    it('drills a hole straight through', () => {
+        const drill = CSG.fromGeometry(new THREE.BoxGeometry(0.005, 0.03, 0.005));
+
+        expectSolid(cube().subtract(drill), CUBE_VOLUME - 0.005 * 0.02 * 0.005);
+    });
+
+    it('keeps mirrored parts outward facing', () => {
+        const mirror = new THREE.Matrix4().makeScale(-1, 1, 1).setPosition(0.01, 0, 0);
+        const mirrored = CSG.fromGeometry(new THREE.BoxGeometry(0.02, 0.02, 0.02), mirror);
+
+        expectSolid(cube().union(mirrored), CUBE_VOLUME * 1.5);
+    });
+
+    it('unions every mesh of a group in the group frame', () => {
+        const group = new THREE.Group();
+        group.add(new THREE.Mesh(new THREE.BoxGeometry(0.02, 0.02, 0.02)));
+        const second = new THREE.Mesh(new THREE.BoxGeometry(0.02, 0.02, 0.02));
+        second.position.set(...OVERLAPPING);
+        group.add(second);
+        group.position.set(1, 2, 3);
+        group.updateMatrixWorld(true);
+
+        const solid = CSG.fromObject(group, group.matrixWorld.clone().invert());
+        const geometry = solid.toGeometry();
+        geometry.computeBoundingBox();
+
+        expectSolid(solid, 2 * CUBE_VOLUME - OVERLAP_VOLUME);
+        expect(geometry.boundingBox.min.x).toBeCloseTo(-0.01, 6);
+        expect(geometry.boundingBox.max.x).toBeCloseTo(0.02, 6);
+    });
+});
@@ -0,0 +1,192 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import {
+    createDepthMap, fitCircle2D, fitCircleFromDepth, fitEdgeFromDepth, fitPlane, unproject, viewCenterPixel, viewRays
+} from '../src/depth-fitting.js';
+import { FakeXRSession } from './fake-xr.js';
+
+const WIDTH = 160;
+const HEIGHT = 120;
+
+// Depth pixels are laid out like the view
+const IDENTITY = new THREE.Matrix4().toArray();
+
+// Search the middle quarter of the image, as the app does
+const SEARCH_RADIUS = 30;
+
+// One depth pixel is about 3 mm wide at 30 cm
+const PIXEL = 0.003;
+
+/**
+ * Depth map and rays for the analytic depth field `depthAt(x, y)`, the depth
+ * along -z on the view ray (x, y, -1)
+ */
+function scan(depthAt) {
+    const session = new FakeXRSession();
+    session.setDepth(depthAt, WIDTH, HEIGHT);
+    return {
+        depthMap: createDepthMap(new Float32Array(session.depth.data), WIDTH, HEIGHT),
+        rays: viewRays(session.projectionMatrix, IDENTITY, WIDTH, HEIGHT),
+        center: viewCenterPixel(IDENTITY, WIDTH, HEIGHT)
+    };
+}
+
+function fitCircle(depthAt) {
+    const { depthMap, rays, center } = scan(depthAt);
+    return fitCircleFromDepth(depthMap, rays, center, SEARCH_RADIUS);
+}
+
+function fitEdge(depthAt) {
+    const { depthMap, rays, center } = scan(depthAt);
+    return fitEdgeFromDepth(depthMap, rays, center, SEARCH_RADIUS);
+}
+
+// A table 30 cm away, facing the viewer, with a `radius` hole 5 cm deep straight ahead
+function hole(radius) {
+    return (x, y) => (Math.hypot(x * 0.3, y * 0.3) < radius ? 0.35 : 0.3);
+}
+
+// Deterministic pseudo-random numbers
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+describe('fitPlane', () => {
+    it('finds the normal and spread of points on a tilted plane', () => {
+        const normal = new THREE.Vector3(1, 2, 3).normalize();
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, new THREE.Vector3(0.1, 0, -0.3));
+        const onPlane = [];
+        for (let i = -3; i <= 3; i++) {
+            for (let j = -1; j <= 1; j++) {
+                // 6 cm along x, 2 cm along y, then dropped onto the plane
+                const point = new THREE.Vector3(0.1 + i * 0.01, j * 0.01, -0.3);
+                onPlane.push(plane.projectPoint(point, new THREE.Vector3()));
+            }
+        }
+
+        const fit = fitPlane(onPlane);
+
+        expect(Math.abs(fit.normal.dot(normal))).toBeCloseTo(1, 9);
+        expect(plane.distanceToPoint(fit.centroid)).toBeCloseTo(0, 9);
+        expect(Math.abs(fit.axes[0].dot(normal))).toBeCloseTo(0, 9);
+        // The long side comes first
+        expect(Math.abs(fit.axes[0].x)).toBeGreaterThan(Math.abs(fit.axes[1].x));
+        expect(fit.axes[2]).toEqual(fit.normal);
+    });
+});
+
+describe('fitCircle2D', () => {
+    it('fits points on a circle exactly', () => {
+        const points = [0, 1, 2, 4].map(i => new THREE.Vector2(
+            0.02 + 0.005 * Math.cos(i),
+            -0.01 + 0.005 * Math.sin(i)
+        ));
+
+        const circle = fitCircle2D(points);
+
+        expect(circle.center.x).toBeCloseTo(0.02, 9);
+        expect(circle.center.y).toBeCloseTo(-0.01, 9);
+        expect(circle.radius).toBeCloseTo(0.005, 9);
+        expect(circle.rms).toBeCloseTo(0, 9);
+    });
+
+    it('needs three points', () => {
+        expect(fitCircle2D([new THREE.Vector2(0, 0), new THREE.Vector2(1, 0)])).toBeNull();
+    });
+});
+
+describe('fitCircleFromDepth', () => {
+    it('puts depth pixels where the rays say they are', () => {
+        const { rays, center } = scan(hole(0.01));
+        const point = unproject(rays, center.u, center.v, 0.3);
+
+        // The middle of the view looks straight ahead
+        expect(point.x).toBeCloseTo(0, 2);
+        expect(point.y).toBeCloseTo(0, 2);
+        expect(point.z).toBeCloseTo(-0.3, 9);
+    });
+
+    it('measures a hole facing the viewer', () => {
+        const fit = fitCircle(hole(0.01));
+
+        expect(Math.abs(fit.diameter - 0.02)).toBeLessThan(PIXEL);
+        expect(fit.center.distanceTo(new THREE.Vector3(0, 0, -0.3))).toBeLessThan(PIXEL / 2);
+        expect(Math.abs(fit.normal.z)).toBeCloseTo(1, 6);
+        expect(fit.inlierCount).toBe(fit.edgeCount);
+    });
+
+    it('measures a knob sticking out towards the viewer', () => {
+        // 24 mm across, 3 cm proud of the table
+        const fit = fitCircle((x, y) => (Math.hypot(x * 0.27, y * 0.27) < 0.012 ? 0.27 : 0.3));
+
+        expect(Math.abs(fit.diameter - 0.024)).toBeLessThan(PIXEL);
+        // The rim is on the knob's face, the near side of the jump
+        expect(fit.center.z).toBeCloseTo(-0.27, 6);
+    });
+
+    it('measures a hole in a tilted surface in the surface plane', () => {
+        const normal = new THREE.Vector3(0, Math.sin(0.5), Math.cos(0.5));
+        const middle = new THREE.Vector3(0, 0, -0.3);
+        const ray = new THREE.Vector3();
+        const hit = new THREE.Vector3();
+        const fit = fitCircle((x, y) => {
+            const depth = normal.dot(middle) / normal.dot(ray.set(x, y, -1));
+            return hit.copy(ray).multiplyScalar(depth).distanceTo(middle) < 0.01 ? depth + 0.05 : depth;
+        });
+
+        expect(Math.abs(fit.normal.dot(normal))).toBeGreaterThan(0.99);
+        // Pixels land further apart on the slope
+        expect(Math.abs(fit.diameter - 0.02)).toBeLessThan(1.5 * PIXEL);
+        expect(fit.center.distanceTo(middle)).toBeLessThan(PIXEL);
+    });
+
+    it('still fits a hole under sensor noise below the inlier tolerance', () => {
+        const next = random(7);
+        const exact = hole(0.01);
+        const fit = fitCircle((x, y) => exact(x, y) + (next() - 0.5) * 0.002);
+
+        expect(Math.abs(fit.diameter - 0.02)).toBeLessThan(PIXEL);
+        expect(fit.rms).toBeLessThan(0.001);
+    });
+
+    it('finds nothing in depth noise', () => {
+        [0.012, 0.05].forEach((amplitude) => {
+            const next = random(42);
+            const noise = () => 0.3 + next() * amplitude;
+
+            expect(fitCircle(noise)).toBeNull();
+            expect(fitEdge(noise)).toBeNull();
+        });
+    });
+
+    it('finds nothing with too few edge pixels', () => {
+        // A flat table has no edges at all
+        expect(fitCircle(() => 0.3)).toBeNull();
+        // A 6 mm hole is only a handful of pixels around
+        expect(fitCircle(hole(0.003))).toBeNull();
+        // A hole outside the search radius isn't seen either
+        expect(fitCircle((x, y) => (Math.hypot(x * 0.3 - 0.1, y * 0.3) < 0.01 ? 0.35 : 0.3))).toBeNull();
+    });
+});
+
+describe('fitEdgeFromDepth', () => {
+    it('follows the edge of a table', () => {
+        // Table on the left, the floor 20 cm further on the right
+        const fit = fitEdge(x => (x < 0 ? 0.3 : 0.5));
+
+        expect(Math.abs(fit.direction.y)).toBeCloseTo(1, 6);
+        // Along the table's side of the edge
+        expect(fit.start.z).toBeCloseTo(-0.3, 6);
+        expect(Math.abs(fit.start.x)).toBeLessThan(PIXEL / 2);
+        expect(fit.length).toBeGreaterThan(0.05);
+        expect(fit.rms).toBeLessThan(1e-6);
+    });
+
+    it('does not take a hole for an edge', () => {
+        expect(fitEdge(hole(0.01))).toBeNull();
+    });
+});
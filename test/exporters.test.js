@@ -0,0 +1,120 @@
+import * as THREE from 'three';
+import { unzipSync, strFromU8 } from 'three/examples/jsm/libs/fflate.module.js';
+import { describe, expect, it } from 'vitest';
+import { ThreeMFExporter } from '../src/threemf-exporter.js';
+import { OBJExporter } from '../src/obj-exporter.js';
+import { createExporter } from '../src/exporters.js';
+
+// 20 × 10 × 5 mm block with one corner at the origin
+function createBlock() {
+    const geometry = new THREE.BoxGeometry(0.02, 0.01, 0.005);
+    geometry.translate(0.01, 0.005, 0.0025);
+    return new THREE.Mesh(geometry);
+}
+
+function readModel(bytes) {
+    const files = unzipSync(bytes);
+    return { files, model: strFromU8(files['3D/3dmodel.model']) };
+}
+
+function vertices(points) {
+    return points.map(([x, y, z]) => new THREE.Vector3(x, y, z));
+}
+
+function extent(points) {
+    return new THREE.Box3().setFromPoints(points);
+}
+
+describe('ThreeMFExporter', () => {
+    const exporter = new ThreeMFExporter();
+
+    it('packages the model with its content types and relationships', () => {
+        const { files } = readModel(exporter.toBytes(createBlock()));
+
+        expect(Object.keys(files).sort()).toEqual(['3D/3dmodel.model', '[Content_Types].xml', '_rels/.rels']);
+        expect(strFromU8(files['_rels/.rels'])).toContain('Target="/3D/3dmodel.model"');
+    });
+
+    it('writes one welded mesh in millimeters, z up', () => {
+        const { model } = readModel(exporter.toBytes(createBlock()));
+
+        expect(model).toContain('<model unit="millimeter"');
+        const points = vertices([...model.matchAll(/<vertex x="([^"]+)" y="([^"]+)" z="([^"]+)"\/>/g)]
+            .map(match => match.slice(1).map(Number)));
+        const triangles = [...model.matchAll(/<triangle v1="(\d+)" v2="(\d+)" v3="(\d+)"\/>/g)];
+        expect(points).toHaveLength(8);
+        expect(triangles).toHaveLength(12);
+        triangles.flatMap(match => match.slice(1).map(Number)).forEach(index => expect(index).toBeLessThan(8));
+
+        const box = extent(points);
+        expect(box.min.toArray()).toEqual([0, -5, 0]);
+        expect(box.max.toArray()).toEqual([20, 0, 10]);
+    });
+
+    it('records the unit, name and parameters', () => {
+        const { model } = readModel(exporter.toBytes(createBlock(), {
+            unit: 'in',
+            name: 'Leg <shim>',
+            metadata: { 'Wall thickness': '3 mm' }
+        }));
+
+        expect(model).toContain('<model unit="inch"');
+        expect(model).toContain('<object id="1" name="Leg &lt;shim&gt;" type="model">');
+        expect(model).toContain('<metadata name="p:Wall_thickness">3 mm</metadata>');
+        // The corner at (20, -5, 10) mm, in inches to a tenth of a micron
+        expect(model).toContain('<vertex x="0.787402" y="-0.19685" z="0.393701"/>');
+    });
+
+    it('rejects units 3MF has no name for', () => {
+        expect(() => exporter.toBytes(createBlock(), { unit: 'ft' })).toThrow('Unsupported 3MF unit: ft');
+    });
+});
+
+describe('OBJExporter', () => {
+    const exporter = new OBJExporter();
+
+    function parse(bytes) {
+        const lines = new TextDecoder().decode(bytes).trim().split('\n');
+        return {
+            comments: lines.filter(line => line.startsWith('#')),
+            points: vertices(lines.filter(line => line.startsWith('v ')).map(line => line.split(' ').slice(1).map(Number))),
+            faces: lines.filter(line => line.startsWith('f ')).map(line => line.split(' ').slice(1).map(Number)),
+            object: lines.find(line => line.startsWith('o '))
+        };
+    }
+
+    it('writes an indexed mesh with the unit in a comment', () => {
+        const { comments, points, faces, object } = parse(exporter.toBytes(createBlock(), {
+            name: 'Leg shim',
+            metadata: { Template: 'Shim' }
+        }));
+
+        expect(comments).toEqual(['# AR Repair Kit', '# units: mm', '# Template: Shim']);
+        expect(object).toBe('o Leg_shim');
+        expect(points).toHaveLength(8);
+        expect(faces).toHaveLength(12);
+        // 1-based indices
+        expect(Math.min(...faces.flat())).toBe(1);
+        expect(Math.max(...faces.flat())).toBe(8);
+
+        const box = extent(points);
+        expect(box.min.toArray()).toEqual([0, -5, 0]);
+        expect(box.max.toArray()).toEqual([20, 0, 10]);
+    });
+
+    it('scales to the unit and the export scale', () => {
+        const { comments, points } = parse(exporter.toBytes(createBlock(), { unit: 'cm', scale: 2 }));
+
+        expect(comments).toContain('# units: cm');
+        expect(extent(points).max.toArray()).toEqual([4, 0, 2]);
+    });
+});
+
+describe('createExporter', () => {
+    it('makes the exporter for each format and rejects others', () => {
+        expect(createExporter('stl').extension).toBe('stl');
+        expect(createExporter('3mf')).toBeInstanceOf(ThreeMFExporter);
+        expect(createExporter('obj')).toBeInstanceOf(OBJExporter);
+        expect(() => createExporter('step')).toThrow('Unknown export format: step');
+    });
+});
@@ -0,0 +1,408 @@
+import * as THREE from 'three';
+
+/**
+ * Stand-ins for the WebXR objects the app touches - session, frames, hit test,
+ * anchors, planes and the depth image - plus a renderer to drive them, so the
+ * measuring flow runs in Node/jsdom. Nothing is tracked: a test aims the hit
+ * test at scripted poses, steps frames and taps.
+ */
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Column-major pose matrix of a point on a surface, y along the surface normal
+ * like a hit test result
+ */
+export function poseMatrix(position, normal = UP) {
+    const quaternion = new THREE.Quaternion().setFromUnitVectors(UP, normal.clone().normalize());
+    return new Float32Array(new THREE.Matrix4().compose(position, quaternion, new THREE.Vector3(1, 1, 1)).elements);
+}
+
+function toVector(value) {
+    return value instanceof THREE.Vector3 ? value.clone() : new THREE.Vector3().fromArray(value);
+}
+
+export class FakeXRRigidTransform {
+    constructor(position = {}, orientation = {}) {
+        this.position = { x: 0, y: 0, z: 0, w: 1, ...position };
+        this.orientation = { x: 0, y: 0, z: 0, w: 1, ...orientation };
+        this.matrix = new Float32Array(new THREE.Matrix4().compose(
+            new THREE.Vector3(this.position.x, this.position.y, this.position.z),
+            new THREE.Quaternion(this.orientation.x, this.orientation.y, this.orientation.z, this.orientation.w),
+            new THREE.Vector3(1, 1, 1)
+        ).elements);
+    }
+}
+
+/**
+ * A space whose pose in the reference space is a fixed matrix
+ */
+class FakeXRSpace {
+    constructor(matrix = new THREE.Matrix4().elements) {
+        this.matrix = new Float32Array(matrix);
+    }
+}
+
+class FakeXRAnchor {
+    constructor(session, matrix) {
+        this.session = session;
+        this.anchorSpace = new FakeXRSpace(matrix);
+    }
+
+    delete() {
+        this.session.anchors.delete(this);
+    }
+}
+
+export class FakeXRPlane {
+    /**
+     * @param {Array<{x: number, z: number}>} polygon - outline in plane space
+     * @param {Float32Array} matrix - plane pose, y along the normal
+     * @param {string} [orientation] - 'horizontal' or 'vertical'
+     */
+    constructor(polygon, matrix, orientation = 'horizontal') {
+        // DOMPointReadOnly in browsers
+        this.polygon = polygon.map(({ x, z }) => ({ x, y: 0, z, w: 1 }));
+        this.planeSpace = new FakeXRSpace(matrix);
+        this.orientation = orientation;
+        this.lastChangedTime = 0;
+    }
+}
+
+/**
+ * What the current frame's hit test returns; null when aiming at nothing
+ */
+class FakeXRHitTestSource {
+    constructor(session) {
+        this.session = session;
+        this.cancelled = false;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+}
+
+export class FakeXRFrame {
+    constructor(session, time) {
+        this.session = session;
+        this.time = time;
+    }
+
+    getHitTestResults(source) {
+        const hit = this.session.hit;
+        if (source.cancelled || !hit) return [];
+        return [{ getPose: () => ({ transform: { matrix: hit } }) }];
+    }
+
+    /**
+     * Every space is posed relative to one fixed reference space
+     */
+    getPose(space) {
+        return { transform: { matrix: space.matrix } };
+    }
+
+    getViewerPose() {
+        const { viewer, projectionMatrix } = this.session;
+        const transform = { matrix: viewer };
+        return { transform, views: [{ eye: 'none', transform, projectionMatrix }] };
+    }
+
+    getDepthInformation(view) {
+        if (!this.session.enabledFeatures.includes('depth-sensing')) {
+            throw new Error('depth-sensing is not enabled');
+        }
+        return this.session.depth;
+    }
+
+    get detectedPlanes() {
+        return this.session.enabledFeatures.includes('plane-detection') ? this.session.planes : undefined;
+    }
+
+    get trackedAnchors() {
+        return this.session.anchors;
+    }
+
+    createAnchor(transform) {
+        if (!this.session.enabledFeatures.includes('anchors')) {
+            return Promise.reject(new Error('anchors is not enabled'));
+        }
+        const anchor = new FakeXRAnchor(this.session, transform.matrix);
+        this.session.anchors.add(anchor);
+        return Promise.resolve(anchor);
+    }
+}
+
+/**
+ * Session with scripted tracking: `aimAt` decides what the viewer hit test
+ * returns, `tap`/`press`/`release` fire the input events a screen tap would
+ */
+export class FakeXRSession extends EventTarget {
+    /**
+     * @param {Object} [init] - requestSession options; optionalFeatures listed in
+     *   `supportedFeatures` are enabled
+     * @param {string[]} [supportedFeatures]
+     */
+    constructor(init = {}, supportedFeatures = []) {
+        super();
+        const requested = [...(init.requiredFeatures || []), ...(init.optionalFeatures || [])];
+        this.enabledFeatures = requested.filter(feature =>
+            (init.requiredFeatures || []).includes(feature) || supportedFeatures.includes(feature)
+        );
+        this.inputSources = [{ handedness: 'none', targetRayMode: 'screen' }];
+        this.ended = false;
+
+        this.hit = null;
+        this.planes = new Set();
+        this.anchors = new Set();
+        this.depth = null;
+        // Phone held 30 cm above the origin, looking straight down
+        this.viewer = poseMatrix(new THREE.Vector3(0, 0.3, 0), new THREE.Vector3(0, 0, -1));
+        this.projectionMatrix = new Float32Array(
+            new THREE.PerspectiveCamera(60, 4 / 3, 0.01, 100).projectionMatrix.elements
+        );
+    }
+
+    // Reading depthUsage throws when depth sensing isn't enabled, like in Chrome
+    get depthUsage() {
+        if (!this.enabledFeatures.includes('depth-sensing')) {
+            throw new Error('Depth sensing is not enabled');
+        }
+        return 'cpu-optimized';
+    }
+
+    get depthDataFormat() {
+        if (!this.enabledFeatures.includes('depth-sensing')) {
+            throw new Error('Depth sensing is not enabled');
+        }
+        return 'float32';
+    }
+
+    async requestReferenceSpace(type) {
+        return Object.assign(new FakeXRSpace(), { type });
+    }
+
+    async requestHitTestSource() {
+        if (!this.enabledFeatures.includes('hit-test')) {
+            throw new Error('hit-test is not enabled');
+        }
+        return new FakeXRHitTestSource(this);
+    }
+
+    /**
+     * Point the hit test at a surface; null to aim at nothing
+     *
+     * @param {THREE.Vector3|number[]|null} position
+     * @param {THREE.Vector3|number[]} [normal]
+     */
+    aimAt(position, normal = UP) {
+        this.hit = position ? poseMatrix(toVector(position), toVector(normal)) : null;
+    }
+
+    /**
+     * Place the viewer, looking at `target`
+     */
+    setViewer(position, target) {
+        const matrix = new THREE.Matrix4().lookAt(toVector(position), toVector(target), UP).setPosition(toVector(position));
+        this.viewer = new Float32Array(matrix.elements);
+    }
+
+    addPlane(polygon, matrix, orientation) {
+        const plane = new FakeXRPlane(polygon, matrix, orientation);
+        this.planes.add(plane);
+        return plane;
+    }
+
+    /**
+     * Depth image seen from the viewer. `depthAt(x, y)` gives the depth in meters
+     * (along the view's -z) on the ray through (x, y, -1) in view space.
+     */
+    setDepth(depthAt, width = 160, height = 120) {
+        const P = this.projectionMatrix;
+        const data = new Float32Array(width * height);
+        for (let v = 0; v < height; v++) {
+            for (let u = 0; u < width; u++) {
+                const ndcX = (u + 0.5) / width * 2 - 1;
+                const ndcY = 1 - (v + 0.5) / height * 2;
+                data[v * width + u] = depthAt((ndcX + P[8]) / P[0], (ndcY + P[9]) / P[5]);
+            }
+        }
+        this.depth = {
+            width,
+            height,
+            data: data.buffer,
+            rawValueToMeters: 1,
+            normDepthBufferFromNormView: new FakeXRRigidTransform()
+        };
+    }
+
+    /**
+     * A quick tap: selectstart, select, then selectend - the order browsers fire them in
+     */
+    tap() {
+        this.press();
+        this.release();
+    }
+
+    press() {
+        this.dispatchInput('selectstart');
+    }
+
+    release() {
+        this.dispatchInput('select');
+        this.dispatchInput('selectend');
+    }
+
+    dispatchInput(type) {
+        const event = new Event(type);
+        event.inputSource = this.inputSources[0];
+        this.dispatchEvent(event);
+    }
+
+    async end() {
+        if (this.ended) return;
+        this.ended = true;
+        this.dispatchEvent(new Event('end'));
+    }
+}
+
+/**
+ * navigator.xr
+ */
+export class FakeXRSystem {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.supported=true] - whether immersive-ar is available
+     * @param {string[]} [options.features] - optional features the device grants
+     */
+    constructor({ supported = true, features = ['anchors', 'plane-detection', 'depth-sensing'] } = {}) {
+        this.supported = supported;
+        this.features = features;
+        this.session = null;
+    }
+
+    async isSessionSupported(mode) {
+        return this.supported && mode === 'immersive-ar';
+    }
+
+    async requestSession(mode, init) {
+        if (!(await this.isSessionSupported(mode))) {
+            throw new Error(mode + ' is not supported');
+        }
+        this.session = new FakeXRSession(init, this.features);
+        return this.session;
+    }
+}
+
+/**
+ * The parts of THREE.WebXRManager the app uses
+ */
+class FakeWebXRManager {
+    constructor() {
+        this.enabled = false;
+        this.isPresenting = false;
+        this.session = null;
+        this.frame = null;
+        this.referenceSpace = new FakeXRSpace();
+        this.camera = new THREE.PerspectiveCamera();
+    }
+
+    async setSession(session) {
+        this.session = session;
+        this.isPresenting = session !== null;
+        if (session) {
+            session.addEventListener('end', () => this.setSession(null));
+        }
+    }
+
+    getSession() {
+        return this.session;
+    }
+
+    getFrame() {
+        return this.frame;
+    }
+
+    getReferenceSpace() {
+        return this.referenceSpace;
+    }
+
+    getCamera() {
+        return this.camera;
+    }
+}
+
+/**
+ * Renderer that draws nothing; `step()` runs one frame of the animation loop,
+ * inside the XR session when one is set
+ */
+export class FakeRenderer {
+    constructor() {
+        this.domElement = typeof document !== 'undefined' ? document.createElement('canvas') : null;
+        this.xr = new FakeWebXRManager();
+        this.animationLoop = null;
+        this.time = 0;
+    }
+
+    setSize() {}
+
+    setPixelRatio() {}
+
+    setClearColor() {}
+
+    render() {}
+
+    getContext() {
+        return null;
+    }
+
+    setAnimationLoop(callback) {
+        this.animationLoop = callback;
+    }
+
+    step() {
+        this.time += 1000 / 60;
+        const session = this.xr.session;
+        this.xr.frame = session ? new FakeXRFrame(session, this.time) : null;
+        if (session) {
+            this.xr.camera.matrixWorld.fromArray(session.viewer);
+        }
+        if (this.animationLoop) this.animationLoop(this.time, this.xr.frame);
+        this.xr.frame = null;
+    }
+}
+
+/**
+ * Replay a script against the renderer's session, running a frame after each
+ * step and letting promises (hit test, anchors, depth fits) settle.
+ *
+ *   { aim: [x, y, z], normal?: [x, y, z] }  point the hit test at a surface
+ *   { aim: null }                           aim at nothing
+ *   { tap: true } / { press: true } / { release: true }
+ *   { frames: n }                           just run n frames
+ */
+export async function replay(renderer, steps) {
+    const session = renderer.xr.getSession();
+    if (!session) {
+        throw new Error('No XR session to replay into');
+    }
+
+    for (const step of steps) {
+        if ('aim' in step) session.aimAt(step.aim, step.normal);
+        if (step.tap) session.tap();
+        if (step.press) session.press();
+        if (step.release) session.release();
+
+        for (let i = 0; i < (step.frames ?? 1); i++) {
+            renderer.step();
+            await settle();
+        }
+    }
+}
+
+/**
+ * Let pending promise callbacks run
+ */
+export function settle() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
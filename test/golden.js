@@ -0,0 +1,35 @@
+import { readFileSync, writeFileSync } from 'node:fs';
+import { expect } from 'vitest';
+
+/**
+ * Golden files: exporter output checked in under test/golden/. Run the tests
+ * with UPDATE_GOLDEN=1 to rewrite them after an intended change, and review the
+ * diff before committing.
+ */
+
+const GOLDEN_DIR = new URL('./golden/', import.meta.url);
+
+export function expectGolden(bytes, name) {
+    const url = new URL(name, GOLDEN_DIR);
+    if (process.env.UPDATE_GOLDEN === '1') {
+        writeFileSync(url, bytes);
+        return;
+    }
+
+    const golden = readFileSync(url);
+    expect(bytes.length, `size of ${name}`).toBe(golden.length);
+    expect(Buffer.from(bytes).equals(golden), `contents of ${name}`).toBe(true);
+}
+
+/**
+ * Text files are compared as text, so a failure shows a readable diff
+ */
+export function expectGoldenText(text, name) {
+    const url = new URL(name, GOLDEN_DIR);
+    if (process.env.UPDATE_GOLDEN === '1') {
+        writeFileSync(url, text);
+        return;
+    }
+
+    expect(text).toBe(readFileSync(url, 'utf8'));
+}
@@ -0,0 +1,164 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import { MARKER_GRID_SIZE, detectMarkers, generateMarkerImage } from '../src/marker-detector.js';
+import { measureMarkerSide, projectToPixel, unprojectPixel } from '../src/calibration.js';
+
+// Printed side of the black square, meters
+const MARKER_SIZE = 0.05;
+
+// The table the marker lies on
+const TABLE = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+const BACKGROUND = 190;
+
+/**
+ * Camera 320 × 240 px at `position`, looking at the table origin
+ */
+function createView(position) {
+    const camera = new THREE.PerspectiveCamera(60, 4 / 3, 0.01, 10);
+    camera.position.copy(position);
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld(true);
+    return {
+        width: 320,
+        height: 240,
+        projectionMatrix: camera.projectionMatrix.toArray(),
+        transform: camera.matrixWorld.toArray()
+    };
+}
+
+/**
+ * Marker `id` on the table, centred at the origin and turned `angle` radians
+ * about the table normal. Its rows run along +z and its columns along +x
+ * before the turn.
+ */
+function placeMarker(id, angle) {
+    const turn = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+    const half = MARKER_SIZE / 2;
+    // Clockwise from the marker's own top-left corner
+    const corners = [[-half, -half], [half, -half], [half, half], [-half, half]]
+        .map(([x, z]) => new THREE.Vector3(x, 0, z).applyQuaternion(turn));
+    return { id, turn, corners, pattern: generateMarkerImage(id, 1) };
+}
+
+/**
+ * Grayscale camera image of the table with the marker on it, traced pixel by
+ * pixel through the view with 2 × 2 supersampling
+ */
+function renderView(view, marker) {
+    const data = new Uint8ClampedArray(view.width * view.height);
+    const toMarker = marker.turn.clone().invert();
+    const cell = MARKER_SIZE / MARKER_GRID_SIZE;
+    const hit = new THREE.Vector3();
+
+    const shade = (x, y) => {
+        if (!unprojectPixel(x, y, view).intersectPlane(TABLE, hit)) return BACKGROUND;
+        const local = hit.applyQuaternion(toMarker);
+        // Pattern cells include a one cell quiet zone around the marker
+        const column = Math.floor((local.x + MARKER_SIZE / 2) / cell) + 1;
+        const row = Math.floor((local.z + MARKER_SIZE / 2) / cell) + 1;
+        const { width, height } = marker.pattern;
+        if (column < 0 || row < 0 || column >= width || row >= height) return BACKGROUND;
+        return marker.pattern.data[(row * width + column) * 4] > 0 ? 245 : 20;
+    };
+
+    for (let y = 0; y < view.height; y++) {
+        for (let x = 0; x < view.width; x++) {
+            data[y * view.width + x] = (
+                shade(x + 0.25, y + 0.25) + shade(x + 0.75, y + 0.25) +
+                shade(x + 0.25, y + 0.75) + shade(x + 0.75, y + 0.75)
+            ) / 4;
+        }
+    }
+    return { width: view.width, height: view.height, data };
+}
+
+function expectDetected(view, marker) {
+    const markers = detectMarkers(renderView(view, marker));
+
+    expect(markers).toHaveLength(1);
+    const [detected] = markers;
+    expect(detected.id).toBe(marker.id);
+
+    // Corners in the marker's own order, where the camera sees them
+    detected.corners.forEach((corner, i) => {
+        const expected = projectToPixel(marker.corners[i], view);
+        expect(Math.hypot(corner.x - expected.x, corner.y - expected.y)).toBeLessThan(1.5);
+    });
+
+    // Back on the table they give the marker's pose and size, to about a pixel (~1.2 mm here)
+    detected.corners.forEach((corner, i) => {
+        const onTable = unprojectPixel(corner.x, corner.y, view).intersectPlane(TABLE, new THREE.Vector3());
+        expect(onTable.distanceTo(marker.corners[i])).toBeLessThan(0.002);
+    });
+    expect(Math.abs(measureMarkerSide(detected.corners, view, TABLE) / MARKER_SIZE - 1)).toBeLessThan(0.02);
+}
+
+// Deterministic pseudo-random numbers
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+describe('marker detection', () => {
+    it('finds a flat still image of every marker', () => {
+        for (let id = 0; id < 16; id++) {
+            const [marker] = detectMarkers(generateMarkerImage(id, 10));
+
+            expect(marker.id).toBe(id);
+            // The black square spans cells 1-7 of the 80 px image
+            expect(marker.corners.map(({ x, y }) => [Math.round(x), Math.round(y)]))
+                .toEqual([[10, 10], [70, 10], [70, 70], [10, 70]]);
+            expect(marker.sidePixels).toBeCloseTo(60, 0);
+        }
+    });
+
+    it('reads the marker from straight above at any turn', () => {
+        const view = createView(new THREE.Vector3(0, 0.25, 0.0001));
+        [0, Math.PI / 2, Math.PI, -Math.PI / 2, 0.4].forEach((angle) => {
+            expectDetected(view, placeMarker(3, angle));
+        });
+    });
+
+    it('reads the marker in perspective from an angle', () => {
+        [
+            new THREE.Vector3(0, 0.2, 0.15),
+            new THREE.Vector3(0.12, 0.2, 0.08),
+            new THREE.Vector3(-0.1, 0.18, 0.12)
+        ].forEach((position, i) => {
+            expectDetected(createView(position), placeMarker(7 + i, 0.3 * i));
+        });
+    });
+
+    it('finds nothing in noise', () => {
+        const next = random(42);
+        const image = { width: 160, height: 120, data: new Uint8ClampedArray(160 * 120) };
+        for (let i = 0; i < image.data.length; i++) image.data[i] = next() * 255;
+
+        expect(detectMarkers(image)).toEqual([]);
+    });
+
+    it('ignores a marker cut off by the image edge', () => {
+        const full = generateMarkerImage(5, 10);
+        const width = 45;
+        const data = new Uint8ClampedArray(width * full.height * 4);
+        for (let y = 0; y < full.height; y++) {
+            data.set(full.data.subarray(y * full.width * 4, (y * full.width + width) * 4), y * width * 4);
+        }
+
+        expect(detectMarkers({ width, height: full.height, data })).toEqual([]);
+    });
+
+    it('ignores a marker with a covered corner', () => {
+        const image = generateMarkerImage(2, 10);
+        // White sticker over the top-left 2 × 2 cells of the black square
+        for (let y = 10; y < 30; y++) {
+            for (let x = 10; x < 30; x++) image.data.fill(255, (y * image.width + x) * 4, (y * image.width + x) * 4 + 3);
+        }
+
+        expect(detectMarkers(image)).toEqual([]);
+    });
+});
@@ -0,0 +1,135 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import {
+    closeSeams, countEdges, orientTriangles, removeDegenerateTriangles, removeOpposingTriangles, signedVolume,
+    splitTJunctions, weldVertices
+} from '../src/mesh-repair.js';
+import { validateMesh } from '../src/mesh-validator.js';
+
+// 2 × 1 × 3 cm box as a triangle soup
+const BOX_VOLUME = 0.02 * 0.01 * 0.03;
+
+function boxSoup() {
+    return Array.from(new THREE.BoxGeometry(0.02, 0.01, 0.03).toNonIndexed().attributes.position.array);
+}
+
+// Swap the last two corners of soup triangle `t`
+function flipSoup(positions, t) {
+    const b = positions.slice(t * 9 + 3, t * 9 + 6);
+    positions.splice(t * 9 + 3, 3, ...positions.slice(t * 9 + 6, t * 9 + 9));
+    positions.splice(t * 9 + 6, 3, ...b);
+}
+
+function geometryOf(positions) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    return geometry;
+}
+
+function edgeCounts(indices) {
+    return [...new Set(countEdges(indices).values())];
+}
+
+// Every edge run once in each direction
+function isConsistent(indices) {
+    const directed = new Set();
+    for (let i = 0; i < indices.length; i += 3) {
+        for (let k = 0; k < 3; k++) directed.add(`${indices[i + k]}_${indices[i + (k + 1) % 3]}`);
+    }
+    return [...directed].every((key) => {
+        const [a, b] = key.split('_');
+        return directed.has(`${b}_${a}`);
+    }) && directed.size === indices.length;
+}
+
+describe('weldVertices', () => {
+    it('turns a triangle soup into a closed indexed mesh', () => {
+        const { vertices, indices } = weldVertices(boxSoup());
+
+        expect(vertices).toHaveLength(8 * 3);
+        expect(indices).toHaveLength(12 * 3);
+        expect(edgeCounts(indices)).toEqual([2]);
+        expect(signedVolume(vertices, indices)).toBeCloseTo(BOX_VOLUME, 12);
+    });
+
+    it('closes cracks narrower than the tolerance', () => {
+        // The first face's corners are a few nanometers off, as after a rounding transform
+        const positions = boxSoup().map((value, i) => (i < 18 ? value + 4e-9 : value));
+
+        expect(edgeCounts(weldVertices(positions, 1e-12).indices)).toContain(1);
+        expect(edgeCounts(weldVertices(positions).indices)).toEqual([2]);
+    });
+
+    it('drops triangles that collapse', () => {
+        const positions = [...boxSoup(), 0, 0, 0, 0, 0, 0, 0.01, 0, 0];
+
+        expect(weldVertices(positions).indices).toHaveLength(12 * 3);
+    });
+});
+
+describe('splitTJunctions', () => {
+    it('closes a face cut at the middle of a neighbour edge', () => {
+        // Unit square pyramid; one side face is split at the middle of its base edge
+        const vertices = [0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0, 0.5, 0.5, 1, 0.5, 0, 0];
+        const indices = [
+            0, 2, 1, 0, 3, 2,
+            0, 5, 4, 5, 1, 4,
+            1, 2, 4, 2, 3, 4, 3, 0, 4
+        ];
+        expect(edgeCounts(indices)).toContain(1);
+
+        const split = splitTJunctions(vertices, indices);
+
+        expect(edgeCounts(split)).toEqual([2]);
+        expect(signedVolume(vertices, split)).toBeCloseTo(1 / 3, 9);
+    });
+});
+
+describe('orientTriangles', () => {
+    it('flips triangles wound against their neighbours', () => {
+        const { vertices, indices } = weldVertices(boxSoup());
+        [0, 5, 7].forEach((t) => {
+            [indices[t * 3 + 1], indices[t * 3 + 2]] = [indices[t * 3 + 2], indices[t * 3 + 1]];
+        });
+        expect(isConsistent(indices)).toBe(false);
+
+        const oriented = orientTriangles(vertices, indices);
+
+        expect(isConsistent(oriented)).toBe(true);
+        expect(signedVolume(vertices, oriented)).toBeCloseTo(BOX_VOLUME, 12);
+    });
+
+    it('turns an inside out mesh the right way out', () => {
+        const { vertices, indices } = weldVertices(boxSoup());
+        const inverted = indices.slice().reverse();
+        expect(signedVolume(vertices, inverted)).toBeCloseTo(-BOX_VOLUME, 12);
+
+        expect(signedVolume(vertices, orientTriangles(vertices, inverted))).toBeCloseTo(BOX_VOLUME, 12);
+    });
+});
+
+describe('clean-up passes', () => {
+    it('drops slivers and face pairs that enclose nothing', () => {
+        const { vertices, indices } = weldVertices(boxSoup());
+        // A sliver along an edge, and a face doubled the other way round
+        const [a, b] = indices;
+        vertices.push(...vertices.slice(a * 3, a * 3 + 3).map((value, axis) => (value + vertices[b * 3 + axis]) / 2));
+        const sliver = [a, b, vertices.length / 3 - 1];
+        const doubled = [indices[3], indices[5], indices[4]];
+
+        expect(removeDegenerateTriangles(vertices, [...indices, ...sliver])).toEqual(indices);
+        expect(removeOpposingTriangles([...indices, ...doubled])).toHaveLength(11 * 3);
+    });
+
+    it('repairs a cracked soup with flipped faces into a valid solid', () => {
+        const positions = boxSoup().map((value, i) => (i < 18 ? value + 4e-9 : value));
+        flipSoup(positions, 3);
+        flipSoup(positions, 8);
+        expect(validateMesh(geometryOf(positions)).valid).toBe(false);
+
+        const result = validateMesh(closeSeams(positions));
+
+        expect(result.problems).toEqual([]);
+        expect(result.volume).toBeCloseTo(BOX_VOLUME, 9);
+    });
+});
@@ -0,0 +1,92 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import { countSelfIntersections, validateMesh } from '../src/mesh-validator.js';
+
+// Soup of a w × h × d box with its minimum corner at (x, y, z)
+function box(w, h, d, x = 0, y = 0, z = 0) {
+    const geometry = new THREE.BoxGeometry(w, h, d);
+    geometry.translate(x + w / 2, y + h / 2, z + d / 2);
+    return Array.from(geometry.toNonIndexed().attributes.position.array);
+}
+
+function geometryOf(positions) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    return geometry;
+}
+
+// Reverse the winding of soup triangle `t`
+function flip(positions, t) {
+    const corners = [0, 1, 2].map(k => positions.slice(t * 9 + k * 3, t * 9 + k * 3 + 3));
+    positions.splice(t * 9, 9, ...corners[0], ...corners[2], ...corners[1]);
+    return positions;
+}
+
+describe('validateMesh', () => {
+    it('passes a closed box, indexed or not', () => {
+        const result = validateMesh(new THREE.BoxGeometry(0.02, 0.01, 0.03));
+
+        expect(result.valid).toBe(true);
+        expect(result.problems).toEqual([]);
+        expect(result.triangleCount).toBe(12);
+        expect(result.volume).toBeCloseTo(6e-6, 10);
+        expect(validateMesh(geometryOf(box(0.02, 0.01, 0.03))).valid).toBe(true);
+    });
+
+    it('flags the open edges of a missing face', () => {
+        // Drop both triangles of one side
+        const result = validateMesh(geometryOf(box(0.02, 0.01, 0.03).slice(18)));
+
+        expect(result.valid).toBe(false);
+        expect(result.openEdges).toBe(4);
+        expect(result.problems).toEqual(['4 open edges (holes in the surface)']);
+    });
+
+    it('flags an edge shared by more than two faces', () => {
+        // Two cubes touching along one edge only
+        const result = validateMesh(geometryOf([...box(0.01, 0.01, 0.01), ...box(0.01, 0.01, 0.01, 0.01, 0.01, 0)]));
+
+        expect(result.nonManifoldEdges).toBe(1);
+        expect(result.openEdges).toBe(0);
+        expect(result.selfIntersections).toBe(0);
+        expect(result.problems).toEqual(['1 edge shared by more than two faces']);
+    });
+
+    it('flags faces wound against their neighbours', () => {
+        const result = validateMesh(geometryOf(flip(box(0.02, 0.01, 0.03), 4)));
+
+        expect(result.flippedEdges).toBe(3);
+        expect(result.problems).toEqual(['3 edges between faces with opposite winding']);
+    });
+
+    it('flags a surface facing inwards', () => {
+        const positions = box(0.02, 0.01, 0.03);
+        for (let t = 0; t < 12; t++) flip(positions, t);
+        const result = validateMesh(geometryOf(positions));
+
+        expect(result.flippedEdges).toBe(0);
+        expect(result.volume).toBeCloseTo(-6e-6, 10);
+        expect(result.problems).toEqual(['Surface is inside out (negative volume)']);
+    });
+
+    it('flags solids passing through each other', () => {
+        const result = validateMesh(geometryOf([...box(0.02, 0.02, 0.02), ...box(0.02, 0.02, 0.02, 0.01, 0.005, 0.005)]));
+
+        expect(result.selfIntersections).toBeGreaterThan(0);
+        expect(result.problems).toEqual([`${result.selfIntersections} pairs of intersecting faces`]);
+    });
+
+    it('reports an empty mesh', () => {
+        expect(validateMesh(geometryOf([])).problems).toEqual(['Mesh has no triangles']);
+    });
+});
+
+describe('countSelfIntersections', () => {
+    it('does not count faces that only touch', () => {
+        // Side by side, sharing a face's plane but no volume
+        const vertices = [...box(0.01, 0.01, 0.01), ...box(0.01, 0.01, 0.01, 0.01, 0, 0)];
+        const indices = Array.from({ length: vertices.length / 3 }, (_, i) => i);
+
+        expect(countSelfIntersections(vertices, indices)).toBe(0);
+    });
+});
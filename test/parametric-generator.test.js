@@ -0,0 +1,144 @@
+import * as THREE from 'three';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { ParametricGenerator, SCREW_SIZES } from '../src/parametric-generator.js';
+import { CSG } from '../src/csg.js';
+import { contourBounds } from '../src/flat-pattern.js';
+
+function segments(...lengths) {
+    return lengths.map(distanceToNext => ({ position: new THREE.Vector3(), distanceToNext }));
+}
+
+function size(object) {
+    return new THREE.Box3().setFromObject(object).getSize(new THREE.Vector3());
+}
+
+describe('ParametricGenerator', () => {
+    let generator;
+
+    beforeEach(() => {
+        generator = new ParametricGenerator(new THREE.Scene());
+    });
+
+    describe('bracket', () => {
+        it('takes its legs from the first two segments', () => {
+            const bracket = generator.generateBracket(segments(0.06, 0.04), { flangeWidth: 0.025 });
+
+            const { x, y, z } = size(bracket);
+            expect(x).toBeCloseTo(0.06, 6);
+            expect(y).toBeCloseTo(0.04, 6);
+            expect(z).toBeCloseTo(0.025, 6);
+            expect(bracket.userData.warnings).toEqual([]);
+        });
+
+        it('lets explicit options override the measurements', () => {
+            const bracket = generator.generateBracket(segments(0.06, 0.04), { width: 0.05, height: 0.03 });
+
+            expect(size(bracket).x).toBeCloseTo(0.05, 6);
+            expect(size(bracket).y).toBeCloseTo(0.03, 6);
+        });
+
+        it('starts at the first measured point', () => {
+            const measurements = segments(0.06, 0.04);
+            measurements[0].position.set(0.1, 0.2, 0.3);
+
+            expect(generator.generateBracket(measurements).position.toArray()).toEqual([0.1, 0.2, 0.3]);
+        });
+
+        it('needs two segments', () => {
+            expect(() => generator.generateBracket(segments(0.06))).toThrow('Need at least 2 measurements');
+        });
+
+        it('clamps the fillet to fit inside the legs', () => {
+            const options = generator.resolveBracketOptions(segments(0.015, 0.04), { filletRadius: 0.01 });
+
+            // Shorter leg minus the thickness and 1 mm
+            expect(options.filletRadius).toBeCloseTo(0.004, 9);
+        });
+
+        it('skips screw holes that do not fit the flange', () => {
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const bracket = generator.generateBracket(segments(0.06, 0.04), { flangeWidth: 0.008, screwSize: 'M4' });
+
+            expect(bracket.userData.warnings).toEqual(['Flange is too narrow for M4 screws']);
+            vi.restoreAllMocks();
+        });
+
+        it('spaces screw holes between the corner and the leg end', () => {
+            const screw = SCREW_SIZES.M4;
+            const offsets = generator.getScrewHoleOffsets(0.06, 0.013, screw, 2);
+
+            expect(offsets[0]).toBeCloseTo(0.013 + screw.head / 2 + 0.002, 9);
+            expect(offsets[1]).toBeCloseTo(0.06 - screw.head / 2 - 0.002, 9);
+            expect(generator.getScrewHoleOffsets(0.02, 0.013, screw, 1)).toEqual([]);
+        });
+
+        it('previews the bracket from its primitives, without booleans', () => {
+            const options = { gusset: true, screwSize: 'M4', holesPerFlange: 2 };
+            const bracket = generator.generateBracket(segments(0.06, 0.04), options);
+            const fromGeometry = vi.spyOn(CSG, 'fromGeometry');
+
+            const preview = generator.generateBracketPreview(segments(0.06, 0.04), options);
+
+            expect(fromGeometry).not.toHaveBeenCalled();
+            expect(preview.userData.preview).toBe(true);
+            // Profile, gusset and a pin for each of the four holes
+            expect(preview.children).toHaveLength(6);
+            expect(size(preview.children[0]).toArray()).toEqual(size(bracket).toArray());
+            expect(preview.userData.warnings).toEqual(bracket.userData.warnings);
+            vi.restoreAllMocks();
+        });
+
+        it('unrolls to the legs plus the bend allowance', () => {
+            const blank = generator.generateBracketBlank(segments(0.06, 0.04), { thickness: 0.01, filletRadius: 0.003 });
+            const { min, max } = contourBounds(blank.parts[0].outline);
+
+            // Straight legs inside the bend, plus the arc of the neutral axis (K = 0.44)
+            const bendAllowance = Math.PI / 2 * (0.003 + 0.44 * 0.01);
+            expect(max.x - min.x).toBeCloseTo((0.06 - 0.013) + (0.04 - 0.013) + bendAllowance, 9);
+            expect(max.y - min.y).toBeCloseTo(0.02, 9);
+        });
+    });
+
+    describe('shim', () => {
+        it('is as thick as the first segment', () => {
+            const shim = generator.generateShim(segments(0.004), { diameter: 0.03 });
+
+            const { x, y, z } = size(shim);
+            expect(y).toBeCloseTo(0.004, 6);
+            expect(x).toBeCloseTo(0.03, 6);
+            expect(z).toBeCloseTo(0.03, 6);
+        });
+
+        it('defaults to a 2 cm diameter', () => {
+            expect(size(generator.generateShim(segments(0.004))).x).toBeCloseTo(0.02, 6);
+        });
+    });
+
+    describe('box', () => {
+        it('centres its walls on the given outline', () => {
+            const { x, y, z } = size(generator.generateBox(0.1, 0.05, 0.08, 0.005));
+
+            expect(x).toBeCloseTo(0.105, 6);
+            expect(y).toBeCloseTo(0.05, 6);
+            expect(z).toBeCloseTo(0.085, 6);
+        });
+
+        it('cuts panels that assemble to the 3D box', () => {
+            // Tall enough for fingers in the middle of every edge, so each panel spans the whole box
+            const { x, y, z } = size(generator.generateBox(0.1, 0.07, 0.08, 0.005));
+            const panels = generator.generateBoxPanels(0.1, 0.07, 0.08, 0.005).parts;
+
+            const panelSize = name => contourBounds(panels.find(part => part.name === name).outline).getSize(new THREE.Vector2());
+            expect(panelSize('Bottom').x).toBeCloseTo(x, 6);
+            expect(panelSize('Bottom').y).toBeCloseTo(z, 6);
+            ['Front', 'Back'].forEach((name) => {
+                expect(panelSize(name).x).toBeCloseTo(x, 6);
+                expect(panelSize(name).y).toBeCloseTo(y, 6);
+            });
+            ['Left', 'Right'].forEach((name) => {
+                expect(panelSize(name).x).toBeCloseTo(z, 6);
+                expect(panelSize(name).y).toBeCloseTo(y, 6);
+            });
+        });
+    });
+});
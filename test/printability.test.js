@@ -0,0 +1,142 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import {
+    DEFAULT_PRINTER, PrintIssue, analyzePrintability, computeSize, computeVolume, findOverhangs, fitsOnBed, measureWallThickness
+} from '../src/printability.js';
+import { STLExporter } from '../src/stl-exporter.js';
+import { ParametricGenerator } from '../src/parametric-generator.js';
+
+const exporter = new STLExporter();
+
+// Triangles as the exporter writes them, in meters
+function trianglesOf(object) {
+    return exporter.getTriangles(exporter.prepare(object).mesh);
+}
+
+function block(width, height, depth, x = 0, y = 0, z = 0) {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth));
+    mesh.position.set(x, y, z);
+    return mesh;
+}
+
+// A post with a wide cap on top, as generated: y up in the scene
+function mushroom() {
+    const group = new THREE.Group();
+    group.add(block(0.01, 0.03, 0.01, 0, 0.015, 0));
+    group.add(block(0.04, 0.005, 0.04, 0, 0.0325, 0));
+    return group;
+}
+
+function warningTypes(analysis) {
+    return analysis.warnings.map(warning => warning.type);
+}
+
+describe('printability', () => {
+    it('passes a plain block', () => {
+        const analysis = analyzePrintability(trianglesOf(block(0.02, 0.01, 0.02)));
+
+        expect(analysis.warnings).toEqual([]);
+        expect(analysis.fitsBed).toBe(true);
+        expect(analysis.minWallThickness).toBeCloseTo(0.01, 6);
+    });
+
+    it('measures walls straight through the part', () => {
+        const thickness = measureWallThickness(trianglesOf(block(0.02, 0.004, 0.03)));
+
+        expect(Math.min(...thickness)).toBeCloseTo(0.004, 6);
+        expect(Math.max(...thickness)).toBeCloseTo(0.03, 6);
+    });
+
+    it('flags walls thinner than two nozzle widths', () => {
+        const analysis = analyzePrintability(trianglesOf(block(0.02, 0.0006, 0.02)));
+        const [warning] = analysis.warnings;
+
+        expect(warning.type).toBe(PrintIssue.THIN_WALL);
+        expect(warning.message).toContain('0.60 mm');
+        // Top and bottom, two triangles each
+        expect(warning.triangles).toHaveLength(4);
+        // Fine with a thinner nozzle
+        expect(warningTypes(analyzePrintability(trianglesOf(block(0.02, 0.0006, 0.02)), { nozzleDiameter: 0.0002 }))).toEqual([]);
+    });
+
+    it('analyses the part z up, standing as in the exported file', () => {
+        const triangles = trianglesOf(mushroom());
+        const size = computeSize(triangles);
+
+        // Height of the scene's y axis, now along z
+        expect(size.y).toBeCloseTo(0.035, 6);
+        expect(size.x).toBeCloseTo(0.04, 6);
+        expect(size.z).toBeCloseTo(0.04, 6);
+        triangles.forEach(({ vertices }) => vertices.forEach(vertex => expect(vertex.z).toBeGreaterThan(-1e-9)));
+    });
+
+    it('finds the overhang under the cap but not the faces on the bed', () => {
+        const triangles = trianglesOf(mushroom());
+        const overhangs = findOverhangs(triangles);
+        const analysis = analyzePrintability(triangles);
+
+        expect(overhangs.length).toBeGreaterThan(0);
+        overhangs.forEach((index) => {
+            expect(triangles[index].normal.z).toBeCloseTo(-1, 6);
+            triangles[index].vertices.forEach(vertex => expect(vertex.z).toBeCloseTo(0.03, 6));
+        });
+        // The cap's underside less the post's cross-section
+        expect(analysis.overhangArea).toBeCloseTo(0.04 * 0.04 - 0.01 * 0.01, 9);
+        expect(warningTypes(analysis)).toEqual([PrintIssue.OVERHANG]);
+    });
+
+    it('needs no supports for a generated bracket as exported', () => {
+        const bracket = new ParametricGenerator(new THREE.Scene()).generateBracket(
+            [{ position: new THREE.Vector3(), distanceToNext: 0.04 }, { position: new THREE.Vector3(), distanceToNext: 0.03 }],
+            { thickness: 0.004, flangeWidth: 0.015, filletRadius: 0, screwSize: 'none' }
+        );
+
+        expect(findOverhangs(trianglesOf(bracket))).toEqual([]);
+    });
+
+    it('finds no thin walls around the rim of a conformal shim', () => {
+        // 12 × 12 cm surface shim, at least 1 mm thick, sloping towards its sides
+        const points = [new THREE.Vector3()];
+        for (let i = 0; i < 4; i++) {
+            for (let j = 0; j < 4; j++) points.push(new THREE.Vector3(0.01 + i * 0.04, 0.003 + 0.002 * Math.sin(i + j), j * 0.04));
+        }
+        const measurements = points.slice(0, -1).map((position, i) => ({
+            position,
+            distanceToNext: points[i + 1].distanceTo(position),
+            direction: points[i + 1].clone().sub(position).normalize(),
+            normal: new THREE.Vector3(0, 1, 0)
+        }));
+        const shim = new ParametricGenerator(new THREE.Scene()).generateConformalShim(measurements);
+        const triangles = trianglesOf(shim);
+        expect(triangles.length).toBeGreaterThan(10000);
+
+        const start = performance.now();
+        const analysis = analyzePrintability(triangles);
+
+        expect(performance.now() - start).toBeLessThan(2000);
+        expect(warningTypes(analysis)).not.toContain(PrintIssue.THIN_WALL);
+        expect(analysis.minWallThickness).toBeGreaterThan(0.001 - 1e-6);
+    });
+
+    it('checks the bed size either way round', () => {
+        const bed = { width: 0.1, depth: 0.2, height: 0.05 };
+
+        expect(fitsOnBed(new THREE.Vector3(0.15, 0.01, 0.05), bed)).toBe(true);
+        expect(fitsOnBed(new THREE.Vector3(0.15, 0.06, 0.05), bed)).toBe(false);
+        expect(fitsOnBed(new THREE.Vector3(0.15, 0.01, 0.15), bed)).toBe(false);
+
+        const analysis = analyzePrintability(trianglesOf(block(0.3, 0.01, 0.02)));
+        expect(analysis.fitsBed).toBe(false);
+        expect(warningTypes(analysis)).toEqual([PrintIssue.BED_SIZE]);
+        expect(analysis.warnings[0].message).toContain('300 mm × 20 mm × 10 mm high');
+    });
+
+    it('works out volume, mass and filament', () => {
+        const triangles = trianglesOf(block(0.01, 0.01, 0.01));
+        const analysis = analyzePrintability(triangles);
+
+        expect(computeVolume(triangles)).toBeCloseTo(1e-6, 12);
+        expect(analysis.mass).toBeCloseTo(1e-6 * DEFAULT_PRINTER.materialDensity, 9);
+        expect(analysis.filamentLength).toBeCloseTo(1e-6 / (Math.PI * 0.000875 ** 2), 6);
+    });
+});
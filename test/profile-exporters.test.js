@@ -0,0 +1,166 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import { DXFExporter } from '../src/dxf-exporter.js';
+import { SVGExporter } from '../src/svg-exporter.js';
+import { ParametricGenerator } from '../src/parametric-generator.js';
+
+const generator = new ParametricGenerator(new THREE.Scene());
+
+// Open box 100 × 70 × 80 mm between the wall centres, from 5 mm sheet
+function boxPanels() {
+    return generator.generateBoxPanels(0.1, 0.07, 0.08, 0.005);
+}
+
+// Outside sizes of the panels in mm, in pattern order
+const PANEL_SIZES = [[105, 85], [105, 70], [105, 70], [85, 70], [85, 70]];
+
+/**
+ * Entities of a DXF file: polylines with their vertices, circles and lines
+ */
+function parseDXF(bytes) {
+    const lines = new TextDecoder().decode(bytes).trim().split('\n');
+    const pairs = [];
+    for (let i = 0; i < lines.length; i += 2) pairs.push([Number(lines[i]), lines[i + 1]]);
+
+    const header = {};
+    const entities = [];
+    let current = null;
+    pairs.forEach(([code, value], i) => {
+        if (code === 9) header[value] = pairs[i + 1][1];
+        if (code === 0) {
+            if (value === 'VERTEX') {
+                current = { x: 0, y: 0 };
+                entities[entities.length - 1].points.push(current);
+            } else if (['POLYLINE', 'CIRCLE', 'LINE'].includes(value)) {
+                current = { type: value, points: [] };
+                entities.push(current);
+            } else {
+                current = null;
+            }
+            return;
+        }
+        if (!current) return;
+        if (code === 8) current.layer = value;
+        if (code === 10) current.x = Number(value);
+        if (code === 20) current.y = Number(value);
+        if (code === 40) current.radius = Number(value);
+    });
+    return { header, entities };
+}
+
+function outlineSize(points) {
+    const box = new THREE.Box2().setFromPoints(points.map(({ x, y }) => new THREE.Vector2(x, y)));
+    return box.getSize(new THREE.Vector2()).toArray().map(value => +value.toFixed(4));
+}
+
+/**
+ * Cut paths and circles of an SVG file, in document units
+ */
+function parseSVG(bytes) {
+    const text = new TextDecoder().decode(bytes);
+    const svg = text.match(/<svg [^>]*width="([\d.]+)(\w+)" height="([\d.]+)\w+" viewBox="([^"]+)"/);
+    return {
+        width: Number(svg[1]),
+        unit: svg[2],
+        height: Number(svg[3]),
+        viewBox: svg[4].split(' ').map(Number),
+        paths: [...text.matchAll(/<path d="([^"]+)"\/>/g)].map(([, d]) => [...d.matchAll(/[ML]([-\d.]+) ([-\d.]+)/g)]
+            .map(([, x, y]) => ({ x: Number(x), y: Number(y) }))),
+        circles: [...text.matchAll(/<circle cx="([-\d.]+)" cy="([-\d.]+)" r="([-\d.]+)"\/>/g)]
+            .map(([, x, y, r]) => ({ x: Number(x), y: Number(y), r: Number(r) })),
+        bends: [...text.matchAll(/<line /g)].length
+    };
+}
+
+describe('DXFExporter', () => {
+    const exporter = new DXFExporter();
+
+    it('writes the box panels in millimeters at their outside size', () => {
+        const { header, entities } = parseDXF(exporter.toBytes(boxPanels()));
+
+        expect(header.$INSUNITS).toBe('4');
+        expect(header.$MEASUREMENT).toBe('1');
+        expect(entities.every(entity => entity.type === 'POLYLINE' && entity.layer === 'CUT')).toBe(true);
+        expect(entities.map(entity => outlineSize(entity.points))).toEqual(PANEL_SIZES);
+    });
+
+    it('lays the panels out side by side without overlap', () => {
+        const { entities } = parseDXF(exporter.toBytes(boxPanels()));
+        const boxes = entities.map(entity => new THREE.Box2().setFromPoints(entity.points.map(({ x, y }) => new THREE.Vector2(x, y))));
+
+        boxes.forEach((box, i) => {
+            expect(box.min.y).toBeCloseTo(0, 6);
+            if (i > 0) expect(box.min.x - boxes[i - 1].max.x).toBeCloseTo(5, 6);
+        });
+    });
+
+    it('grows outlines and shrinks holes by half the kerf', () => {
+        const blank = generator.generateBracketBlank(
+            [{ distanceToNext: 0.04 }, { distanceToNext: 0.03 }],
+            { thickness: 0.002, flangeWidth: 0.02, filletRadius: 0.002, screwSize: 'M4' }
+        );
+        const plain = parseDXF(exporter.toBytes(blank)).entities;
+        const cut = parseDXF(exporter.toBytes(blank, { kerf: 0.0002 })).entities;
+
+        const [outline, ...rest] = cut;
+        const [plainOutline, ...plainRest] = plain;
+        const grown = outlineSize(outline.points).map((value, axis) => +(value - outlineSize(plainOutline.points)[axis]).toFixed(4));
+        expect(grown).toEqual([0.2, 0.2]);
+
+        const holes = rest.filter(entity => entity.type === 'CIRCLE');
+        const plainHoles = plainRest.filter(entity => entity.type === 'CIRCLE');
+        expect(holes.length).toBeGreaterThan(0);
+        // M4 clearance, 4.5 mm across
+        expect(plainHoles[0].radius).toBeCloseTo(2.25, 6);
+        holes.forEach((hole, i) => expect(hole.radius).toBeCloseTo(plainHoles[i].radius - 0.1, 6));
+        expect(rest.some(entity => entity.type === 'LINE' && entity.layer === 'BEND')).toBe(true);
+    });
+
+    it('writes inches on request and rejects unknown units', () => {
+        const { header, entities } = parseDXF(exporter.toBytes(boxPanels(), { unit: 'in' }));
+
+        expect(header.$INSUNITS).toBe('1');
+        expect(header.$MEASUREMENT).toBe('0');
+        expect(outlineSize(entities[0].points)).toEqual([4.1339, 3.3465]);
+        expect(() => exporter.toBytes(boxPanels(), { unit: 'm' })).toThrow('Unsupported DXF unit: m');
+    });
+});
+
+describe('SVGExporter', () => {
+    const exporter = new SVGExporter();
+
+    it('writes the box panels in millimeters at their outside size', () => {
+        const svg = parseSVG(exporter.toBytes(boxPanels()));
+
+        expect(svg.unit).toBe('mm');
+        // One user unit is one millimeter
+        expect(svg.viewBox).toEqual([0, 0, svg.width, svg.height]);
+        expect(svg.paths.map(outlineSize)).toEqual(PANEL_SIZES);
+        // Five panels side by side with 5 mm between them and a 2 mm margin
+        expect(svg.width).toBeCloseTo(105 * 3 + 85 * 2 + 5 * 4 + 4, 6);
+        expect(svg.height).toBeCloseTo(85 + 4, 6);
+    });
+
+    it('cuts a shim circle at its diameter', () => {
+        const shim = generator.generateShimProfile([{ distanceToNext: 0.003 }], { diameter: 0.025 });
+        const svg = parseSVG(exporter.toBytes(shim, { unit: 'cm', margin: 0 }));
+
+        expect(svg.unit).toBe('cm');
+        expect(svg.circles).toEqual([{ x: 1.25, y: 1.25, r: 1.25 }]);
+        expect([svg.width, svg.height]).toEqual([2.5, 2.5]);
+        expect(svg.bends).toBe(0);
+    });
+
+    it('flips y so the pattern reads the same way up as in DXF', () => {
+        const blank = generator.generateBracketBlank(
+            [{ distanceToNext: 0.04 }, { distanceToNext: 0.03 }],
+            { thickness: 0.002, flangeWidth: 0.02, filletRadius: 0, screwSize: 'none' }
+        );
+        const svg = parseSVG(exporter.toBytes(blank, { margin: 0 }));
+        const [outline] = svg.paths;
+
+        // The first corner is the pattern's origin, at the bottom of the document
+        expect(outline[0]).toEqual({ x: 0, y: 20 });
+        expect(svg.bends).toBe(1);
+    });
+});
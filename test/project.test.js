@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { PROJECT_FORMAT, PROJECT_VERSION, createProject, parseProject, serializeProject } from '../src/project.js';
+
+function sessionState() {
+    return {
+        name: 'Shelf bracket',
+        units: 'mm',
+        mode: 'distance',
+        calibration: { scaleFactor: 1.02, method: 'reference' },
+        points: [
+            { position: [0, 0, 0], normal: [0, 1, 0], quality: null, plane: { id: 3, orientation: 'horizontal', normal: [0, 1, 0] } },
+            { position: [0.08, 0, 0], normal: [0, 1, 0], quality: { sampleCount: 12, spread: 0.0004 }, plane: null }
+        ],
+        measurements: [{ distanceToNext: 0.0816, spread: 0.0004, confidence: 0.9, direction: [1, 0, 0] }],
+        template: 'bracket',
+        parameterOverrides: { thickness: 0.005 },
+        partGenerated: true,
+        partPose: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0.01, 0, 0, 1]
+    };
+}
+
+// As saved before parts were placed in AR and points recorded their planes
+const FIRST_RELEASE_PROJECT = {
+    format: PROJECT_FORMAT,
+    version: 1,
+    name: 'Wobbly table',
+    savedAt: '2024-03-01T10:00:00.000Z',
+    units: 'cm',
+    mode: 'distance',
+    calibration: { scaleFactor: 1, method: null },
+    points: [
+        { position: [0, 0, 0], normal: [0, 1, 0], quality: null },
+        { position: [0, 0.003, 0], normal: [0, 1, 0], quality: null }
+    ],
+    measurements: [{ distance: 0.003, spread: null, confidence: null }],
+    template: 'shim',
+    parameterOverrides: {},
+    partGenerated: true
+};
+
+describe('project files', () => {
+    it('survives a save and load unchanged', () => {
+        const project = createProject(sessionState());
+        const loaded = parseProject(serializeProject(project));
+
+        expect(loaded).toEqual(project);
+        expect(loaded.version).toBe(PROJECT_VERSION);
+        expect(loaded.points[0].plane).toEqual({ id: 3, orientation: 'horizontal', normal: [0, 1, 0] });
+        expect(loaded.partPose).toHaveLength(16);
+    });
+
+    it('keeps only what the measurements need', () => {
+        const { measurements, parameterOverrides } = createProject(sessionState());
+
+        expect(measurements).toEqual([{ distance: 0.0816, spread: 0.0004, confidence: 0.9 }]);
+        expect(parameterOverrides).not.toBe(sessionState().parameterOverrides);
+    });
+
+    it('reads a project from the first release', () => {
+        const loaded = parseProject(JSON.stringify(FIRST_RELEASE_PROJECT));
+
+        expect(loaded.points).toHaveLength(2);
+        expect(loaded.partPose).toBeUndefined();
+        expect(loaded.template).toBe('shim');
+    });
+
+    it('rejects files that are not projects, or too new', () => {
+        expect(() => parseProject('{"format": "stl"}')).toThrow('Not a project file');
+        expect(() => parseProject('not json')).toThrow(/^Not a project file: /);
+        expect(() => parseProject({ ...FIRST_RELEASE_PROJECT, version: PROJECT_VERSION + 1 }))
+            .toThrow(`Project version ${PROJECT_VERSION + 1} is newer than this app supports`);
+        expect(() => parseProject({ ...FIRST_RELEASE_PROJECT, version: 0 })).toThrow('Project version 0 can no longer be read');
+        expect(() => parseProject({ ...FIRST_RELEASE_PROJECT, version: undefined })).toThrow('Project has no valid version');
+        expect(() => parseProject({ ...FIRST_RELEASE_PROJECT, version: '1' })).toThrow('Project has no valid version');
+    });
+
+    it('rejects broken points and poses', () => {
+        const points = [{ position: [0, 0], normal: [0, 1, 0] }];
+
+        expect(() => parseProject({ ...FIRST_RELEASE_PROJECT, points })).toThrow('Project has invalid measurement points');
+        expect(() => parseProject({ ...FIRST_RELEASE_PROJECT, partPose: [1, 0, 0] })).toThrow('Project has an invalid part pose');
+    });
+});
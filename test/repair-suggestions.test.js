@@ -0,0 +1,107 @@
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import { SuggestionEngine, describeMeasurements, suggestionEngine } from '../src/repair-suggestions.js';
+import { TemplateRegistry } from '../src/templates.js';
+
+const v = (x, y, z) => new THREE.Vector3(x, y, z);
+
+/**
+ * Segments through the given points on a surface facing up
+ */
+function pointsToMeasurements(...points) {
+    return points.slice(0, -1).map((position, i) => ({
+        position: position.clone(),
+        distanceToNext: points[i + 1].distanceTo(position),
+        direction: points[i + 1].clone().sub(position).normalize(),
+        normal: new THREE.Vector3(0, 1, 0)
+    }));
+}
+
+function templateIds(suggestions) {
+    return suggestions.map(suggestion => suggestion.template.id);
+}
+
+describe('repair suggestions', () => {
+    it('describes corners, heights and flatness', () => {
+        const features = describeMeasurements(pointsToMeasurements(
+            v(0, 0, 0), v(0.06, 0, 0), v(0.06, 0, -0.04), v(0.06, 0.05, -0.04)
+        ));
+
+        expect(features.count).toBe(3);
+        expect(features.corners.map(Math.round)).toEqual([90, 90]);
+        expect(features.rises).toEqual([0, 0, 1]);
+        expect(features.heights.map(height => +height.toFixed(6))).toEqual([0, 0, 0.05]);
+        expect(features.coplanar).toBe(false);
+    });
+
+    it('offers a bracket for a square corner, thickened for its legs', () => {
+        const [first] = suggestionEngine.suggest(pointsToMeasurements(v(0, 0, 0), v(0.08, 0, 0), v(0.08, 0, -0.05)));
+
+        expect(first.template.id).toBe('bracket');
+        expect(first.reason).toContain('90°');
+        expect(first.parameters).toEqual({ thickness: 0.006, screwSize: 'M4' });
+    });
+
+    it('leaves the screws out of a small bracket', () => {
+        const [first] = suggestionEngine.suggest(pointsToMeasurements(v(0, 0, 0), v(0.02, 0, 0), v(0.02, 0, -0.02)));
+
+        expect(first.parameters.screwSize).toBe('none');
+        expect(first.parameters.thickness).toBe(0.003);
+    });
+
+    it('offers a flat shim for a short segment rising off the surface', () => {
+        const suggestions = suggestionEngine.suggest(pointsToMeasurements(v(0, 0, 0), v(0, 0.004, 0)));
+
+        expect(templateIds(suggestions)).toEqual(['shim']);
+        expect(suggestions[0].reason).toContain('0.4 cm');
+    });
+
+    it('prefers a conformal shim when the gap is uneven', () => {
+        const suggestions = suggestionEngine.suggest(pointsToMeasurements(
+            v(0, 0, 0), v(0.02, 0.002, 0), v(0.04, 0.005, 0)
+        ), { formatLength: meters => `${(meters * 1000).toFixed(0)} mm` });
+
+        expect(templateIds(suggestions)[0]).toBe('conformal-shim');
+        expect(suggestions[0].reason).toContain('from 2 mm to 5 mm');
+    });
+
+    it('offers a box for width, depth and height at right angles', () => {
+        const suggestions = suggestionEngine.suggest(pointsToMeasurements(
+            v(0, 0, 0), v(0.1, 0, 0), v(0.1, 0, -0.06), v(0.1, 0.05, -0.06)
+        ));
+
+        expect(templateIds(suggestions)).toEqual(['bracket', 'box']);
+        expect(suggestions[1].parameters.thickness).toBe(0.003);
+    });
+
+    it('suggests nothing without measurements or for odd shapes', () => {
+        expect(suggestionEngine.suggest([])).toEqual([]);
+        // 30 cm at a shallow angle - no template fits
+        expect(suggestionEngine.suggest(pointsToMeasurements(v(0, 0, 0), v(0.3, 0, 0), v(0.5, 0, -0.02)))).toEqual([]);
+    });
+
+    it('takes new rules without touching the built-in ones', () => {
+        const templates = new TemplateRegistry();
+        templates.register({ id: 'clip', name: 'Clip', requiredMeasurements: 1, parameters: [
+            { key: 'width', label: 'Width', default: 0.01, min: 0.005, max: 0.05 }
+        ], generate: () => new THREE.Group() });
+
+        const engine = new SuggestionEngine(templates);
+        engine.register({
+            id: 'long-edge',
+            template: 'clip',
+            score: features => (features.lengths[0] > 0.1 ? 0.7 : 0),
+            reason: (features, format) => `Edge of ${format(features.lengths[0])}`,
+            parameters: () => ({ width: 0.2, unknown: 1 })
+        });
+        // Rules for templates that aren't registered are skipped
+        engine.register({ id: 'missing', template: 'hinge', score: () => 1, reason: () => '' });
+
+        const suggestions = engine.suggest(pointsToMeasurements(v(0, 0, 0), v(0.15, 0, 0)));
+        expect(suggestions).toHaveLength(1);
+        expect(suggestions[0]).toMatchObject({ rule: 'long-edge', reason: 'Edge of 15.0 cm', parameters: { width: 0.05 } });
+
+        expect(() => engine.register({ id: 'long-edge', template: 'clip', score: () => 0, reason: () => '' }))
+            .toThrow('already registered');
+    });
+});
@@ -0,0 +1,98 @@
+// @vitest-environment jsdom
+import * as THREE from 'three';
+import { describe, expect, it, vi } from 'vitest';
+import { measurementRows, renderReportHTML, toPNG } from '../src/report.js';
+import { projectToPixel, unprojectPixel } from '../src/calibration.js';
+
+const formatCm = (meters, extraDigits = 0) => `${(meters * 100).toFixed(1 + extraDigits)} cm`;
+
+function report(overrides = {}) {
+    return {
+        title: 'Shelf <bracket>',
+        date: new Date(2026, 0, 2),
+        screenshot: null,
+        mode: 'Distance',
+        calibration: null,
+        measurements: [],
+        template: null,
+        parameters: [],
+        parts: [],
+        modelFile: null,
+        ...overrides
+    };
+}
+
+describe('report', () => {
+    it('lists each segment with its confidence and plane', () => {
+        const rows = measurementRows([
+            { distanceToNext: 0.08, confidence: 0.92, spread: 0.0012, plane: { orientation: 'horizontal' } },
+            { distanceToNext: 0.05, confidence: null, spread: 0, plane: null }
+        ], formatCm);
+
+        expect(rows).toEqual([
+            { label: 'Point 1 → 2', length: '8.0 cm', confidence: '±0.12 cm (92%)', plane: 'horizontal' },
+            { label: 'Point 2 → 3', length: '5.0 cm', confidence: '—', plane: '—' }
+        ]);
+    });
+
+    it('renders a self-contained page with the part and its file', () => {
+        const html = renderReportHTML(report({
+            screenshot: 'data:image/png;base64,AAAA',
+            calibration: '1.020x (marker)',
+            measurements: [{ label: 'Point 1 → 2', length: '8.0 cm', confidence: '—', plane: '—' }],
+            template: { name: 'L-Bracket', description: 'Right-angle bracket' },
+            parameters: [{ label: 'Width', value: '8.00 cm' }],
+            parts: [{ name: 'Leg shim', template: 'Shim / Spacer', parameters: [{ label: 'Thickness', value: '0.30 cm' }] }],
+            modelFile: 'repair-part.stl'
+        }));
+
+        expect(html).toContain('<title>Shelf &lt;bracket&gt;</title>');
+        expect(html).toContain('<img src="data:image/png;base64,AAAA"');
+        expect(html).toContain('1.020x (marker)');
+        expect(html).toContain('<td>8.0 cm</td>');
+        expect(html).toContain('<tr><th>Width</th><td>8.00 cm</td></tr>');
+        expect(html).toContain('<code>repair-part.stl</code>');
+        expect(html).toContain('Leg shim (Shim / Spacer)');
+        // Nothing to fetch - styles are inline and there are no scripts
+        expect(html).not.toMatch(/<link|<script|src="http/);
+    });
+
+    it('says what is missing', () => {
+        const html = renderReportHTML(report());
+
+        expect(html).toContain('No screenshot available.');
+        expect(html).toContain('Nothing measured.');
+        expect(html).toContain('No part generated.');
+        expect(html).not.toContain('Parts list');
+    });
+
+    it('keeps only PNG screenshots', () => {
+        expect(toPNG({ toDataURL: () => 'data:image/png;base64,AAAA' })).toBe('data:image/png;base64,AAAA');
+        expect(toPNG({ toDataURL: () => 'data:,' })).toBeNull();
+
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(toPNG({ toDataURL: () => { throw new Error('tainted'); } })).toBeNull();
+        vi.restoreAllMocks();
+    });
+
+    it('projects points back onto the camera pixel they were seen at', () => {
+        const camera = new THREE.PerspectiveCamera(60, 4 / 3, 0.01, 10);
+        camera.position.set(0.1, 0.3, 0.2);
+        camera.lookAt(0, 0, 0);
+        camera.updateMatrixWorld();
+        const view = {
+            width: 640,
+            height: 480,
+            projectionMatrix: camera.projectionMatrix.toArray(),
+            transform: camera.matrixWorld.toArray()
+        };
+
+        const ray = unprojectPixel(200, 150, view);
+        const pixel = projectToPixel(ray.at(0.3, new THREE.Vector3()), view);
+        expect(pixel.x).toBeCloseTo(200, 6);
+        expect(pixel.y).toBeCloseTo(150, 6);
+
+        // Behind the camera
+        expect(projectToPixel(ray.at(-0.3, new THREE.Vector3()), view)).toBeNull();
+    });
+});
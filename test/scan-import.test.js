@@ -0,0 +1,163 @@
+// @vitest-environment jsdom
+import * as THREE from 'three';
+import { describe, expect, it } from 'vitest';
+import { getScanFormat, parseScan } from '../src/scan-import.js';
+import { ScanReference } from '../src/scan-reference.js';
+import { ParametricGenerator } from '../src/parametric-generator.js';
+
+// The loaders check `instanceof ArrayBuffer`, and TextEncoder's buffers come
+// from Node's realm rather than jsdom's - copy into one made here
+function encode(text) {
+    const bytes = new TextEncoder().encode(text);
+    const buffer = new ArrayBuffer(bytes.length);
+    new Uint8Array(buffer).set(bytes);
+    return buffer;
+}
+
+// 10 × 4 × 2 cm block, as a scanner would save it in centimeters
+const BLOCK_OBJ = `
+v 0 0 0
+v 10 0 0
+v 10 0 4
+v 0 0 4
+v 0 2 0
+v 10 2 0
+v 10 2 4
+v 0 2 4
+f 1 3 2
+f 1 4 3
+f 5 6 7
+f 5 7 8
+f 1 2 6
+f 1 6 5
+f 2 3 7
+f 2 7 6
+f 3 4 8
+f 3 8 7
+f 4 1 5
+f 4 5 8
+`;
+
+// One triangle in meters
+const TRIANGLE_PLY = `ply
+format ascii 1.0
+element vertex 3
+property float x
+property float y
+property float z
+element face 1
+property list uchar int vertex_indices
+end_header
+0 0 0
+0.1 0 0
+0 0 0.1
+3 0 1 2
+`;
+
+const POINT_CLOUD_PLY = `ply
+format ascii 1.0
+element vertex 2
+property float x
+property float y
+property float z
+end_header
+0 0 0
+0.1 0 0
+`;
+
+// Minimal glTF with the triangle above in an embedded buffer
+function createTriangleGLTF() {
+    const positions = new Float32Array([0, 0, 0, 0.1, 0, 0, 0, 0, 0.1]);
+    const buffer = Buffer.from(positions.buffer).toString('base64');
+    return encode(JSON.stringify({
+        asset: { version: '2.0' },
+        scene: 0,
+        scenes: [{ nodes: [0] }],
+        nodes: [{ mesh: 0 }],
+        meshes: [{ primitives: [{ attributes: { POSITION: 0 } }] }],
+        accessors: [{
+            bufferView: 0, componentType: 5126, count: 3, type: 'VEC3',
+            min: [0, 0, 0], max: [0.1, 0, 0.1]
+        }],
+        bufferViews: [{ buffer: 0, byteLength: 36 }],
+        buffers: [{ byteLength: 36, uri: 'data:application/octet-stream;base64,' + buffer }]
+    }));
+}
+
+function size(object) {
+    return new THREE.Box3().setFromObject(object).getSize(new THREE.Vector3());
+}
+
+describe('parseScan', () => {
+    it('scales OBJ scans from their unit to meters', async () => {
+        const scan = await parseScan(encode(BLOCK_OBJ), 'block.obj', { unit: 'cm' });
+
+        expect(size(scan).toArray().map(v => +v.toFixed(6))).toEqual([0.1, 0.02, 0.04]);
+        expect(scan.userData).toMatchObject({ format: 'obj', triangleCount: 12, pointCount: 0 });
+    });
+
+    it('reads PLY meshes and point clouds', async () => {
+        const mesh = await parseScan(encode(TRIANGLE_PLY), 'part.PLY');
+        expect(mesh.userData).toMatchObject({ format: 'ply', triangleCount: 1 });
+
+        const cloud = await parseScan(encode(POINT_CLOUD_PLY), 'cloud.ply');
+        expect(cloud.userData).toMatchObject({ triangleCount: 0, pointCount: 2 });
+    });
+
+    it('keeps glTF in meters whatever unit is chosen', async () => {
+        const scan = await parseScan(createTriangleGLTF(), 'part.gltf', { unit: 'mm' });
+
+        expect(size(scan).x).toBeCloseTo(0.1, 6);
+        expect(scan.userData.triangleCount).toBe(1);
+    });
+
+    it('rejects other formats and units', async () => {
+        expect(() => getScanFormat('part.stl')).toThrow('Unsupported scan format: .stl');
+        await expect(parseScan(encode(BLOCK_OBJ), 'block.obj', { unit: 'ft' })).rejects.toThrow('Unknown scan unit');
+    });
+});
+
+describe('ScanReference', () => {
+    async function createReference() {
+        const camera = new THREE.PerspectiveCamera(50, 1, 0.01, 10);
+        const reference = new ScanReference(new THREE.Scene(), camera);
+        reference.setScan(await parseScan(encode(BLOCK_OBJ), 'block.obj', { unit: 'cm' }));
+        return { reference, camera };
+    }
+
+    it('sets the scan centred on the bed', async () => {
+        const { reference } = await createReference();
+        const { min, max } = reference.getBox();
+
+        expect(min.y).toBeCloseTo(0, 9);
+        expect((min.x + max.x) / 2).toBeCloseTo(0, 9);
+        expect((min.z + max.z) / 2).toBeCloseTo(0, 9);
+    });
+
+    it('picks the surface under the pointer with a normal facing the camera', async () => {
+        const { reference, camera } = await createReference();
+        camera.position.set(0.03, 0.5, 0);
+        camera.lookAt(0.03, 0, 0);
+
+        const hit = reference.pick(new THREE.Vector2(0, 0));
+        expect(hit.position.distanceTo(new THREE.Vector3(0.03, 0.02, 0))).toBeLessThan(1e-4);
+        expect(hit.normal.y).toBeCloseTo(1, 6);
+
+        reference.setEnabled(false);
+        expect(reference.pick(new THREE.Vector2(0, 0))).toBeNull();
+    });
+
+    it('gives measurements the generator can build from', async () => {
+        const { reference, camera } = await createReference();
+        // Across the top face, from one long edge to the other
+        const ends = [-0.05, 0.05].map((x) => {
+            camera.position.set(x, 0.5, 0);
+            camera.lookAt(x, 0, 0);
+            return reference.pick(new THREE.Vector2(0, 0)).position;
+        });
+        const measurements = [{ position: ends[0], distanceToNext: ends[0].distanceTo(ends[1]) }];
+
+        const shim = new ParametricGenerator(new THREE.Scene()).generateShim(measurements);
+        expect(size(shim).y).toBeCloseTo(0.1, 6);
+    });
+});
@@ -0,0 +1,5 @@
+// jsdom has no canvas rendering and logs "not implemented" for every label;
+// answer like a browser without the context, which the labels already handle
+if (typeof HTMLCanvasElement !== 'undefined') {
+    HTMLCanvasElement.prototype.getContext = () => null;
+}
@@ -0,0 +1,93 @@
+import * as THREE from 'three';
+import { beforeEach, describe, expect, it } from 'vitest';
+import { STLExporter } from '../src/stl-exporter.js';
+import { ParametricGenerator } from '../src/parametric-generator.js';
+import { expectGolden, expectGoldenText } from './golden.js';
+
+// 20 × 10 × 5 mm block with one corner at the origin
+function createBlock() {
+    const geometry = new THREE.BoxGeometry(0.02, 0.01, 0.005);
+    geometry.translate(0.01, 0.005, 0.0025);
+    return new THREE.Mesh(geometry);
+}
+
+async function readStream(stream) {
+    const chunks = [];
+    const reader = stream.getReader();
+    for (let result = await reader.read(); !result.done; result = await reader.read()) {
+        chunks.push(result.value);
+    }
+    return Buffer.concat(chunks);
+}
+
+describe('STLExporter', () => {
+    let exporter;
+
+    beforeEach(() => {
+        exporter = new STLExporter();
+    });
+
+    it('writes ASCII STL in millimeters', () => {
+        const bytes = exporter.toBytes(createBlock(), { binary: false });
+
+        expectGoldenText(new TextDecoder().decode(bytes), 'block-mm-ascii.stl');
+    });
+
+    it('writes binary STL in millimeters', () => {
+        const bytes = exporter.toBytes(createBlock());
+
+        expect(new DataView(bytes.buffer).getUint32(80, true)).toBe(12);
+        expectGolden(bytes, 'block-mm.stl');
+    });
+
+    it('writes binary STL in inches', () => {
+        expectGolden(exporter.toBytes(createBlock(), { unit: 'in' }), 'block-in.stl');
+    });
+
+    it('applies the export scale on top of the unit', () => {
+        const scaled = new DataView(exporter.toBytes(createBlock(), { scale: 2 }).buffer);
+        const plain = new DataView(exporter.toBytes(createBlock()).buffer);
+
+        // First vertex of the first triangle, after its normal
+        for (let offset = 96; offset < 108; offset += 4) {
+            expect(scaled.getFloat32(offset, true)).toBeCloseTo(plain.getFloat32(offset, true) * 2, 4);
+        }
+    });
+
+    it('writes z up, the scene\'s y up turned a quarter about x', () => {
+        const view = new DataView(exporter.toBytes(createBlock()).buffer);
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < 12; i++) {
+            for (let v = 1; v <= 3; v++) {
+                for (let axis = 0; axis < 3; axis++) {
+                    const value = view.getFloat32(84 + i * 50 + v * 12 + axis * 4, true);
+                    min[axis] = Math.min(min[axis], value);
+                    max[axis] = Math.max(max[axis], value);
+                }
+            }
+        }
+
+        [0, -5, 0].forEach((value, axis) => expect(min[axis]).toBeCloseTo(value, 4));
+        [20, 0, 10].forEach((value, axis) => expect(max[axis]).toBeCloseTo(value, 4));
+    });
+
+    it('streams the same bytes in chunks', async () => {
+        const whole = exporter.toBytes(createBlock());
+        const streamed = await readStream(exporter.createStream(createBlock(), { chunkTriangles: 5 }));
+
+        expect(streamed.equals(Buffer.from(whole))).toBe(true);
+    });
+
+    it('exports a generated bracket as one solid', () => {
+        const generator = new ParametricGenerator(new THREE.Scene());
+        const bracket = generator.generateBracket(
+            [{ position: new THREE.Vector3(), distanceToNext: 0.04 }, { position: new THREE.Vector3(), distanceToNext: 0.03 }],
+            { thickness: 0.004, flangeWidth: 0.015, filletRadius: 0, screwSize: 'none' }
+        );
+        const { mesh, report } = exporter.prepare(bracket);
+
+        expect(report.problems).toEqual([]);
+        expectGolden(exporter.toBytes(mesh), 'bracket-mm.stl');
+    });
+});